@@ -659,18 +659,83 @@ function deleteNodeByPath(config, path) {
   }
 }
 
-// ========== localStorage 课程库管理 ==========
+// ========== 请求 ==========
 
-const COURSE_LIBRARY_KEY = 'course-library-v1';
+/**
+ * 当前用户的请求头，与涂鸦接口相同（令牌模式下包含 Authorization）
+ * window.userSession 由 js/api/UserSession.js 提供，页面需要以 <script type="module"> 引入该文件
+ */
+function getRequestHeaders() {
+  return window.userSession ? window.userSession.getRequestHeaders() : {};
+}
+
+// ========== 本地课程库管理 ==========
+
+// 旧版课程库键（{ courses, savedAt, version: 1 }）
+const LEGACY_COURSE_LIBRARY_KEY = 'course-library-v1';
+
+// admin 命名空间在 localStorage 中的键前缀（与 Persistence.js 的 nbv:<namespace>:<key> 一致）
+const ADMIN_STORAGE_PREFIX = 'nbv:admin:';
 
 /**
- * 从localStorage加载课程库
+ * 课程库所在的 admin 命名空间（window.persistence 由 js/api/Persistence.js 提供，
+ * 页面需要以 <script type="module"> 引入该文件；没有引入或尚未加载时直接读写 localStorage）
+ */
+function getAdminStore() {
+  if (!window.persistence) {
+    return createLocalAdminStore();
+  }
+  return window.persistence.namespace('admin', {
+    label: '课程库',
+    version: 1,
+    migrations: {
+      // v1: 旧版键 course-library-v1
+      1: ({ ns, legacy }) => {
+        const saved = legacy.take(LEGACY_COURSE_LIBRARY_KEY);
+        if (saved && Array.isArray(saved.courses)) {
+          ns.set('courseLibrary', { courses: saved.courses, savedAt: saved.savedAt });
+        }
+      }
+    }
+  });
+}
+
+/**
+ * 不经过 Persistence 的 admin 命名空间：键与命名空间相同，
+ * 写入或删除课程库时去掉旧版键（与 v1 迁移的结果一致，之后注册命名空间时不会用旧数据覆盖）
+ */
+function createLocalAdminStore() {
+  return {
+    get(key, fallback = null) {
+      const text = localStorage.getItem(ADMIN_STORAGE_PREFIX + key);
+      if (text !== null) return JSON.parse(text);
+      if (key === 'courseLibrary') {
+        // 尚未迁移的旧版课程库
+        const saved = JSON.parse(localStorage.getItem(LEGACY_COURSE_LIBRARY_KEY) || 'null');
+        if (saved && Array.isArray(saved.courses)) {
+          return { courses: saved.courses, savedAt: saved.savedAt };
+        }
+      }
+      return fallback;
+    },
+    set(key, value) {
+      localStorage.setItem(ADMIN_STORAGE_PREFIX + key, JSON.stringify(value));
+      if (key === 'courseLibrary') localStorage.removeItem(LEGACY_COURSE_LIBRARY_KEY);
+    },
+    remove(key) {
+      localStorage.removeItem(ADMIN_STORAGE_PREFIX + key);
+      if (key === 'courseLibrary') localStorage.removeItem(LEGACY_COURSE_LIBRARY_KEY);
+    }
+  };
+}
+
+/**
+ * 从本地加载课程库
  */
 function loadCourseLibraryFromLocalStorage() {
   try {
-    const saved = localStorage.getItem(COURSE_LIBRARY_KEY);
-    if (saved) {
-      const data = JSON.parse(saved);
+    const data = getAdminStore().get('courseLibrary');
+    if (data && Array.isArray(data.courses)) {
       console.log(`📚 从本地加载课程库: ${data.courses.length} 门课程`);
       return data;
     }
@@ -681,16 +746,14 @@ function loadCourseLibraryFromLocalStorage() {
 }
 
 /**
- * 保存课程库到localStorage
+ * 保存课程库到本地
  */
 function saveCourseLibraryToLocalStorage(courses) {
   try {
-    const data = {
+    getAdminStore().set('courseLibrary', {
       courses: courses,
-      savedAt: new Date().toISOString(),
-      version: 1
-    };
-    localStorage.setItem(COURSE_LIBRARY_KEY, JSON.stringify(data));
+      savedAt: new Date().toISOString()
+    });
     console.log(`💾 课程库已保存: ${courses.length} 门课程`);
   } catch (error) {
     console.error('保存课程库失败:', error);
@@ -702,7 +765,7 @@ function saveCourseLibraryToLocalStorage(courses) {
  */
 function clearCourseLibraryFromLocalStorage() {
   try {
-    localStorage.removeItem(COURSE_LIBRARY_KEY);
+    getAdminStore().remove('courseLibrary');
     console.log('🗑️ 课程库已清空');
   } catch (error) {
     console.error('清空课程库失败:', error);
@@ -946,7 +1009,7 @@ function AdminApp() {
   // 从全局对象中获取拖拽组件 (react-beautiful-dnd 使用 ReactBeautifulDnd 命名空间)
   const { DragDropContext, Droppable, Draggable } = window.ReactBeautifulDnd || {};
 
-  // 初始化时从localStorage加载课程库
+  // 初始化时从本地加载课程库
   useEffect(() => {
     const savedLibrary = loadCourseLibraryFromLocalStorage();
     if (savedLibrary && savedLibrary.courses.length > 0) {
@@ -962,8 +1025,11 @@ function AdminApp() {
 
   // 加载配置
   useEffect(() => {
-    fetch('/api/admin/config')
-      .then(res => res.json())
+    fetch('/api/admin/config', { headers: getRequestHeaders() })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
       .then(config => {
         dispatch({ type: 'LOAD_CONFIG', payload: config });
       })
@@ -1012,13 +1078,15 @@ function AdminApp() {
     try {
       const response = await fetch('/api/admin/config', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...getRequestHeaders() },
         body: JSON.stringify({ config: state.config })
       });
 
       const result = await response.json();
 
-      if (result.success) {
+      if (response.status === 401 || response.status === 403) {
+        alert(`❌ 保存失败：没有修改课程配置的权限（需要教师账号）\n${result.error || ''}`);
+      } else if (result.success) {
         dispatch({ type: 'MARK_SAVED' });
         alert('✅ 配置已保存并同步成功！');
       } else {
@@ -1270,7 +1338,7 @@ function AdminApp() {
         return;
       }
 
-      // 保存到课程库(同时更新localStorage)
+      // 保存到课程库(同时更新本地存储)
       dispatch({
         type: 'LOAD_COURSE_LIBRARY',
         payload: {
@@ -1281,7 +1349,7 @@ function AdminApp() {
         }
       });
 
-      // 持久化到localStorage
+      // 持久化到本地
       saveCourseLibraryToLocalStorage(allCourses);
 
       const newCount = allCourses.length - state.courseLibrary.length;
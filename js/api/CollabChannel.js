@@ -0,0 +1,188 @@
+/**
+ * CollabChannel - 实时协作通道（Server-Sent Events + POST，见 server/collabHub.js）
+ *
+ * 同一课程的客户端加入同一房间：
+ * - 服务器推送成员列表（presence）和其他客户端的消息
+ * - 本页通过 send(type, payload) 发送消息，服务器转发给房间内的其他客户端
+ *
+ * 消息类型（由 GlobalDrawingCanvas 和 DrawingCollabControl 使用）：
+ *   stroke-live   正在书写的笔画 { viewType, stroke }，null 表示结束
+ *   pane-diff     面板笔画变化 { viewType, order, upserts, layers }（同一用户合并，其他用户只显示）
+ *   sync-request  请求完整的面板数据 { viewType }
+ *   saved         已保存到服务器 { viewType, revision }（只有同一用户的其他设备使用）
+ *   view          演示者的视图和滚动位置 { left, right, scroll: { left, right } }
+ *   view-request  请求演示者立即发送视图
+ *
+ * 事件（document）：
+ *   drawingcollabchange   连接状态或成员变化 { connected, members }
+ *   drawingcollabmessage  收到消息 { type, from, userId, payload }（userId 由服务器按发送者的连接填写）
+ */
+
+import { userSession } from './UserSession.js';
+
+// 用户颜色（同一用户在不同设备上颜色相同）
+const USER_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+/**
+ * 用户的标识颜色
+ * @param {string} userId - 用户ID
+ * @returns {string}
+ */
+export function getUserColor(userId) {
+  let hash = 0;
+  for (const char of String(userId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return USER_COLORS[hash % USER_COLORS.length];
+}
+
+class CollabChannel {
+  constructor(baseURL = '') {
+    this.baseURL = baseURL;
+    this.clientId = `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.lessonId = null;
+    this.source = null;
+    this.connected = false;
+    this.members = [];
+    this.presenting = false;
+  }
+
+  /**
+   * 加入课程的协作房间（已在其他房间时先离开）
+   * @param {string} lessonId - 课程ID
+   */
+  join(lessonId) {
+    if (this.lessonId === lessonId && this.source) return;
+    this.leave();
+
+    const user = userSession.getCurrentUser();
+    const params = new URLSearchParams({
+      clientId: this.clientId,
+      userId: user.id,
+      name: user.name,
+      role: user.role
+    });
+    if (user.token) params.set('token', user.token);
+
+    this.lessonId = lessonId;
+    this.source = new EventSource(`${this.baseURL}/api/collab/${encodeURIComponent(lessonId)}/events?${params}`);
+
+    this.source.onopen = () => {
+      this.connected = true;
+      console.log(`[COLLAB] ✅ Joined ${lessonId}`);
+      // 重连后恢复演示状态
+      if (this.presenting) this.send('presence-update', { presenting: true });
+      this.notifyChange();
+    };
+
+    this.source.onerror = () => {
+      // EventSource 会自动重连
+      if (this.connected) console.warn('[COLLAB] Connection lost, reconnecting...');
+      this.connected = false;
+      this.notifyChange();
+    };
+
+    this.source.onmessage = (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (error) {
+        console.warn('[COLLAB] Invalid message:', error);
+        return;
+      }
+
+      if (message.type === 'presence') {
+        this.members = message.members || [];
+        this.notifyChange();
+        return;
+      }
+
+      document.dispatchEvent(new CustomEvent('drawingcollabmessage', { detail: message }));
+    };
+  }
+
+  /**
+   * 离开协作房间
+   */
+  leave() {
+    if (this.source) {
+      this.source.close();
+      console.log(`[COLLAB] 👋 Left ${this.lessonId}`);
+    }
+    this.source = null;
+    this.lessonId = null;
+    this.connected = false;
+    this.members = [];
+    this.presenting = false;
+    this.notifyChange();
+  }
+
+  /**
+   * 是否已加入房间（连接中断重连期间也算已加入）
+   */
+  isJoined() {
+    return !!this.source;
+  }
+
+  /**
+   * 发送消息给房间内的其他客户端（失败时丢弃，实时消息不重发）
+   * @param {string} type - 消息类型
+   * @param {Object} payload - 消息内容
+   */
+  send(type, payload) {
+    if (!this.connected) return;
+
+    fetch(`${this.baseURL}/api/collab/${encodeURIComponent(this.lessonId)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...userSession.getRequestHeaders()
+      },
+      body: JSON.stringify({ clientId: this.clientId, type, payload })
+    }).catch((error) => {
+      console.warn(`[COLLAB] Failed to send ${type}:`, error.message);
+    });
+  }
+
+  /**
+   * 设置本页是否为演示者（其他客户端可以跟随演示者的视图和滚动）
+   * @param {boolean} presenting
+   */
+  setPresenting(presenting) {
+    this.presenting = presenting;
+    this.send('presence-update', { presenting });
+  }
+
+  /**
+   * 房间成员（含本页）
+   * @returns {Array<{clientId: string, userId: string, name: string, role: string, presenting: boolean}>}
+   */
+  getMembers() {
+    return this.members.slice();
+  }
+
+  /**
+   * 按客户端ID查找成员
+   * @returns {Object|null}
+   */
+  getMember(clientId) {
+    return this.members.find(m => m.clientId === clientId) || null;
+  }
+
+  notifyChange() {
+    document.dispatchEvent(new CustomEvent('drawingcollabchange', {
+      detail: { connected: this.connected, members: this.getMembers() }
+    }));
+  }
+}
+
+// 全局单例
+export const collabChannel = new CollabChannel();
+
+// 切换用户后以新身份重新加入
+document.addEventListener('drawinguserchange', () => {
+  if (!collabChannel.isJoined()) return;
+  const { lessonId } = collabChannel;
+  collabChannel.leave();
+  collabChannel.join(lessonId);
+});
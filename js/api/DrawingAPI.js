@@ -3,15 +3,81 @@
  *
  * 功能：
  * - 与服务器通信（优先）
- * - 降级到 localStorage（服务器不可用时）
+ * - 降级到本地存储（服务器不可用时，见 DrawingStorage.js）
  * - 自动检测服务器可用性
+ * - 离线优先同步：推送失败的保存/删除进入持久化发件箱，服务器恢复后按退避间隔自动重试；
+ *   令牌失效（401/403）时保留发件箱并派发 drawingauthrequired 事件，更新令牌后重新推送
+ * - 版本冲突检测：每条记录带服务器分配的 revision，保存/删除时附带 baseRevision，
+ *   服务器上的版本更新时返回 409，由用户选择保留本页还是采用服务器版本
+ *
+ * 数据格式：见 js/utils/drawingSchema.js（version 4.0 分图层矢量笔画记录）
+ * 读取时旧版 1.0/2.0 位图记录和 3.0 无图层记录会被转换为 4.0
+ *
+ * 图层：每条记录包含 layers（图层列表）和按 layerId 归属的 strokes，
+ * 单个图层可通过 clearLayer 清除，不影响同一视图的其他图层
+ *
+ * 用户：请求附带当前用户的请求头（见 UserSession.js），服务器按用户分别保存涂鸦；
+ * 发件箱中的操作记录所属用户，只在该用户为当前用户时推送
+ * 共享图层：教师发布的只读图层（/api/shared），学生在自己的涂鸦下方显示
+ * 版本历史：服务器保留每个涂鸦最近的历史版本（getHistory），恢复即作为新记录保存
+ * 数据备份：当前用户的涂鸦作为 drawings 备份来源包含在数据备份中（见 Persistence.js）
+ */
+
+import { normalizeDrawingRecord } from '../utils/drawingSchema.js';
+import { drawingStorage, getStorageKey } from './DrawingStorage.js';
+import { userSession, DEFAULT_USER_ID } from './UserSession.js';
+import { persistence } from './Persistence.js';
+
+// 发件箱（待推送的保存/删除操作），属于本设备的同步状态，不包含在数据备份中
+const syncStore = persistence.namespace('drawingSync', {
+  label: '同步发件箱',
+  version: 1,
+  backup: false,
+  migrations: {
+    // v1: 旧版键 drawing_sync_outbox
+    1: ({ ns, legacy }) => {
+      const outbox = legacy.take('drawing_sync_outbox');
+      if (Array.isArray(outbox)) ns.set('outbox', outbox);
+    }
+  }
+});
+
+// 重试退避：2秒起，每次翻倍，最长1分钟
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+
+// 请求本身无效（重试也不会成功）的状态码，发件箱中的操作直接丢弃
+const DROPPED_STATUSES = [400, 413, 422];
+
+// 未登录或令牌失效，操作保留到更新令牌后再推送
+const AUTH_STATUSES = [401, 403];
+
+/**
+ * 版本冲突：服务器上的记录比本页基于的版本更新
  */
+export class DrawingConflictError extends Error {
+  /**
+   * @param {Object|null} current - 服务器上的当前记录（已被删除时为 null）
+   */
+  constructor(current) {
+    super('HTTP 409: Drawing revision conflict');
+    this.name = 'DrawingConflictError';
+    this.current = current;
+  }
+}
 
 class DrawingAPI {
   constructor(baseURL = '') {
     this.baseURL = baseURL;
     this.isServerAvailable = null; // null=未检测, true=可用, false=不可用
     this.timeout = 5000; // 5秒超时
+
+    this.outbox = this.loadOutbox();   // 待推送的操作 [{ type, userId, lessonId, viewType, baseRevision?, queuedAt }]
+    this.knownRevisions = new Map();   // 存储键 -> 本页已知的服务器版本
+    this.syncChains = new Map();       // 存储键 -> 进行中的同步（同一记录串行推送，避免自己和自己冲突）
+    this.retryTimer = null;
+    this.retryAttempt = 0;
+    this.flushing = null;
   }
 
   /**
@@ -24,6 +90,7 @@ class DrawingAPI {
 
       const response = await fetch(`${this.baseURL}/api/drawings`, {
         method: 'GET',
+        headers: userSession.getRequestHeaders(),
         signal: controller.signal
       });
 
@@ -31,6 +98,11 @@ class DrawingAPI {
 
       this.isServerAvailable = response.ok;
       console.log(`[DrawingAPI] Server ${this.isServerAvailable ? '✅ available' : '❌ unavailable'}`);
+
+      // 服务器可用时推送离线期间的修改
+      if (this.isServerAvailable && this.getPendingCount() > 0) {
+        this.flushOutbox();
+      }
       return this.isServerAvailable;
     } catch (error) {
       this.isServerAvailable = false;
@@ -52,6 +124,7 @@ class DrawingAPI {
         signal: controller.signal,
         headers: {
           'Content-Type': 'application/json',
+          ...userSession.getRequestHeaders(),
           ...options.headers
         }
       });
@@ -59,7 +132,13 @@ class DrawingAPI {
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const body = await response.json().catch(() => null);
+        if (response.status === 409) {
+          throw new DrawingConflictError(body && body.current ? normalizeDrawingRecord(body.current) : null);
+        }
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
       return await response.json();
@@ -84,14 +163,21 @@ class DrawingAPI {
 
   /**
    * 获取特定涂鸦
+   * @returns {Promise<Object|null>} 4.0 格式的涂鸦记录；不存在或格式无法识别时返回 null
    */
   async getDrawing(lessonId, viewType) {
     try {
       const data = await this.request(`/api/drawings/${lessonId}/${viewType}`);
-      return data;
+      const record = normalizeDrawingRecord(data);
+      if (!record) {
+        console.warn(`[DrawingAPI] Unsupported drawing version for ${lessonId}/${viewType}:`, data?.version);
+      }
+      this.knownRevisions.set(getStorageKey(lessonId, viewType), record?.revision || 0);
+      return record;
     } catch (error) {
-      if (error.message.includes('404')) {
+      if (error.status === 404) {
         console.log(`[DrawingAPI] Drawing not found: ${lessonId}/${viewType}`);
+        this.knownRevisions.set(getStorageKey(lessonId, viewType), 0);
         return null;
       }
       console.warn('[DrawingAPI] Failed to get drawing:', error);
@@ -101,17 +187,27 @@ class DrawingAPI {
 
   /**
    * 保存涂鸦
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @param {Object} drawingData - createDrawingRecord 生成的 4.0 记录（含全部图层）
+   * @param {number} [baseRevision] - 本页基于的服务器版本（默认取记录自身的 revision）
+   * @returns {Promise<{success: boolean, revision: number}>} 保存后的服务器版本
+   * @throws {DrawingConflictError} 服务器上的版本比 baseRevision 更新
    */
-  async saveDrawing(lessonId, viewType, drawingData) {
+  async saveDrawing(lessonId, viewType, drawingData, baseRevision = drawingData.revision || 0) {
     try {
       const result = await this.request('/api/drawings', {
         method: 'POST',
         body: JSON.stringify({
           lessonId,
           viewType,
-          ...drawingData
+          ...drawingData,
+          baseRevision
         })
       });
+      if (typeof result.revision === 'number') {
+        this.knownRevisions.set(getStorageKey(lessonId, viewType), result.revision);
+      }
       return result;
     } catch (error) {
       console.warn('[DrawingAPI] Failed to save drawing:', error);
@@ -121,25 +217,58 @@ class DrawingAPI {
 
   /**
    * 删除特定涂鸦
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @param {number|null} [baseRevision] - 本页基于的服务器版本（不传则无条件删除）
+   * @throws {DrawingConflictError} 服务器上的版本比 baseRevision 更新
    */
-  async deleteDrawing(lessonId, viewType) {
+  async deleteDrawing(lessonId, viewType, baseRevision = null) {
     try {
-      const result = await this.request(`/api/drawings/${lessonId}/${viewType}`, {
+      const query = baseRevision === null ? '' : `?baseRevision=${baseRevision}`;
+      const result = await this.request(`/api/drawings/${lessonId}/${viewType}${query}`, {
         method: 'DELETE'
       });
+      this.knownRevisions.set(getStorageKey(lessonId, viewType), 0);
       return result;
     } catch (error) {
+      if (error.status === 404) {
+        this.knownRevisions.set(getStorageKey(lessonId, viewType), 0);
+        return { success: true };
+      }
       console.warn('[DrawingAPI] Failed to delete drawing:', error);
       throw error;
     }
   }
 
+  /**
+   * 清除一个图层的笔画（图层本身保留）
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @param {string} layerId - 图层ID
+   * @returns {Promise<Object>} 服务器返回的更新后记录
+   */
+  async clearLayer(lessonId, viewType, layerId) {
+    try {
+      const result = await this.request(
+        `/api/drawings/${lessonId}/${viewType}/layers/${encodeURIComponent(layerId)}`,
+        { method: 'DELETE' }
+      );
+      if (result && typeof result.revision === 'number') {
+        this.knownRevisions.set(getStorageKey(lessonId, viewType), result.revision);
+      }
+      return result;
+    } catch (error) {
+      console.warn('[DrawingAPI] Failed to clear layer:', error);
+      throw error;
+    }
+  }
+
   /**
    * 删除课程所有涂鸦
    */
   async deleteCourse(lessonId) {
     try {
-      const result = await this.request(`/api/drawings/course/${lessonId}`, {
+      const result = await this.request(`/api/courses/${lessonId}/drawings`, {
         method: 'DELETE'
       });
       return result;
@@ -164,6 +293,424 @@ class DrawingAPI {
     }
   }
 
+  // ========== 版本历史 ==========
+
+  /**
+   * 获取涂鸦的历史版本（从新到旧，记录转换为 4.0，无法识别的版本跳过）
+   * @returns {Promise<Array<{id: string, archivedAt: number, reason: 'save'|'delete', record: Object}>>}
+   */
+  async getHistory(lessonId, viewType) {
+    try {
+      const result = await this.request(`/api/drawings/${lessonId}/${viewType}/history`);
+      return (result.versions || [])
+        .map(version => ({ ...version, record: normalizeDrawingRecord(version.record) }))
+        .filter(version => version.record);
+    } catch (error) {
+      console.warn('[DrawingAPI] Failed to get drawing history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 已删除但服务器上还有历史版本的涂鸦
+   * @returns {Promise<Array<{lessonId: string, viewType: string, deletedAt: number}>>}
+   */
+  async getDeletedDrawings() {
+    try {
+      const result = await this.request('/api/drawings/deleted');
+      return result.deleted || [];
+    } catch (error) {
+      console.warn('[DrawingAPI] Failed to get deleted drawings:', error);
+      throw error;
+    }
+  }
+
+  // ========== 共享图层 ==========
+
+  /**
+   * 获取教师发布的共享图层
+   * @returns {Promise<Object|null>} 4.0 格式的记录（含 publishedBy）；未发布时返回 null
+   */
+  async getSharedLayer(lessonId, viewType) {
+    try {
+      const data = await this.request(`/api/shared/${lessonId}/${viewType}`);
+      const record = normalizeDrawingRecord(data);
+      return record ? { ...record, publishedBy: data.publishedBy || null } : null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      console.warn('[DrawingAPI] Failed to get shared layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 发布共享图层（仅教师，覆盖该视图之前发布的图层）
+   * @param {Object} record - 只含一个图层的 4.0 记录
+   * @returns {Promise<{success: boolean, revision: number}>}
+   */
+  async publishSharedLayer(record) {
+    try {
+      return await this.request('/api/shared', {
+        method: 'POST',
+        body: JSON.stringify(record)
+      });
+    } catch (error) {
+      console.warn('[DrawingAPI] Failed to publish shared layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 撤回共享图层（仅教师）
+   */
+  async deleteSharedLayer(lessonId, viewType) {
+    try {
+      return await this.request(`/api/shared/${lessonId}/${viewType}`, {
+        method: 'DELETE'
+      });
+    } catch (error) {
+      if (error.status === 404) return { success: true };
+      console.warn('[DrawingAPI] Failed to delete shared layer:', error);
+      throw error;
+    }
+  }
+
+  // ========== 离线优先同步 ==========
+
+  /**
+   * 推送一条已写入本地存储的记录
+   * 推送失败时进入发件箱，服务器恢复后自动重试
+   * @param {Object} record - 涂鸦记录（revision 为本页基于的服务器版本）
+   * @returns {Promise<'synced'|'queued'|'remote'>} 已同步 / 等待重试 / 冲突后采用了服务器版本
+   */
+  syncDrawing(record) {
+    const { lessonId, viewType } = record;
+    return this.runSerialized(getStorageKey(lessonId, viewType), async () => {
+      try {
+        const status = await this.pushRecord(record);
+        this.removeFromOutbox(lessonId, viewType);
+        return status;
+      } catch (error) {
+        this.enqueue({ type: 'save', userId: userSession.getCurrentUser().id, lessonId, viewType });
+        return 'queued';
+      }
+    });
+  }
+
+  /**
+   * 删除服务器上的记录（本地记录由调用方先删除）
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @param {number} baseRevision - 本页基于的服务器版本
+   * @returns {Promise<'synced'|'queued'|'remote'>}
+   */
+  syncDelete(lessonId, viewType, baseRevision = 0) {
+    return this.runSerialized(getStorageKey(lessonId, viewType), async () => {
+      try {
+        const status = await this.pushDelete(lessonId, viewType, baseRevision);
+        this.removeFromOutbox(lessonId, viewType);
+        return status;
+      } catch (error) {
+        this.enqueue({ type: 'delete', userId: userSession.getCurrentUser().id, lessonId, viewType, baseRevision });
+        return 'queued';
+      }
+    });
+  }
+
+  /**
+   * 等待进行中的同步全部完成（切换用户前调用，避免推送结果写入新用户的存储键）
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    const pending = [this.flushing, ...this.syncChains.values()].filter(Boolean);
+    await Promise.all(pending.map(task => task.catch(() => {})));
+  }
+
+  /**
+   * 同一存储键的同步操作按顺序执行
+   */
+  runSerialized(key, task) {
+    const previous = this.syncChains.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.syncChains.set(key, current);
+    current.finally(() => {
+      if (this.syncChains.get(key) === current) {
+        this.syncChains.delete(key);
+      }
+    }).catch(() => {});
+    return current;
+  }
+
+  /**
+   * 本页基于的服务器版本：优先使用本页已知的版本（同一页面连续保存时记录中的版本可能已过时）
+   */
+  getBaseRevision(lessonId, viewType, fallback = 0) {
+    const key = getStorageKey(lessonId, viewType);
+    return this.knownRevisions.has(key) ? this.knownRevisions.get(key) : (fallback || 0);
+  }
+
+  /**
+   * 记录从本地存储加载的版本（本页还没有从服务器读取过该记录时，作为推送的基准版本）
+   */
+  rememberRevision(lessonId, viewType, revision) {
+    const key = getStorageKey(lessonId, viewType);
+    if (!this.knownRevisions.has(key)) {
+      this.knownRevisions.set(key, revision || 0);
+    }
+  }
+
+  /**
+   * 同一用户的其他设备已保存了更新的版本（实时协作时由对方通知，见 CollabChannel.js）
+   * 本页的修改已经合并了对方的笔画，下次推送以该版本为基准，避免误报冲突
+   */
+  advanceRevision(lessonId, viewType, revision) {
+    const key = getStorageKey(lessonId, viewType);
+    if (revision > (this.knownRevisions.get(key) || 0)) {
+      this.knownRevisions.set(key, revision);
+    }
+  }
+
+  /**
+   * 推送记录，成功后把带新版本号的记录标记为已同步
+   * @throws {Error} 网络或服务器错误（冲突已在内部处理）
+   */
+  async pushRecord(record) {
+    const { lessonId, viewType } = record;
+    try {
+      const baseRevision = this.getBaseRevision(lessonId, viewType, record.revision);
+      const result = await this.saveDrawing(lessonId, viewType, record, baseRevision);
+      this.isServerAvailable = true;
+      await this.markSynced({ ...record, revision: result.revision });
+      return 'synced';
+    } catch (error) {
+      if (!(error instanceof DrawingConflictError)) throw error;
+      return this.resolveConflict(record, error.current);
+    }
+  }
+
+  /**
+   * 推送删除
+   * @throws {Error} 网络或服务器错误（冲突已在内部处理）
+   */
+  async pushDelete(lessonId, viewType, baseRevision) {
+    try {
+      await this.deleteDrawing(lessonId, viewType, this.getBaseRevision(lessonId, viewType, baseRevision));
+      this.isServerAvailable = true;
+      return 'synced';
+    } catch (error) {
+      if (!(error instanceof DrawingConflictError)) throw error;
+      return this.resolveConflict({ lessonId, viewType, deleted: true }, error.current);
+    }
+  }
+
+  /**
+   * 标记为已同步（本地记录在推送期间被删除时不再写回）
+   * 推送期间本地又保存了更新的记录时，只把它的基准版本更新为刚推送的版本
+   */
+  async markSynced(record) {
+    const local = await drawingStorage.get(record.lessonId, record.viewType);
+    if (!local) return;
+
+    if (local.timestamp === record.timestamp) {
+      await drawingStorage.set(record, { synced: true });
+    } else {
+      await drawingStorage.set({ ...local, revision: record.revision }, { synced: false });
+    }
+  }
+
+  /**
+   * 版本冲突：提示用户选择保留本页的修改还是采用服务器版本
+   * @param {Object} local - 本页的记录（deleted: true 表示本页要删除）
+   * @param {Object|null} remote - 服务器上的当前记录
+   * @returns {Promise<'synced'|'remote'>}
+   */
+  async resolveConflict(local, remote) {
+    const { lessonId, viewType } = local;
+    const key = getStorageKey(lessonId, viewType);
+    const remoteRevision = remote ? (remote.revision || 0) : 0;
+    this.knownRevisions.set(key, remoteRevision);
+
+    const remoteTime = remote ? new Date(remote.timestamp).toLocaleString('zh-CN') : null;
+    const keepLocal = confirm(
+      `「${lessonId}」的涂鸦已在其他标签页或设备上${remote ? `更新（${remoteTime}）` : '被删除'}，` +
+      `与本页的修改冲突。\n\n` +
+      `确定：${local.deleted ? '删除服务器上的涂鸦' : '用本页的涂鸦覆盖服务器版本'}\n` +
+      `取消：放弃本页的修改，${remote ? '加载服务器上的最新版本' : '保持删除'}`
+    );
+
+    if (keepLocal) {
+      console.log(`[DrawingAPI] ⚔️ Conflict on ${lessonId}/${viewType}: keeping local changes`);
+      return local.deleted
+        ? this.pushDelete(lessonId, viewType, remoteRevision)
+        : this.pushRecord({ ...local, revision: remoteRevision });
+    }
+
+    console.log(`[DrawingAPI] ⚔️ Conflict on ${lessonId}/${viewType}: using server version`);
+    if (remote) {
+      await drawingStorage.set(remote, { synced: true });
+    } else {
+      await drawingStorage.remove(lessonId, viewType);
+    }
+    document.dispatchEvent(new CustomEvent('drawingremoteupdate', {
+      detail: { lessonId, viewType, record: remote }
+    }));
+    return 'remote';
+  }
+
+  /**
+   * 读取发件箱
+   */
+  loadOutbox() {
+    const saved = syncStore.get('outbox', []);
+    return Array.isArray(saved) ? saved : [];
+  }
+
+  /**
+   * 保存发件箱并通知界面
+   */
+  persistOutbox() {
+    try {
+      syncStore.set('outbox', this.outbox);
+    } catch (error) {
+      console.warn('[DrawingAPI] Failed to persist outbox:', error);
+    }
+    document.dispatchEvent(new CustomEvent('drawingsyncchange', {
+      detail: { pending: this.getPendingCount() }
+    }));
+  }
+
+  /**
+   * 是否为当前用户的操作（升级前入队的操作属于默认用户）
+   */
+  isOwnOperation(operation) {
+    return (operation.userId || DEFAULT_USER_ID) === userSession.getCurrentUser().id;
+  }
+
+  /**
+   * 加入发件箱（同一用户的同一记录只保留最新的操作）并安排重试
+   * @param {{type: 'save'|'delete', userId: string, lessonId: string, viewType: string, baseRevision?: number}} operation
+   */
+  enqueue(operation) {
+    this.outbox = this.outbox.filter(op => !(
+      (op.userId || DEFAULT_USER_ID) === operation.userId &&
+      op.lessonId === operation.lessonId && op.viewType === operation.viewType
+    ));
+    this.outbox.push({ ...operation, queuedAt: Date.now() });
+    this.persistOutbox();
+    console.log(`[DrawingAPI] ⏳ Queued ${operation.type} ${operation.lessonId}/${operation.viewType}, ${this.getPendingCount()} pending`);
+    this.scheduleRetry();
+  }
+
+  removeFromOutbox(lessonId, viewType) {
+    const before = this.outbox.length;
+    this.outbox = this.outbox.filter(op =>
+      !(this.isOwnOperation(op) && op.lessonId === lessonId && op.viewType === viewType)
+    );
+    if (this.outbox.length !== before) {
+      this.persistOutbox();
+    }
+  }
+
+  /**
+   * 当前用户的某条记录在发件箱中等待推送的操作
+   * @returns {Object|null} { type: 'save'|'delete', ... }
+   */
+  getPendingOperation(lessonId, viewType) {
+    return this.outbox.find(op =>
+      this.isOwnOperation(op) && op.lessonId === lessonId && op.viewType === viewType
+    ) || null;
+  }
+
+  /**
+   * 当前用户待推送的操作数量
+   */
+  getPendingCount() {
+    return this.outbox.filter(op => this.isOwnOperation(op)).length;
+  }
+
+  /**
+   * 按退避间隔安排下一次推送
+   */
+  scheduleRetry() {
+    if (this.retryTimer || this.getPendingCount() === 0) return;
+
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** this.retryAttempt, RETRY_MAX_DELAY);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flushOutbox();
+    }, delay);
+  }
+
+  /**
+   * 依次推送当前用户在发件箱中的操作，遇到网络错误时停止并退避重试
+   * 令牌失效时停止并提示重新登录（不退避重试，更新令牌或切换用户后再推送）
+   * 其他用户的操作保留在发件箱中，切换回该用户后推送
+   * @returns {Promise<void>}
+   */
+  flushOutbox() {
+    if (this.flushing) return this.flushing;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    this.flushing = (async () => {
+      let operation;
+      while ((operation = this.outbox.find(op => this.isOwnOperation(op)))) {
+        const key = getStorageKey(operation.lessonId, operation.viewType);
+
+        try {
+          await this.runSerialized(key, () => this.pushOperation(operation));
+        } catch (error) {
+          if (AUTH_STATUSES.includes(error.status)) {
+            console.warn(`[DrawingAPI] 🔑 Server rejected credentials (HTTP ${error.status}), keeping ${this.getPendingCount()} pending operations`);
+            document.dispatchEvent(new CustomEvent('drawingauthrequired', {
+              detail: { status: error.status, pending: this.getPendingCount() }
+            }));
+            return;
+          }
+          if (DROPPED_STATUSES.includes(error.status)) {
+            console.error(`[DrawingAPI] ❌ Dropping ${operation.type} ${operation.lessonId}/${operation.viewType}:`, error.message);
+          } else {
+            this.isServerAvailable = false;
+            this.retryAttempt++;
+            this.scheduleRetry();
+            return;
+          }
+        }
+
+        // 推送期间同一记录可能有新的操作入队，只移除已完成的这一条
+        this.outbox = this.outbox.filter(op => op !== operation);
+        this.persistOutbox();
+      }
+
+      this.retryAttempt = 0;
+      console.log('[DrawingAPI] ✅ Outbox flushed');
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * 推送发件箱中的一条操作（保存时读取本地最新的记录）
+   */
+  async pushOperation(operation) {
+    const { type, lessonId, viewType, baseRevision } = operation;
+
+    if (type === 'delete') {
+      // 删除之后又画了新的涂鸦，则由保存操作覆盖
+      if (await drawingStorage.get(lessonId, viewType)) return 'synced';
+      return this.pushDelete(lessonId, viewType, baseRevision);
+    }
+
+    const entry = await drawingStorage.getByKey(getStorageKey(lessonId, viewType));
+    if (!entry || entry.synced) return 'synced';
+    const record = normalizeDrawingRecord(entry.data);
+    if (!record) return 'synced';
+    return this.pushRecord(record);
+  }
+
   /**
    * 批量迁移 localStorage 数据到服务器
    */
@@ -184,7 +731,85 @@ class DrawingAPI {
 // 全局单例
 export const drawingAPI = new DrawingAPI();
 
-// 初始化时检测服务器（后台静默检测）
-drawingAPI.checkServer().catch(() => {
+// 初始化时检测服务器（后台静默检测），可用时推送离线期间的修改，否则稍后重试
+drawingAPI.checkServer().then((available) => {
+  if (!available) drawingAPI.scheduleRetry();
+}).catch(() => {
   // 静默失败，不影响页面加载
 });
+
+// 网络恢复时立即重试
+window.addEventListener('online', () => {
+  drawingAPI.flushOutbox();
+});
+
+// 切换用户后推送该用户离线期间的修改
+document.addEventListener('drawinguserchange', () => {
+  drawingAPI.retryAttempt = 0;
+  drawingAPI.persistOutbox();
+  drawingAPI.flushOutbox();
+});
+
+/**
+ * 读取当前用户的所有涂鸦：服务器和本地合并，同一涂鸦取较新的一份
+ * （本地缓存可能已淘汰，服务器可能还没有离线期间的修改）
+ * @returns {Promise<Array<Object>>} 4.0 记录
+ */
+async function collectDrawings() {
+  const records = new Map();
+  const add = (data) => {
+    const record = normalizeDrawingRecord(data);
+    if (!record) return;
+    const key = getStorageKey(record.lessonId, record.viewType);
+    const existing = records.get(key);
+    if (!existing || (record.timestamp || 0) > (existing.timestamp || 0)) {
+      records.set(key, record);
+    }
+  };
+
+  try {
+    (await drawingAPI.getAllDrawings()).forEach(item => add(item.data));
+  } catch (error) {
+    console.warn('[DrawingAPI] Server unavailable, backing up local drawings only:', error.message);
+  }
+  (await drawingStorage.list()).forEach(item => add(item.data));
+  return Array.from(records.values());
+}
+
+// 数据备份：恢复时每条涂鸦作为新记录保存（被替换的记录进入历史版本），备份中没有的涂鸦保持不变
+persistence.registerBackupSource('drawings', {
+  label: '涂鸦',
+  export: collectDrawings,
+  import: async (records) => {
+    if (!Array.isArray(records)) return 0;
+
+    // 以服务器上的版本为基准，避免在新设备上恢复时每条都提示冲突
+    const serverRevisions = new Map();
+    try {
+      (await drawingAPI.getAllDrawings()).forEach(({ data }) => {
+        serverRevisions.set(getStorageKey(data.lessonId, data.viewType), data.revision || 0);
+      });
+    } catch (error) {
+      console.warn('[DrawingAPI] Server unavailable, restored drawings will sync later:', error.message);
+    }
+
+    let restored = 0;
+    for (const data of records) {
+      const record = normalizeDrawingRecord(data);
+      if (!record) continue;
+
+      const { lessonId, viewType } = record;
+      const key = getStorageKey(lessonId, viewType);
+      const local = await drawingStorage.get(lessonId, viewType);
+      const revision = serverRevisions.has(key)
+        ? serverRevisions.get(key)
+        : drawingAPI.getBaseRevision(lessonId, viewType, local ? local.revision || 0 : 0);
+      const saved = { ...record, timestamp: Date.now(), revision };
+
+      await drawingStorage.set(saved, { synced: false });
+      await drawingAPI.syncDrawing(saved);
+      restored++;
+    }
+    return restored;
+  }
+});
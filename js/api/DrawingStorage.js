@@ -0,0 +1,730 @@
+/**
+ * DrawingStorage - 涂鸦本地存储层
+ *
+ * 功能：
+ * - 可替换的存储后端：IndexedDB（默认），浏览器不支持时降级到 localStorage
+ * - IndexedDB 中旧版底图（JPEG/PNG data URL）以 Blob 二进制保存，不再受 localStorage 约 5MB 的限制
+ * - 首次打开时把 localStorage 中的涂鸦记录迁移到 IndexedDB
+ * - localStorage 后端通过 drawings 命名空间读写（见 Persistence.js），
+ *   不包含在数据备份中（涂鸦由 DrawingAPI.js 注册的备份来源导出）
+ * - 通过 navigator.storage.estimate 报告真实用量
+ * - 空间不足时按最近访问时间（LRU）淘汰已同步到服务器的记录，未同步的记录永不淘汰
+ *
+ * 存储键沿用 drawing_data_${lessonId}_${viewType}，非默认用户追加 @${userId}（见 UserSession.js），
+ * 各部分中的 % 和 @ 经百分号编码，键中只有用户分隔符是 @，
+ * 列表和删除只涉及当前用户的涂鸦，用量统计和淘汰覆盖所有用户
+ * 记录格式见 js/utils/drawingSchema.js
+ *
+ * 版本历史：覆盖或删除记录前把原记录存为历史版本，每个存储键保留最近 HISTORY_LIMIT 个
+ * （合并规则见 js/utils/drawingHistory.js）；淘汰记录、删除课程或所有涂鸦时历史一并删除
+ *
+ * 后端接口（均为异步）：
+ *   get(key) / put(entry) / delete(key) / getAll() / estimate()
+ *   getHistory(key) / putHistory(key, versions) / deleteHistory(key) / getHistoryKeys()
+ *   entry: { key, lessonId, viewType, record, size, synced, lastAccess }
+ *   version: { id, archivedAt, reason: 'save'|'delete', record }（从新到旧排列）
+ */
+
+import { normalizeDrawingRecord } from '../utils/drawingSchema.js';
+import { shouldArchiveVersion } from '../utils/drawingHistory.js';
+import { userSession, DEFAULT_USER_ID } from './UserSession.js';
+import { persistence } from './Persistence.js';
+
+// 存储键前缀
+export const STORAGE_KEY_PREFIX = 'drawing_data_';
+
+// 存储键中用户ID的分隔符（键的各部分中的 @ 会被编码）
+const USER_KEY_SEPARATOR = '@';
+
+// IndexedDB 数据库
+const DB_NAME = 'notebook-drawings';
+const DB_VERSION = 2;
+const STORE_NAME = 'drawings';
+const HISTORY_STORE_NAME = 'history';
+
+// localStorage 后端的历史版本键前缀（后接存储键）
+const HISTORY_KEY_PREFIX = 'drawing_history_';
+
+// localStorage 后端的访问时间和同步状态
+const LOCAL_META_KEY = 'drawing_storage_meta';
+
+// localStorage 后端的命名空间，键名沿用旧版（记录、历史版本、访问时间）
+const drawingsStore = persistence.namespace('drawings', {
+  label: '涂鸦（localStorage 后端）',
+  version: 1,
+  backup: false,
+  migrations: {
+    // v1: 旧版顶层键 drawing_data_*、drawing_history_*、drawing_storage_meta
+    1: ({ ns, legacy }) => {
+      [
+        ...legacy.keys(STORAGE_KEY_PREFIX),
+        ...legacy.keys(HISTORY_KEY_PREFIX),
+        LOCAL_META_KEY
+      ].forEach((key) => {
+        const value = legacy.get(key);
+        if (!value || typeof value !== 'object') return;
+        legacy.remove(key);
+        ns.set(key, value);
+      });
+    }
+  }
+});
+
+// 每个涂鸦在本地保留的历史版本数（服务器另有自己的历史）
+const HISTORY_LIMIT = 10;
+
+// localStorage 没有可查询的配额，浏览器通常限制5-10MB，保守估计5MB
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// 用量超过配额的该比例时，写入前先淘汰已同步的记录
+const EVICTION_THRESHOLD = 0.9;
+
+/**
+ * 生成存储键
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ * @param {string} [userId] - 用户ID（默认为当前用户）
+ * @returns {string}
+ */
+export function getStorageKey(lessonId, viewType, userId = userSession.getCurrentUser().id) {
+  const key = `${STORAGE_KEY_PREFIX}${escapeKeyPart(lessonId)}_${escapeKeyPart(viewType)}`;
+  return userId === DEFAULT_USER_ID ? key : `${key}${USER_KEY_SEPARATOR}${escapeKeyPart(userId)}`;
+}
+
+/**
+ * 编码存储键的一部分（只编码 % 和 @，其他字符保持原样，已有的键不变）
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeKeyPart(value) {
+  return String(value).replace(/[%@]/g, char => encodeURIComponent(char));
+}
+
+/**
+ * 存储键所属的用户
+ * @param {string} key - 存储键
+ * @returns {string} 用户ID
+ */
+export function getKeyUserId(key) {
+  const index = key.lastIndexOf(USER_KEY_SEPARATOR);
+  if (index === -1) return DEFAULT_USER_ID;
+  try {
+    return decodeURIComponent(key.slice(index + 1));
+  } catch (error) {
+    // 不是由 getStorageKey 生成的键
+    return key.slice(index + 1);
+  }
+}
+
+/**
+ * 是否为当前用户的存储键
+ */
+function isCurrentUserKey(key) {
+  return getKeyUserId(key) === userSession.getCurrentUser().id;
+}
+
+/**
+ * 是否为存储空间不足错误
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * 将 IndexedDB 请求包装为 Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * data URL 转 Blob
+ * @param {string} dataURL
+ * @returns {Blob}
+ */
+function dataURLToBlob(dataURL) {
+  const [header, base64] = dataURL.split(',');
+  const type = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Blob 转 data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * IndexedDB 后端：底图以 Blob 保存，用量来自 navigator.storage.estimate
+ */
+class IndexedDBBackend {
+  constructor(db) {
+    this.name = 'IndexedDB';
+    this.db = db;
+  }
+
+  /**
+   * 打开数据库
+   * @returns {Promise<IndexedDBBackend>}
+   */
+  static async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+        db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'key' });
+      }
+    };
+    const db = await promisifyRequest(request);
+    return new IndexedDBBackend(db);
+  }
+
+  /**
+   * 执行一次事务，返回请求结果（事务提交后才 resolve，配额错误在此抛出）
+   */
+  run(mode, operation, storeName = STORE_NAME) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error || request.error);
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  async get(key) {
+    const stored = await this.run('readonly', store => store.get(key));
+    if (!stored) return null;
+
+    // 还原底图 data URL
+    const { backgroundBlob, ...entry } = stored;
+    if (backgroundBlob && entry.record.background) {
+      entry.record = {
+        ...entry.record,
+        background: { ...entry.record.background, imageData: await blobToDataURL(backgroundBlob) }
+      };
+    }
+    return entry;
+  }
+
+  async put(entry) {
+    const stored = { ...entry };
+    const background = entry.record.background;
+
+    // 底图单独以 Blob 保存，记录中只保留尺寸等元数据
+    if (background && typeof background.imageData === 'string' && background.imageData.startsWith('data:')) {
+      stored.backgroundBlob = dataURLToBlob(background.imageData);
+      stored.record = { ...entry.record, background: { ...background, imageData: null } };
+      stored.size = JSON.stringify(stored.record).length + stored.backgroundBlob.size;
+    }
+
+    await this.run('readwrite', store => store.put(stored));
+    return stored.size;
+  }
+
+  async delete(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * 所有条目的元数据（不含记录内容）
+   */
+  async getAll() {
+    const stored = await this.run('readonly', store => store.getAll());
+    return stored.map(({ key, lessonId, viewType, size, synced, lastAccess }) => ({
+      key, lessonId, viewType, size, synced, lastAccess
+    }));
+  }
+
+  async touch(key, lastAccess) {
+    await this.run('readwrite', (store) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, lastAccess });
+      };
+      return request;
+    });
+  }
+
+  async getHistory(key) {
+    const stored = await this.run('readonly', store => store.get(key), HISTORY_STORE_NAME);
+    return stored ? stored.versions : [];
+  }
+
+  async putHistory(key, versions) {
+    await this.run('readwrite', store => store.put({ key, versions }), HISTORY_STORE_NAME);
+  }
+
+  async deleteHistory(key) {
+    await this.run('readwrite', store => store.delete(key), HISTORY_STORE_NAME);
+  }
+
+  async getHistoryKeys() {
+    return this.run('readonly', store => store.getAllKeys(), HISTORY_STORE_NAME);
+  }
+
+  async estimate() {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    }
+    // 不支持时只统计涂鸦本身，配额未知
+    const entries = await this.getAll();
+    return { usage: entries.reduce((sum, e) => sum + e.size, 0), quota: null };
+  }
+}
+
+/**
+ * localStorage 后端：记录保存在 drawings 命名空间的存储键下
+ */
+class LocalStorageBackend {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  readMeta() {
+    return drawingsStore.get(LOCAL_META_KEY, {});
+  }
+
+  writeMeta(meta) {
+    drawingsStore.set(LOCAL_META_KEY, meta);
+  }
+
+  async get(key) {
+    const record = drawingsStore.get(key);
+    if (!record) return null;
+
+    const meta = this.readMeta()[key] || {};
+    return {
+      key,
+      lessonId: record.lessonId,
+      viewType: record.viewType,
+      record,
+      size: JSON.stringify(record).length,
+      synced: !!meta.synced,
+      lastAccess: meta.lastAccess || 0
+    };
+  }
+
+  async put(entry) {
+    drawingsStore.set(entry.key, entry.record);
+
+    const meta = this.readMeta();
+    meta[entry.key] = { synced: entry.synced, lastAccess: entry.lastAccess };
+    this.writeMeta(meta);
+    return JSON.stringify(entry.record).length;
+  }
+
+  async delete(key) {
+    drawingsStore.remove(key);
+    const meta = this.readMeta();
+    delete meta[key];
+    this.writeMeta(meta);
+  }
+
+  async getAll() {
+    const meta = this.readMeta();
+    return drawingsStore.keys(STORAGE_KEY_PREFIX).map((key) => {
+      // 无法解析的记录为 null，仍然计入用量
+      const record = drawingsStore.get(key);
+      return {
+        key,
+        lessonId: record ? record.lessonId : null,
+        viewType: record ? record.viewType : null,
+        size: record ? JSON.stringify(record).length : 0,
+        synced: !!meta[key]?.synced,
+        lastAccess: meta[key]?.lastAccess || 0
+      };
+    });
+  }
+
+  async touch(key, lastAccess) {
+    const meta = this.readMeta();
+    if (!meta[key] && !drawingsStore.get(key)) return;
+    meta[key] = { ...meta[key], lastAccess };
+    this.writeMeta(meta);
+  }
+
+  async getHistory(key) {
+    const versions = drawingsStore.get(`${HISTORY_KEY_PREFIX}${key}`, []);
+    return Array.isArray(versions) ? versions : [];
+  }
+
+  async putHistory(key, versions) {
+    drawingsStore.set(`${HISTORY_KEY_PREFIX}${key}`, versions);
+  }
+
+  async deleteHistory(key) {
+    drawingsStore.remove(`${HISTORY_KEY_PREFIX}${key}`);
+  }
+
+  async getHistoryKeys() {
+    return drawingsStore.keys(HISTORY_KEY_PREFIX)
+      .map(key => key.slice(HISTORY_KEY_PREFIX.length));
+  }
+
+  async estimate() {
+    let usage = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      usage += key.length + localStorage.getItem(key).length;
+    }
+    return { usage, quota: LOCAL_STORAGE_QUOTA };
+  }
+}
+
+class DrawingStorage {
+  constructor() {
+    this.backend = null;
+    this.readyPromise = null;
+  }
+
+  /**
+   * 打开存储（只执行一次），优先使用 IndexedDB
+   * @returns {Promise<Object>} 存储后端
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.open();
+    }
+    return this.readyPromise;
+  }
+
+  async open() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        this.backend = await IndexedDBBackend.open();
+        console.log('[STORAGE] ✅ Using IndexedDB');
+        await this.migrateFromLocalStorage();
+        return this.backend;
+      } catch (error) {
+        console.warn('[STORAGE] IndexedDB unavailable, fallback to localStorage:', error);
+      }
+    }
+
+    this.backend = new LocalStorageBackend();
+    console.log('[STORAGE] ⚠️ Using localStorage');
+    return this.backend;
+  }
+
+  /**
+   * 把 localStorage 后端中的涂鸦记录迁移到 IndexedDB
+   * 迁移的记录标记为未同步（无法确认服务器上是否有副本），不会被淘汰
+   */
+  async migrateFromLocalStorage() {
+    const source = new LocalStorageBackend();
+    const keys = drawingsStore.keys(STORAGE_KEY_PREFIX);
+    if (keys.length === 0) return;
+
+    const meta = source.readMeta();
+    let migrated = 0;
+
+    for (const key of keys) {
+      try {
+        const entry = await source.get(key);
+        const record = entry && normalizeDrawingRecord(entry.record);
+        if (!record) {
+          console.warn(`[STORAGE] Unsupported drawing version, keeping in localStorage: ${key}`);
+          continue;
+        }
+        await this.backend.put({
+          key,
+          lessonId: record.lessonId,
+          viewType: record.viewType,
+          record,
+          size: entry.size,
+          synced: false,
+          lastAccess: meta[key]?.lastAccess || record.timestamp || Date.now()
+        });
+        drawingsStore.remove(key);
+        migrated++;
+      } catch (error) {
+        console.warn(`[STORAGE] ❌ Failed to migrate ${key}:`, error);
+      }
+    }
+
+    drawingsStore.remove(LOCAL_META_KEY);
+    console.log(`[STORAGE] ✅ Migrated ${migrated}/${keys.length} drawings from localStorage to IndexedDB`);
+  }
+
+  /**
+   * 读取涂鸦记录（更新最近访问时间）
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @returns {Promise<Object|null>} 原样保存的记录（未转换版本）
+   */
+  async get(lessonId, viewType) {
+    const entry = await this.getByKey(getStorageKey(lessonId, viewType));
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * 按存储键读取条目（更新最近访问时间）
+   * @param {string} key - 存储键
+   * @returns {Promise<{key: string, data: Object, size: number, synced: boolean, lastAccess: number}|null>}
+   */
+  async getByKey(key) {
+    const backend = await this.ready();
+    const entry = await backend.get(key);
+    if (!entry) return null;
+
+    const lastAccess = Date.now();
+    backend.touch(key, lastAccess).catch(() => {});
+    return { key, data: entry.record, size: entry.size, synced: entry.synced, lastAccess };
+  }
+
+  /**
+   * 保存涂鸦记录，空间不足时先淘汰已同步的旧记录
+   * @param {Object} record - 涂鸦记录
+   * @param {Object} options
+   * @param {boolean} options.synced - 记录是否已保存到服务器（只有已同步的记录可以被淘汰）
+   * @returns {Promise<number>} 占用字节数
+   * @throws {DOMException} 淘汰后仍然空间不足时抛出 QuotaExceededError
+   */
+  async set(record, { synced = false } = {}) {
+    const backend = await this.ready();
+    const key = getStorageKey(record.lessonId, record.viewType);
+    const entry = {
+      key,
+      lessonId: record.lessonId,
+      viewType: record.viewType,
+      record,
+      size: JSON.stringify(record).length,
+      synced,
+      lastAccess: Date.now()
+    };
+
+    await this.ensureSpace(entry.size, key);
+
+    const previous = await backend.get(key);
+    if (previous) await this.archive(key, previous.record, record);
+
+    try {
+      return await backend.put(entry);
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+
+      // 配额估算不准确时，淘汰后重试一次
+      const freed = await this.evict(entry.size, key);
+      if (freed === 0) throw error;
+      return await backend.put(entry);
+    }
+  }
+
+  /**
+   * 删除一个涂鸦（原记录保留为历史版本）
+   */
+  async remove(lessonId, viewType) {
+    const backend = await this.ready();
+    const key = getStorageKey(lessonId, viewType);
+    const previous = await backend.get(key);
+    if (previous) await this.archive(key, previous.record, null);
+    await backend.delete(key);
+  }
+
+  /**
+   * 删除课程的所有涂鸦（包括历史版本）
+   * @param {string} lessonId - 课程ID
+   */
+  async removeCourse(lessonId) {
+    const entries = await this.listMeta();
+    const backend = await this.ready();
+    for (const entry of entries.filter(e => e.lessonId === lessonId)) {
+      await backend.delete(entry.key);
+    }
+    // 记录删除后，课程的历史都出现在 listDeleted 中
+    for (const deleted of (await this.listDeleted()).filter(d => d.lessonId === lessonId)) {
+      await backend.deleteHistory(deleted.key);
+    }
+  }
+
+  /**
+   * 删除当前用户的所有涂鸦（包括历史版本）
+   */
+  async clear() {
+    const entries = await this.listMeta();
+    const backend = await this.ready();
+    for (const entry of entries) {
+      await backend.delete(entry.key);
+    }
+    for (const key of (await backend.getHistoryKeys()).filter(isCurrentUserKey)) {
+      await backend.deleteHistory(key);
+    }
+  }
+
+  /**
+   * 把即将被覆盖或删除的记录存为历史版本（失败时只记录警告，不影响保存）
+   * @param {string} key - 存储键
+   * @param {Object} previous - 当前记录
+   * @param {Object|null} next - 新记录（删除时为 null）
+   */
+  async archive(key, previous, next) {
+    const backend = await this.ready();
+    try {
+      const versions = await backend.getHistory(key);
+      const lastArchivedAt = versions.length > 0 ? versions[0].archivedAt : 0;
+      if (!shouldArchiveVersion(previous, next, lastArchivedAt)) return;
+
+      const archivedAt = Math.max(Date.now(), lastArchivedAt + 1);
+      const version = {
+        id: `${archivedAt}-${previous.revision || 0}`,
+        archivedAt,
+        reason: next ? 'save' : 'delete',
+        record: previous
+      };
+      await backend.putHistory(key, [version, ...versions].slice(0, HISTORY_LIMIT));
+    } catch (error) {
+      console.warn('[STORAGE] Failed to save history version:', key, error);
+    }
+  }
+
+  /**
+   * 本地保存的历史版本，从新到旧
+   * @param {string} lessonId - 课程ID
+   * @param {string} viewType - 视图类型
+   * @returns {Promise<Array<{id: string, archivedAt: number, reason: 'save'|'delete', record: Object}>>}
+   */
+  async getHistory(lessonId, viewType) {
+    const backend = await this.ready();
+    return backend.getHistory(getStorageKey(lessonId, viewType));
+  }
+
+  /**
+   * 当前用户已删除但本地还有历史版本的涂鸦
+   * @returns {Promise<Array<{key: string, lessonId: string, viewType: string, deletedAt: number}>>}
+   */
+  async listDeleted() {
+    const backend = await this.ready();
+    const existing = new Set((await this.listMeta()).map(entry => entry.key));
+    const deleted = [];
+
+    for (const key of await backend.getHistoryKeys()) {
+      if (!isCurrentUserKey(key) || existing.has(key)) continue;
+      const [latest] = await backend.getHistory(key);
+      if (latest && latest.record) {
+        deleted.push({ key, lessonId: latest.record.lessonId, viewType: latest.record.viewType, deletedAt: latest.archivedAt });
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * 当前用户所有条目的元数据（不读取记录内容）
+   * @returns {Promise<Array<{key: string, lessonId: string, viewType: string, size: number, synced: boolean, lastAccess: number}>>}
+   */
+  async listMeta() {
+    const backend = await this.ready();
+    return (await backend.getAll()).filter(entry => isCurrentUserKey(entry.key));
+  }
+
+  /**
+   * 读取当前用户的所有涂鸦（不更新访问时间）
+   * @returns {Promise<Array<{key: string, data: Object, size: number, synced: boolean}>>}
+   */
+  async list() {
+    const backend = await this.ready();
+    const entries = await this.listMeta();
+    const items = [];
+
+    for (const meta of entries) {
+      try {
+        const entry = await backend.get(meta.key);
+        if (entry) {
+          items.push({ key: meta.key, data: entry.record, size: entry.size, synced: entry.synced });
+        }
+      } catch (error) {
+        console.error('[STORAGE] Failed to read drawing:', meta.key, error);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * 用量超过阈值时，淘汰已同步的记录为即将写入的数据腾出空间
+   * @param {number} bytesNeeded - 即将写入的字节数
+   * @param {string} protectedKey - 正在写入的存储键（不淘汰）
+   */
+  async ensureSpace(bytesNeeded, protectedKey) {
+    const backend = await this.ready();
+    try {
+      const { usage, quota } = await backend.estimate();
+      if (!quota) return;
+
+      const limit = quota * EVICTION_THRESHOLD;
+      if (usage + bytesNeeded > limit) {
+        await this.evict(usage + bytesNeeded - limit, protectedKey);
+      }
+    } catch (error) {
+      console.warn('[STORAGE] Failed to estimate usage:', error);
+    }
+  }
+
+  /**
+   * LRU 淘汰：按最近访问时间从旧到新删除已同步到服务器的记录
+   * @param {number} bytesToFree - 需要释放的字节数
+   * @param {string|null} protectedKey - 不淘汰的存储键
+   * @returns {Promise<number>} 实际释放的字节数
+   */
+  async evict(bytesToFree, protectedKey = null) {
+    const backend = await this.ready();
+    const candidates = (await backend.getAll())
+      .filter(e => e.synced && e.key !== protectedKey)
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    let freed = 0;
+    for (const entry of candidates) {
+      if (freed >= bytesToFree) break;
+      await backend.delete(entry.key);
+      // 已同步的记录在服务器上有自己的历史
+      await backend.deleteHistory(entry.key);
+      freed += entry.size;
+      console.log(`[STORAGE] 🧹 Evicted synced drawing ${entry.key} (${Math.round(entry.size / 1024)}KB)`);
+    }
+    return freed;
+  }
+
+  /**
+   * 获取存储使用情况
+   * @returns {Promise<Object>} { backend, usedBytes, quotaBytes, drawingBytes, usedMB, quotaMB, drawingMB, usagePercent }
+   */
+  async getUsage() {
+    const backend = await this.ready();
+    const [{ usage, quota }, entries] = await Promise.all([backend.estimate(), backend.getAll()]);
+    const drawingBytes = entries.reduce((sum, e) => sum + e.size, 0);
+
+    return {
+      backend: backend.name,
+      usedBytes: usage,
+      quotaBytes: quota,
+      drawingBytes,
+      usedMB: (usage / 1024 / 1024).toFixed(2),
+      quotaMB: quota ? (quota / 1024 / 1024).toFixed(0) : 'N/A',
+      drawingMB: (drawingBytes / 1024 / 1024).toFixed(2),
+      usagePercent: quota ? Math.round((usage / quota) * 100) : 'N/A'
+    };
+  }
+}
+
+// 全局单例
+export const drawingStorage = new DrawingStorage();
@@ -0,0 +1,436 @@
+/**
+ * Persistence - 本地持久化服务（localStorage）
+ *
+ * 所有模块的本地状态都通过这里读写：
+ * - 命名空间：每个模块注册一个命名空间，键保存为 nbv:<namespace>:<key>，值为 JSON
+ * - 版本和迁移：每个命名空间有自己的 schema 版本（保存在 nbv:__schema），
+ *   注册时依次执行 migrations[已保存版本 + 1 … version]，用于从旧的零散键名迁移或转换数据格式
+ * - 变化通知：本页写入和其他标签页写入（storage 事件）都会通知订阅者，
+ *   并在 document 上派发 persistencechange 事件（detail: { namespace, key, value, external }）
+ * - 备份/恢复：所有命名空间（backup: false 的除外）和注册的备份来源（如 IndexedDB 中的涂鸦）
+ *   导出为一个 JSON 文件，恢复时写回
+ *
+ * 用法：
+ *   const store = persistence.namespace('splitView', {
+ *     version: 1,
+ *     migrations: { 1: ({ ns, legacy }) => ns.set('ratio', legacy.take('splitViewRatio')) }
+ *   });
+ *   store.get('ratio', 50); store.set('ratio', 60); store.subscribe(({ key, value }) => …);
+ */
+
+// 键前缀
+const KEY_PREFIX = 'nbv:';
+
+// 各命名空间已保存的 schema 版本
+const SCHEMA_KEY = `${KEY_PREFIX}__schema`;
+
+// 备份文件格式
+export const BACKUP_FORMAT = 'notebook-viewer-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * 解析 JSON，失败时返回原字符串（旧版键可能保存的是纯文本）
+ */
+function parseValue(text) {
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * 一个命名空间
+ */
+class PersistentNamespace {
+  /**
+   * @param {Persistence} persistence
+   * @param {string} name - 命名空间名称
+   * @param {Object} options - 见 Persistence.namespace
+   */
+  constructor(persistence, name, { label, version, migrations, backup }) {
+    this.persistence = persistence;
+    this.name = name;
+    this.label = label;
+    this.version = version;
+    this.migrations = migrations;
+    this.backup = backup;
+    this.prefix = `${KEY_PREFIX}${name}:`;
+    this.listeners = new Set();
+  }
+
+  storageKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * 读取值
+   * @param {string} key
+   * @param {*} fallback - 不存在或无法解析时返回
+   */
+  get(key, fallback = null) {
+    const text = this.persistence.storage.getItem(this.storageKey(key));
+    if (text === null) return fallback;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn(`[PERSIST] Invalid value for ${this.name}:${key}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * 写入值（undefined 等同于删除）
+   * @throws {DOMException} 存储空间不足（QuotaExceededError）
+   */
+  set(key, value) {
+    if (value === undefined) {
+      this.remove(key);
+      return;
+    }
+    this.persistence.storage.setItem(this.storageKey(key), JSON.stringify(value));
+    this.notify({ key, value, external: false });
+  }
+
+  remove(key) {
+    if (this.persistence.storage.getItem(this.storageKey(key)) === null) return;
+    this.persistence.storage.removeItem(this.storageKey(key));
+    this.notify({ key, value: null, external: false });
+  }
+
+  /**
+   * 命名空间中的所有键
+   * @param {string} [prefix] - 只返回以此开头的键
+   * @returns {string[]}
+   */
+  keys(prefix = '') {
+    const { storage } = this.persistence;
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const storageKey = storage.key(i);
+      if (storageKey.startsWith(this.prefix + prefix)) {
+        keys.push(storageKey.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * 所有键值（用于备份）
+   * @returns {Object}
+   */
+  entries() {
+    const entries = {};
+    this.keys().forEach((key) => {
+      entries[key] = this.get(key);
+    });
+    return entries;
+  }
+
+  /**
+   * 删除命名空间中的所有键
+   */
+  clear() {
+    this.keys().forEach(key => this.persistence.storage.removeItem(this.storageKey(key)));
+    this.notify({ key: null, value: null, external: false });
+  }
+
+  /**
+   * 订阅变化（key 为 null 表示整个命名空间被清空或恢复）
+   * @param {Function} callback - ({ key, value, external }) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify({ key, value, external }) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback({ key, value, external });
+      } catch (error) {
+        console.error(`[PERSIST] Listener failed for ${this.name}:`, error);
+      }
+    });
+    document.dispatchEvent(new CustomEvent('persistencechange', {
+      detail: { namespace: this.name, key, value, external }
+    }));
+  }
+}
+
+class Persistence {
+  /**
+   * @param {Storage} storage - 默认 localStorage
+   */
+  constructor(storage = localStorage) {
+    this.storage = storage;
+    this.namespaces = new Map();
+    this.backupSources = new Map();
+
+    // 其他标签页的写入
+    window.addEventListener('storage', (e) => {
+      if (e.storageArea !== this.storage) return;
+      if (e.key === null) {
+        this.namespaces.forEach(ns => ns.notify({ key: null, value: null, external: true }));
+        return;
+      }
+      if (!e.key.startsWith(KEY_PREFIX)) return;
+
+      const [name, ...rest] = e.key.slice(KEY_PREFIX.length).split(':');
+      const ns = this.namespaces.get(name);
+      if (ns && rest.length > 0) {
+        ns.notify({ key: rest.join(':'), value: parseValue(e.newValue), external: true });
+      }
+    });
+  }
+
+  /**
+   * 注册（或取得已注册的）命名空间，并执行未完成的迁移
+   * @param {string} name - 命名空间名称（不含 :）
+   * @param {Object} [options]
+   * @param {string} [options.label] - 显示名称（恢复备份时列出）
+   * @param {number} [options.version] - 当前 schema 版本
+   * @param {Object<number, Function>} [options.migrations] - 版本号 -> ({ ns, legacy }) => void，
+   *   legacy 用于读取旧的零散键：get(key) / take(key)（读取后删除）/ keys(prefix) / remove(key)
+   * @param {boolean} [options.backup] - 是否包含在备份中（设备相关的状态设为 false）
+   * @returns {PersistentNamespace}
+   */
+  namespace(name, { label = name, version = 1, migrations = {}, backup = true } = {}) {
+    if (this.namespaces.has(name)) return this.namespaces.get(name);
+    if (name.includes(':')) throw new Error(`Invalid namespace: ${name}`);
+
+    const ns = new PersistentNamespace(this, name, { label, version, migrations, backup });
+    this.namespaces.set(name, ns);
+    this.migrate(ns, this.getSchemaVersion(name));
+    return ns;
+  }
+
+  getSchemaVersion(name) {
+    const versions = parseValue(this.storage.getItem(SCHEMA_KEY));
+    return versions && typeof versions === 'object' ? versions[name] || 0 : 0;
+  }
+
+  setSchemaVersion(name, version) {
+    const versions = parseValue(this.storage.getItem(SCHEMA_KEY));
+    this.storage.setItem(SCHEMA_KEY, JSON.stringify({
+      ...(versions && typeof versions === 'object' ? versions : {}),
+      [name]: version
+    }));
+  }
+
+  /**
+   * 从 fromVersion 迁移到命名空间的当前版本（每一步成功后保存版本号）
+   * 某一步失败时停在该版本，下次加载时重试
+   */
+  migrate(ns, fromVersion) {
+    for (let version = fromVersion + 1; version <= ns.version; version++) {
+      try {
+        if (ns.migrations[version]) {
+          ns.migrations[version]({ ns, legacy: this.legacy });
+          console.log(`[PERSIST] ✅ Migrated ${ns.name} to v${version}`);
+        }
+        this.setSchemaVersion(ns.name, version);
+      } catch (error) {
+        console.error(`[PERSIST] ❌ Failed to migrate ${ns.name} to v${version}:`, error);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 旧版零散键（迁移时使用，值按 JSON 解析，无法解析时返回原字符串）
+   */
+  get legacy() {
+    const storage = this.storage;
+    return {
+      get: key => parseValue(storage.getItem(key)),
+      take: (key) => {
+        const value = parseValue(storage.getItem(key));
+        storage.removeItem(key);
+        return value;
+      },
+      remove: key => storage.removeItem(key),
+      keys: (prefix) => {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          if (key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+      }
+    };
+  }
+
+  // ========== 备份/恢复 ==========
+
+  /**
+   * 注册备份来源（不在 localStorage 中的数据，如 IndexedDB 中的涂鸦）
+   * @param {string} name - 来源名称
+   * @param {Object} source
+   * @param {string} source.label - 显示名称
+   * @param {Function} source.export - async () => 可 JSON 序列化的数据
+   * @param {Function} source.import - async (data) => 恢复的条目数
+   */
+  registerBackupSource(name, source) {
+    this.backupSources.set(name, source);
+  }
+
+  /**
+   * 生成备份
+   * @param {Object} [meta] - 附加信息（如导出用户）
+   * @returns {Promise<Object>}
+   */
+  async createBackup(meta = {}) {
+    const namespaces = {};
+    this.namespaces.forEach((ns, name) => {
+      if (ns.backup) namespaces[name] = { version: ns.version, data: ns.entries() };
+    });
+
+    const sources = {};
+    for (const [name, source] of this.backupSources) {
+      sources[name] = await source.export();
+    }
+
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: Date.now(), ...meta, namespaces, sources };
+  }
+
+  /**
+   * 备份的内容摘要（恢复前预览）
+   * @param {Object} backup - parseBackup 的结果
+   * @returns {Array<{name: string, label: string, count: number, restorable: boolean}>}
+   *   count 为键数（命名空间）或条目数（备份来源）
+   */
+  describeBackup(backup) {
+    const namespaces = Object.entries(backup.namespaces).map(([name, { version, data }]) => {
+      const ns = this.namespaces.get(name);
+      return {
+        name,
+        label: ns ? ns.label : name,
+        count: data && typeof data === 'object' ? Object.keys(data).length : 0,
+        restorable: !!ns && ns.backup && version <= ns.version
+      };
+    });
+    const sources = Object.entries(backup.sources || {}).map(([name, data]) => {
+      const source = this.backupSources.get(name);
+      return {
+        name,
+        label: source ? source.label : name,
+        count: Array.isArray(data) ? data.length : 0,
+        restorable: !!source
+      };
+    });
+    return [...namespaces, ...sources];
+  }
+
+  /**
+   * 解析并校验备份文件
+   * @param {string} text - 文件内容
+   * @returns {Object} 备份
+   * @throws {Error} 不是备份文件或版本过新
+   */
+  parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('文件不是有效的 JSON');
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.namespaces !== 'object') {
+      throw new Error('文件不是数据备份');
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error(`备份版本 ${backup.version} 过新，请先升级本应用`);
+    }
+    return backup;
+  }
+
+  /**
+   * 从备份恢复：备份中的命名空间整体替换，再按需迁移到当前版本；备份来源逐个导入
+   * 未注册的命名空间和比当前版本更新的命名空间跳过
+   * 命名空间先整体校验再写入，写入失败（如空间不足）时还原为恢复前的内容
+   * @param {Object} backup - parseBackup 的结果
+   * @returns {Promise<{namespaces: number, sources: Object<string, number>, skipped: string[]}>}
+   * @throws {Error} 备份中的数据无效，写入失败（命名空间已还原），或备份来源导入失败
+   */
+  async restoreBackup(backup) {
+    const skipped = [];
+    const restoring = [];
+
+    Object.entries(backup.namespaces).forEach(([name, entry]) => {
+      const ns = this.namespaces.get(name);
+      if (!ns || !ns.backup || !entry || entry.version > ns.version) {
+        skipped.push(name);
+        return;
+      }
+      const { version, data } = entry;
+      if (!Number.isInteger(version) || version < 0 || !data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`备份中的「${ns.label}」数据无效`);
+      }
+      restoring.push({ ns, version, items: Object.entries(data).map(([key, value]) => [ns.storageKey(key), JSON.stringify(value)]) });
+    });
+
+    // 恢复前的内容，写入失败时写回
+    const snapshot = {
+      schema: this.storage.getItem(SCHEMA_KEY),
+      items: restoring.flatMap(({ ns }) => ns.keys().map(key => [ns.storageKey(key), this.storage.getItem(ns.storageKey(key))]))
+    };
+
+    try {
+      restoring.forEach(({ ns, version, items }) => {
+        ns.keys().forEach(key => this.storage.removeItem(ns.storageKey(key)));
+        items.forEach(([storageKey, text]) => this.storage.setItem(storageKey, text));
+        this.setSchemaVersion(ns.name, version);
+      });
+    } catch (error) {
+      this.rollbackRestore(restoring, snapshot);
+      console.error('[PERSIST] ❌ Failed to restore backup, previous data kept:', error);
+      throw new Error(`写入失败，本地数据未改变（${error.message}）`);
+    }
+
+    restoring.forEach(({ ns, version }) => {
+      this.migrate(ns, version);
+      ns.notify({ key: null, value: null, external: false });
+    });
+    const restoredNamespaces = restoring.length;
+
+    const sources = {};
+    for (const [name, data] of Object.entries(backup.sources || {})) {
+      const source = this.backupSources.get(name);
+      if (!source) {
+        skipped.push(name);
+        continue;
+      }
+      try {
+        sources[name] = await source.import(data);
+      } catch (error) {
+        throw new Error(`「${source.label}」导入失败，之前的数据可能已部分恢复（${error.message}）`);
+      }
+    }
+
+    console.log(`[PERSIST] ✅ Restored ${restoredNamespaces} namespaces, sources:`, sources);
+    return { namespaces: restoredNamespaces, sources, skipped };
+  }
+
+  /**
+   * 恢复失败时写回恢复前的命名空间内容和 schema 版本
+   * @param {Array<{ns: PersistentNamespace}>} restoring - 正在恢复的命名空间
+   * @param {{schema: string|null, items: Array<[string, string]>}} snapshot - 恢复前的内容
+   */
+  rollbackRestore(restoring, snapshot) {
+    restoring.forEach(({ ns }) => ns.keys().forEach(key => this.storage.removeItem(ns.storageKey(key))));
+    snapshot.items.forEach(([storageKey, text]) => this.storage.setItem(storageKey, text));
+    if (snapshot.schema === null) {
+      this.storage.removeItem(SCHEMA_KEY);
+    } else {
+      this.storage.setItem(SCHEMA_KEY, snapshot.schema);
+    }
+  }
+}
+
+// 全局单例
+export const persistence = new Persistence();
+
+// 非模块脚本（如 js/admin/AdminApp.js）通过全局变量使用
+window.persistence = persistence;
@@ -0,0 +1,226 @@
+/**
+ * UserSession - 本机用户档案
+ *
+ * 同一台设备/服务器上的每个用户拥有独立的涂鸦：
+ * - 本地存储键带用户ID后缀（默认用户沿用原存储键，升级前的涂鸦归默认用户所有，见 DrawingStorage.js）
+ * - 请求服务器时通过 X-User-Id / X-User-Name / X-User-Role 请求头标识用户，
+ *   档案设置了令牌时附带 Authorization: Bearer（服务器配置了用户令牌时以令牌为准，见 server/users.js）
+ *
+ * 角色：
+ * - teacher：可以把自己的图层发布为共享图层
+ * - student：在自己的涂鸦下方看到教师发布的共享图层（只读）
+ *
+ * 切换用户时派发 drawinguserchange 事件（detail: { user }）
+ *
+ * 档案和当前用户保存在 users 命名空间（见 Persistence.js）；
+ * 其他标签页修改档案时同步更新，当前用户则每个标签页独立（只记住最后一次的选择）
+ */
+
+import { persistence } from './Persistence.js';
+
+const usersStore = persistence.namespace('users', {
+  label: '用户档案',
+  version: 1,
+  migrations: {
+    // v1: 旧版键 drawing_user_profiles 和 drawing_current_user（纯文本ID）
+    1: ({ ns, legacy }) => {
+      const profiles = legacy.take('drawing_user_profiles');
+      if (Array.isArray(profiles)) ns.set('profiles', profiles);
+      const currentId = legacy.take('drawing_current_user');
+      if (currentId !== null) ns.set('currentId', String(currentId));
+    }
+  }
+});
+
+// 默认用户（未创建档案时使用）
+export const DEFAULT_USER_ID = 'default';
+
+// 角色名称
+export const USER_ROLES = {
+  teacher: '教师',
+  student: '学生'
+};
+
+const DEFAULT_PROFILE = {
+  id: DEFAULT_USER_ID,
+  name: '本机用户',
+  role: 'teacher',
+  token: null
+};
+
+/**
+ * 生成用户ID（不含 _ 和 @，可以安全地拼接到存储键中）
+ * @returns {string}
+ */
+function generateUserId() {
+  return `u-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+class UserSession {
+  constructor() {
+    this.profiles = this.loadProfiles();
+    const savedId = usersStore.get('currentId');
+    this.currentId = this.profiles.some(p => p.id === savedId) ? savedId : DEFAULT_USER_ID;
+
+    usersStore.subscribe(({ key, external }) => {
+      if (external && (key === null || key === 'profiles')) this.reloadProfiles();
+    });
+  }
+
+  /**
+   * 读取用户档案（默认用户始终存在且排在第一位）
+   */
+  loadProfiles() {
+    const saved = usersStore.get('profiles', []);
+
+    const defaultProfile = saved.find(p => p.id === DEFAULT_USER_ID) || DEFAULT_PROFILE;
+    return [
+      { ...DEFAULT_PROFILE, ...defaultProfile },
+      ...(Array.isArray(saved) ? saved : []).filter(p => p && p.id && p.id !== DEFAULT_USER_ID)
+    ];
+  }
+
+  persistProfiles() {
+    usersStore.set('profiles', this.profiles);
+  }
+
+  /**
+   * 其他标签页修改了档案：重新读取，当前用户的名称或角色变化时通知
+   * （当前用户在其他标签页被删除时保持不变，本标签页的涂鸦仍能正常保存）
+   */
+  reloadProfiles() {
+    const previous = JSON.stringify(this.getCurrentUser());
+    const current = this.profiles.find(p => p.id === this.currentId);
+    this.profiles = this.loadProfiles();
+    if (current && !this.profiles.some(p => p.id === this.currentId)) {
+      this.profiles.push(current);
+    }
+    if (JSON.stringify(this.getCurrentUser()) !== previous) {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * 所有用户档案
+   * @returns {Array<{id: string, name: string, role: 'teacher'|'student', token: string|null}>}
+   */
+  getProfiles() {
+    return this.profiles.slice();
+  }
+
+  /**
+   * 当前用户
+   * @returns {{id: string, name: string, role: 'teacher'|'student', token: string|null}}
+   */
+  getCurrentUser() {
+    return this.profiles.find(p => p.id === this.currentId) || this.profiles[0];
+  }
+
+  /**
+   * 当前用户是否为教师
+   */
+  isTeacher() {
+    return this.getCurrentUser().role === 'teacher';
+  }
+
+  /**
+   * 新建用户档案
+   * @param {Object} profile
+   * @param {string} profile.name - 显示名称
+   * @param {'teacher'|'student'} [profile.role='student'] - 角色
+   * @param {string|null} [profile.token] - 服务器令牌
+   * @returns {Object} 新档案
+   */
+  addProfile({ name, role = 'student', token = null }) {
+    const profile = {
+      id: generateUserId(),
+      name: name || '未命名用户',
+      role: USER_ROLES[role] ? role : 'student',
+      token: token || null
+    };
+    this.profiles.push(profile);
+    this.persistProfiles();
+    return profile;
+  }
+
+  /**
+   * 修改用户档案（名称、角色、令牌）
+   * @param {string} id - 用户ID
+   * @param {Object} changes
+   */
+  updateProfile(id, changes) {
+    const index = this.profiles.findIndex(p => p.id === id);
+    if (index === -1) return;
+
+    const { name, role, token } = { ...this.profiles[index], ...changes };
+    this.profiles[index] = {
+      ...this.profiles[index],
+      name: name || this.profiles[index].name,
+      role: USER_ROLES[role] ? role : this.profiles[index].role,
+      token: token || null
+    };
+    this.persistProfiles();
+
+    if (id === this.currentId) {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * 删除用户档案（默认用户不能删除；本地涂鸦保留，重新创建同ID的档案前不会显示）
+   * @param {string} id - 用户ID
+   */
+  removeProfile(id) {
+    if (id === DEFAULT_USER_ID) return;
+
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    this.persistProfiles();
+
+    if (id === this.currentId) {
+      this.switchUser(DEFAULT_USER_ID);
+    }
+  }
+
+  /**
+   * 切换当前用户
+   * ⚠️ 调用方需先保存当前用户的涂鸦并等待同步完成（见 UserProfilePicker.js）
+   * @param {string} id - 用户ID
+   */
+  switchUser(id) {
+    if (id === this.currentId || !this.profiles.some(p => p.id === id)) return;
+
+    this.currentId = id;
+    usersStore.set('currentId', id);
+    console.log(`[UserSession] 👤 Switched to ${this.getCurrentUser().name} (${id})`);
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    document.dispatchEvent(new CustomEvent('drawinguserchange', {
+      detail: { user: this.getCurrentUser() }
+    }));
+  }
+
+  /**
+   * 标识当前用户的请求头（请求头只能包含 ASCII，名称经 URI 编码）
+   * @returns {Object}
+   */
+  getRequestHeaders() {
+    const user = this.getCurrentUser();
+    const headers = {
+      'X-User-Id': user.id,
+      'X-User-Name': encodeURIComponent(user.name),
+      'X-User-Role': user.role
+    };
+    if (user.token) {
+      headers.Authorization = `Bearer ${user.token}`;
+    }
+    return headers;
+  }
+}
+
+// 全局单例
+export const userSession = new UserSession();
+
+// 非模块脚本（如 js/admin/AdminApp.js）通过全局变量使用
+window.userSession = userSession;
@@ -0,0 +1,267 @@
+/**
+ * DrawingCollabControl组件
+ * 实时协作：加入课程房间后，同一视图的笔画在各设备间实时同步（见 js/api/CollabChannel.js）
+ * - 成员列表按用户颜色显示，👑 表示演示者
+ * - 演示：把本页的视图选择和滚动位置发给跟随者
+ * - 跟随：切换到演示者的视图并同步滚动位置（HTML 可视化 iframe 内部的滚动不同步）
+ */
+
+import { collabChannel, getUserColor } from '../api/CollabChannel.js';
+import { USER_ROLES, userSession } from '../api/UserSession.js';
+import { escapeHtml } from '../utils.js';
+
+// 演示者发送滚动位置的间隔(ms)
+const SCROLL_SYNC_INTERVAL = 150;
+
+/**
+ * 面板的滚动比例（不同设备的窗口高度不同，按比例同步）
+ * @param {HTMLElement} pane
+ * @returns {number}
+ */
+function getScrollRatio(pane) {
+  const max = pane.scrollHeight - pane.clientHeight;
+  return max > 0 ? pane.scrollTop / max : 0;
+}
+
+/**
+ * 按比例设置面板的滚动位置
+ * @param {HTMLElement} pane
+ * @param {number} ratio
+ */
+function setScrollRatio(pane, ratio) {
+  const max = pane.scrollHeight - pane.clientHeight;
+  if (max > 0 && Number.isFinite(ratio)) {
+    pane.scrollTop = Math.max(0, Math.min(1, ratio)) * max;
+  }
+}
+
+/**
+ * 创建协作按钮及成员面板
+ * @param {string} lessonId - 课程ID
+ * @param {Object} view - 视图控制
+ * @param {HTMLElement} view.leftPane - 左侧面板
+ * @param {HTMLElement} view.rightPane - 右侧面板
+ * @param {Function} view.getViews - 返回当前视图 { left, right }
+ * @param {Function} view.setViews - 切换视图 (left, right) => Promise（不保存为偏好）
+ * @param {Function} showToast - 提示函数 (message, type)
+ * @returns {HTMLElement} - 协作控件DOM元素（带 destroy 方法）
+ */
+export function createCollabControl(lessonId, { leftPane, rightPane, getViews, setViews }, showToast) {
+  let isOpen = false;
+  let following = false;
+  let scrollTimer = null;
+  let presenterId = null;
+  let applyingView = Promise.resolve();
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'collab-control';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'toolbar-button collab-toggle-button';
+  toggleButton.title = '实时协作：与同一课程的其他设备同步涂鸦';
+  wrapper.appendChild(toggleButton);
+
+  const panel = document.createElement('div');
+  panel.className = 'collab-panel';
+  panel.style.display = 'none';
+  wrapper.appendChild(panel);
+
+  /**
+   * 房间中的演示者（不含本页）
+   * @returns {Object|null}
+   */
+  function getPresenter() {
+    return collabChannel.getMembers().find(m => m.presenting && m.clientId !== collabChannel.clientId) || null;
+  }
+
+  function renderButton() {
+    const joined = collabChannel.isJoined();
+    const count = collabChannel.getMembers().length;
+    toggleButton.classList.toggle('joined', joined);
+    toggleButton.classList.toggle('active', isOpen);
+    toggleButton.innerHTML = `
+      <span>👥 协作</span>
+      ${joined ? `<span class="collab-count${collabChannel.connected ? '' : ' offline'}">${collabChannel.connected ? count : '…'}</span>` : ''}
+    `;
+  }
+
+  function renderPanel() {
+    if (!collabChannel.isJoined()) {
+      panel.innerHTML = `
+        <p class="collab-hint">加入后，同一课程中打开相同视图的设备会实时看到彼此的笔画。</p>
+        <button class="collab-join-button" data-action="join">加入协作</button>
+      `;
+      return;
+    }
+
+    const presenter = getPresenter();
+    panel.innerHTML = `
+      <div class="collab-status">${collabChannel.connected ? '🟢 已连接' : '🟡 正在连接服务器…'}</div>
+      <ul class="collab-members">
+        ${collabChannel.getMembers().map(member => `
+          <li class="collab-member">
+            <span class="collab-member-color" style="background: ${getUserColor(member.userId)}"></span>
+            <span class="collab-member-name">${escapeHtml(member.name)}${member.clientId === collabChannel.clientId ? '（本机）' : ''}</span>
+            <span class="user-role-badge ${member.role}">${USER_ROLES[member.role] || member.role}</span>
+            ${member.presenting ? '<span title="演示者">👑</span>' : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ${userSession.isTeacher() ? `
+      <label class="collab-option">
+        <input type="checkbox" data-action="present" ${collabChannel.presenting ? 'checked' : ''}>
+        演示（其他人可以跟随我的视图和滚动）
+      </label>` : ''}
+      <label class="collab-option">
+        <input type="checkbox" data-action="follow" ${following ? 'checked' : ''} ${collabChannel.presenting ? 'disabled' : ''}>
+        跟随演示者${following && !presenter ? '（等待演示者）' : presenter ? `：${escapeHtml(presenter.name)}` : ''}
+      </label>
+      <button class="collab-leave-button" data-action="leave">退出协作</button>
+    `;
+  }
+
+  function render() {
+    renderButton();
+    if (isOpen) renderPanel();
+  }
+
+  function setOpen(open) {
+    isOpen = open;
+    panel.style.display = isOpen ? 'block' : 'none';
+    render();
+  }
+
+  // ===== 演示者：发送视图和滚动位置 =====
+
+  function broadcastView() {
+    if (!collabChannel.presenting) return;
+    const views = getViews();
+    collabChannel.send('view', {
+      left: views.left,
+      right: views.right,
+      scroll: { left: getScrollRatio(leftPane), right: getScrollRatio(rightPane) }
+    });
+  }
+
+  const handlePaneScroll = () => {
+    if (!collabChannel.presenting || scrollTimer) return;
+    scrollTimer = setTimeout(() => {
+      scrollTimer = null;
+      broadcastView();
+    }, SCROLL_SYNC_INTERVAL);
+  };
+  leftPane.addEventListener('scroll', handlePaneScroll, { passive: true });
+  rightPane.addEventListener('scroll', handlePaneScroll, { passive: true });
+
+  const handleViewChange = () => broadcastView();
+  document.addEventListener('drawingviewchange', handleViewChange);
+
+  // ===== 跟随者：应用演示者的视图和滚动位置 =====
+
+  /**
+   * 切换到演示者的视图后再滚动（视图切换会重新加载面板内容）
+   * 连续收到的消息按顺序处理
+   * @param {{left: string, right: string, scroll: {left: number, right: number}}} view
+   */
+  function applyView(view) {
+    applyingView = applyingView.then(async () => {
+      const current = getViews();
+      if (view.left !== current.left || view.right !== current.right) {
+        await setViews(view.left, view.right);
+      }
+      if (view.scroll) {
+        setScrollRatio(leftPane, view.scroll.left);
+        setScrollRatio(rightPane, view.scroll.right);
+      }
+    }).catch(error => console.warn('[COLLAB] Failed to follow presenter view:', error));
+  }
+
+  function setFollowing(value) {
+    following = value;
+    if (following) {
+      // 立即获取演示者的当前视图
+      collabChannel.send('view-request', {});
+    }
+    render();
+  }
+
+  const handleCollabMessage = (e) => {
+    const { type, from, payload } = e.detail;
+    if (type === 'view-request') {
+      broadcastView();
+    } else if (type === 'view' && following && payload) {
+      const presenter = getPresenter();
+      if (presenter && presenter.clientId === from) applyView(payload);
+    }
+  };
+  document.addEventListener('drawingcollabmessage', handleCollabMessage);
+
+  const handleCollabChange = () => {
+    // 退出后不再跟随
+    if (!collabChannel.isJoined()) following = false;
+
+    // 跟随中出现了新的演示者：立即获取其视图
+    const presenter = getPresenter();
+    const nextPresenterId = presenter ? presenter.clientId : null;
+    if (following && nextPresenterId && nextPresenterId !== presenterId) {
+      collabChannel.send('view-request', {});
+    }
+    presenterId = nextPresenterId;
+    render();
+  };
+  document.addEventListener('drawingcollabchange', handleCollabChange);
+
+  // ===== 操作 =====
+
+  toggleButton.onclick = () => setOpen(!isOpen);
+
+  panel.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'join') {
+      collabChannel.join(lessonId);
+      showToast('已加入协作，正在连接…', 'info');
+    } else if (button.dataset.action === 'leave') {
+      collabChannel.leave();
+      showToast('已退出协作', 'info');
+    }
+    render();
+  });
+
+  panel.addEventListener('change', (e) => {
+    const action = e.target.dataset.action;
+    if (action === 'present') {
+      collabChannel.setPresenting(e.target.checked);
+      if (e.target.checked) {
+        following = false;
+        broadcastView();
+      }
+      render();
+    } else if (action === 'follow') {
+      setFollowing(e.target.checked);
+    }
+  });
+
+  // 点击外部关闭面板（面板内容点击后会重新渲染，按事件路径判断）
+  const handleDocumentClick = (e) => {
+    if (isOpen && !e.composedPath().includes(wrapper)) setOpen(false);
+  };
+  document.addEventListener('click', handleDocumentClick);
+
+  renderButton();
+
+  wrapper.destroy = () => {
+    clearTimeout(scrollTimer);
+    leftPane.removeEventListener('scroll', handlePaneScroll);
+    rightPane.removeEventListener('scroll', handlePaneScroll);
+    document.removeEventListener('drawingviewchange', handleViewChange);
+    document.removeEventListener('drawingcollabmessage', handleCollabMessage);
+    document.removeEventListener('drawingcollabchange', handleCollabChange);
+    document.removeEventListener('click', handleDocumentClick);
+    // 离开课程时退出房间
+    collabChannel.leave();
+  };
+
+  return wrapper;
+}
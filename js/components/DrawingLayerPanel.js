@@ -0,0 +1,211 @@
+/**
+ * DrawingLayerPanel组件
+ * 涂鸦图层面板：新建/重命名/删除图层，显示隐藏、锁定、清除单个图层，逐层展示
+ * 左右面板各自有独立的图层（按 lessonId + viewType 保存）
+ * 教师可以把图层发布为共享图层；共享图层显示在列表最下方（只读，只能显示/隐藏）
+ */
+
+import {
+  getLayers,
+  addLayer,
+  renameLayer,
+  removeLayer,
+  clearLayer,
+  setActiveLayer,
+  setLayerVisible,
+  setLayerLocked,
+  showOnlyLayer,
+  getSharedLayer,
+  setSharedLayerVisible,
+  publishLayer,
+  withdrawSharedLayer
+} from './GlobalDrawingCanvas.js';
+import { userSession } from '../api/UserSession.js';
+import { escapeHtml } from '../utils.js';
+
+const PANE_NAMES = {
+  left: '左侧',
+  right: '右侧'
+};
+
+/**
+ * 创建图层按钮及弹出面板
+ * @param {Function} showToast - 提示函数 (message, type)
+ * @returns {HTMLElement} - 图层控件DOM元素（带 destroy 方法）
+ */
+export function createLayerPanel(showToast) {
+  let paneName = 'left';
+  let isOpen = false;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'layer-control';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'history-button layer-toggle-button';
+  toggleButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <polygon points="12 2 2 7 12 12 22 7 12 2"/>
+      <polyline points="2 17 12 22 22 17"/>
+      <polyline points="2 12 12 17 22 12"/>
+    </svg>
+  `;
+  toggleButton.title = '图层';
+  wrapper.appendChild(toggleButton);
+
+  const panel = document.createElement('div');
+  panel.className = 'drawing-layer-panel';
+  panel.style.display = 'none';
+  wrapper.appendChild(panel);
+
+  /**
+   * 渲染面板内容
+   */
+  function render() {
+    const layers = getLayers(paneName);
+    const shared = getSharedLayer(paneName);
+    const isTeacher = userSession.isTeacher();
+
+    // 列表自上而下显示，与绘制顺序相反
+    const rows = layers.slice().reverse().map(layer => `
+      <div class="layer-row${layer.active ? ' active' : ''}" data-layer-id="${escapeHtml(layer.id)}">
+        <button class="layer-name" data-action="activate" title="设为当前图层（双击重命名）">
+          ${escapeHtml(layer.name)}
+          <span class="layer-count">${layer.strokeCount}</span>
+        </button>
+        <button data-action="visible" class="${layer.visible ? '' : 'off'}" title="${layer.visible ? '隐藏' : '显示'}">${layer.visible ? '👁️' : '🙈'}</button>
+        <button data-action="lock" class="${layer.locked ? 'on' : ''}" title="${layer.locked ? '解锁' : '锁定'}">${layer.locked ? '🔒' : '🔓'}</button>
+        <button data-action="solo" title="只显示此图层">🎯</button>
+        <button data-action="clear" title="清除此图层的涂鸦">🧹</button>
+        ${isTeacher ? '<button data-action="publish" title="发布为共享图层（学生只读可见）">📤</button>' : ''}
+        <button data-action="remove" title="删除图层" ${layers.length <= 1 ? 'disabled' : ''}>✕</button>
+      </div>
+    `).join('');
+
+    // 共享图层在所有图层下方
+    const sharedRow = shared ? `
+      <div class="layer-row shared-layer-row">
+        <span class="layer-name" title="${shared.own ? '你发布的共享图层' : '教师发布的共享图层（只读）'}">
+          📌 ${escapeHtml(shared.name)}
+          <span class="layer-count">${escapeHtml(shared.publishedBy?.name || '')} · ${shared.strokeCount}</span>
+        </span>
+        ${shared.own ? '' : `<button data-action="shared-visible" class="${shared.visible ? '' : 'off'}" title="${shared.visible ? '隐藏' : '显示'}">${shared.visible ? '👁️' : '🙈'}</button>`}
+        ${isTeacher ? '<button data-action="withdraw" title="撤回共享图层">✕</button>' : ''}
+      </div>
+    ` : '';
+
+    panel.innerHTML = `
+      <div class="layer-pane-tabs">
+        ${Object.entries(PANE_NAMES).map(([name, label]) => `
+          <button class="layer-pane-tab${name === paneName ? ' active' : ''}" data-pane="${name}">${label}</button>
+        `).join('')}
+      </div>
+      <div class="layer-list">${rows}${sharedRow}</div>
+      <div class="layer-panel-actions">
+        <button data-action="add">＋ 新建图层</button>
+        <button data-action="show-all">显示全部</button>
+      </div>
+    `;
+  }
+
+  toggleButton.onclick = () => {
+    isOpen = !isOpen;
+    panel.style.display = isOpen ? 'block' : 'none';
+    toggleButton.classList.toggle('active', isOpen);
+    if (isOpen) render();
+  };
+
+  panel.addEventListener('click', (e) => {
+    const tab = e.target.closest('.layer-pane-tab');
+    if (tab) {
+      paneName = tab.dataset.pane;
+      render();
+      return;
+    }
+
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const layerId = button.closest('.layer-row')?.dataset.layerId;
+    const layer = layerId && getLayers(paneName).find(l => l.id === layerId);
+
+    switch (button.dataset.action) {
+      case 'activate':
+        setActiveLayer(paneName, layerId);
+        break;
+      case 'visible':
+        setLayerVisible(paneName, layerId, !layer.visible);
+        break;
+      case 'lock':
+        setLayerLocked(paneName, layerId, !layer.locked);
+        break;
+      case 'solo':
+        showOnlyLayer(paneName, layerId);
+        break;
+      case 'clear':
+        if (confirm(`确定要清除图层「${layer.name}」的涂鸦吗？其他图层不受影响。`)) {
+          clearLayer(paneName, layerId);
+        }
+        break;
+      case 'remove':
+        if (confirm(`确定要删除图层「${layer.name}」吗？`)) {
+          removeLayer(paneName, layerId);
+        }
+        break;
+      case 'add': {
+        const name = prompt('图层名称', `图层 ${getLayers(paneName).length + 1}`);
+        if (name !== null) addLayer(paneName, name.trim());
+        break;
+      }
+      case 'show-all':
+        showOnlyLayer(paneName, null);
+        break;
+      case 'publish':
+        if (confirm(`将图层「${layer.name}」发布为共享图层？学生会在自己的涂鸦下方看到这些笔画（只读），之前发布的共享图层将被替换。`)) {
+          publishLayer(paneName, layerId).then((success) => {
+            showToast(success ? '共享图层已发布' : '发布失败，请检查服务器连接', success ? 'success' : 'error');
+          });
+        }
+        break;
+      case 'shared-visible':
+        setSharedLayerVisible(paneName, !getSharedLayer(paneName).visible);
+        break;
+      case 'withdraw':
+        if (confirm('确定要撤回共享图层吗？学生将不再看到这些笔画。')) {
+          withdrawSharedLayer(paneName).then((success) => {
+            showToast(success ? '共享图层已撤回' : '撤回失败，请检查服务器连接', success ? 'success' : 'error');
+          });
+        }
+        break;
+    }
+  });
+
+  // 双击图层名称重命名
+  panel.addEventListener('dblclick', (e) => {
+    const nameButton = e.target.closest('.layer-name');
+    if (!nameButton) return;
+
+    const layerId = nameButton.closest('.layer-row').dataset.layerId;
+    const layer = getLayers(paneName).find(l => l.id === layerId);
+    const name = prompt('重命名图层', layer.name);
+    if (name !== null) renameLayer(paneName, layerId, name);
+  });
+
+  // 图层变化（加载、撤销、编辑）时刷新
+  const handleLayersChange = (e) => {
+    if (isOpen && e.detail.paneName === paneName) render();
+  };
+  document.addEventListener('drawinglayerschange', handleLayersChange);
+
+  // 切换用户后角色可能变化（发布按钮）
+  const handleUserChange = () => {
+    if (isOpen) render();
+  };
+  document.addEventListener('drawinguserchange', handleUserChange);
+
+  wrapper.destroy = () => {
+    document.removeEventListener('drawinglayerschange', handleLayersChange);
+    document.removeEventListener('drawinguserchange', handleUserChange);
+  };
+
+  return wrapper;
+}
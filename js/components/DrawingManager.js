@@ -1,12 +1,78 @@
 /**
  * DrawingManager - 涂鸦管理界面
  * 提供按课程维度管理笔记、可视化、练习涂鸦的工具
+ * - 按课程ID/标题搜索，按视图、年级、日期、存储位置筛选，按最近编辑或占用空间排序
+ * - 勾选多个涂鸦批量导出或删除；缩略图滚动到可见时才绘制
+ * 导出/导入涂鸦包（单个 JSON 文件，格式见 js/utils/drawingBundle.js），用于在设备之间迁移或归档
+ * 版本历史：查看服务器和本地保存的历史版本，对比后恢复；已删除的涂鸦也可以从历史恢复
+ * 存储诊断：找出只在一处、两处不一致、课程已不存在或过大的涂鸦，按分类一键上传、下载、压缩或删除
  */
 
 // 导入服务器API客户端
 import { drawingAPI } from '../api/DrawingAPI.js';
+import { drawingStorage, getStorageKey } from '../api/DrawingStorage.js';
+import { userSession } from '../api/UserSession.js';
+import { persistence } from '../api/Persistence.js';
+import { normalizeDrawingRecord, renderDrawingRecordToDataURL } from '../utils/drawingSchema.js';
+import { createDrawingBundle, parseDrawingBundle, planBundleImport } from '../utils/drawingBundle.js';
+import { diffDrawingVersions, createVersionDiffRecord } from '../utils/drawingHistory.js';
+import { diagnoseDrawings } from '../utils/drawingDiagnostics.js';
+import { compactDrawingRecord } from '../utils/drawingCompaction.js';
+import { escapeHtml } from '../utils.js';
+// ConfigLoader 以全局变量 window.ConfigLoader 提供（读取课程标题和年级）
+import '../utils/ConfigLoader.js';
+
+// 列表缩略图最大宽度
+const THUMBNAIL_MAX_WIDTH = 400;
+
+// 历史版本列表缩略图最大宽度
+const HISTORY_THUMBNAIL_WIDTH = 200;
+
+// 历史版本的来源
+const HISTORY_REASON_NAMES = {
+  save: '覆盖前',
+  delete: '删除前'
+};
+
+// 存储诊断的分类及可执行的操作
+const DIAGNOSTIC_CATEGORIES = {
+  localOnly: {
+    title: '💾 只在本地',
+    hint: '从未上传，或已在其他设备上删除。上传后其他设备也能看到。',
+    actions: { upload: '⬆️ 全部上传', prune: '🗑️ 删除本地副本' }
+  },
+  serverOnly: {
+    title: '☁️ 只在服务器',
+    hint: '本地缓存已清理，或在其他设备上绘制。下载后离线也能查看。',
+    actions: { download: '⬇️ 全部下载', prune: '🗑️ 从服务器删除' }
+  },
+  differing: {
+    title: '⚠️ 服务器和本地不一致',
+    hint: '通常是尚未同步的修改。同步时以较新的一份（加粗显示）为准。',
+    actions: { sync: '🔄 按较新的同步' }
+  },
+  orphaned: {
+    title: '👻 课程已不存在',
+    hint: '课程已从课程列表中移除，这些涂鸦无法再打开。',
+    actions: { prune: '🗑️ 全部删除' }
+  },
+  oversized: {
+    title: '📦 占用过大',
+    hint: '去掉笔迹中多余的点、重新编码旧版底图，外观基本不变。',
+    actions: { compact: '🗜️ 全部压缩' }
+  }
+};
 
-const STORAGE_KEY_PREFIX = 'drawing_data_';
+// 涂鸦包文件扩展名
+const BUNDLE_EXTENSION = '.drawings.json';
+
+// 导入预览中的操作名称
+const IMPORT_ACTION_NAMES = {
+  add: '新增',
+  merge: '合并',
+  replace: '替换',
+  unchanged: '无变化'
+};
 
 const VIEW_TYPE_NAMES = {
   notebook: '📓 笔记',
@@ -14,6 +80,20 @@ const VIEW_TYPE_NAMES = {
   questions: '📝 练习'
 };
 
+// 存储位置
+const LOCATION_NAMES = {
+  server: '☁️ 服务器',
+  local: '💾 本地',
+  both: '☁️💾 服务器和本地'
+};
+
+// 课程排序方式
+const SORT_NAMES = {
+  recent: '最近编辑',
+  size: '占用空间',
+  lesson: '课程ID'
+};
+
 /**
  * 创建涂鸦管理面板
  * @returns {Promise<HTMLElement>} 管理面板DOM元素
@@ -40,44 +120,128 @@ export async function createDrawingManager() {
     </button>
   `;
 
-  // ⚡ 性能优化：一次性读取并缓存所有数据
-  const drawingsCache = await getAllDrawings();
-  const groupsCache = groupByCourse(drawingsCache);
+  // ⚡ 性能优化：一次性读取并缓存所有数据，筛选和排序都在缓存上进行
+  const [drawings, courses] = await Promise.all([getAllDrawings(), loadCourseInfo()]);
 
   // 创建工具栏
   const toolbar = document.createElement('div');
   toolbar.className = 'manager-toolbar';
 
-  const stats = getDrawingStats(drawingsCache);
   toolbar.innerHTML = `
-    <div class="stats">
-      <span>共 <strong>${stats.totalCourses}</strong> 个课程</span>
-      <span>共 <strong>${stats.totalDrawings}</strong> 个涂鸦</span>
-      <span>占用 <strong>${stats.totalSize}</strong></span>
-    </div>
+    <div class="stats">${renderStats(getDrawingStats(drawings), await getStorageUsage())}</div>
     <div class="toolbar-actions">
-      <button class="export-all-button">📥 导出所有</button>
+      <button class="export-all-button" title="把所有涂鸦导出为一个涂鸦包文件">📥 导出所有</button>
+      <button class="import-button" title="从涂鸦包文件导入">📂 导入</button>
+      <input class="import-file-input" type="file" accept="${BUNDLE_EXTENSION},.json,application/json" hidden>
+      <button class="diagnostics-button" title="检查服务器和本地存储的一致性">🩺 诊断</button>
+      <button class="deleted-button" title="查看已删除的涂鸦，从历史版本恢复">🕘 已删除</button>
+      <button class="backup-button" title="把涂鸦、用户档案和本地设置备份为一个文件">💾 备份数据</button>
+      <button class="restore-button" title="从数据备份恢复">♻️ 恢复备份</button>
+      <input class="restore-file-input" type="file" accept=".json,application/json" hidden>
       <button class="clear-all-button">🗑️ 清空所有</button>
     </div>
   `;
 
+  // 创建筛选栏和批量操作栏
+  const filters = document.createElement('div');
+  filters.className = 'manager-filters';
+  filters.innerHTML = renderFilters();
+
+  const bulkBar = document.createElement('div');
+  bulkBar.className = 'manager-bulk-bar';
+  bulkBar.innerHTML = `
+    <label class="select-all-label"><input type="checkbox" class="select-all"> 全选</label>
+    <span class="bulk-count"></span>
+    <button class="bulk-export-button" disabled>📥 导出选中</button>
+    <button class="bulk-delete-button" disabled>🗑️ 删除选中</button>
+  `;
+
   // 创建内容区
   const content = document.createElement('div');
   content.className = 'manager-content';
-  content.innerHTML = renderDrawingList(drawingsCache, groupsCache);
 
   // 组装面板
   panel.appendChild(header);
   panel.appendChild(toolbar);
+  panel.appendChild(filters);
+  panel.appendChild(bulkBar);
   panel.appendChild(content);
   overlay.appendChild(panel);
 
-  // 绑定事件（传入缓存数据）
-  bindManagerEvents(overlay, panel, content, groupsCache);
+  const manager = {
+    overlay,
+    content,
+    drawings,
+    courses,
+    state: createListState(),
+    visible: [],             // 符合筛选条件的涂鸦
+    groups: [],              // 按课程分组排序后的 visible
+    thumbnails: new Map(),   // 存储键 -> { timestamp, url }（刷新列表时复用）
+    observer: null           // 缩略图可见性监听
+  };
+
+  // 缩略图滚动到可见区域附近时才绘制
+  manager.observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      manager.observer.unobserve(entry.target);
+      renderThumbnail(manager, entry.target);
+    });
+  }, { root: content, rootMargin: '200px' });
+
+  renderGradeOptions(manager);
+  renderManagerList(manager);
+
+  // 绑定事件
+  bindManagerEvents(manager);
 
   return overlay;
 }
 
+/**
+ * 创建列表的筛选、排序和选择状态
+ */
+function createListState() {
+  return {
+    query: '',                                       // 课程ID/标题关键字
+    viewTypes: new Set(Object.keys(VIEW_TYPE_NAMES)), // 显示的视图类型
+    grade: '',                                       // 年级（空为全部）
+    from: '',                                        // 开始日期 YYYY-MM-DD（按最后编辑时间）
+    to: '',                                          // 结束日期 YYYY-MM-DD
+    location: '',                                    // 存储位置（空为全部）
+    sort: 'recent',                                  // 课程排序方式
+    expanded: new Set(),                             // 展开的课程
+    selected: new Set()                              // 选中的涂鸦存储键
+  };
+}
+
+/**
+ * 读取课程标题和年级（data/courses.json），读取失败时只按课程ID显示
+ * @returns {Promise<Object>} lessonId -> { title, grade, ... }
+ */
+async function loadCourseInfo() {
+  try {
+    const loader = new window.ConfigLoader();
+    return await loader.loadCourses();
+  } catch (error) {
+    console.warn('[DrawingManager] Failed to load course titles:', error.message);
+    return {};
+  }
+}
+
+/**
+ * 课程的年级：优先使用课程配置，否则从课程ID前缀（如 L2-01 → L2）推断
+ * @param {string} lessonId - 课程ID
+ * @param {Object} courses - loadCourseInfo 的结果
+ * @returns {string}
+ */
+function getCourseGrade(lessonId, courses) {
+  const course = courses[lessonId];
+  if (course && course.grade) return String(course.grade);
+  const match = lessonId.match(/^(L\d+)-/);
+  return match ? match[1] : '';
+}
+
 /**
  * 获取涂鸦统计信息
  */
@@ -98,73 +262,190 @@ function getDrawingStats(drawings) {
 }
 
 /**
- * 获取所有涂鸦数据
+ * 获取本地存储用量（读取失败时返回 null）
+ */
+async function getStorageUsage() {
+  try {
+    return await drawingStorage.getUsage();
+  } catch (error) {
+    console.warn('[DrawingManager] Failed to get storage usage:', error);
+    return null;
+  }
+}
+
+/**
+ * 渲染统计信息
+ * @param {Object} stats - getDrawingStats 的结果
+ * @param {Object|null} usage - drawingStorage.getUsage 的结果
+ */
+function renderStats(stats, usage) {
+  const usageHtml = usage ? `
+    <span title="浏览器为本站分配的空间（${usage.backend}）">
+      本地 <strong>${formatSize(usage.usedBytes)}</strong>${usage.quotaBytes ? ` / ${formatSize(usage.quotaBytes)}` : ''}
+    </span>
+  ` : '';
+
+  return `
+    <span>共 <strong>${stats.totalCourses}</strong> 个课程</span>
+    <span>共 <strong>${stats.totalDrawings}</strong> 个涂鸦</span>
+    <span>占用 <strong>${stats.totalSize}</strong></span>
+    ${usageHtml}
+  `;
+}
+
+/**
+ * 获取所有涂鸦数据：合并服务器和本地存储，标记每条涂鸦的存储位置
+ * @returns {Promise<Array<{key: string, data: Object, size: number, location: 'server'|'local'|'both'}>>}
  */
 async function getAllDrawings() {
-  // ⚡ 优先从服务器获取
+  const drawings = new Map();
+
+  // ⚡ 服务器上的涂鸦
   try {
     const serverDrawings = await drawingAPI.getAllDrawings();
-    if (serverDrawings && serverDrawings.length > 0) {
-      console.log(`[DrawingManager] ✅ Loaded ${serverDrawings.length} drawings from server`);
-      return serverDrawings;
-    }
+    // 统一转换为当前版本，无法识别的记录直接跳过
+    // 服务器按用户分别保存，存储键换成当前用户的本地存储键（预览、导出时从本地读取）
+    serverDrawings.forEach((item) => {
+      const data = normalizeDrawingRecord(item.data);
+      if (!data) return;
+      const key = getStorageKey(data.lessonId, data.viewType);
+      drawings.set(key, { key, data, size: item.size, location: 'server' });
+    });
+    console.log(`[DrawingManager] ✅ Loaded ${serverDrawings.length} drawings from server`);
   } catch (error) {
-    console.warn('[DrawingManager] Server unavailable, using localStorage:', error.message);
+    console.warn('[DrawingManager] Server unavailable, using local storage only:', error.message);
   }
 
-  // 降级：从 localStorage 读取
-  console.log('[DrawingManager] ⚠️ Using localStorage fallback');
-  const drawings = [];
+  // 本地存储中的涂鸦：服务器也有时标记为两处都有，本地有未同步的修改时显示本地版本
+  (await drawingStorage.list()).forEach((item) => {
+    const data = normalizeDrawingRecord(item.data);
+    if (!data) {
+      console.warn('Unsupported drawing version:', item.key);
+      return;
+    }
 
-  Object.keys(localStorage).forEach(key => {
-    if (key.startsWith(STORAGE_KEY_PREFIX)) {
-      try {
-        const dataString = localStorage.getItem(key);
-        const data = JSON.parse(dataString);
-        drawings.push({
-          key,
-          data,
-          size: dataString.length
-        });
-      } catch (e) {
-        console.error('Failed to parse drawing:', key, e);
-      }
+    const local = { key: item.key, data, size: item.size };
+    const server = drawings.get(item.key);
+    if (!server) {
+      drawings.set(item.key, { ...local, location: 'local' });
+      return;
     }
+    const useLocal = !item.synced && data.timestamp > server.data.timestamp;
+    drawings.set(item.key, { ...(useLocal ? local : server), location: 'both' });
   });
 
-  // 按lessonId和timestamp排序
-  drawings.sort((a, b) => {
-    if (a.data.lessonId !== b.data.lessonId) {
-      return a.data.lessonId.localeCompare(b.data.lessonId);
+  return Array.from(drawings.values());
+}
+
+/**
+ * 按筛选条件过滤涂鸦
+ * @param {Object} manager - 管理面板上下文
+ * @returns {Array} 符合条件的涂鸦
+ */
+function filterDrawings({ drawings, courses, state }) {
+  const query = state.query.trim().toLowerCase();
+  const from = state.from ? new Date(`${state.from}T00:00:00`).getTime() : -Infinity;
+  const to = state.to ? new Date(`${state.to}T23:59:59.999`).getTime() : Infinity;
+
+  return drawings.filter(({ data, location }) => {
+    if (query) {
+      const title = (courses[data.lessonId] && courses[data.lessonId].title) || '';
+      if (!data.lessonId.toLowerCase().includes(query) && !title.toLowerCase().includes(query)) return false;
     }
-    return b.data.timestamp - a.data.timestamp;
+    // 未知的视图类型不受视图筛选影响
+    if (VIEW_TYPE_NAMES[data.viewType] && !state.viewTypes.has(data.viewType)) return false;
+    if (state.grade && getCourseGrade(data.lessonId, courses) !== state.grade) return false;
+    if (data.timestamp < from || data.timestamp > to) return false;
+    if (state.location && location !== state.location) return false;
+    return true;
   });
-
-  return drawings;
 }
 
 /**
- * 按课程分组
+ * 按课程分组并排序
+ * @param {Array} drawings - 涂鸦列表
+ * @param {'recent'|'size'|'lesson'} sort - 排序方式
+ * @returns {Array<{lessonId: string, items: Array, size: number, lastEdited: number}>}
  */
-function groupByCourse(drawings) {
-  const groups = {};
+function groupByCourse(drawings, sort) {
+  const groups = new Map();
 
   drawings.forEach(item => {
     const lessonId = item.data.lessonId;
-    if (!groups[lessonId]) {
-      groups[lessonId] = {};
+    if (!groups.has(lessonId)) {
+      groups.set(lessonId, { lessonId, items: [], size: 0, lastEdited: 0 });
     }
-    groups[lessonId][item.data.viewType] = item;
+    const group = groups.get(lessonId);
+    group.items.push(item);
+    group.size += item.size;
+    group.lastEdited = Math.max(group.lastEdited, item.data.timestamp || 0);
   });
 
-  return groups;
+  // 课程内按 笔记 → 可视化 → 练习 的顺序显示
+  const viewOrder = Object.keys(VIEW_TYPE_NAMES);
+  const rank = viewType => (viewOrder.includes(viewType) ? viewOrder.indexOf(viewType) : viewOrder.length);
+  groups.forEach(group => group.items.sort((a, b) => rank(a.data.viewType) - rank(b.data.viewType)));
+
+  const compare = {
+    recent: (a, b) => b.lastEdited - a.lastEdited,
+    size: (a, b) => b.size - a.size,
+    lesson: (a, b) => a.lessonId.localeCompare(b.lessonId)
+  }[sort] || (() => 0);
+
+  return Array.from(groups.values()).sort((a, b) => compare(a, b) || a.lessonId.localeCompare(b.lessonId));
+}
+
+/**
+ * 渲染筛选栏
+ */
+function renderFilters() {
+  return `
+    <input class="filter-search" type="search" placeholder="🔍 搜索课程ID或标题">
+    <div class="filter-view-types">
+      ${Object.entries(VIEW_TYPE_NAMES).map(([viewType, name]) => `
+        <label><input type="checkbox" data-view-type="${viewType}" checked> ${name}</label>
+      `).join('')}
+    </div>
+    <select class="filter-grade" title="年级"></select>
+    <label class="filter-date" title="最后编辑日期">
+      <input class="filter-from" type="date"> 至 <input class="filter-to" type="date">
+    </label>
+    <select class="filter-location" title="存储位置">
+      <option value="">全部位置</option>
+      ${Object.entries(LOCATION_NAMES).map(([location, name]) => `<option value="${location}">${name}</option>`).join('')}
+    </select>
+    <select class="filter-sort" title="排序">
+      ${Object.entries(SORT_NAMES).map(([sort, name]) => `<option value="${sort}">按${name}</option>`).join('')}
+    </select>
+  `;
+}
+
+/**
+ * 根据现有涂鸦更新年级选项（保留当前选择）
+ * @param {Object} manager - 管理面板上下文
+ */
+function renderGradeOptions(manager) {
+  const { overlay, drawings, courses, state } = manager;
+  const grades = Array.from(new Set(drawings.map(item => getCourseGrade(item.data.lessonId, courses))))
+    .filter(Boolean)
+    .sort();
+  if (state.grade && !grades.includes(state.grade)) {
+    state.grade = '';
+  }
+
+  overlay.querySelector('.filter-grade').innerHTML = `
+    <option value="">全部年级</option>
+    ${grades.map(grade => `<option value="${escapeHtml(grade)}"${grade === state.grade ? ' selected' : ''}>${escapeHtml(grade)}</option>`).join('')}
+  `;
 }
 
 /**
  * 渲染涂鸦列表
+ * @param {Array} groups - groupByCourse 的结果
+ * @param {Object} manager - 管理面板上下文
  */
-function renderDrawingList(drawings, groups) {
-  if (drawings.length === 0) {
+function renderDrawingList(groups, manager) {
+  if (manager.drawings.length === 0) {
     return `
       <div class="empty-state">
         <div class="empty-icon">🎨</div>
@@ -174,42 +455,50 @@ function renderDrawingList(drawings, groups) {
     `;
   }
 
-  const lessonIds = Object.keys(groups).sort();
+  if (groups.length === 0) {
+    return `
+      <div class="empty-state">
+        <div class="empty-icon">🔍</div>
+        <p>没有符合条件的涂鸦</p>
+        <p class="empty-hint">调整搜索关键字或筛选条件</p>
+      </div>
+    `;
+  }
 
+  const { courses, state } = manager;
   let html = '<div class="course-list">';
 
-  lessonIds.forEach(lessonId => {
-    const courseDrawings = groups[lessonId];
-    const viewTypes = Object.keys(courseDrawings);
-
-    // 计算课程总大小
-    let courseSize = 0;
-    viewTypes.forEach(viewType => {
-      courseSize += courseDrawings[viewType].size;
-    });
+  groups.forEach(({ lessonId, items, size, lastEdited }) => {
+    const title = courses[lessonId] && courses[lessonId].title;
+    const expanded = state.expanded.has(lessonId);
+    const selectedCount = items.filter(item => state.selected.has(item.key)).length;
+    const safeId = escapeHtml(lessonId);
 
     html += `
-      <div class="course-item" data-lesson-id="${lessonId}">
+      <div class="course-item" data-lesson-id="${safeId}">
         <div class="course-header">
           <div class="course-info">
-            <span class="course-id">${lessonId}</span>
-            <span class="course-count">${viewTypes.length} 个涂鸦</span>
-            <span class="course-size">${formatSize(courseSize)}</span>
+            <input type="checkbox" class="course-select" data-lesson-id="${safeId}" title="选择课程的涂鸦"${selectedCount === items.length ? ' checked' : ''}>
+            <span class="course-id">${safeId}</span>
+            ${title ? `<span class="course-title">${escapeHtml(title)}</span>` : ''}
+            <span class="course-count">${items.length} 个涂鸦</span>
+            <span class="course-size">${formatSize(size)}</span>
+            <span class="course-date">${formatDate(lastEdited)}</span>
           </div>
           <div class="course-actions">
-            <button class="expand-button" title="展开/收起">
+            <button class="expand-button${expanded ? ' expanded' : ''}" title="展开/收起">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <polyline points="6 9 12 15 18 9"></polyline>
               </svg>
             </button>
-            <button class="export-course-button" data-lesson-id="${lessonId}" title="导出课程所有涂鸦">
+            <button class="export-course-button" data-lesson-id="${safeId}" title="导出课程所有涂鸦（涂鸦包）">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
                 <polyline points="7 10 12 15 17 10"></polyline>
                 <line x1="12" y1="15" x2="12" y2="3"></line>
               </svg>
             </button>
-            <button class="delete-course-button" data-lesson-id="${lessonId}" title="删除课程所有涂鸦">
+            <button class="delete-course-button" data-lesson-id="${safeId}" title="删除课程所有涂鸦">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <polyline points="3 6 5 6 21 6"></polyline>
                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -217,8 +506,8 @@ function renderDrawingList(drawings, groups) {
             </button>
           </div>
         </div>
-        <div class="course-content" style="display: none;" data-lesson-id="${lessonId}">
-          <!-- 延迟加载：展开时才渲染涂鸦列表 -->
+        <div class="course-content" style="display: ${expanded ? 'block' : 'none'};" data-lesson-id="${safeId}">
+          ${expanded ? items.map(item => renderDrawingItem(item, state.selected.has(item.key))).join('') : ''}
         </div>
       </div>
     `;
@@ -230,30 +519,28 @@ function renderDrawingList(drawings, groups) {
 }
 
 /**
- * 渲染单个涂鸦条目
+ * 渲染单个涂鸦条目（缩略图滚动到可见时再绘制）
+ * @param {Object} item - 涂鸦
+ * @param {boolean} selected - 是否选中
  */
-function renderDrawingItem(item) {
-  const { data, size, key } = item;
-  const viewName = VIEW_TYPE_NAMES[data.viewType] || data.viewType;
-  const date = new Date(data.timestamp).toLocaleString('zh-CN', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+function renderDrawingItem(item, selected) {
+  const { data, size, key, location } = item;
+  const viewName = VIEW_TYPE_NAMES[data.viewType] || escapeHtml(data.viewType);
 
   return `
-    <div class="drawing-item" data-key="${key}">
+    <div class="drawing-item${selected ? ' selected' : ''}" data-key="${key}">
+      <input type="checkbox" class="drawing-select" data-key="${key}" ${selected ? 'checked' : ''}>
       <div class="drawing-preview">
-        <img src="${data.imageData}" alt="${viewName}" loading="lazy" />
+        <img data-thumbnail-key="${key}" alt="${viewName}" />
       </div>
       <div class="drawing-info">
         <div class="drawing-name">${viewName}</div>
         <div class="drawing-meta">
           <span>${formatSize(size)}</span>
-          <span>${date}</span>
+          <span>${formatDate(data.timestamp)}</span>
+          <span class="drawing-location ${location}">${LOCATION_NAMES[location]}</span>
         </div>
+        ${renderLayerChips(item)}
       </div>
       <div class="drawing-actions">
         <button class="preview-button" data-key="${key}" title="预览">
@@ -262,7 +549,13 @@ function renderDrawingItem(item) {
             <circle cx="12" cy="12" r="3"></circle>
           </svg>
         </button>
-        <button class="export-button" data-key="${key}" title="导出">
+        <button class="history-button" data-key="${key}" title="历史版本">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"></circle>
+            <polyline points="12 6 12 12 16 14"></polyline>
+          </svg>
+        </button>
+        <button class="export-button" data-key="${key}" title="导出为PNG图片">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
             <polyline points="7 10 12 15 17 10"></polyline>
@@ -280,19 +573,194 @@ function renderDrawingItem(item) {
   `;
 }
 
+/**
+ * 渲染涂鸦的图层列表（只有一个图层时不显示）
+ * 点击图层名称单独预览该图层，✕ 清除该图层的涂鸦
+ */
+function renderLayerChips(item) {
+  const { data, key } = item;
+  if (data.layers.length <= 1) return '';
+
+  const chips = data.layers.map(layer => {
+    const count = data.strokes.filter(stroke => stroke.layerId === layer.id).length;
+    return `
+      <span class="layer-chip${layer.visible ? '' : ' hidden-layer'}">
+        <button class="preview-layer-button" data-key="${key}" data-layer-id="${escapeHtml(layer.id)}" title="只预览此图层">
+          ${escapeHtml(layer.name)} <small>${count}</small>
+        </button>
+        <button class="clear-layer-button" data-key="${key}" data-layer-id="${escapeHtml(layer.id)}" title="清除此图层">✕</button>
+      </span>
+    `;
+  }).join('');
+
+  return `<div class="drawing-layers">${chips}</div>`;
+}
+
+/**
+ * 从本地存储读取单个涂鸦（转换为当前版本）
+ * @param {string} key - 存储键
+ * @returns {Promise<{data: Object, size: number}|null>} 涂鸦记录及占用字节数
+ */
+async function readDrawing(key) {
+  const entry = await drawingStorage.getByKey(key);
+  const data = entry && normalizeDrawingRecord(entry.data);
+  return data ? { data, size: entry.size } : null;
+}
+
+/**
+ * 下载涂鸦为PNG图片
+ * @param {Object} data - 涂鸦记录
+ */
+async function downloadDrawingImage(data) {
+  const a = document.createElement('a');
+  a.href = await renderDrawingRecordToDataURL(data, { maxWidth: Infinity });
+  a.download = `${data.lessonId}_${data.viewType}_${formatDateForFilename(new Date(data.timestamp))}.png`;
+  a.click();
+}
+
+/**
+ * 绘制一张缩略图（矢量记录需要先绘制成图片，同一版本的涂鸦只绘制一次）
+ * @param {Object} manager - 管理面板上下文
+ * @param {HTMLImageElement} img - 带 data-thumbnail-key 的图片
+ */
+async function renderThumbnail(manager, img) {
+  const key = img.dataset.thumbnailKey;
+  const item = manager.drawings.find(d => d.key === key);
+  if (!item) return;
+
+  const cached = manager.thumbnails.get(key);
+  if (cached && cached.timestamp === item.data.timestamp) {
+    img.src = cached.url;
+    return;
+  }
+
+  try {
+    const url = await renderDrawingRecordToDataURL(item.data, { maxWidth: THUMBNAIL_MAX_WIDTH });
+    manager.thumbnails.set(key, { timestamp: item.data.timestamp, url });
+    img.src = url;
+  } catch (error) {
+    console.error('Failed to render thumbnail:', key, error);
+  }
+}
+
+/**
+ * 监听课程内容中的缩略图，滚动到可见时再绘制
+ * @param {Object} manager - 管理面板上下文
+ * @param {HTMLElement} container - 包含缩略图的容器
+ */
+function observeThumbnails(manager, container) {
+  container.querySelectorAll('img[data-thumbnail-key]').forEach(img => manager.observer.observe(img));
+}
+
+/**
+ * 按当前筛选条件重新渲染列表（不重新读取数据）
+ * @param {Object} manager - 管理面板上下文
+ */
+function renderManagerList(manager) {
+  const { content, state } = manager;
+  const visible = filterDrawings(manager);
+
+  // 只保留仍然可见的选择，避免批量操作作用到被筛选掉的涂鸦
+  const visibleKeys = new Set(visible.map(item => item.key));
+  state.selected.forEach(key => {
+    if (!visibleKeys.has(key)) state.selected.delete(key);
+  });
+
+  manager.visible = visible;
+  manager.groups = groupByCourse(visible, state.sort);
+
+  manager.observer.disconnect();
+  content.innerHTML = renderDrawingList(manager.groups, manager);
+  observeThumbnails(manager, content);
+  updateSelection(manager);
+}
+
+/**
+ * 重新读取所有涂鸦并渲染（增删涂鸦后调用）
+ * @param {Object} manager - 管理面板上下文
+ */
+async function refreshManager(manager) {
+  manager.drawings = await getAllDrawings();
+  renderGradeOptions(manager);
+  renderManagerList(manager);
+  await updateStats(manager.overlay, manager.drawings);
+}
+
+/**
+ * 同步勾选框和批量操作栏的状态
+ * @param {Object} manager - 管理面板上下文
+ */
+function updateSelection(manager) {
+  const { overlay, content, state, visible, groups, drawings } = manager;
+
+  content.querySelectorAll('.drawing-select').forEach(checkbox => {
+    checkbox.checked = state.selected.has(checkbox.dataset.key);
+    checkbox.closest('.drawing-item').classList.toggle('selected', checkbox.checked);
+  });
+
+  content.querySelectorAll('.course-select').forEach(checkbox => {
+    const group = groups.find(g => g.lessonId === checkbox.dataset.lessonId);
+    const count = group ? group.items.filter(item => state.selected.has(item.key)).length : 0;
+    checkbox.checked = !!group && count === group.items.length;
+    checkbox.indeterminate = count > 0 && !checkbox.checked;
+  });
+
+  const selectedCount = state.selected.size;
+  const selectAll = overlay.querySelector('.select-all');
+  selectAll.checked = visible.length > 0 && selectedCount === visible.length;
+  selectAll.indeterminate = selectedCount > 0 && !selectAll.checked;
+  selectAll.disabled = visible.length === 0;
+
+  overlay.querySelector('.bulk-count').textContent =
+    `显示 ${visible.length} / ${drawings.length} 个涂鸦${selectedCount ? `，已选 ${selectedCount} 个` : ''}`;
+  overlay.querySelector('.bulk-export-button').disabled = selectedCount === 0;
+  overlay.querySelector('.bulk-delete-button').disabled = selectedCount === 0;
+}
+
+/**
+ * 从服务器和本地存储删除一个涂鸦
+ * @param {Object} data - 涂鸦记录
+ */
+async function deleteDrawingRecord(data) {
+  // 1. 尝试从服务器删除
+  try {
+    await drawingAPI.deleteDrawing(data.lessonId, data.viewType);
+    console.log(`[DELETE] ✅ Deleted ${data.lessonId}/${data.viewType} from server`);
+  } catch (error) {
+    console.warn('[DELETE] Failed to delete from server:', error.message);
+  }
+
+  // 2. 从本地存储删除
+  await drawingStorage.remove(data.lessonId, data.viewType);
+}
+
+/**
+ * 关闭管理面板
+ * @param {Object} manager - 管理面板上下文
+ */
+function closeManager(manager) {
+  manager.observer.disconnect();
+  if (manager.overlay.parentNode) {
+    document.body.removeChild(manager.overlay);
+  }
+}
+
 /**
  * 绑定事件
+ * @param {Object} manager - 管理面板上下文
  */
-function bindManagerEvents(overlay, panel, content, groupsCache) {
+function bindManagerEvents(manager) {
+  const { overlay, content, state } = manager;
+
   // 关闭按钮
   overlay.querySelector('.close-button').addEventListener('click', () => {
-    document.body.removeChild(overlay);
+    closeManager(manager);
   });
 
   // 点击遮罩关闭
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) {
-      document.body.removeChild(overlay);
+      closeManager(manager);
     }
   });
 
@@ -301,64 +769,176 @@ function bindManagerEvents(overlay, panel, content, groupsCache) {
     exportAllDrawings();
   });
 
+  // 导入涂鸦包：先预览变化，确认后写入并刷新列表
+  const fileInput = overlay.querySelector('.import-file-input');
+  overlay.querySelector('.import-button').addEventListener('click', () => {
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    const imported = await showImportDialog(file);
+    if (imported > 0) {
+      await refreshManager(manager);
+    }
+  });
+
+  // 存储诊断
+  overlay.querySelector('.diagnostics-button').addEventListener('click', async () => {
+    const changed = await showDiagnosticsDialog();
+    if (changed) {
+      await refreshManager(manager);
+    }
+  });
+
+  // 已删除的涂鸦：从历史版本恢复
+  overlay.querySelector('.deleted-button').addEventListener('click', async () => {
+    const restored = await showDeletedDialog();
+    if (restored) {
+      await refreshManager(manager);
+    }
+  });
+
+  // 备份全部数据
+  overlay.querySelector('.backup-button').addEventListener('click', () => {
+    downloadDataBackup();
+  });
+
+  // 从备份恢复：预览后写回，完成后重新加载页面
+  const restoreInput = overlay.querySelector('.restore-file-input');
+  overlay.querySelector('.restore-button').addEventListener('click', () => {
+    restoreInput.click();
+  });
+  restoreInput.addEventListener('change', async () => {
+    const file = restoreInput.files[0];
+    restoreInput.value = '';
+    if (file) await showRestoreDialog(file);
+  });
+
   // 清空所有
   overlay.querySelector('.clear-all-button').addEventListener('click', () => {
-    if (confirm('确定要删除所有涂鸦吗？此操作不可恢复！')) {
+    if (confirm('确定要删除所有涂鸦吗？历史版本一并删除，此操作不可恢复！')) {
       (async () => {
         await clearAllDrawings();
-        // 重新读取数据并渲染
-        const newDrawings = await getAllDrawings();
-        const newGroups = groupByCourse(newDrawings);
-        content.innerHTML = renderDrawingList(newDrawings, newGroups);
-        updateStats(overlay, newDrawings);
+        await refreshManager(manager);
       })();
     }
   });
 
+  // 搜索、筛选和排序（只在缓存的数据上重新渲染）
+  const filters = overlay.querySelector('.manager-filters');
+  filters.querySelector('.filter-search').addEventListener('input', (e) => {
+    state.query = e.target.value;
+    renderManagerList(manager);
+  });
+  filters.addEventListener('change', (e) => {
+    const target = e.target;
+    if (target.dataset.viewType) {
+      if (target.checked) {
+        state.viewTypes.add(target.dataset.viewType);
+      } else {
+        state.viewTypes.delete(target.dataset.viewType);
+      }
+    } else if (target.classList.contains('filter-grade')) {
+      state.grade = target.value;
+    } else if (target.classList.contains('filter-from')) {
+      state.from = target.value;
+    } else if (target.classList.contains('filter-to')) {
+      state.to = target.value;
+    } else if (target.classList.contains('filter-location')) {
+      state.location = target.value;
+    } else if (target.classList.contains('filter-sort')) {
+      state.sort = target.value;
+    } else {
+      return;
+    }
+    renderManagerList(manager);
+  });
+
+  // 批量操作
+  overlay.querySelector('.select-all').addEventListener('change', (e) => {
+    state.selected.clear();
+    if (e.target.checked) {
+      manager.visible.forEach(item => state.selected.add(item.key));
+    }
+    updateSelection(manager);
+  });
+
+  overlay.querySelector('.bulk-export-button').addEventListener('click', () => {
+    const selected = manager.visible.filter(item => state.selected.has(item.key));
+    if (selected.length === 0) return;
+    (async () => {
+      await downloadDrawingBundle(selected, 'selection');
+      console.log(`[EXPORT] Exported ${selected.length} selected drawings as bundle`);
+    })();
+  });
+
+  overlay.querySelector('.bulk-delete-button').addEventListener('click', () => {
+    const selected = manager.visible.filter(item => state.selected.has(item.key));
+    if (selected.length === 0) return;
+    if (confirm(`确定要删除选中的 ${selected.length} 个涂鸦吗？此操作不可恢复！`)) {
+      (async () => {
+        for (const item of selected) {
+          await deleteDrawingRecord(item.data);
+        }
+        console.log(`[DELETE] ✅ Deleted ${selected.length} selected drawings`);
+        state.selected.clear();
+        await refreshManager(manager);
+      })();
+    }
+  });
+
+  // 事件委托：勾选涂鸦或整个课程
+  content.addEventListener('change', (e) => {
+    const drawingCheckbox = e.target.closest('.drawing-select');
+    if (drawingCheckbox) {
+      if (drawingCheckbox.checked) {
+        state.selected.add(drawingCheckbox.dataset.key);
+      } else {
+        state.selected.delete(drawingCheckbox.dataset.key);
+      }
+      updateSelection(manager);
+      return;
+    }
+
+    const courseCheckbox = e.target.closest('.course-select');
+    if (courseCheckbox) {
+      const group = manager.groups.find(g => g.lessonId === courseCheckbox.dataset.lessonId);
+      if (!group) return;
+      group.items.forEach(item => {
+        if (courseCheckbox.checked) {
+          state.selected.add(item.key);
+        } else {
+          state.selected.delete(item.key);
+        }
+      });
+      updateSelection(manager);
+    }
+  });
+
   // 事件委托：课程展开/收起
   content.addEventListener('click', (e) => {
     const expandBtn = e.target.closest('.expand-button');
     if (expandBtn) {
-      const courseItem = expandBtn.closest('.course-item');
-      const courseContent = courseItem.querySelector('.course-content');
-      const isExpanded = courseContent.style.display !== 'none';
+      const courseContent = expandBtn.closest('.course-item').querySelector('.course-content');
+      const lessonId = courseContent.dataset.lessonId;
 
-      if (isExpanded) {
+      if (state.expanded.has(lessonId)) {
         // 收起
+        state.expanded.delete(lessonId);
         courseContent.style.display = 'none';
         expandBtn.classList.remove('expanded');
       } else {
-        // 展开：延迟加载涂鸦列表
-        const lessonId = courseContent.dataset.lessonId;
-
-        // 检查是否已经渲染过
-        if (courseContent.children.length === 0 ||
-            courseContent.innerHTML.includes('延迟加载')) {
-          // 显示加载提示
-          courseContent.innerHTML = '<div style="padding: 1rem; text-align: center; color: #6c757d;">加载中...</div>';
-          courseContent.style.display = 'block';
-
-          // 使用 setTimeout 让浏览器先渲染加载提示
-          setTimeout(() => {
-            // 使用缓存的数据，避免重新读取 localStorage
-            const courseDrawings = groupsCache[lessonId];
-
-            if (courseDrawings) {
-              let html = '';
-              ['notebook', 'html', 'questions'].forEach(viewType => {
-                if (courseDrawings[viewType]) {
-                  html += renderDrawingItem(courseDrawings[viewType]);
-                }
-              });
-              courseContent.innerHTML = html;
-            } else {
-              courseContent.innerHTML = '<div style="padding: 1rem; text-align: center; color: #adb5bd;">暂无涂鸦</div>';
-            }
-          }, 10);
-        } else {
-          courseContent.style.display = 'block';
+        // 展开：渲染涂鸦条目，缩略图可见时再绘制
+        const group = manager.groups.find(g => g.lessonId === lessonId);
+        state.expanded.add(lessonId);
+        if (courseContent.children.length === 0 && group) {
+          courseContent.innerHTML = group.items.map(item => renderDrawingItem(item, state.selected.has(item.key))).join('');
+          observeThumbnails(manager, courseContent);
         }
-
+        courseContent.style.display = 'block';
         expandBtn.classList.add('expanded');
       }
     }
@@ -374,14 +954,10 @@ function bindManagerEvents(overlay, panel, content, groupsCache) {
     const deleteCourseBtn = e.target.closest('.delete-course-button');
     if (deleteCourseBtn) {
       const lessonId = deleteCourseBtn.dataset.lessonId;
-      if (confirm(`确定要删除课程 ${lessonId} 的所有涂鸦吗？`)) {
+      if (confirm(`确定要删除课程 ${lessonId} 的所有涂鸦吗？历史版本一并删除。`)) {
         (async () => {
           await deleteCourse(lessonId);
-          // 重新读取数据并渲染
-          const newDrawings = await getAllDrawings();
-          const newGroups = groupByCourse(newDrawings);
-          content.innerHTML = renderDrawingList(newDrawings, newGroups);
-          updateStats(overlay, newDrawings);
+          await refreshManager(manager);
         })();
       }
     }
@@ -393,6 +969,43 @@ function bindManagerEvents(overlay, panel, content, groupsCache) {
       previewDrawing(key);
     }
 
+    // 单独预览一个图层
+    const previewLayerBtn = e.target.closest('.preview-layer-button');
+    if (previewLayerBtn) {
+      previewDrawing(previewLayerBtn.dataset.key, previewLayerBtn.dataset.layerId);
+    }
+
+    // 清除单个图层
+    const clearLayerBtn = e.target.closest('.clear-layer-button');
+    if (clearLayerBtn) {
+      const key = clearLayerBtn.dataset.key;
+      const layerId = clearLayerBtn.dataset.layerId;
+      (async () => {
+        const data = (await readDrawing(key))?.data;
+        const layer = data?.layers.find(l => l.id === layerId);
+        if (!layer) return;
+
+        if (confirm(`确定要清除 ${data.lessonId} 的图层「${layer.name}」吗？其他图层不受影响。`)) {
+          await clearDrawingLayer(data, layerId);
+          await refreshManager(manager);
+        }
+      })();
+    }
+
+    // 历史版本
+    const historyBtn = e.target.closest('.history-button');
+    if (historyBtn) {
+      const item = manager.drawings.find(d => d.key === historyBtn.dataset.key);
+      if (item) {
+        (async () => {
+          const restored = await showHistoryDialog(item.data.lessonId, item.data.viewType, item.data);
+          if (restored) {
+            await refreshManager(manager);
+          }
+        })();
+      }
+    }
+
     // 导出单个涂鸦
     const exportBtn = e.target.closest('.export-button');
     if (exportBtn) {
@@ -404,29 +1017,16 @@ function bindManagerEvents(overlay, panel, content, groupsCache) {
     const deleteBtn = e.target.closest('.delete-button');
     if (deleteBtn) {
       const key = deleteBtn.dataset.key;
-      const data = JSON.parse(localStorage.getItem(key));
-      const viewName = VIEW_TYPE_NAMES[data.viewType];
-
-      if (confirm(`确定要删除 ${data.lessonId} 的${viewName}涂鸦吗？`)) {
-        (async () => {
-          // 1. 尝试从服务器删除
-          try {
-            await drawingAPI.deleteDrawing(data.lessonId, data.viewType);
-            console.log(`[DELETE] ✅ Deleted ${data.lessonId}/${data.viewType} from server`);
-          } catch (error) {
-            console.warn('[DELETE] Failed to delete from server:', error.message);
-          }
-
-          // 2. 从 localStorage 删除
-          localStorage.removeItem(key);
+      (async () => {
+        const data = (await readDrawing(key))?.data;
+        if (!data) return;
+        const viewName = VIEW_TYPE_NAMES[data.viewType];
 
-          // 3. 重新读取数据并渲染
-          const newDrawings = await getAllDrawings();
-          const newGroups = groupByCourse(newDrawings);
-          content.innerHTML = renderDrawingList(newDrawings, newGroups);
-          updateStats(overlay, newDrawings);
-        })();
-      }
+        if (confirm(`确定要删除 ${data.lessonId} 的${viewName}涂鸦吗？删除后可在「已删除」中从历史版本恢复。`)) {
+          await deleteDrawingRecord(data);
+          await refreshManager(manager);
+        }
+      })();
     }
   });
 }
@@ -434,91 +1034,892 @@ function bindManagerEvents(overlay, panel, content, groupsCache) {
 /**
  * 更新统计信息
  */
-function updateStats(overlay, drawings) {
-  const stats = getDrawingStats(drawings);
-  const statsEl = overlay.querySelector('.stats');
-  statsEl.innerHTML = `
-    <span>共 <strong>${stats.totalCourses}</strong> 个课程</span>
-    <span>共 <strong>${stats.totalDrawings}</strong> 个涂鸦</span>
-    <span>占用 <strong>${stats.totalSize}</strong></span>
-  `;
+async function updateStats(overlay, drawings) {
+  const usage = await getStorageUsage();
+  overlay.querySelector('.stats').innerHTML = renderStats(getDrawingStats(drawings), usage);
 }
 
 /**
- * 导出所有涂鸦（分别下载PNG图片）
+ * 下载涂鸦包（矢量记录 + 缩略图，可通过“导入”恢复）
+ * @param {Array} drawings - getAllDrawings 的结果
+ * @param {string} scope - 'all'、'selection'（批量选中）或课程ID
  */
-function exportAllDrawings() {
-  const drawings = getAllDrawings();
+async function downloadDrawingBundle(drawings, scope) {
+  const items = [];
+  for (const item of drawings) {
+    let preview = null;
+    try {
+      preview = await renderDrawingRecordToDataURL(item.data, { maxWidth: THUMBNAIL_MAX_WIDTH });
+    } catch (error) {
+      console.warn('[EXPORT] Failed to render preview:', item.key, error);
+    }
+    items.push({ record: item.data, preview });
+  }
 
-  if (drawings.length === 0) {
-    alert('没有可导出的涂鸦');
+  const bundle = createDrawingBundle(items, { scope, user: userSession.getCurrentUser() });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `drawings_${scope}_${formatDateForFilename(new Date())}${BUNDLE_EXTENSION}`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 下载数据备份（所有涂鸦和本地保存的设置，见 Persistence.js）
+ */
+async function downloadDataBackup() {
+  const user = userSession.getCurrentUser();
+  let backup;
+  try {
+    backup = await persistence.createBackup({ user: { id: user.id, name: user.name } });
+  } catch (error) {
+    console.error('[BACKUP] ❌ Failed to create backup:', error);
+    alert(`备份失败：${error.message}`);
     return;
   }
 
-  if (!confirm(`将导出 ${drawings.length} 个涂鸦图片，是否继续？`)) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(backup)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `backup_${user.id}_${formatDateForFilename(new Date())}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  console.log('[BACKUP] ✅ Backup downloaded');
+}
+
+/**
+ * 恢复数据备份对话框：列出备份内容，确认后恢复并重新加载页面
+ * @param {File} file - 备份文件
+ */
+async function showRestoreDialog(file) {
+  let backup;
+  try {
+    backup = persistence.parseBackup(await file.text());
+  } catch (error) {
+    alert(`无法恢复「${file.name}」：${error.message}`);
     return;
   }
 
-  // 延时下载，避免浏览器阻止
-  let delay = 0;
-  drawings.forEach((item, index) => {
-    setTimeout(() => {
-      const a = document.createElement('a');
-      a.href = item.data.imageData;
-      a.download = `${item.data.lessonId}_${item.data.viewType}_${formatDateForFilename(new Date(item.data.timestamp))}.png`;
-      a.click();
-    }, delay);
-    delay += 200; // 每个文件间隔200ms
+  const parts = persistence.describeBackup(backup);
+  const dialog = document.createElement('div');
+  dialog.className = 'drawing-preview-overlay';
+  dialog.innerHTML = `
+    <div class="preview-dialog import-dialog">
+      <div class="preview-header">
+        <h3>♻️ 恢复数据备份</h3>
+        <button class="close-preview-button">✕</button>
+      </div>
+      <div class="import-body">
+        <div class="import-summary">
+          ${escapeHtml(file.name)}
+          ${backup.user ? `，由 ${escapeHtml(backup.user.name || backup.user.id)} 备份` : ''}
+          ${backup.createdAt ? `于 ${new Date(backup.createdAt).toLocaleString('zh-CN')}` : ''}。
+          本地设置将被备份中的内容替换；备份中的涂鸦覆盖现有涂鸦（原内容保存为历史版本），备份中没有的涂鸦保持不变。
+        </div>
+        <ul class="import-changes">
+          ${parts.map(part => `
+            <li class="import-change">
+              <span class="import-target">${escapeHtml(part.label)}</span>
+              <span class="import-delta">${part.restorable ? `${part.count} 项` : '无法恢复（版本不兼容），跳过'}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+      <div class="preview-footer">
+        <span class="import-total">恢复后页面将重新加载</span>
+        <button class="import-confirm-button" ${parts.some(part => part.restorable) ? '' : 'disabled'}>恢复</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const confirmButton = dialog.querySelector('.import-confirm-button');
+  const close = () => dialog.remove();
+  dialog.querySelector('.close-preview-button').addEventListener('click', close);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) close();
   });
 
-  console.log(`[EXPORT] Exported ${drawings.length} drawings`);
+  confirmButton.addEventListener('click', async () => {
+    confirmButton.disabled = true;
+    confirmButton.textContent = '恢复中...';
+    try {
+      const { skipped } = await persistence.restoreBackup(backup);
+      if (skipped.length > 0) {
+        console.warn('[BACKUP] Skipped:', skipped);
+      }
+      location.reload();
+    } catch (error) {
+      console.error('[BACKUP] ❌ Failed to restore backup:', error);
+      alert(`恢复失败：${error.message}`);
+      close();
+    }
+  });
 }
 
 /**
- * 导出课程所有涂鸦（分别下载PNG图片）
+ * 导出所有涂鸦（一个涂鸦包文件）
  */
-function exportCourse(lessonId) {
-  const drawings = getAllDrawings().filter(item => item.data.lessonId === lessonId);
+async function exportAllDrawings() {
+  const drawings = await getAllDrawings();
 
   if (drawings.length === 0) {
-    alert('该课程没有涂鸦');
+    alert('没有可导出的涂鸦');
     return;
   }
 
-  if (!confirm(`将导出课程 ${lessonId} 的 ${drawings.length} 个涂鸦图片，是否继续？`)) {
+  await downloadDrawingBundle(drawings, 'all');
+
+  console.log(`[EXPORT] Exported ${drawings.length} drawings as bundle`);
+}
+
+/**
+ * 导出课程所有涂鸦（一个涂鸦包文件）
+ */
+async function exportCourse(lessonId) {
+  const drawings = (await getAllDrawings()).filter(item => item.data.lessonId === lessonId);
+
+  if (drawings.length === 0) {
+    alert('该课程没有涂鸦');
     return;
   }
 
-  // 延时下载，避免浏览器阻止
-  let delay = 0;
-  drawings.forEach((item, index) => {
-    setTimeout(() => {
-      const a = document.createElement('a');
-      a.href = item.data.imageData;
-      a.download = `${item.data.lessonId}_${item.data.viewType}_${formatDateForFilename(new Date(item.data.timestamp))}.png`;
-      a.click();
-    }, delay);
-    delay += 200;
+  await downloadDrawingBundle(drawings, lessonId);
+
+  console.log(`[EXPORT] Exported ${drawings.length} drawings from ${lessonId} as bundle`);
+}
+
+/**
+ * 渲染导入预览：每条涂鸦的操作和笔画变化
+ * @param {Array} plan - planBundleImport 的结果
+ */
+function renderImportPlan(plan) {
+  return plan.map((change) => {
+    const viewName = VIEW_TYPE_NAMES[change.viewType] || escapeHtml(change.viewType);
+    const delta = [
+      change.added ? `<span class="import-added">+${change.added}</span>` : '',
+      change.removed ? `<span class="import-removed">−${change.removed}</span>` : ''
+    ].join(' ');
+    return `
+      <li class="import-change ${change.action}">
+        <span class="import-target">${escapeHtml(change.lessonId)} · ${viewName}</span>
+        <span class="import-action">${IMPORT_ACTION_NAMES[change.action]}</span>
+        <span class="import-delta">${delta || '—'}</span>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * 导入涂鸦包：显示预览，确认后写入
+ * @param {File} file - 涂鸦包文件
+ * @returns {Promise<number>} 写入的涂鸦数（取消或失败时为 0）
+ */
+async function showImportDialog(file) {
+  let bundle;
+  try {
+    bundle = parseDrawingBundle(await file.text());
+  } catch (error) {
+    alert(`无法导入「${file.name}」：${error.message}`);
+    return 0;
+  }
+
+  if (bundle.records.length === 0) {
+    alert('涂鸦包中没有可导入的涂鸦');
+    return 0;
+  }
+
+  const existing = (await getAllDrawings()).map(item => item.data);
+  const { manifest } = bundle;
+  let mode = 'merge';
+  let plan = planBundleImport(bundle.records, existing, mode);
+
+  const dialog = document.createElement('div');
+  dialog.className = 'drawing-preview-overlay';
+  dialog.innerHTML = `
+    <div class="preview-dialog import-dialog">
+      <div class="preview-header">
+        <h3>导入涂鸦包</h3>
+        <button class="close-preview-button">✕</button>
+      </div>
+      <div class="import-body">
+        <div class="import-summary">
+          ${escapeHtml(file.name)}：${bundle.records.length} 个涂鸦
+          ${manifest.user ? `，由 ${escapeHtml(manifest.user.name || manifest.user.id)} 导出` : ''}
+          ${manifest.createdAt ? `于 ${new Date(manifest.createdAt).toLocaleString('zh-CN')}` : ''}
+          ${bundle.skipped ? `（${bundle.skipped} 个无法识别，已跳过）` : ''}
+        </div>
+        <div class="import-modes">
+          <label><input type="radio" name="import-mode" value="merge" checked> 合并：保留现有笔画，追加包中新的笔画</label>
+          <label><input type="radio" name="import-mode" value="replace"> 替换：用包中的涂鸦覆盖现有涂鸦</label>
+        </div>
+        <ul class="import-changes"></ul>
+      </div>
+      <div class="preview-footer">
+        <span class="import-total"></span>
+        <button class="import-confirm-button">导入</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const list = dialog.querySelector('.import-changes');
+  const total = dialog.querySelector('.import-total');
+  const confirmButton = dialog.querySelector('.import-confirm-button');
+
+  function render() {
+    plan = planBundleImport(bundle.records, existing, mode);
+    const count = plan.filter(change => change.action !== 'unchanged').length;
+    list.innerHTML = renderImportPlan(plan);
+    total.textContent = count > 0 ? `将修改 ${count} 个涂鸦` : '没有需要导入的变化';
+    confirmButton.disabled = count === 0;
+  }
+  render();
+
+  return new Promise((resolve) => {
+    const close = (imported) => {
+      dialog.remove();
+      resolve(imported);
+    };
+
+    dialog.querySelectorAll('input[name="import-mode"]').forEach((input) => {
+      input.addEventListener('change', () => {
+        mode = input.value;
+        render();
+      });
+    });
+
+    dialog.querySelector('.close-preview-button').addEventListener('click', () => close(0));
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close(0);
+    });
+
+    confirmButton.addEventListener('click', async () => {
+      confirmButton.disabled = true;
+      confirmButton.textContent = '导入中...';
+      const { imported, failed } = await applyImportPlan(plan);
+      if (failed > 0) {
+        alert(`已导入 ${imported} 个涂鸦，${failed} 个导入失败（详见控制台）`);
+      }
+      close(imported);
+    });
+  });
+}
+
+/**
+ * 通知正在显示该涂鸦的页面重新加载
+ */
+function notifyDrawingChanged(lessonId, viewType) {
+  document.dispatchEvent(new CustomEvent('drawingremoteupdate', {
+    detail: { lessonId, viewType }
+  }));
+}
+
+/**
+ * 写入管理面板修改的记录（导入、恢复历史版本）：先保存到本地，再推送到服务器（离线时进入发件箱）
+ * 正在显示的课程随之重新加载
+ * @param {Object} record - 新的记录内容
+ * @param {Object|null} current - 被替换的当前记录（用于取得基准版本号）
+ * @returns {Promise<'synced'|'queued'|'remote'>} syncDrawing 的结果
+ */
+async function writeDrawingRecord(record, current) {
+  const { lessonId, viewType } = record;
+  const saved = {
+    ...record,
+    timestamp: Date.now(),
+    revision: drawingAPI.getBaseRevision(lessonId, viewType, current ? current.revision : 0)
+  };
+  await drawingStorage.set(saved, { synced: false });
+  const status = await drawingAPI.syncDrawing(saved);
+
+  notifyDrawingChanged(lessonId, viewType);
+  return status;
+}
+
+/**
+ * 写入导入结果
+ * @param {Array} plan - planBundleImport 的结果
+ * @returns {Promise<{imported: number, failed: number}>}
+ */
+async function applyImportPlan(plan) {
+  let imported = 0;
+  let failed = 0;
+
+  for (const change of plan) {
+    if (change.action === 'unchanged') continue;
+    const { lessonId, viewType } = change;
+
+    try {
+      const status = await writeDrawingRecord(change.after, change.before);
+      console.log(`[IMPORT] ✅ ${change.action} ${lessonId}/${viewType} (${status})`);
+      imported++;
+    } catch (error) {
+      console.error(`[IMPORT] ❌ Failed to import ${lessonId}/${viewType}:`, error);
+      failed++;
+    }
+  }
+
+  return { imported, failed };
+}
+
+/**
+ * 读取涂鸦的历史版本：合并服务器和本地的历史（同一版本只保留一份），从新到旧
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ * @returns {Promise<Array<{id: string, archivedAt: number, reason: string, record: Object, location: 'server'|'local'}>>}
+ */
+async function loadDrawingHistory(lessonId, viewType) {
+  const versions = new Map();
+  const versionKey = version => `${version.record.timestamp}_${version.record.strokes.length}`;
+
+  try {
+    (await drawingAPI.getHistory(lessonId, viewType)).forEach((version) => {
+      versions.set(versionKey(version), { ...version, location: 'server' });
+    });
+  } catch (error) {
+    console.warn('[HISTORY] Server unavailable, using local history only:', error.message);
+  }
+
+  (await drawingStorage.getHistory(lessonId, viewType)).forEach((version) => {
+    const record = normalizeDrawingRecord(version.record);
+    if (!record) return;
+    const local = { ...version, record, location: 'local' };
+    if (!versions.has(versionKey(local))) {
+      versions.set(versionKey(local), local);
+    }
+  });
+
+  return Array.from(versions.values()).sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * 历史版本对话框：左侧为带缩略图的版本列表，右侧为所选版本与当前涂鸦的对比
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ * @param {Object|null} current - 当前记录（已删除时为 null）
+ * @returns {Promise<boolean>} 是否恢复了版本
+ */
+async function showHistoryDialog(lessonId, viewType, current) {
+  const versions = await loadDrawingHistory(lessonId, viewType);
+  const viewName = VIEW_TYPE_NAMES[viewType] || escapeHtml(viewType);
+
+  if (versions.length === 0) {
+    alert(`${lessonId} 的${viewName}涂鸦还没有历史版本`);
+    return false;
+  }
+
+  let selected = versions[0];
+  let mode = 'diff';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'drawing-preview-overlay';
+  dialog.innerHTML = `
+    <div class="preview-dialog history-dialog">
+      <div class="preview-header">
+        <h3>🕘 ${escapeHtml(lessonId)} - ${viewName} 历史版本</h3>
+        <button class="close-preview-button">✕</button>
+      </div>
+      <div class="history-body">
+        <ul class="history-list">
+          ${versions.map(version => {
+            const { added, removed, changed } = diffDrawingVersions(current, version.record);
+            return `
+              <li class="history-version" data-id="${escapeHtml(version.id)}">
+                <img data-version-id="${escapeHtml(version.id)}" alt="" />
+                <div class="history-version-info">
+                  <div>${formatDate(version.record.timestamp)}</div>
+                  <div class="history-version-meta">
+                    <span class="history-reason ${escapeHtml(version.reason)}">${HISTORY_REASON_NAMES[version.reason] || ''}</span>
+                    <span>${version.record.strokes.length} 笔</span>
+                    ${version.location === 'local' ? `<span title="只保存在本地">${LOCATION_NAMES.local}</span>` : ''}
+                  </div>
+                  <div class="history-version-delta">
+                    ${added ? `<span class="import-added">+${added}</span>` : ''}
+                    ${removed ? `<span class="import-removed">−${removed}</span>` : ''}
+                    ${changed ? `<span>~${changed}</span>` : ''}
+                    ${!added && !removed && !changed ? '<span>与当前相同</span>' : ''}
+                  </div>
+                </div>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+        <div class="history-detail">
+          <div class="history-modes">
+            <label><input type="radio" name="history-mode" value="diff" checked> 对比</label>
+            <label><input type="radio" name="history-mode" value="version"> 此版本</label>
+            <label><input type="radio" name="history-mode" value="current" ${current ? '' : 'disabled'}> 当前</label>
+          </div>
+          <div class="history-image"><img alt="" /></div>
+          <div class="history-legend">
+            <span class="history-legend-added">■ 恢复后出现</span>
+            <span class="history-legend-removed">■ 恢复后消失</span>
+            <span class="history-legend-unchanged">■ 不变</span>
+          </div>
+        </div>
+      </div>
+      <div class="preview-footer">
+        <span class="history-summary"></span>
+        <button class="history-restore-button">恢复此版本</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const image = dialog.querySelector('.history-image img');
+  const summary = dialog.querySelector('.history-summary');
+  const legend = dialog.querySelector('.history-legend');
+  const restoreButton = dialog.querySelector('.history-restore-button');
+  let renderToken = 0;
+
+  async function renderDetail() {
+    dialog.querySelectorAll('.history-version').forEach((li) => {
+      li.classList.toggle('selected', li.dataset.id === selected.id);
+    });
+    legend.style.display = mode === 'diff' ? '' : 'none';
+
+    const { added, removed, changed } = diffDrawingVersions(current, selected.record);
+    summary.textContent = current
+      ? `恢复后：新增 ${added} 笔，移除 ${removed} 笔，修改 ${changed} 笔`
+      : `涂鸦已删除，恢复后共 ${selected.record.strokes.length} 笔`;
+
+    const record = mode === 'diff'
+      ? createVersionDiffRecord(current, selected.record)
+      : (mode === 'current' ? current : selected.record);
+
+    // 快速切换时只显示最后一次的结果
+    const token = ++renderToken;
+    try {
+      const url = await renderDrawingRecordToDataURL(record);
+      if (token === renderToken) image.src = url;
+    } catch (error) {
+      console.error('[HISTORY] Failed to render version:', error);
+    }
+  }
+  renderDetail();
+
+  // 列表缩略图逐个绘制
+  (async () => {
+    for (const version of versions) {
+      const img = dialog.querySelector(`img[data-version-id="${CSS.escape(version.id)}"]`);
+      if (!img || !dialog.isConnected) return;
+      try {
+        img.src = await renderDrawingRecordToDataURL(version.record, { maxWidth: HISTORY_THUMBNAIL_WIDTH });
+      } catch (error) {
+        console.error('[HISTORY] Failed to render thumbnail:', version.id, error);
+      }
+    }
+  })();
+
+  return new Promise((resolve) => {
+    const close = (restored) => {
+      dialog.remove();
+      resolve(restored);
+    };
+
+    dialog.querySelector('.history-list').addEventListener('click', (e) => {
+      const li = e.target.closest('.history-version');
+      if (!li) return;
+      selected = versions.find(version => version.id === li.dataset.id) || selected;
+      renderDetail();
+    });
+
+    dialog.querySelectorAll('input[name="history-mode"]').forEach((input) => {
+      input.addEventListener('change', () => {
+        mode = input.value;
+        renderDetail();
+      });
+    });
+
+    dialog.querySelector('.close-preview-button').addEventListener('click', () => close(false));
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close(false);
+    });
+
+    // 恢复：作为新记录保存，恢复前的记录也进入历史
+    restoreButton.addEventListener('click', async () => {
+      if (!confirm(`确定要把 ${lessonId} 的${viewName}涂鸦恢复到 ${formatDate(selected.record.timestamp)} 的版本吗？当前内容会保存为历史版本。`)) {
+        return;
+      }
+      restoreButton.disabled = true;
+      restoreButton.textContent = '恢复中...';
+      try {
+        const status = await writeDrawingRecord(selected.record, current);
+        console.log(`[HISTORY] ✅ Restored ${lessonId}/${viewType} to version ${selected.id} (${status})`);
+        close(true);
+      } catch (error) {
+        console.error(`[HISTORY] ❌ Failed to restore ${lessonId}/${viewType}:`, error);
+        alert(`恢复失败：${error.message}`);
+        restoreButton.disabled = false;
+        restoreButton.textContent = '恢复此版本';
+      }
+    });
+  });
+}
+
+/**
+ * 已删除涂鸦对话框：列出服务器和本地还有历史版本的已删除涂鸦，选择后打开历史版本
+ * @returns {Promise<boolean>} 是否恢复了涂鸦
+ */
+async function showDeletedDialog() {
+  // 一端已删除、另一端仍存在（尚未同步删除）的涂鸦不在此列出
+  const existing = new Set((await getAllDrawings()).map(item => `${item.data.lessonId}_${item.data.viewType}`));
+  const deleted = new Map();
+  const addDeleted = (item) => {
+    const key = `${item.lessonId}_${item.viewType}`;
+    if (existing.has(key)) return;
+    const previous = deleted.get(key);
+    if (!previous || item.deletedAt > previous.deletedAt) {
+      deleted.set(key, { lessonId: item.lessonId, viewType: item.viewType, deletedAt: item.deletedAt });
+    }
+  };
+
+  try {
+    (await drawingAPI.getDeletedDrawings()).forEach(addDeleted);
+  } catch (error) {
+    console.warn('[HISTORY] Server unavailable, using local history only:', error.message);
+  }
+  (await drawingStorage.listDeleted()).forEach(addDeleted);
+
+  const items = Array.from(deleted.values()).sort((a, b) => b.deletedAt - a.deletedAt);
+  if (items.length === 0) {
+    alert('没有可从历史恢复的已删除涂鸦');
+    return false;
+  }
+
+  const dialog = document.createElement('div');
+  dialog.className = 'drawing-preview-overlay';
+  dialog.innerHTML = `
+    <div class="preview-dialog import-dialog">
+      <div class="preview-header">
+        <h3>🕘 已删除的涂鸦</h3>
+        <button class="close-preview-button">✕</button>
+      </div>
+      <div class="import-body">
+        <div class="import-summary">以下涂鸦已被删除（包括清空画布后自动保存），可以从历史版本恢复。</div>
+        <ul class="import-changes">
+          ${items.map(item => `
+            <li class="import-change">
+              <span class="import-target">${escapeHtml(item.lessonId)} · ${VIEW_TYPE_NAMES[item.viewType] || escapeHtml(item.viewType)}</span>
+              <span class="import-delta">${formatDate(item.deletedAt)}</span>
+              <button class="deleted-history-button" data-lesson-id="${escapeHtml(item.lessonId)}" data-view-type="${escapeHtml(item.viewType)}">历史版本</button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  return new Promise((resolve) => {
+    const close = (restored) => {
+      dialog.remove();
+      resolve(restored);
+    };
+
+    dialog.querySelector('.close-preview-button').addEventListener('click', () => close(false));
+    dialog.addEventListener('click', async (e) => {
+      if (e.target === dialog) {
+        close(false);
+        return;
+      }
+
+      const button = e.target.closest('.deleted-history-button');
+      if (!button) return;
+      const restored = await showHistoryDialog(button.dataset.lessonId, button.dataset.viewType, null);
+      if (restored) close(true);
+    });
   });
+}
 
-  console.log(`[EXPORT] Exported ${drawings.length} drawings from ${lessonId}`);
+/**
+ * 读取诊断所需的数据：服务器和本地存储分别读取（不合并），以及课程配置
+ * @returns {Promise<Object>} diagnoseDrawings 的结果，附带 serverAvailable / coursesAvailable
+ */
+async function runDiagnostics() {
+  let server = null;
+  try {
+    server = await drawingAPI.getAllDrawings();
+  } catch (error) {
+    console.warn('[DIAGNOSTICS] Server unavailable:', error.message);
+  }
+
+  const [local, courses] = await Promise.all([drawingStorage.list(), loadCourseInfo()]);
+  // 课程列表读取失败或为空时不判断孤立记录，避免把所有涂鸦都当作孤立
+  const coursesAvailable = Object.keys(courses).length > 0;
+
+  return {
+    ...diagnoseDrawings({ server, local, courses: coursesAvailable ? courses : null }),
+    serverAvailable: server !== null,
+    coursesAvailable
+  };
+}
+
+/**
+ * 渲染一个诊断分类
+ * @param {string} category - 分类（DIAGNOSTIC_CATEGORIES 的键）
+ * @param {Array} entries - 该分类的涂鸦
+ * @param {string|null} unavailable - 无法诊断的原因
+ */
+function renderDiagnosticCategory(category, entries, unavailable) {
+  const { title, hint, actions } = DIAGNOSTIC_CATEGORIES[category];
+  const describe = (record, size) => (record ? `${formatSize(size)} · ${formatDate(record.timestamp)}` : '—');
+
+  let body;
+  if (unavailable) {
+    body = `<p class="diagnostics-note">${unavailable}</p>`;
+  } else if (entries.length === 0) {
+    body = '<p class="diagnostics-note">✅ 没有发现问题</p>';
+  } else {
+    body = `
+      <ul class="import-changes">
+        ${entries.map(entry => `
+          <li class="import-change">
+            <span class="import-target">${escapeHtml(entry.lessonId)} · ${VIEW_TYPE_NAMES[entry.viewType] || escapeHtml(entry.viewType)}</span>
+            <span class="diagnostics-copy${entry.newer === 'local' ? ' newer' : ''}" title="本地">💾 ${describe(entry.local, entry.localSize)}</span>
+            <span class="diagnostics-copy${entry.newer === 'server' ? ' newer' : ''}" title="服务器">☁️ ${describe(entry.server, entry.serverSize)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  return `
+    <section class="diagnostics-category" data-category="${category}">
+      <div class="diagnostics-category-header">
+        <h4>${title} <span class="diagnostics-count">${unavailable ? '—' : entries.length}</span></h4>
+        <div class="diagnostics-actions">
+          ${Object.entries(actions).map(([action, label]) => `
+            <button class="diagnostics-action-button" data-category="${category}" data-action="${action}"
+              ${unavailable || entries.length === 0 ? 'disabled' : ''}>${label}</button>
+          `).join('')}
+        </div>
+      </div>
+      <p class="diagnostics-hint">${hint}</p>
+      ${body}
+    </section>
+  `;
+}
+
+/**
+ * 把本地记录上传到服务器（覆盖服务器上的版本），成功后本地标记为已同步
+ * @param {Object} entry - 诊断条目
+ */
+async function uploadLocalRecord(entry) {
+  const { lessonId, viewType, local, server } = entry;
+  const result = await drawingAPI.saveDrawing(lessonId, viewType, local, server ? server.revision || 0 : 0);
+  await drawingStorage.set({ ...local, revision: result.revision }, { synced: true });
+  drawingAPI.removeFromOutbox(lessonId, viewType);
+}
+
+/**
+ * 把服务器记录下载到本地（覆盖本地版本，未推送的本地修改一并放弃）
+ * @param {Object} entry - 诊断条目
+ */
+async function downloadServerRecord(entry) {
+  const { lessonId, viewType, server } = entry;
+  await drawingStorage.set(server, { synced: true });
+  drawingAPI.removeFromOutbox(lessonId, viewType);
+  drawingAPI.advanceRevision(lessonId, viewType, server.revision || 0);
+  notifyDrawingChanged(lessonId, viewType);
+}
+
+/**
+ * 压缩记录（以较新的一份为准）并作为新版本保存
+ * @param {Object} entry - 诊断条目
+ * @returns {Promise<number>} 节省的字节数
+ */
+async function compactEntry(entry) {
+  const { local, server } = entry;
+  const source = local && (!server || (local.timestamp || 0) >= (server.timestamp || 0)) ? local : server;
+  const { record, before, after, removedPoints } = await compactDrawingRecord(source);
+  if (after >= before) return 0;
+
+  await writeDrawingRecord(record, server || local);
+  console.log(`[DIAGNOSTICS] 🗜️ Compacted ${entry.lessonId}/${entry.viewType}: ${formatSize(before)} → ${formatSize(after)}, ${removedPoints} points removed`);
+  return before - after;
+}
+
+/**
+ * 对一个分类的所有涂鸦执行操作
+ * @param {string} category - 分类
+ * @param {string} action - 'upload' | 'download' | 'sync' | 'prune' | 'compact'
+ * @param {Array} entries - 该分类的涂鸦
+ * @returns {Promise<{done: number, failed: number, saved: number}>} saved 为压缩节省的字节数
+ */
+async function runDiagnosticAction(category, action, entries) {
+  let done = 0;
+  let failed = 0;
+  let saved = 0;
+
+  for (const entry of entries) {
+    const { lessonId, viewType } = entry;
+    try {
+      if (action === 'upload' || (action === 'sync' && entry.newer === 'local')) {
+        await uploadLocalRecord(entry);
+      } else if (action === 'download' || action === 'sync') {
+        await downloadServerRecord(entry);
+      } else if (action === 'compact') {
+        saved += await compactEntry(entry);
+      } else if (action === 'prune') {
+        if (category === 'localOnly') {
+          await drawingStorage.remove(lessonId, viewType);
+        } else if (category === 'serverOnly') {
+          await drawingAPI.deleteDrawing(lessonId, viewType, entry.server.revision || 0);
+        } else {
+          await deleteDrawingRecord(entry.local || entry.server);
+        }
+        notifyDrawingChanged(lessonId, viewType);
+      }
+      done++;
+    } catch (error) {
+      console.error(`[DIAGNOSTICS] ❌ ${action} failed for ${lessonId}/${viewType}:`, error);
+      failed++;
+    }
+  }
+
+  console.log(`[DIAGNOSTICS] ✅ ${category}/${action}: ${done} done, ${failed} failed`);
+  return { done, failed, saved };
+}
+
+/**
+ * 存储诊断对话框
+ * @returns {Promise<boolean>} 是否修改了涂鸦
+ */
+async function showDiagnosticsDialog() {
+  const dialog = document.createElement('div');
+  dialog.className = 'drawing-preview-overlay';
+  dialog.innerHTML = `
+    <div class="preview-dialog import-dialog diagnostics-dialog">
+      <div class="preview-header">
+        <h3>🩺 存储诊断</h3>
+        <button class="close-preview-button">✕</button>
+      </div>
+      <div class="import-body diagnostics-body">
+        <p class="diagnostics-note">检查中...</p>
+      </div>
+      <div class="preview-footer">
+        <span class="diagnostics-summary"></span>
+        <button class="diagnostics-refresh-button">重新检查</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const body = dialog.querySelector('.diagnostics-body');
+  const summary = dialog.querySelector('.diagnostics-summary');
+  let report = null;
+  let changed = false;
+  let busy = false;
+
+  async function check() {
+    report = await runDiagnostics();
+    const serverNote = report.serverAvailable ? null : '服务器不可用，无法与服务器比较';
+    const unavailable = {
+      localOnly: serverNote,
+      serverOnly: serverNote,
+      differing: serverNote,
+      orphaned: report.coursesAvailable ? null : '无法读取课程列表（data/courses.json），无法判断',
+      oversized: null
+    };
+
+    body.innerHTML = Object.keys(DIAGNOSTIC_CATEGORIES)
+      .map(category => renderDiagnosticCategory(category, report[category], unavailable[category]))
+      .join('');
+
+    const problems = Object.keys(DIAGNOSTIC_CATEGORIES).reduce((sum, category) => sum + report[category].length, 0);
+    summary.textContent = problems > 0 ? `发现 ${problems} 个问题` : '存储状态良好';
+  }
+  check();
+
+  return new Promise((resolve) => {
+    const close = () => {
+      dialog.remove();
+      resolve(changed);
+    };
+
+    dialog.querySelector('.close-preview-button').addEventListener('click', close);
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close();
+    });
+
+    dialog.querySelector('.diagnostics-refresh-button').addEventListener('click', () => {
+      if (!busy) check();
+    });
+
+    body.addEventListener('click', async (e) => {
+      const button = e.target.closest('.diagnostics-action-button');
+      if (!button || busy || !report) return;
+
+      const { category, action } = button.dataset;
+      const entries = report[category];
+      const label = DIAGNOSTIC_CATEGORIES[category].actions[action];
+      const warning = action === 'prune' ? '删除后可在「已删除」中从历史版本恢复。' : '';
+      if (!confirm(`确定要对 ${entries.length} 个涂鸦执行「${label.replace(/^\S+\s/, '')}」吗？${warning}`)) return;
+
+      busy = true;
+      dialog.querySelectorAll('.diagnostics-action-button').forEach(b => { b.disabled = true; });
+      summary.textContent = '处理中...';
+
+      const { done, failed, saved } = await runDiagnosticAction(category, action, entries);
+      changed = changed || done > 0;
+      busy = false;
+      await check();
+      summary.textContent = `已处理 ${done} 个${saved ? `，节省 ${formatSize(saved)}` : ''}${failed ? `，${failed} 个失败（详见控制台）` : ''}`;
+    });
+  });
 }
 
 /**
  * 导出单个涂鸦（PNG图片）
  */
-function exportDrawing(key) {
-  const data = JSON.parse(localStorage.getItem(key));
+async function exportDrawing(key) {
+  const data = (await readDrawing(key))?.data;
+  if (!data) return;
 
-  // 直接使用 imageData（已经是 DataURL 格式）下载为PNG
-  const a = document.createElement('a');
-  a.href = data.imageData;
-  a.download = `${data.lessonId}_${data.viewType}_${formatDateForFilename(new Date(data.timestamp))}.png`;
-  a.click();
+  // 将笔画（及旧版底图）绘制为PNG后下载
+  await downloadDrawingImage(data);
 
   console.log(`[EXPORT] Exported ${data.lessonId} - ${data.viewType} as PNG`);
 }
 
+/**
+ * 清除涂鸦中的一个图层（图层保留，最底层同时清除旧版底图）
+ * @param {Object} data - 涂鸦记录
+ * @param {string} layerId - 图层ID
+ */
+async function clearDrawingLayer(data, layerId) {
+  const { lessonId, viewType } = data;
+
+  // 1. 尝试在服务器上清除
+  let synced = false;
+  try {
+    await drawingAPI.clearLayer(lessonId, viewType, layerId);
+    synced = true;
+    console.log(`[DELETE] ✅ Cleared layer ${layerId} of ${lessonId}/${viewType} on server`);
+  } catch (error) {
+    console.warn('[DELETE] Failed to clear layer on server:', error.message);
+  }
+
+  // 2. 更新本地存储中的记录
+  const record = {
+    ...data,
+    timestamp: Date.now(),
+    revision: drawingAPI.getBaseRevision(lessonId, viewType, data.revision),
+    strokes: data.strokes.filter(stroke => stroke.layerId !== layerId),
+    background: data.layers[0].id === layerId ? null : data.background
+  };
+  await drawingStorage.set(record, { synced });
+
+  // 3. 服务器不可用时整条记录进入发件箱，恢复后推送
+  if (!synced) {
+    drawingAPI.enqueue({ type: 'save', lessonId, viewType });
+  }
+
+  console.log(`[DELETE] Cleared layer ${layerId} of ${lessonId}/${viewType} in local storage`);
+}
+
 /**
  * 删除课程所有涂鸦
  */
@@ -531,14 +1932,10 @@ async function deleteCourse(lessonId) {
     console.warn('[DELETE] Failed to delete from server:', error.message);
   }
 
-  // 2. 从 localStorage 删除（无论服务器是否成功）
-  Object.keys(localStorage).forEach(key => {
-    if (key.startsWith(STORAGE_KEY_PREFIX) && key.includes(lessonId)) {
-      localStorage.removeItem(key);
-    }
-  });
+  // 2. 从本地存储删除（无论服务器是否成功）
+  await drawingStorage.removeCourse(lessonId);
 
-  console.log(`[DELETE] Deleted course ${lessonId} from localStorage`);
+  console.log(`[DELETE] Deleted course ${lessonId} from local storage`);
 }
 
 /**
@@ -553,22 +1950,24 @@ async function clearAllDrawings() {
     console.warn('[DELETE] Failed to delete from server:', error.message);
   }
 
-  // 2. 从 localStorage 删除（无论服务器是否成功）
-  Object.keys(localStorage).forEach(key => {
-    if (key.startsWith(STORAGE_KEY_PREFIX)) {
-      localStorage.removeItem(key);
-    }
-  });
+  // 2. 从本地存储删除（无论服务器是否成功）
+  await drawingStorage.clear();
 
-  console.log('[DELETE] ✅ Cleared all drawings from localStorage');
+  console.log('[DELETE] ✅ Cleared all drawings from local storage');
 }
 
 /**
  * 预览涂鸦
+ * @param {string} key - 存储键
+ * @param {string|null} layerId - 只预览该图层（默认预览所有可见图层）
  */
-function previewDrawing(key) {
-  const data = JSON.parse(localStorage.getItem(key));
-  const viewName = VIEW_TYPE_NAMES[data.viewType];
+async function previewDrawing(key, layerId = null) {
+  const entry = await readDrawing(key);
+  if (!entry) return;
+  const { data, size } = entry;
+  const layer = layerId && data.layers.find(l => l.id === layerId);
+  const viewName = VIEW_TYPE_NAMES[data.viewType] + (layer ? ` · ${escapeHtml(layer.name)}` : '');
+  const imageURL = await renderDrawingRecordToDataURL(data, { layerId: layer ? layer.id : null });
 
   // 创建预览窗口
   const previewOverlay = document.createElement('div');
@@ -580,10 +1979,10 @@ function previewDrawing(key) {
         <button class="close-preview-button">✕</button>
       </div>
       <div class="preview-body">
-        <img src="${data.imageData}" alt="${viewName}" />
+        <img src="${imageURL}" alt="${viewName}" />
       </div>
       <div class="preview-footer">
-        <span>${formatSize(localStorage.getItem(key).length)}</span>
+        <span>${formatSize(size)}</span>
         <span>${new Date(data.timestamp).toLocaleString('zh-CN')}</span>
       </div>
     </div>
@@ -611,6 +2010,20 @@ function formatSize(bytes) {
   return (bytes / 1024 / 1024).toFixed(2) + ' MB';
 }
 
+/**
+ * 格式化日期（列表显示）
+ */
+function formatDate(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleString('zh-CN', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
 /**
  * 格式化日期为文件名
  */
@@ -0,0 +1,211 @@
+/**
+ * DrawingPlaybackBar组件
+ * 课堂回放控制条：播放/暂停、进度拖动、倍速
+ * 按笔画书写时间重现两侧涂鸦，面板自动滚动到正在书写的位置
+ */
+
+import {
+  startPlayback,
+  seekPlayback,
+  stopPlayback,
+  isPlaybackActive
+} from './GlobalDrawingCanvas.js';
+
+// 可选倍速
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * 格式化回放时间 m:ss
+ * @param {number} ms - 毫秒
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * 创建回放按钮及控制条
+ * @param {Function} showToast - 提示函数 (message, type)
+ * @returns {HTMLElement} - 回放控件DOM元素（带 destroy 方法）
+ */
+export function createPlaybackControl(showToast) {
+  let duration = 0;
+  let time = 0;
+  let speed = 1;
+  let playing = false;
+  let frame = null;
+  let lastFrameTime = 0;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'playback-control';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'playback-toggle-button';
+  toggleButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <polygon points="10 8 16 12 10 16 10 8"/>
+    </svg>
+    <span>回放</span>
+  `;
+  toggleButton.title = '按书写顺序回放涂鸦';
+  wrapper.appendChild(toggleButton);
+
+  const bar = document.createElement('div');
+  bar.className = 'drawing-playback-bar';
+  bar.style.display = 'none';
+  bar.innerHTML = `
+    <button class="playback-play-button" title="播放/暂停 (空格)">▶</button>
+    <input class="playback-scrub" type="range" min="0" max="0" step="10" value="0">
+    <span class="playback-time">0:00 / 0:00</span>
+    <select class="playback-speed" title="回放速度">
+      ${PLAYBACK_SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('')}
+    </select>
+    <button class="playback-close-button" title="退出回放">✕</button>
+  `;
+  wrapper.appendChild(bar);
+
+  const playButton = bar.querySelector('.playback-play-button');
+  const scrub = bar.querySelector('.playback-scrub');
+  const timeLabel = bar.querySelector('.playback-time');
+  const speedSelect = bar.querySelector('.playback-speed');
+
+  /**
+   * 同步进度条、时间和播放按钮
+   */
+  function updateUI() {
+    scrub.value = String(time);
+    timeLabel.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+    playButton.textContent = playing ? '❚❚' : '▶';
+  }
+
+  /**
+   * 跳转到指定时间
+   * @param {number} value - 毫秒
+   */
+  function seek(value) {
+    time = Math.max(0, Math.min(duration, value));
+    seekPlayback(time);
+    updateUI();
+  }
+
+  /**
+   * 每帧按倍速推进时间线
+   * @param {number} now - requestAnimationFrame 时间戳
+   */
+  function tick(now) {
+    seek(time + (now - lastFrameTime) * speed);
+    lastFrameTime = now;
+
+    if (time >= duration) {
+      pause();
+      return;
+    }
+    frame = requestAnimationFrame(tick);
+  }
+
+  function play() {
+    if (playing) return;
+    // 播放结束后再次播放从头开始
+    if (time >= duration) seek(0);
+    playing = true;
+    lastFrameTime = performance.now();
+    frame = requestAnimationFrame(tick);
+    updateUI();
+  }
+
+  function pause() {
+    playing = false;
+    if (frame) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    updateUI();
+  }
+
+  function togglePlaying() {
+    if (playing) {
+      pause();
+    } else {
+      play();
+    }
+  }
+
+  /**
+   * 打开控制条并从头开始播放
+   */
+  function open() {
+    const info = startPlayback();
+    if (info.strokeCount === 0) {
+      stopPlayback();
+      showToast('当前视图还没有涂鸦', 'info');
+      return;
+    }
+
+    duration = info.duration;
+    scrub.max = String(Math.ceil(duration));
+    bar.style.display = 'flex';
+    toggleButton.classList.add('active');
+    seek(0);
+    play();
+  }
+
+  /**
+   * 收起控制条（回放已由引擎结束或由用户关闭）
+   */
+  function close() {
+    pause();
+    bar.style.display = 'none';
+    toggleButton.classList.remove('active');
+  }
+
+  toggleButton.onclick = () => {
+    if (isPlaybackActive()) {
+      stopPlayback();
+    } else {
+      open();
+    }
+  };
+
+  playButton.onclick = () => {
+    togglePlaying();
+  };
+
+  scrub.addEventListener('input', () => {
+    seek(Number(scrub.value));
+  });
+
+  speedSelect.addEventListener('change', () => {
+    speed = Number(speedSelect.value);
+  });
+
+  bar.querySelector('.playback-close-button').onclick = () => {
+    stopPlayback();
+  };
+
+  // 回放结束（退出、开始绘制、切换视图）时收起控制条
+  const handlePlaybackChange = (e) => {
+    if (!e.detail.active) close();
+  };
+  document.addEventListener('drawingplaybackchange', handlePlaybackChange);
+
+  // 空格键播放/暂停
+  const handleKeydown = (e) => {
+    if (e.key !== ' ' || !isPlaybackActive()) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    e.preventDefault();
+    togglePlaying();
+  };
+  document.addEventListener('keydown', handleKeydown);
+
+  wrapper.destroy = () => {
+    pause();
+    document.removeEventListener('drawingplaybackchange', handlePlaybackChange);
+    document.removeEventListener('keydown', handleKeydown);
+  };
+
+  return wrapper;
+}
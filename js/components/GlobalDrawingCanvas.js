@@ -2,16 +2,56 @@
  * GlobalDrawingCanvas - 全局画布模块
  * ⚠️ 架构说明：
  * - Canvas使用absolute定位，放在contentWrapper内部
- * - Canvas高度 = max(leftPane.scrollHeight, rightPane.scrollHeight)
+ * - Canvas高度 = max(leftPane.scrollHeight, rightPane.scrollHeight)（单栏查看器只有 leftPane）
  * - 当面板滚动时，Canvas随之滚动（因为在容器内）
  * - 涂鸦自然"粘"在内容上，无需特殊处理scrollTop
  */
 
 // 导入服务器API客户端
 import { drawingAPI } from '../api/DrawingAPI.js';
-
-// localStorage存储键前缀
-const STORAGE_KEY_PREFIX = 'drawing_data_';
+// 本地存储（IndexedDB，降级到 localStorage）
+import { drawingStorage, isQuotaError } from '../api/DrawingStorage.js';
+// 当前用户（每个用户有独立的涂鸦，教师可以发布共享图层）
+import { userSession } from '../api/UserSession.js';
+// 实时协作（同一课程的客户端之间实时同步笔画）
+import { collabChannel, getUserColor } from '../api/CollabChannel.js';
+// 本地持久化（笔画剪贴板）
+import { persistence } from '../api/Persistence.js';
+import {
+  DRAWING_SCHEMA_VERSION,
+  SHAPE_TOOLS,
+  DEFAULT_FONT_FAMILY,
+  createLayer,
+  createDefaultLayer,
+  createStroke,
+  createTextStroke,
+  setShapeEndPoint,
+  getStrokeBounds,
+  addStrokePoint,
+  createDrawingRecord,
+  normalizeDrawingRecord,
+  isEmptyDrawingRecord,
+  applyStrokeStyle,
+  drawStroke,
+  drawStrokeSegment,
+  drawLayers,
+  loadBackgroundImage,
+  drawBackground
+} from '../utils/drawingSchema.js';
+import { measureAnchors, findAnchorForPoint, relayoutStrokes } from '../utils/drawingAnchors.js';
+import { recognizeShape } from '../utils/shapeRecognizer.js';
+import {
+  isStrokeInLasso,
+  isStrokeHitByPoint,
+  getStrokesBounds,
+  translateStroke,
+  scaleStroke,
+  recolorStroke,
+  duplicateStroke
+} from '../utils/strokeTransforms.js';
+import { buildReplayTimeline, clipStrokeAt } from '../utils/strokeReplay.js';
+// ConfigLoader 以全局变量 window.ConfigLoader 提供
+import '../utils/ConfigLoader.js';
 
 // 预设颜色
 const PRESET_COLORS = [
@@ -28,6 +68,118 @@ const PRESET_COLORS = [
 // 线宽选项
 const LINE_WIDTHS = [2, 4, 6, 8, 12];
 
+// 绘图工具（config/drawing.json 的 tools 字段决定显示哪些）
+const DRAWING_TOOLS = [
+  { id: 'pen', name: '画笔', cursor: 'crosshair' },
+  { id: 'highlighter', name: '荧光笔', cursor: 'crosshair' },
+  { id: 'eraser', name: '橡皮擦', cursor: 'cell' },
+  { id: 'stroke-eraser', name: '笔画橡皮擦', cursor: 'not-allowed' },
+  { id: 'line', name: '直线', cursor: 'crosshair' },
+  { id: 'arrow', name: '箭头', cursor: 'crosshair' },
+  { id: 'rect', name: '矩形', cursor: 'crosshair' },
+  { id: 'ellipse', name: '椭圆', cursor: 'crosshair' },
+  { id: 'text', name: '文字', cursor: 'text' },
+  { id: 'select', name: '套索选择', cursor: 'default' }
+];
+
+// 绘图配置的默认值（config/drawing.json 加载失败时使用）
+const DEFAULT_DRAWING_CONFIG = {
+  presetColors: PRESET_COLORS,
+  lineWidths: LINE_WIDTHS,
+  defaultColor: '#ef4444',
+  defaultLineWidth: 4,
+  defaultTool: 'pen',
+  tools: DRAWING_TOOLS.map(tool => tool.id),
+  highlighter: { opacity: 0.35, widthScale: 4 },
+  shapeRecognition: { enabled: false, tolerance: 0.06 },
+  text: { fontScale: 5, minFontSize: 14, fontFamily: null },
+  eraser: { mode: 'pixel' }
+};
+
+// 配置只加载一次
+let drawingSettingsPromise = null;
+
+// 每个视图最多保留的撤销步数
+const HISTORY_LIMIT = 50;
+
+// 双指轻点撤销：最长持续时间(ms)和最大移动距离(px)
+const TWO_FINGER_TAP_MAX_DURATION = 300;
+const TWO_FINGER_TAP_MAX_MOVE = 10;
+
+// 笔画剪贴板（可在左右面板、不同课程和不同标签页之间粘贴，不包含在数据备份中）
+const clipboardStore = persistence.namespace('drawingClipboard', {
+  label: '笔画剪贴板',
+  version: 1,
+  backup: false,
+  migrations: {
+    // v1: 旧版键 drawing_clipboard
+    1: ({ ns, legacy }) => {
+      const clipboard = legacy.take('drawing_clipboard');
+      if (clipboard && typeof clipboard === 'object') ns.set('strokes', clipboard);
+    }
+  }
+});
+
+// 其他标签页复制笔画后可以直接粘贴
+clipboardStore.subscribe(({ external }) => {
+  if (external) updateSelectionUI();
+});
+
+// 选区样式：虚线框颜色、右下角缩放手柄大小(px)
+const SELECTION_COLOR = '#3b82f6';
+const SELECTION_HANDLE_SIZE = 12;
+
+// 选区缩放下限、复制选区时的偏移(px)
+const MIN_SELECTION_SCALE = 0.1;
+const DUPLICATE_OFFSET = 20;
+
+// 笔画橡皮擦的命中半径(px)
+const STROKE_ERASER_RADIUS = 8;
+
+// 橡皮擦模式对应的工具：像素擦除 / 整条笔画擦除
+const ERASER_TOOLS = {
+  pixel: 'eraser',
+  stroke: 'stroke-eraser'
+};
+
+// PDF导出：内容截图倍率，页面按 A4 比例（高 = 宽 × √2）分页
+const PDF_EXPORT_SCALE = 2;
+const PDF_PAGE_RATIO = Math.SQRT2;
+
+// 实时协作：书写中笔画的发送间隔，以及面板变化合并发送的延迟(ms)
+const COLLAB_LIVE_INTERVAL = 80;
+const COLLAB_SYNC_DELAY = 100;
+
+/**
+ * 创建面板的笔画数据容器
+ * @param {Array} [layers] - 保留的图层（清除内容时沿用原有图层）
+ * @param {string} [activeLayerId] - 当前图层
+ * @returns {{strokes: Array, layers: Array, activeLayerId: string, background: Object|null, backgroundImage: HTMLImageElement|null}}
+ */
+function createPaneData(layers = [createDefaultLayer()], activeLayerId = layers[0].id) {
+  return {
+    strokes: [],           // 已完成的笔画
+    layers,                // 图层（自下而上），图层对象不原地修改
+    activeLayerId,         // 新笔画写入的图层
+    background: null,      // 旧版位图记录（作为最底层图层的底图）
+    backgroundImage: null, // 底图解码后的 Image
+    soloVisibility: null   // 单独显示图层前各图层的可见性（图层ID → visible），未单独显示时为 null
+  };
+}
+
+/**
+ * 创建空的选区状态
+ * @returns {{paneName: string|null, ids: Set<string>, lasso: Array|null, drag: Object|null}}
+ */
+function createSelectionState() {
+  return {
+    paneName: null,  // 选区所在面板
+    ids: new Set(),  // 选中的笔画 id
+    lasso: null,     // 正在绘制的套索路径
+    drag: null       // 拖动中的选区 { mode: 'move' | 'scale', start, bounds, originals, recorded }
+  };
+}
+
 // 全局画笔状态
 let drawingState = {
   isActive: false,
@@ -44,7 +196,62 @@ let drawingState = {
   tool: 'pen',
   color: '#ef4444',
   lineWidth: 4,
+  tiltShading: false,    // 倾斜笔锋（笔身倾斜时变宽变淡）
+  shapeRecognition: false, // 形状识别（手绘图形吸附为规整形状）
+  eraserMode: 'pixel',     // 偏好的橡皮擦（长按切换时使用）'pixel' | 'stroke'
+  settings: DEFAULT_DRAWING_CONFIG, // 绘图配置（config/drawing.json）
+  // ✨ 形状/荧光笔拖动预览：起笔时缓存画布，移动时只恢复变化区域
+  preview: null,         // { paneName, cache, dirty }
   autoSaveTimer: null,
+  // ✨ 矢量笔画数据（按面板存储，绑定到当前面板的 viewType）
+  panes: {
+    left: createPaneData(),
+    right: createPaneData()
+  },
+  // ✨ 教师发布的共享图层（只读，绘制在本人涂鸦下方，不写入本人的记录）
+  shared: {
+    left: null,          // { lessonId, viewType, record, own, visible }
+    right: null
+  },
+  // ✨ 实时协作：其他客户端书写中的笔画，以及按视图记录的已同步内容（用于计算增量）
+  // 其他用户的笔画只显示在本人涂鸦下方，不合并、不保存；同一用户的其他设备的修改合并到本人的涂鸦
+  collab: {
+    connected: false,
+    live: new Map(),     // clientId -> { viewType, stroke }
+    synced: new Map(),   // viewType -> { strokes: Map(id -> stroke), layers: JSON }
+    remote: new Map(),   // viewType -> Map(userId -> { strokes, layers })
+    pending: [],         // 本页书写期间收到的面板变化，抬笔后合并
+    liveTimer: null,
+    syncTimer: null
+  },
+  currentStroke: null,   // 正在绘制的笔画
+  liveRedraw: false,     // 多图层时像素橡皮擦整体重绘，避免擦到其他图层
+  strokeErase: null,     // 笔画橡皮擦拖动状态 { paneName, last, recorded }
+  // ✨ 课堂回放：按时间线重现两侧笔画
+  playback: null,        // { timeline, entries: Map(id -> entry), time, focus: { left, right } }
+  // ✨ 最近一次笔输入的压感/倾斜（鼠标事件本身不带压感，从 pointer 事件中获取）
+  penInput: {
+    pressure: null,
+    tilt: null,
+    time: 0
+  },
+  // ✨ 撤销/重做历史（按 lessonId + viewType 存储，视图切换后仍保留）
+  history: new Map(),    // key -> { undo: [快照], redo: [快照] }
+  lastPane: null,        // 最近绘制的面板（撤销/重做的默认目标）
+  // ✨ 套索选择（select 工具）
+  selection: createSelectionState(),
+  // ✨ 双指轻点检测状态
+  twoFingerTap: {
+    active: false,
+    startTime: 0,
+    startPoints: [],
+    moved: false
+  },
+  // ✨ 内容重排监听（笔画跟随锚点重新布局）
+  layoutObservers: {
+    left: null,
+    right: null
+  },
   // iframe滚动监听器引用（用于移除监听）
   leftIframeScrollHandler: null,
   rightIframeScrollHandler: null,
@@ -55,7 +262,8 @@ let drawingState = {
     mouseup: null,
     touchstart: null,
     touchmove: null,
-    touchend: null
+    touchend: null,
+    keydown: null
   },
   // ✨ Apple Pencil Pro 按钮状态
   barrelButton: {
@@ -91,10 +299,11 @@ let drawingState = {
 
 /**
  * 初始化全局画布
+ * 单栏笔记查看器（index.html）只有左侧面板，此时 rightView 传 null
  * @param {HTMLElement} contentWrapper - 内容区容器（包含左右面板）
  * @param {string} lessonId - 课程ID
  * @param {string} leftView - 左侧视图类型 ('notebook' | 'html' | 'questions')
- * @param {string} rightView - 右侧视图类型
+ * @param {string|null} rightView - 右侧视图类型
  */
 export function initGlobalCanvas(contentWrapper, lessonId, leftView, rightView) {
   // 先清理旧的事件监听
@@ -106,36 +315,55 @@ export function initGlobalCanvas(contentWrapper, lessonId, leftView, rightView)
   if (oldLeftCanvas) oldLeftCanvas.remove();
   if (oldRightCanvas) oldRightCanvas.remove();
 
-  // 获取左右面板
+  // 获取左右面板（单栏时没有右侧面板）
   const leftPane = contentWrapper.querySelector('.left-pane');
   const rightPane = contentWrapper.querySelector('.right-pane');
 
-  if (!leftPane || !rightPane) {
-    console.error('Left or right pane not found');
+  if (!leftPane) {
+    console.error('Left pane not found');
     return null;
   }
 
   // ⚠️ 关键：确保面板是定位上下文
   leftPane.style.position = 'relative';
-  rightPane.style.position = 'relative';
+  if (rightPane) {
+    rightPane.style.position = 'relative';
+  }
 
   // 创建左面板Canvas
   const leftCanvas = createPaneCanvas('left', lessonId);
   leftPane.appendChild(leftCanvas);
 
   // 创建右面板Canvas
-  const rightCanvas = createPaneCanvas('right', lessonId);
-  rightPane.appendChild(rightCanvas);
+  const rightCanvas = rightPane ? createPaneCanvas('right', lessonId) : null;
+  if (rightCanvas) {
+    rightPane.appendChild(rightCanvas);
+  }
 
   // 保存引用
   drawingState.leftCanvas = leftCanvas;
   drawingState.rightCanvas = rightCanvas;
   drawingState.leftCtx = leftCanvas.getContext('2d');
-  drawingState.rightCtx = rightCanvas.getContext('2d');
+  drawingState.rightCtx = rightCanvas ? rightCanvas.getContext('2d') : null;
   drawingState.container = contentWrapper;
+  // ⚠️ 取消上一次的自动保存，避免加载前把空白面板保存到新的课程
+  clearTimeout(drawingState.autoSaveTimer);
+  // 切换课程时丢弃上一课的撤销历史
+  if (drawingState.lessonId !== lessonId) {
+    drawingState.history.clear();
+    drawingState.lastPane = null;
+  }
   drawingState.lessonId = lessonId;
   drawingState.leftView = leftView;   // 保存视图类型
-  drawingState.rightView = rightView;
+  drawingState.rightView = rightPane ? rightView : null;
+  drawingState.panes = { left: createPaneData(), right: createPaneData() };
+  drawingState.shared = { left: null, right: null };
+  drawingState.currentStroke = null;
+  drawingState.selection = createSelectionState();
+  updateHistoryButtonsUI();
+  updateSelectionUI();
+  notifyLayersChange('left');
+  notifyLayersChange('right');
 
   // 设置画布大小
   updateCanvasSize(leftCanvas, leftPane);
@@ -143,18 +371,26 @@ export function initGlobalCanvas(contentWrapper, lessonId, leftView, rightView)
 
   // 监听窗口大小变化
   window.addEventListener('resize', () => {
-    updateCanvasSize(leftCanvas, leftPane);
-    updateCanvasSize(rightCanvas, rightPane);
+    refreshPaneLayout('left');
+    refreshPaneLayout('right');
   }, { passive: true });
 
+  // 监听内容重排（单元格渲染、分隔条拖动等），笔画随锚点移动
+  observePaneLayout('left', leftPane);
+  if (rightPane) {
+    observePaneLayout('right', rightPane);
+  }
+
   // 监听面板滚动（用于同步Canvas位置）
   leftPane.addEventListener('scroll', () => {
     syncCanvasScroll(leftCanvas, leftPane);
   }, { passive: true });
 
-  rightPane.addEventListener('scroll', () => {
-    syncCanvasScroll(rightCanvas, rightPane);
-  }, { passive: true });
+  if (rightPane) {
+    rightPane.addEventListener('scroll', () => {
+      syncCanvasScroll(rightCanvas, rightPane);
+    }, { passive: true });
+  }
 
   // ⚠️ 监听iframe内部滚动（可视化视图）
   // iframe可能还未加载，延迟检查并添加监听
@@ -191,33 +427,11 @@ function createPaneCanvas(paneName, lessonId) {
 
 /**
  * 更新Canvas大小以匹配面板
+ * 笔画以矢量形式保存，尺寸变化后直接重绘，无需复制位图
  */
 function updateCanvasSize(canvas, pane) {
   if (!canvas || !pane) return;
 
-  // 检查当前Canvas内容（避免在尺寸为0时调用getImageData）
-  const beforeCtx = canvas.getContext('2d');
-  let hadContentBefore = false;
-
-  if (canvas.width > 0 && canvas.height > 0) {
-    const beforeData = beforeCtx.getImageData(0, 0, Math.min(10, canvas.width), Math.min(10, canvas.height));
-    for (let i = 3; i < beforeData.data.length; i += 4) {
-      if (beforeData.data[i] > 0) {
-        hadContentBefore = true;
-        break;
-      }
-    }
-  }
-
-  console.log(`[CANVAS] 🔧 updateCanvasSize called, had content before: ${hadContentBefore}, current size: ${canvas.width}x${canvas.height}`);
-
-  // 保存当前画布内容
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = canvas.width;
-  tempCanvas.height = canvas.height;
-  const tempCtx = tempCanvas.getContext('2d');
-  tempCtx.drawImage(canvas, 0, 0);
-
   // Canvas高度 = 面板的scrollHeight（包括滚动区域）
   const canvasHeight = Math.max(pane.clientHeight, pane.scrollHeight);
 
@@ -237,43 +451,223 @@ function updateCanvasSize(canvas, pane) {
   const newWidth = pane.clientWidth * dpr;
   const newHeight = canvasHeight * dpr;
 
-  const ctx = canvas.getContext('2d');
-
-  // 如果尺寸变化，恢复内容
   if (canvas.width !== newWidth || canvas.height !== newHeight) {
     console.log(`[CANVAS] ⚠️ Size changed: ${canvas.width}x${canvas.height} → ${newWidth}x${newHeight}`);
 
     canvas.width = newWidth;
     canvas.height = newHeight;
 
+    const ctx = canvas.getContext('2d');
     ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.scale(dpr, dpr);
 
-    // 恢复画布内容
-    if (tempCanvas.width > 0 && tempCanvas.height > 0) {
-      ctx.drawImage(tempCanvas, 0, 0);
-      console.log(`[CANVAS] ✅ Content restored from ${tempCanvas.width}x${tempCanvas.height}`);
+    // 从矢量数据重绘
+    const paneName = getPaneNameOfCanvas(canvas);
+    if (paneName) {
+      redrawPane(paneName);
     }
+  }
+}
 
-    // 应用画笔设置
-    applyBrushSettings(ctx);
-  } else {
-    console.log(`[CANVAS] ℹ️ Size unchanged, no restoration needed`);
+/**
+ * 根据Canvas元素获取面板名称
+ * @param {HTMLCanvasElement} canvas
+ * @returns {'left'|'right'|null}
+ */
+function getPaneNameOfCanvas(canvas) {
+  if (canvas === drawingState.leftCanvas) return 'left';
+  if (canvas === drawingState.rightCanvas) return 'right';
+  return null;
+}
+
+/**
+ * 获取面板对应的 canvas / ctx
+ * @param {'left'|'right'} paneName
+ * @returns {{canvas: HTMLCanvasElement|null, ctx: CanvasRenderingContext2D|null}}
+ */
+function getPaneCanvas(paneName) {
+  return paneName === 'left'
+    ? { canvas: drawingState.leftCanvas, ctx: drawingState.leftCtx }
+    : { canvas: drawingState.rightCanvas, ctx: drawingState.rightCtx };
+}
+
+/**
+ * 从矢量数据重绘整个面板
+ * @param {'left'|'right'} paneName
+ */
+function redrawPane(paneName) {
+  const { canvas, ctx } = getPaneCanvas(paneName);
+  if (!canvas || !ctx) return;
+
+  const pane = drawingState.panes[paneName];
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+
+  // 正在绘制的笔画需要参与图层合成时一并绘制；回放时只绘制到当前时间为止的笔画
+  let strokes = drawingState.liveRedraw && drawingState.currentPane === paneName && drawingState.currentStroke
+    ? [...pane.strokes, drawingState.currentStroke]
+    : pane.strokes;
+  if (drawingState.playback) {
+    strokes = getPlaybackStrokes(paneName);
   }
 
-  // 验证恢复后的内容（避免在尺寸为0时调用getImageData）
-  let hasContentAfter = false;
-  if (canvas.width > 0 && canvas.height > 0) {
-    const afterData = ctx.getImageData(0, 0, Math.min(10, canvas.width), Math.min(10, canvas.height));
-    for (let i = 3; i < afterData.data.length; i += 4) {
-      if (afterData.data[i] > 0) {
-        hasContentAfter = true;
-        break;
-      }
+  // 共享图层和其他用户的笔画在下方，本人的图层离屏合成，橡皮擦不会擦到它们
+  const hasShared = drawSharedLayer(paneName, ctx);
+  const hasRemote = drawRemoteStrokes(paneName, ctx);
+
+  // 按图层合成：旧版底图属于最底层图层（橡皮擦笔画同样会擦除底图）
+  const drawBase = pane.backgroundImage
+    ? layerCtx => drawBackground(layerCtx, pane.backgroundImage, pane.background)
+    : null;
+  drawLayers(ctx, pane.layers, strokes, drawBase, hasShared || hasRemote);
+
+  // 套索和选区框只画在屏幕上，不写入笔画数据
+  drawSelectionOverlay(paneName, ctx);
+
+  // 其他客户端正在书写的笔画画在最上方
+  drawLiveStrokes(paneName, ctx);
+
+  // 恢复当前画笔设置
+  applyBrushSettings(ctx);
+}
+
+/**
+ * 绘制面板的共享图层（本人发布的图层不重复绘制）
+ * @param {'left'|'right'} paneName
+ * @param {CanvasRenderingContext2D} ctx
+ * @returns {boolean} 是否绘制了共享图层
+ */
+function drawSharedLayer(paneName, ctx) {
+  const shared = drawingState.shared[paneName];
+  if (!shared || shared.own || !shared.visible) return false;
+
+  drawLayers(ctx, shared.record.layers, shared.record.strokes, null, true);
+  return true;
+}
+
+/**
+ * 绘制房间中其他用户的笔画（每个用户的图层分别合成）
+ * @param {'left'|'right'} paneName
+ * @param {CanvasRenderingContext2D} ctx
+ * @returns {boolean} 是否绘制了其他用户的笔画
+ */
+function drawRemoteStrokes(paneName, ctx) {
+  const overlays = drawingState.collab.remote.get(getPaneViewType(paneName));
+  if (!overlays || overlays.size === 0) return false;
+
+  overlays.forEach(({ strokes, layers }) => drawLayers(ctx, layers, strokes, null, true));
+  return true;
+}
+
+/**
+ * 按锚点当前位置重新布局面板内的笔画
+ * @param {'left'|'right'} paneName
+ */
+function relayoutPane(paneName) {
+  // 绘制中不移动笔画，抬笔后的下一次重排会补上
+  if (drawingState.isDrawing && drawingState.currentPane === paneName) return;
+
+  const { canvas } = getPaneCanvas(paneName);
+  if (!canvas || !canvas.parentElement) return;
+
+  const pane = drawingState.panes[paneName];
+  const shared = drawingState.shared[paneName];
+  const sharedStrokes = shared && !shared.own ? shared.record.strokes : [];
+  const overlays = Array.from(drawingState.collab.remote.get(getPaneViewType(paneName))?.values() || []);
+  if (!pane.strokes.some(stroke => stroke.anchor) && !sharedStrokes.some(stroke => stroke.anchor) &&
+    !overlays.some(overlay => overlay.strokes.some(stroke => stroke.anchor))) return;
+
+  const anchors = measureAnchors(canvas.parentElement, canvas);
+  const { strokes, changed } = relayoutStrokes(pane.strokes, anchors);
+  const sharedLayout = relayoutStrokes(sharedStrokes, anchors);
+  let remoteChanged = false;
+  if (changed) {
+    pane.strokes = strokes;
+  }
+  if (sharedLayout.changed) {
+    shared.record = { ...shared.record, strokes: sharedLayout.strokes };
+  }
+  overlays.forEach((overlay) => {
+    const layout = relayoutStrokes(overlay.strokes, anchors);
+    if (layout.changed) {
+      overlay.strokes = layout.strokes;
+      remoteChanged = true;
     }
-    console.log(`[CANVAS] 🔍 After updateCanvasSize, has content: ${hasContentAfter}`);
-  } else {
-    console.log(`[CANVAS] ⚠️ Canvas size is 0, skipping content verification`);
+  });
+  if (changed || sharedLayout.changed || remoteChanged) {
+    redrawPane(paneName);
+  }
+}
+
+/**
+ * 更新画布尺寸并重新布局笔画
+ * @param {'left'|'right'} paneName
+ */
+function refreshPaneLayout(paneName) {
+  const { canvas } = getPaneCanvas(paneName);
+  if (!canvas || !canvas.parentElement) return;
+
+  updateCanvasSize(canvas, canvas.parentElement);
+  relayoutPane(paneName);
+}
+
+/**
+ * 监听面板及其内容的尺寸变化
+ * 内容区被替换（视图切换、异步渲染）时重新绑定监听
+ * @param {'left'|'right'} paneName
+ * @param {HTMLElement} paneEl - 面板元素
+ */
+function observePaneLayout(paneName, paneEl) {
+  disconnectPaneLayout(paneName);
+  if (typeof ResizeObserver === 'undefined') return;
+
+  let frame = null;
+  const schedule = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      refreshPaneLayout(paneName);
+    });
+  };
+
+  const resizeObserver = new ResizeObserver(schedule);
+  const observeChildren = () => {
+    resizeObserver.disconnect();
+    resizeObserver.observe(paneEl);
+    Array.from(paneEl.children).forEach((child) => {
+      if (child.tagName !== 'CANVAS') resizeObserver.observe(child);
+    });
+  };
+  observeChildren();
+
+  const mutationObserver = new MutationObserver(() => {
+    observeChildren();
+    schedule();
+  });
+  mutationObserver.observe(paneEl, { childList: true });
+
+  drawingState.layoutObservers[paneName] = {
+    disconnect() {
+      if (frame) cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      mutationObserver.disconnect();
+    }
+  };
+}
+
+/**
+ * 停止监听面板尺寸变化
+ * @param {'left'|'right'} paneName
+ */
+function disconnectPaneLayout(paneName) {
+  const observer = drawingState.layoutObservers[paneName];
+  if (observer) {
+    observer.disconnect();
+    drawingState.layoutObservers[paneName] = null;
   }
 }
 
@@ -323,7 +717,7 @@ export function reinitializeCanvases() {
   const leftPane = container.querySelector('.left-pane');
   const rightPane = container.querySelector('.right-pane');
 
-  if (!leftPane || !rightPane) {
+  if (!leftPane) {
     console.warn('Panes not found for canvas reinitialization');
     return;
   }
@@ -332,12 +726,14 @@ export function reinitializeCanvases() {
   if (drawingState.leftCanvas) {
     updateCanvasSize(drawingState.leftCanvas, leftPane);
     syncCanvasScroll(drawingState.leftCanvas, leftPane);
+    observePaneLayout('left', leftPane);
   }
 
   // 重新计算并同步右侧Canvas
-  if (drawingState.rightCanvas) {
+  if (drawingState.rightCanvas && rightPane) {
     updateCanvasSize(drawingState.rightCanvas, rightPane);
     syncCanvasScroll(drawingState.rightCanvas, rightPane);
+    observePaneLayout('right', rightPane);
   }
 
   // ⚠️ 视图切换后，重新设置iframe滚动监听
@@ -357,7 +753,7 @@ function setupIframeScrollListeners() {
   const leftPane = container.querySelector('.left-pane');
   const rightPane = container.querySelector('.right-pane');
 
-  if (!leftPane || !rightPane) return;
+  if (!leftPane) return;
 
   // 检查左侧面板的iframe
   const leftIframe = leftPane.querySelector('iframe.html-content-iframe');
@@ -379,7 +775,7 @@ function setupIframeScrollListeners() {
   }
 
   // 检查右侧面板的iframe
-  const rightIframe = rightPane.querySelector('iframe.html-content-iframe');
+  const rightIframe = rightPane && rightPane.querySelector('iframe.html-content-iframe');
   if (rightIframe && rightIframe.contentWindow && drawingState.rightCanvas) {
     try {
       // 移除旧监听（如果存在）- 防止重复添加
@@ -411,13 +807,9 @@ function bindDrawingEvents() {
     if (!canvas || !ctx) return;
 
     e.preventDefault();
-    drawingState.isDrawing = true;
-    drawingState.currentPane = paneName;
 
     const coords = getCanvasCoordinates(e.clientX, e.clientY, canvas);
-    applyBrushSettings(ctx);
-    ctx.beginPath();
-    ctx.moveTo(coords.x, coords.y);
+    beginStroke(paneName, ctx, coords, getPenDynamics());
   };
 
   // 鼠标移动
@@ -429,8 +821,7 @@ function bindDrawingEvents() {
     const canvas = drawingState.currentPane === 'left' ? drawingState.leftCanvas : drawingState.rightCanvas;
 
     const coords = getCanvasCoordinates(e.clientX, e.clientY, canvas);
-    ctx.lineTo(coords.x, coords.y);
-    ctx.stroke();
+    extendStroke(ctx, coords, getPenDynamics());
   };
 
   // 鼠标抬起
@@ -444,6 +835,13 @@ function bindDrawingEvents() {
   drawingState.handlers.touchstart = (e) => {
     if (!drawingState.isActive) return;
 
+    // ✨ 双指轻点撤销：记录两根手指的起始位置（仅手指，排除 Apple Pencil）
+    if (e.touches.length === 2 && !Array.from(e.touches).some(isStylus)) {
+      startTwoFingerTap(e.touches);
+      return;
+    }
+    drawingState.twoFingerTap.active = false;
+
     // ⚠️ iPad优化：只处理单点触摸
     if (e.touches.length !== 1) return;
 
@@ -464,13 +862,8 @@ function bindDrawingEvents() {
       e.preventDefault();
       e.stopPropagation();
 
-      drawingState.isDrawing = true;
-      drawingState.currentPane = paneName;
-
       const coords = getCanvasCoordinates(touch.clientX, touch.clientY, canvas);
-      applyBrushSettings(ctx);
-      ctx.beginPath();
-      ctx.moveTo(coords.x, coords.y);
+      beginStroke(paneName, ctx, coords, getTouchDynamics(touch));
     } else {
       // 🖐️ 手指触摸：不处理绘制，允许滚动
       // 不调用 preventDefault()，让系统处理滚动
@@ -479,6 +872,11 @@ function bindDrawingEvents() {
   };
 
   drawingState.handlers.touchmove = (e) => {
+    // ✨ 双指移动（滚动/缩放）时取消轻点撤销
+    if (drawingState.twoFingerTap.active) {
+      checkTwoFingerTapMovement(e.touches);
+    }
+
     if (!drawingState.isActive || !drawingState.isDrawing) return;
 
     // ⚠️ 手掌防误触：检查触摸数量和类型
@@ -530,13 +928,13 @@ function bindDrawingEvents() {
     // 绘制所有触摸点（包括中间点）
     touchesToDraw.forEach((t) => {
       const coords = getCanvasCoordinates(t.clientX, t.clientY, canvas);
-      ctx.lineTo(coords.x, coords.y);
-      ctx.stroke();
+      extendStroke(ctx, coords, getTouchDynamics(t));
     });
 
     // 🎨 笔触连续性优化2：使用 predicted touches（预测触摸）
     // 基于当前运动预测未来的触摸位置，减少延迟感
-    if (typeof e.predictedTouchesForTouch === 'function') {
+    // 预测点只绘制不记录，笔画结束时从矢量数据重绘会将其清除
+    if (drawingState.currentStroke && !drawingState.liveRedraw && typeof e.predictedTouchesForTouch === 'function') {
       try {
         const predictedTouches = e.predictedTouchesForTouch(touch);
         if (predictedTouches && predictedTouches.length > 0) {
@@ -546,7 +944,11 @@ function bindDrawingEvents() {
           // 使用更透明的样式绘制预测路径
           ctx.globalAlpha = 0.5;
 
-          // 绘制预测点
+          // 从最后一个真实采样点开始绘制预测点
+          const lastPoint = drawingState.currentStroke?.points.at(-1) ||
+            getCanvasCoordinates(touch.clientX, touch.clientY, canvas);
+          ctx.beginPath();
+          ctx.moveTo(lastPoint.x, lastPoint.y);
           Array.from(predictedTouches).forEach((t) => {
             const coords = getCanvasCoordinates(t.clientX, t.clientY, canvas);
             ctx.lineTo(coords.x, coords.y);
@@ -564,6 +966,11 @@ function bindDrawingEvents() {
   };
 
   drawingState.handlers.touchend = (e) => {
+    // ✨ 两根手指都抬起时判断是否为双指轻点
+    if (drawingState.twoFingerTap.active && e.touches.length === 0) {
+      finishTwoFingerTap();
+    }
+
     if (drawingState.isDrawing) {
       // 检查是否是 Apple Pencil 结束
       const touch = e.changedTouches?.[0];
@@ -579,7 +986,51 @@ function bindDrawingEvents() {
     }
   };
 
+  // 键盘快捷键：
+  // Ctrl/Cmd+Z 撤销，Ctrl/Cmd+Shift+Z 重做
+  // 选区：Ctrl/Cmd+C 复制，Ctrl/Cmd+D 复制一份，Delete/Backspace 删除，Esc 取消选择
+  // Ctrl/Cmd+V 粘贴笔画
+  drawingState.handlers.keydown = (e) => {
+    if (!drawingState.isActive) return;
+
+    // 不拦截输入框内的快捷键
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    let handled = false;
+
+    if (e.ctrlKey || e.metaKey) {
+      if (key === 'z') {
+        handled = true;
+        if (e.shiftKey) {
+          redoDrawing();
+        } else {
+          undoDrawing();
+        }
+      } else if (key === 'c') {
+        handled = copySelection();
+      } else if (key === 'd') {
+        handled = duplicateSelection();
+      } else if (key === 'v') {
+        handled = pasteDrawing();
+      }
+    } else if (key === 'delete' || key === 'backspace') {
+      handled = deleteSelection();
+    } else if (key === 'escape' && hasSelection()) {
+      clearSelection();
+      handled = true;
+    }
+
+    if (handled) {
+      e.preventDefault();
+    }
+  };
+
   // 添加事件监听
+  document.addEventListener('keydown', drawingState.handlers.keydown);
   document.addEventListener('mousedown', drawingState.handlers.mousedown, true);
   document.addEventListener('mousemove', drawingState.handlers.mousemove);
   document.addEventListener('mouseup', drawingState.handlers.mouseup);
@@ -596,139 +1047,505 @@ function bindDrawingEvents() {
   // 用于检测 Apple Pencil 悬停状态（pressure === 0）
   document.addEventListener('pointermove', handlePointerMove, { passive: true });
   document.addEventListener('pointerleave', handlePointerLeave, true);
+
+  // 同步冲突时采用了服务器版本，重新加载对应面板
+  document.addEventListener('drawingremoteupdate', handleRemoteDrawingUpdate);
+  // 切换用户后加载该用户的涂鸦
+  document.addEventListener('drawinguserchange', handleUserChange);
+  // 实时协作：其他客户端的笔画和房间成员变化
+  document.addEventListener('drawingcollabmessage', handleCollabMessage);
+  document.addEventListener('drawingcollabchange', handleCollabChange);
 }
 
 /**
- * ✨ 启动长按检测（1秒切换工具）
- * @param {number} x - 起始X坐标
- * @param {number} y - 起始Y坐标
+ * 读取触摸点的压感和倾斜（Apple Pencil：force + altitudeAngle）
+ * @param {Touch} touch
+ * @returns {{pressure: number|null, tilt: number|null}}
  */
-function startLongPressDetection(x, y) {
-  const lp = drawingState.longPress;
-  lp.startX = x;
-  lp.startY = y;
-  lp.isActive = true;
-  lp.hasMoved = false;
-
-  // 清除旧的定时器
-  if (lp.timer) {
-    clearTimeout(lp.timer);
-  }
-
-  // 启动1秒定时器
-  lp.timer = setTimeout(() => {
-    // 1秒后检查是否仍在长按且没有移动
-    if (lp.isActive && !lp.hasMoved) {
-      // 切换工具
-      const newTool = drawingState.tool === 'pen' ? 'eraser' : 'pen';
-      setDrawingTool(newTool);
-
-      // 同步更新工具栏按钮状态
-      const penButton = document.querySelector('.tool-toggle-group .tool-button:nth-child(1)');
-      const eraserButton = document.querySelector('.tool-toggle-group .tool-button:nth-child(2)');
-      if (penButton && eraserButton) {
-        if (newTool === 'pen') {
-          penButton.classList.add('active');
-          eraserButton.classList.remove('active');
-        } else {
-          eraserButton.classList.add('active');
-          penButton.classList.remove('active');
-        }
-      }
-
-      // 显示提示
-      const text = newTool === 'pen' ? '✏️ 画笔' : '🧹 橡皮擦';
-      const color = newTool === 'pen' ? drawingState.color : '#64748b';
-      showToolToast(`${text}（长按1秒切换）`, color);
-      debugLog(`⏱️ 长按1秒切换 → ${text}`, 'success');
-
-      // 震动反馈（如果支持）
-      if (navigator.vibrate) {
-        navigator.vibrate(50);
-      }
-    }
-  }, 1000); // 1秒
+function getTouchDynamics(touch) {
+  const pressure = isStylus(touch) && touch.force > 0 ? touch.force : null;
+  // altitudeAngle：π/2 表示垂直于屏幕，0 表示平放
+  const tilt = typeof touch.altitudeAngle === 'number' && touch.touchType === 'stylus'
+    ? 1 - touch.altitudeAngle / (Math.PI / 2)
+    : null;
+  return { pressure, tilt };
 }
 
 /**
- * ✨ 检查长按移动距离
- * @param {number} x - 当前X坐标
- * @param {number} y - 当前Y坐标
+ * 读取 pointer 事件的压感和倾斜（Wacom / Pencil：pressure + tiltX/tiltY）
+ * @param {PointerEvent} e
+ * @returns {{pressure: number|null, tilt: number|null}}
  */
-function checkLongPressMovement(x, y) {
-  const lp = drawingState.longPress;
-  if (lp.isActive && !lp.hasMoved) {
-    const distance = Math.sqrt(
-      Math.pow(x - lp.startX, 2) +
-      Math.pow(y - lp.startY, 2)
-    );
+function getPointerDynamics(e) {
+  const pressure = e.pressure > 0 ? e.pressure : null;
+  const tilt = (e.tiltX || e.tiltY) ? Math.min(1, Math.hypot(e.tiltX, e.tiltY) / 90) : null;
+  return { pressure, tilt };
+}
 
-    // 移动超过10px，取消长按检测
-    if (distance > 10) {
-      lp.hasMoved = true;
-      debugLog('🚫 长按检测取消（移动距离过大）', 'info');
-    }
-  }
+/**
+ * 鼠标事件对应的笔输入（100ms 内的 pen pointer 事件视为同一次输入，普通鼠标返回 null）
+ * @returns {{pressure: number|null, tilt: number|null}|null}
+ */
+function getPenDynamics() {
+  const input = drawingState.penInput;
+  if (Date.now() - input.time > 100) return null;
+  return { pressure: input.pressure, tilt: input.tilt };
 }
 
 /**
- * ✨ 取消长按检测
+ * 记录 pen pointer 事件的压感/倾斜
+ * @param {PointerEvent} e
  */
-function cancelLongPressDetection() {
-  const lp = drawingState.longPress;
-  lp.isActive = false;
-  if (lp.timer) {
-    clearTimeout(lp.timer);
-    lp.timer = null;
-  }
+function recordPenInput(e) {
+  const { pressure, tilt } = getPointerDynamics(e);
+  drawingState.penInput.pressure = pressure;
+  drawingState.penInput.tilt = tilt;
+  drawingState.penInput.time = Date.now();
 }
 
 /**
- * ✨ Pointer Down - 检测 Apple Pencil Pro 按钮按下
+ * 开始一条新笔画
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {CanvasRenderingContext2D} ctx - 面板画布上下文
+ * @param {{x: number, y: number}} coords - 画布坐标
+ * @param {{pressure: number|null, tilt: number|null}|null} dynamics - 笔压/倾斜
  */
-function handlePointerDown(e) {
-  // 只处理 Apple Pencil (pen type)
-  if (e.pointerType !== 'pen') return;
-  if (!drawingState.isActive) return;
+function beginStroke(paneName, ctx, coords, dynamics = null) {
+  const tool = drawingState.tool;
 
-  // ✨ 启动长按检测（1秒切换工具）
-  startLongPressDetection(e.clientX, e.clientY);
+  // 当前图层隐藏或锁定时不能编辑
+  if (!isActiveLayerEditable(paneName)) {
+    showToolToast('🔒 当前图层已隐藏或锁定');
+    return;
+  }
 
-  // 检测 barrel button (侧边按钮)
-  // buttons 位掩码：
-  // - 1: 主按钮（笔尖接触）
-  // - 2: 次要按钮
-  // - 4: 辅助按钮
-  // - 32: Apple Pencil barrel button (第5个按钮)
-  const hasBarrelButton = (e.buttons & 32) !== 0;
+  // 文字工具：点击位置输入文字，不进入拖动绘制
+  if (tool === 'text') {
+    placeTextLabel(paneName, ctx, coords);
+    return;
+  }
 
-  if (hasBarrelButton && !drawingState.barrelButton.pressed) {
-    // 按钮刚刚按下
-    drawingState.barrelButton.pressed = true;
-    drawingState.barrelButton.pressStartTime = Date.now();
-    drawingState.barrelButton.longPressTriggered = false;
+  // 套索选择：画套索，或拖动已有选区
+  if (tool === 'select') {
+    beginSelectionGesture(paneName, coords);
+    return;
+  }
 
-    // 设置长按定时器（500ms）
-    drawingState.barrelButton.longPressTimer = setTimeout(() => {
-      handleBarrelButtonLongPress();
-    }, 500);
+  // 笔画橡皮擦：删除碰到的整条笔画
+  if (tool === 'stroke-eraser') {
+    beginStrokeErase(paneName, coords);
+    return;
+  }
 
-    debugLog('✋ 按钮按下', 'info');
-    updateDebugPanel();
+  const isShape = SHAPE_TOOLS.includes(tool);
+  const isHighlighter = tool === 'highlighter';
+  const highlighter = drawingState.settings.highlighter;
+
+  drawingState.isDrawing = true;
+  drawingState.currentPane = paneName;
+  drawingState.lastPane = paneName;
+  drawingState.currentStroke = createStroke({
+    tool,
+    color: drawingState.color,
+    width: isHighlighter ? drawingState.lineWidth * highlighter.widthScale : drawingState.lineWidth,
+    tiltShading: drawingState.tiltShading && !isShape && tool !== 'eraser',
+    opacity: isHighlighter ? highlighter.opacity : null
+  });
+  drawingState.currentStroke.layerId = drawingState.panes[paneName].activeLayerId;
+  addStrokePoint(drawingState.currentStroke, coords.x, coords.y, isShape ? null : dynamics);
+
+  // 绑定到起笔位置最近的单元格/题目，内容重排后笔画随之移动
+  const canvas = ctx.canvas;
+  const anchor = findAnchorForPoint(measureAnchors(canvas.parentElement, canvas), coords.x, coords.y);
+  if (anchor) {
+    drawingState.currentStroke.anchor = anchor;
+  }
+
+  // 形状和荧光笔需要整体重绘预览，其余工具逐段绘制
+  if (isShape || isHighlighter) {
+    beginStrokePreview(paneName);
+    return;
+  }
+
+  // 多图层、有共享图层或其他用户的笔画时像素橡皮擦直接画在合成后的画布上会擦到其他图层，改为每次整体重绘
+  const shared = drawingState.shared[paneName];
+  const hasSharedLayer = !!shared && !shared.own && shared.visible;
+  const hasRemoteStrokes = drawingState.collab.remote.get(getPaneViewType(paneName))?.size > 0;
+  if (tool === 'eraser' && (drawingState.panes[paneName].layers.length > 1 || hasSharedLayer || hasRemoteStrokes)) {
+    drawingState.liveRedraw = true;
+    return;
   }
+
+  applyBrushSettings(ctx);
+  ctx.beginPath();
+  ctx.moveTo(coords.x, coords.y);
 }
 
 /**
- * ✨ Pointer Up - 检测 Apple Pencil Pro 按钮松开
+ * 向当前笔画追加一个点，并绘制已确定的平滑曲线段
+ * 最后半段在抬笔后由 redrawPane 补齐
+ * @param {CanvasRenderingContext2D} ctx - 面板画布上下文
+ * @param {{x: number, y: number}} coords - 画布坐标
+ * @param {{pressure: number|null, tilt: number|null}|null} dynamics - 笔压/倾斜
  */
-function handlePointerUp(e) {
-  // 只处理 Apple Pencil
-  if (e.pointerType !== 'pen') return;
+function extendStroke(ctx, coords, dynamics = null) {
+  if (isSelectionGestureActive()) {
+    updateSelectionGesture(coords);
+    return;
+  }
 
-  // ✨ 取消长按检测
-  cancelLongPressDetection();
+  if (drawingState.strokeErase) {
+    extendStrokeErase(coords);
+    return;
+  }
 
-  // 检查按钮是否松开
+  const stroke = drawingState.currentStroke;
+  if (!stroke) return;
+
+  broadcastLiveStroke();
+
+  if (SHAPE_TOOLS.includes(stroke.tool)) {
+    setShapeEndPoint(stroke, coords.x, coords.y);
+    renderStrokePreview(ctx, stroke);
+    return;
+  }
+
+  addStrokePoint(stroke, coords.x, coords.y, dynamics);
+
+  if (drawingState.preview) {
+    renderStrokePreview(ctx, stroke);
+    return;
+  }
+
+  if (drawingState.liveRedraw) {
+    redrawPane(drawingState.currentPane);
+    return;
+  }
+
+  const count = stroke.points.length;
+  if (count >= 3) {
+    drawStrokeSegment(ctx, stroke, count - 2);
+  }
+}
+
+/**
+ * 开始拖动预览：缓存当前画布内容
+ * @param {'left'|'right'} paneName - 面板名称
+ */
+function beginStrokePreview(paneName) {
+  const { canvas } = getPaneCanvas(paneName);
+  const cache = document.createElement('canvas');
+  cache.width = canvas.width;
+  cache.height = canvas.height;
+  cache.getContext('2d').drawImage(canvas, 0, 0);
+
+  drawingState.preview = { paneName, cache, dirty: null };
+}
+
+/**
+ * 重绘预览：恢复上一次预览覆盖的区域，再绘制整条笔画
+ * @param {CanvasRenderingContext2D} ctx - 面板画布上下文
+ * @param {Object} stroke - 正在绘制的笔画
+ */
+function renderStrokePreview(ctx, stroke) {
+  const preview = drawingState.preview;
+  if (!preview) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  const restoreRect = (rect) => {
+    const x = Math.max(0, Math.floor(rect.x * dpr));
+    const y = Math.max(0, Math.floor(rect.y * dpr));
+    const w = Math.min(ctx.canvas.width - x, Math.ceil(rect.width * dpr) + 2);
+    const h = Math.min(ctx.canvas.height - y, Math.ceil(rect.height * dpr) + 2);
+    if (w <= 0 || h <= 0) return;
+    ctx.clearRect(x, y, w, h);
+    ctx.drawImage(preview.cache, x, y, w, h, x, y, w, h);
+  };
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.globalAlpha = 1;
+  ctx.shadowBlur = 0;
+  if (preview.dirty) {
+    restoreRect(preview.dirty);
+  }
+  ctx.restore();
+
+  drawStroke(ctx, stroke);
+  preview.dirty = getStrokeBounds(stroke);
+}
+
+/**
+ * 结束拖动预览（之后由 redrawPane 重绘）
+ */
+function endStrokePreview() {
+  drawingState.preview = null;
+}
+
+/**
+ * 开始笔画擦除
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {{x: number, y: number}} coords - 画布坐标
+ */
+function beginStrokeErase(paneName, coords) {
+  drawingState.isDrawing = true;
+  drawingState.currentPane = paneName;
+  drawingState.lastPane = paneName;
+  drawingState.strokeErase = { paneName, last: null, recorded: false };
+  extendStrokeErase(coords);
+}
+
+/**
+ * 沿橡皮擦路径删除碰到的笔画
+ * 两次事件之间按半径插值采样，快速划过时也不会漏掉细线
+ * @param {{x: number, y: number}} coords - 画布坐标
+ */
+function extendStrokeErase(coords) {
+  const erase = drawingState.strokeErase;
+  const pane = drawingState.panes[erase.paneName];
+
+  const samples = [];
+  if (erase.last) {
+    const distance = Math.hypot(coords.x - erase.last.x, coords.y - erase.last.y);
+    const steps = Math.ceil(distance / STROKE_ERASER_RADIUS);
+    for (let i = 1; i <= steps; i++) {
+      samples.push({
+        x: erase.last.x + (coords.x - erase.last.x) * (i / steps),
+        y: erase.last.y + (coords.y - erase.last.y) * (i / steps)
+      });
+    }
+  } else {
+    samples.push(coords);
+  }
+  erase.last = { x: coords.x, y: coords.y };
+
+  // 只擦除当前图层；像素橡皮擦的笔画不可见，不参与命中
+  const hit = pane.strokes.filter(stroke =>
+    stroke.layerId === pane.activeLayerId &&
+    stroke.tool !== 'eraser' &&
+    samples.some(point => isStrokeHitByPoint(stroke, point, STROKE_ERASER_RADIUS))
+  );
+  if (hit.length === 0) return;
+
+  // 一次拖动只记录一步历史
+  if (!erase.recorded) {
+    recordHistory(erase.paneName);
+    erase.recorded = true;
+  }
+
+  pane.strokes = pane.strokes.filter(stroke => !hit.includes(stroke));
+  redrawPane(erase.paneName);
+}
+
+/**
+ * 结束笔画擦除
+ */
+function finishStrokeErase() {
+  const erase = drawingState.strokeErase;
+  drawingState.strokeErase = null;
+  if (erase.recorded) {
+    scheduleAutoSave();
+  }
+}
+
+/**
+ * 放置文字标注（使用当前颜色，字号随线宽变化）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {CanvasRenderingContext2D} ctx - 面板画布上下文
+ * @param {{x: number, y: number}} coords - 文字左上角
+ */
+function placeTextLabel(paneName, ctx, coords) {
+  const text = prompt('输入文字标注（可用 \\n 换行）');
+  if (!text || !text.trim()) return;
+
+  const textConfig = drawingState.settings.text;
+  const stroke = createTextStroke({
+    color: drawingState.color,
+    x: coords.x,
+    y: coords.y,
+    text: text.replace(/\\n/g, '\n'),
+    fontSize: Math.max(textConfig.minFontSize, drawingState.lineWidth * textConfig.fontScale),
+    fontFamily: textConfig.fontFamily || DEFAULT_FONT_FAMILY
+  });
+  stroke.layerId = drawingState.panes[paneName].activeLayerId;
+
+  const canvas = ctx.canvas;
+  const anchor = findAnchorForPoint(measureAnchors(canvas.parentElement, canvas), coords.x, coords.y);
+  if (anchor) {
+    stroke.anchor = anchor;
+  }
+
+  drawingState.lastPane = paneName;
+  recordHistory(paneName);
+  drawingState.panes[paneName].strokes.push(stroke);
+  redrawPane(paneName);
+  scheduleAutoSave();
+}
+
+/**
+ * ✨ 开始双指轻点检测
+ * @param {TouchList} touches - 当前的两个触摸点
+ */
+function startTwoFingerTap(touches) {
+  const tap = drawingState.twoFingerTap;
+  tap.active = true;
+  tap.startTime = Date.now();
+  tap.startPoints = Array.from(touches).map(t => ({ x: t.clientX, y: t.clientY }));
+  tap.moved = false;
+}
+
+/**
+ * ✨ 检测双指是否移动（移动则视为滚动/缩放，不触发撤销）
+ * @param {TouchList} touches - 当前触摸点
+ */
+function checkTwoFingerTapMovement(touches) {
+  const tap = drawingState.twoFingerTap;
+  Array.from(touches).forEach((t, i) => {
+    const start = tap.startPoints[i];
+    if (!start) return;
+    if (Math.hypot(t.clientX - start.x, t.clientY - start.y) > TWO_FINGER_TAP_MAX_MOVE) {
+      tap.moved = true;
+    }
+  });
+}
+
+/**
+ * ✨ 双指抬起：短时间且未移动则撤销手指下方面板的上一步
+ */
+function finishTwoFingerTap() {
+  const tap = drawingState.twoFingerTap;
+  tap.active = false;
+
+  if (tap.moved || Date.now() - tap.startTime > TWO_FINGER_TAP_MAX_DURATION) return;
+
+  const [a, b] = tap.startPoints;
+  const { paneName } = getCanvasAtPoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+  if (undoDrawing(paneName)) {
+    debugLog('↩️ 双指轻点撤销', 'info');
+  }
+}
+
+/**
+ * ✨ 启动长按检测（1秒切换工具）
+ * @param {number} x - 起始X坐标
+ * @param {number} y - 起始Y坐标
+ */
+function startLongPressDetection(x, y) {
+  const lp = drawingState.longPress;
+  lp.startX = x;
+  lp.startY = y;
+  lp.isActive = true;
+  lp.hasMoved = false;
+
+  // 清除旧的定时器
+  if (lp.timer) {
+    clearTimeout(lp.timer);
+  }
+
+  // 启动1秒定时器
+  lp.timer = setTimeout(() => {
+    // 1秒后检查是否仍在长按且没有移动
+    if (lp.isActive && !lp.hasMoved) {
+      // 切换工具（橡皮擦使用偏好的擦除模式）
+      const newTool = isEraserTool() ? 'pen' : getPreferredEraser();
+      setDrawingTool(newTool);
+
+      // 显示提示
+      const text = newTool === 'pen' ? '✏️ 画笔' : `🧹 ${getToolName(newTool)}`;
+      const color = newTool === 'pen' ? drawingState.color : '#64748b';
+      showToolToast(`${text}（长按1秒切换）`, color);
+      debugLog(`⏱️ 长按1秒切换 → ${text}`, 'success');
+
+      // 震动反馈（如果支持）
+      if (navigator.vibrate) {
+        navigator.vibrate(50);
+      }
+    }
+  }, 1000); // 1秒
+}
+
+/**
+ * ✨ 检查长按移动距离
+ * @param {number} x - 当前X坐标
+ * @param {number} y - 当前Y坐标
+ */
+function checkLongPressMovement(x, y) {
+  const lp = drawingState.longPress;
+  if (lp.isActive && !lp.hasMoved) {
+    const distance = Math.sqrt(
+      Math.pow(x - lp.startX, 2) +
+      Math.pow(y - lp.startY, 2)
+    );
+
+    // 移动超过10px，取消长按检测
+    if (distance > 10) {
+      lp.hasMoved = true;
+      debugLog('🚫 长按检测取消（移动距离过大）', 'info');
+    }
+  }
+}
+
+/**
+ * ✨ 取消长按检测
+ */
+function cancelLongPressDetection() {
+  const lp = drawingState.longPress;
+  lp.isActive = false;
+  if (lp.timer) {
+    clearTimeout(lp.timer);
+    lp.timer = null;
+  }
+}
+
+/**
+ * ✨ Pointer Down - 检测 Apple Pencil Pro 按钮按下
+ */
+function handlePointerDown(e) {
+  // 只处理 Apple Pencil (pen type)
+  if (e.pointerType !== 'pen') return;
+  if (!drawingState.isActive) return;
+
+  recordPenInput(e);
+
+  // ✨ 启动长按检测（1秒切换工具）
+  startLongPressDetection(e.clientX, e.clientY);
+
+  // 检测 barrel button (侧边按钮)
+  // buttons 位掩码：
+  // - 1: 主按钮（笔尖接触）
+  // - 2: 次要按钮
+  // - 4: 辅助按钮
+  // - 32: Apple Pencil barrel button (第5个按钮)
+  const hasBarrelButton = (e.buttons & 32) !== 0;
+
+  if (hasBarrelButton && !drawingState.barrelButton.pressed) {
+    // 按钮刚刚按下
+    drawingState.barrelButton.pressed = true;
+    drawingState.barrelButton.pressStartTime = Date.now();
+    drawingState.barrelButton.longPressTriggered = false;
+
+    // 设置长按定时器（500ms）
+    drawingState.barrelButton.longPressTimer = setTimeout(() => {
+      handleBarrelButtonLongPress();
+    }, 500);
+
+    debugLog('✋ 按钮按下', 'info');
+    updateDebugPanel();
+  }
+}
+
+/**
+ * ✨ Pointer Up - 检测 Apple Pencil Pro 按钮松开
+ */
+function handlePointerUp(e) {
+  // 只处理 Apple Pencil
+  if (e.pointerType !== 'pen') return;
+
+  // ✨ 取消长按检测
+  cancelLongPressDetection();
+
+  // 检查按钮是否松开
   const hasBarrelButton = (e.buttons & 32) !== 0;
 
   if (!hasBarrelButton && drawingState.barrelButton.pressed) {
@@ -787,8 +1604,17 @@ function isStylus(touch) {
 function handleBarrelButtonShortPress() {
   if (!drawingState.isActive) return;
 
+  // 橡皮擦状态下短按：在像素擦除和笔画擦除之间切换
+  if (isEraserTool()) {
+    const nextTool = drawingState.tool === ERASER_TOOLS.stroke ? ERASER_TOOLS.pixel : ERASER_TOOLS.stroke;
+    setDrawingTool(nextTool);
+    showToolToast(getToolName(nextTool), '#64748b');
+    debugLog(`🧹 短按切换 → ${getToolName(nextTool)}`, 'success');
+    return;
+  }
+
   // 切换到下一个预设颜色
-  const colors = PRESET_COLORS;
+  const colors = drawingState.settings.presetColors;
   drawingState.barrelButton.currentColorIndex =
     (drawingState.barrelButton.currentColorIndex + 1) % colors.length;
 
@@ -801,7 +1627,7 @@ function handleBarrelButtonShortPress() {
 }
 
 /**
- * ✨ Apple Pencil Pro 按钮处理：长按切换橡皮擦
+ * ✨ Apple Pencil Pro 按钮处理：长按切换橡皮擦（偏好的擦除模式）
  */
 function handleBarrelButtonLongPress() {
   if (!drawingState.isActive) return;
@@ -810,10 +1636,11 @@ function handleBarrelButtonLongPress() {
   drawingState.barrelButton.toolBeforePress = drawingState.tool;
 
   // 切换到橡皮擦
-  if (drawingState.tool !== 'eraser') {
-    setDrawingTool('eraser');
-    showToolToast('橡皮擦（长按中）', '#64748b');
-    debugLog('🧹 长按切换 → 橡皮擦', 'warning');
+  if (!isEraserTool()) {
+    const eraser = getPreferredEraser();
+    setDrawingTool(eraser);
+    showToolToast(`${getToolName(eraser)}（长按中）`, '#64748b');
+    debugLog(`🧹 长按切换 → ${getToolName(eraser)}`, 'warning');
   }
 
   drawingState.barrelButton.longPressTriggered = true;
@@ -834,8 +1661,8 @@ function handleBarrelButtonRelease() {
   // 如果触发了长按（橡皮擦模式），松开时恢复
   if (bb.longPressTriggered) {
     setDrawingTool(bb.toolBeforePress);
-    showToolToast('画笔', drawingState.color);
-    debugLog('✏️ 松开恢复 → 画笔', 'success');
+    showToolToast(getToolName(bb.toolBeforePress), drawingState.color);
+    debugLog(`✏️ 松开恢复 → ${getToolName(bb.toolBeforePress)}`, 'success');
   }
   // 如果是短按（没触发长按），说明是快速按下松开
   else if (bb.pressed && Date.now() - bb.pressStartTime < 500) {
@@ -898,6 +1725,8 @@ function handlePointerMove(e) {
   // 只处理 Apple Pencil
   if (e.pointerType !== 'pen') return;
 
+  recordPenInput(e);
+
   // ✨ 长按移动检测：如果移动超过10px，取消长按
   const lp = drawingState.longPress;
   if (lp.isActive && !lp.hasMoved) {
@@ -1138,11 +1967,11 @@ function updateDebugPanel() {
   }
 
   // 更新状态显示
-  const toolText = drawingState.tool === 'pen' ? '画笔' : '橡皮擦';
+  const toolText = getToolName(drawingState.tool);
   const toolEl = document.getElementById('debug-tool');
   if (toolEl) toolEl.textContent = toolText;
 
-  const colorName = PRESET_COLORS.find(c => c.value === drawingState.color)?.name || '自定义';
+  const colorName = drawingState.settings.presetColors.find(c => c.value === drawingState.color)?.name || '自定义';
   const colorDot = panel.querySelector('.debug-color-dot');
   const colorNameEl = document.getElementById('debug-color-name');
   if (colorDot) colorDot.style.backgroundColor = drawingState.color;
@@ -1234,7 +2063,9 @@ function removeDrawingEvents() {
     document.removeEventListener('touchstart', drawingState.handlers.touchstart);
     document.removeEventListener('touchmove', drawingState.handlers.touchmove);
     document.removeEventListener('touchend', drawingState.handlers.touchend);
+    document.removeEventListener('keydown', drawingState.handlers.keydown);
   }
+  drawingState.twoFingerTap.active = false;
 
   // ✨ 移除 Pointer Events 监听器
   document.removeEventListener('pointerdown', handlePointerDown);
@@ -1244,6 +2075,12 @@ function removeDrawingEvents() {
   document.removeEventListener('pointermove', handlePointerMove);
   document.removeEventListener('pointerleave', handlePointerLeave);
 
+  document.removeEventListener('drawingremoteupdate', handleRemoteDrawingUpdate);
+  document.removeEventListener('drawinguserchange', handleUserChange);
+  document.removeEventListener('drawingcollabmessage', handleCollabMessage);
+  document.removeEventListener('drawingcollabchange', handleCollabChange);
+  resetCollabState();
+
   // 清理 barrel button 状态
   const bb = drawingState.barrelButton;
   if (bb.longPressTimer) {
@@ -1299,6 +2136,18 @@ function getCanvasCoordinates(clientX, clientY, canvas) {
 function stopDrawing() {
   drawingState.isDrawing = false;
 
+  if (isSelectionGestureActive()) {
+    finishSelectionGesture();
+    applyPendingCollabChanges();
+    return;
+  }
+
+  if (drawingState.strokeErase) {
+    finishStrokeErase();
+    applyPendingCollabChanges();
+    return;
+  }
+
   // 关闭当前正在绘制的面板的路径
   if (drawingState.currentPane) {
     const ctx = drawingState.currentPane === 'left' ?
@@ -1306,11 +2155,60 @@ function stopDrawing() {
     ctx?.closePath();
   }
 
-  // ⚠️ 自动保存（debounce优化）
+  // 将完成的笔画写入矢量数据，并从数据重绘（清除预测点留下的痕迹）
+  let stroke = drawingState.currentStroke;
+  drawingState.currentStroke = null;
+  drawingState.liveRedraw = false;
+  endStrokePreview();
+  if (stroke && drawingState.currentPane) {
+    // ✨ 形状识别：手绘的直线/矩形/椭圆吸附为规整形状
+    if (stroke.tool === 'pen' && drawingState.shapeRecognition) {
+      const shape = recognizeShape(stroke, { tolerance: drawingState.settings.shapeRecognition.tolerance });
+      if (shape) {
+        stroke = shape;
+        debugLog(`📐 形状识别 → ${getToolName(shape.tool)}`, 'info');
+      }
+    }
+
+    if (isStrokeWorthKeeping(stroke)) {
+      recordHistory(drawingState.currentPane);
+      drawingState.panes[drawingState.currentPane].strokes.push(stroke);
+    } else {
+      // 丢弃的笔画不会出现在面板变化中，通知其他客户端移除书写中的笔画
+      broadcastLiveStroke(null);
+    }
+    redrawPane(drawingState.currentPane);
+  }
+
+  applyPendingCollabChanges();
+  scheduleAutoSave();
+}
+
+/**
+ * 笔画是否值得保存（过滤单点和拖动距离过小的形状）
+ * @param {Object} stroke
+ * @returns {boolean}
+ */
+function isStrokeWorthKeeping(stroke) {
+  if (stroke.points.length < 2) return false;
+  if (SHAPE_TOOLS.includes(stroke.tool)) {
+    const [a, b] = stroke.points;
+    return Math.hypot(b.x - a.x, b.y - a.y) >= 3;
+  }
+  return true;
+}
+
+/**
+ * ⚠️ 自动保存（debounce优化）
+ */
+function scheduleAutoSave() {
   clearTimeout(drawingState.autoSaveTimer);
   drawingState.autoSaveTimer = setTimeout(() => {
     saveDrawingData();
   }, 1000);
+
+  // 协作时面板变化很快发给其他客户端，不等待保存
+  scheduleCollabSync();
 }
 
 /**
@@ -1319,21 +2217,12 @@ function stopDrawing() {
  */
 function applyBrushSettings(ctx) {
   if (!ctx) return;
-  
-  if (drawingState.tool === 'eraser') {
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.strokeStyle = 'rgba(0,0,0,1)';
-    ctx.lineWidth = drawingState.lineWidth * 3;
-    ctx.shadowBlur = 0;
-  } else {
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.strokeStyle = drawingState.color;
-    ctx.lineWidth = drawingState.lineWidth;
-    ctx.shadowColor = drawingState.color + '4D';
-    ctx.shadowBlur = 2;
-  }
-  ctx.lineCap = 'round';
-  ctx.lineJoin = 'round';
+
+  applyStrokeStyle(ctx, {
+    tool: drawingState.tool,
+    color: drawingState.color,
+    width: drawingState.lineWidth
+  });
 }
 
 /**
@@ -1347,11 +2236,17 @@ export function toggleDrawingMode() {
   const rightCanvas = drawingState.rightCanvas;
   const container = drawingState.container;
 
+  // 开始绘制时退出回放，回到完整笔画
+  if (drawingState.isActive) {
+    stopPlayback();
+  }
+
   // ✨ 手动关闭时重置 hover 状态
   if (!drawingState.isActive) {
     drawingState.hover.autoActivated = false;
     cancelHoverActivation();
     cancelHoverDeactivation();
+    clearSelection();
     debugLog('🔴 手动关闭涂鸦模式，重置 Hover 状态', 'info');
   }
 
@@ -1375,7 +2270,7 @@ export function toggleDrawingMode() {
   // 在容器上设置光标
   if (container) {
     if (drawingState.isActive) {
-      container.style.cursor = drawingState.tool === 'eraser' ? 'cell' : 'crosshair';
+      container.style.cursor = getToolCursor(drawingState.tool);
     } else {
       container.style.cursor = '';
     }
@@ -1401,7 +2296,7 @@ function updateIframeMasks(isActive) {
   masks.forEach(mask => {
     if (isActive) {
       mask.classList.add('drawing-active');
-      mask.style.cursor = drawingState.tool === 'eraser' ? 'cell' : 'crosshair';
+      mask.style.cursor = getToolCursor(drawingState.tool);
       mask.style.pointerEvents = 'auto'; // 启用事件捕获
     } else {
       mask.classList.remove('drawing-active');
@@ -1432,10 +2327,18 @@ export function updateViewTypes(leftView, rightView) {
   drawingState.rightView = rightView;
   console.log(`[VIEW] View types updated: left=${leftView}, right=${rightView}`);
 
+  // 演示者切换视图时跟随者同步切换（见 DrawingCollabControl.js）
+  document.dispatchEvent(new CustomEvent('drawingviewchange', {
+    detail: { leftView, rightView }
+  }));
+
   // 注意：不在这里清空Canvas
   // loadCanvasData 会在加载前自动清空Canvas
   // 这样避免了"清空→加载(异步)→自动保存空白"的时序问题
 
+  // 历史按视图保存，切换后按钮状态随之变化
+  updateHistoryButtonsUI();
+
   // 加载新视图的涂鸦
   loadDrawingData();
 }
@@ -1446,39 +2349,941 @@ export function updateViewTypes(leftView, rightView) {
 export function clearDrawing() {
   // ⚠️ 关键：取消自动保存计时器，避免保存空白画布
   clearTimeout(drawingState.autoSaveTimer);
+  clearSelection();
 
-  // 清除左侧画布
-  if (drawingState.leftCanvas && drawingState.leftCtx) {
-    const leftCtx = drawingState.leftCtx;
-    const currentOp = leftCtx.globalCompositeOperation;
-    leftCtx.globalCompositeOperation = 'source-over';
-    leftCtx.clearRect(0, 0, drawingState.leftCanvas.width, drawingState.leftCanvas.height);
-    leftCtx.globalCompositeOperation = currentOp;
-  }
+  // 清空两侧的笔画和底图（记录历史，可撤销），图层保留
+  ['left', 'right'].forEach((paneName) => {
+    const pane = drawingState.panes[paneName];
+    if (pane.strokes.length > 0 || pane.background) {
+      recordHistory(paneName);
+    }
+    drawingState.panes[paneName] = createPaneData(pane.layers, pane.activeLayerId);
+    drawingState.panes[paneName].soloVisibility = pane.soloVisibility;
+    redrawPane(paneName);
+  });
+}
+
+/**
+ * 获取面板当前视图的历史记录
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {{undo: Array, redo: Array}|null}
+ */
+function getPaneHistory(paneName) {
+  const viewType = paneName === 'left' ? drawingState.leftView : drawingState.rightView;
+  if (!drawingState.lessonId || !viewType) return null;
 
-  // 清除右侧画布
-  if (drawingState.rightCanvas && drawingState.rightCtx) {
-    const rightCtx = drawingState.rightCtx;
-    const currentOp = rightCtx.globalCompositeOperation;
-    rightCtx.globalCompositeOperation = 'source-over';
-    rightCtx.clearRect(0, 0, drawingState.rightCanvas.width, drawingState.rightCanvas.height);
-    rightCtx.globalCompositeOperation = currentOp;
+  const key = `${drawingState.lessonId}_${viewType}`;
+  if (!drawingState.history.has(key)) {
+    drawingState.history.set(key, { undo: [], redo: [] });
   }
+  return drawingState.history.get(key);
 }
 
 /**
- * 设置工具类型
- * @param {string} tool - 'pen' | 'eraser'
+ * 生成面板快照（笔画和图层对象不原地修改，只需复制数组）
+ * @param {'left'|'right'} paneName - 面板名称
  */
-export function setDrawingTool(tool) {
-  drawingState.tool = tool;
-
-  const container = drawingState.container;
-  const cursor = tool === 'eraser' ? 'cell' : 'crosshair';
+function snapshotPane(paneName) {
+  const pane = drawingState.panes[paneName];
+  return {
+    strokes: pane.strokes.slice(),
+    layers: pane.layers.slice(),
+    activeLayerId: pane.activeLayerId,
+    background: pane.background,
+    backgroundImage: pane.backgroundImage
+  };
+}
 
-  if (container && drawingState.isActive) {
-    container.style.cursor = cursor;
-  }
+/**
+ * 恢复快照时保留图层的显示/锁定状态和当前图层（这些属于查看状态，不进入撤销历史）
+ * @param {Object} snapshot - 要恢复的快照
+ * @param {Object} current - 当前面板数据
+ * @returns {Object} 面板数据
+ */
+function restorePaneSnapshot(snapshot, current) {
+  const layers = snapshot.layers.map((layer) => {
+    const currentLayer = current.layers.find(l => l.id === layer.id);
+    return currentLayer
+      ? { ...layer, visible: currentLayer.visible, locked: currentLayer.locked }
+      : layer;
+  });
+  const activeLayerId = layers.some(layer => layer.id === current.activeLayerId)
+    ? current.activeLayerId
+    : snapshot.activeLayerId;
+  return { ...snapshot, layers, activeLayerId };
+}
+
+/**
+ * 在修改面板之前记录一步历史
+ * @param {'left'|'right'} paneName - 面板名称
+ */
+function recordHistory(paneName) {
+  const history = getPaneHistory(paneName);
+  if (!history) return;
+
+  history.undo.push(snapshotPane(paneName));
+  if (history.undo.length > HISTORY_LIMIT) {
+    history.undo.shift();
+  }
+  history.redo = [];
+  drawingState.lastPane = paneName;
+  updateHistoryButtonsUI();
+}
+
+/**
+ * 选择撤销/重做的目标面板：优先最近绘制的面板，其次另一侧有历史的面板
+ * @param {'undo'|'redo'} stackName - 历史栈名称
+ * @returns {'left'|'right'|null}
+ */
+function getHistoryTargetPane(stackName) {
+  const candidates = drawingState.lastPane === 'right' ? ['right', 'left'] : ['left', 'right'];
+  return candidates.find(paneName => getPaneHistory(paneName)?.[stackName].length > 0) || null;
+}
+
+/**
+ * 在两个历史栈之间移动一步
+ * @param {'left'|'right'|null} paneName - 面板名称
+ * @param {'undo'|'redo'} from - 取出快照的栈
+ * @param {'undo'|'redo'} to - 保存当前状态的栈
+ * @returns {boolean} 是否执行
+ */
+function stepHistory(paneName, from, to) {
+  if (drawingState.isDrawing) return false;
+
+  const targetPane = paneName || getHistoryTargetPane(from);
+  const history = targetPane && getPaneHistory(targetPane);
+  if (!history || history[from].length === 0) return false;
+
+  // 快照中的笔画可能与当前选区不一致，直接取消选择
+  if (drawingState.selection.paneName === targetPane) {
+    clearSelection();
+  }
+
+  history[to].push(snapshotPane(targetPane));
+  drawingState.panes[targetPane] = restorePaneSnapshot(history[from].pop(), drawingState.panes[targetPane]);
+  drawingState.lastPane = targetPane;
+  redrawPane(targetPane);
+  relayoutPane(targetPane);
+  notifyLayersChange(targetPane);
+
+  updateHistoryButtonsUI();
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 撤销上一步（笔画、擦除或清除）
+ * @param {'left'|'right'} [paneName] - 目标面板，默认最近绘制的面板
+ * @returns {boolean} 是否撤销成功
+ */
+export function undoDrawing(paneName) {
+  return stepHistory(paneName, 'undo', 'redo');
+}
+
+/**
+ * 重做上一步被撤销的操作
+ * @param {'left'|'right'} [paneName] - 目标面板，默认最近绘制的面板
+ * @returns {boolean} 是否重做成功
+ */
+export function redoDrawing(paneName) {
+  return stepHistory(paneName, 'redo', 'undo');
+}
+
+/**
+ * 更新撤销/重做按钮的可用状态
+ */
+function updateHistoryButtonsUI() {
+  const undoButton = document.querySelector('.undo-drawing-button');
+  const redoButton = document.querySelector('.redo-drawing-button');
+
+  if (undoButton) undoButton.disabled = !getHistoryTargetPane('undo');
+  if (redoButton) redoButton.disabled = !getHistoryTargetPane('redo');
+}
+
+/**
+ * 通知图层面板刷新（document 上的 drawinglayerschange 事件，detail.paneName 为面板名称）
+ * @param {'left'|'right'} paneName - 面板名称
+ */
+function notifyLayersChange(paneName) {
+  document.dispatchEvent(new CustomEvent('drawinglayerschange', { detail: { paneName } }));
+}
+
+/**
+ * 当前图层是否可编辑（可见且未锁定）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {boolean}
+ */
+function isActiveLayerEditable(paneName) {
+  const pane = drawingState.panes[paneName];
+  const layer = pane.layers.find(l => l.id === pane.activeLayerId);
+  return !!layer && layer.visible && !layer.locked;
+}
+
+/**
+ * 替换面板中的一个图层（图层对象不原地修改，撤销快照中的图层保持不变）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @param {Object} changes - 要修改的字段
+ * @returns {boolean} 图层是否存在
+ */
+function updateLayer(paneName, layerId, changes) {
+  const pane = drawingState.panes[paneName];
+  if (!pane.layers.some(layer => layer.id === layerId)) return false;
+
+  pane.layers = pane.layers.map(layer => layer.id === layerId ? { ...layer, ...changes } : layer);
+  return true;
+}
+
+/**
+ * 获取面板的图层列表（自下而上）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {Array<{id: string, name: string, visible: boolean, locked: boolean, active: boolean, strokeCount: number}>}
+ */
+export function getLayers(paneName) {
+  const pane = drawingState.panes[paneName];
+  return pane.layers.map(layer => ({
+    ...layer,
+    active: layer.id === pane.activeLayerId,
+    strokeCount: pane.strokes.filter(stroke => stroke.layerId === layer.id).length
+  }));
+}
+
+/**
+ * 新建图层（位于最上层）并设为当前图层
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} name - 图层名称
+ * @returns {string} 新图层ID
+ */
+export function addLayer(paneName, name) {
+  const pane = drawingState.panes[paneName];
+  const layer = createLayer(name || `图层 ${pane.layers.length + 1}`);
+
+  recordHistory(paneName);
+  pane.layers = [...pane.layers, layer];
+  pane.activeLayerId = layer.id;
+
+  notifyLayersChange(paneName);
+  scheduleAutoSave();
+  return layer.id;
+}
+
+/**
+ * 重命名图层
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @param {string} name - 新名称
+ */
+export function renameLayer(paneName, layerId, name) {
+  const pane = drawingState.panes[paneName];
+  if (!name || !name.trim() || !pane.layers.some(layer => layer.id === layerId)) return;
+
+  recordHistory(paneName);
+  updateLayer(paneName, layerId, { name: name.trim() });
+  notifyLayersChange(paneName);
+  scheduleAutoSave();
+}
+
+/**
+ * 删除图层及其笔画（至少保留一个图层；删除最底层时旧版底图一并删除）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @returns {boolean} 是否删除
+ */
+export function removeLayer(paneName, layerId) {
+  const pane = drawingState.panes[paneName];
+  const index = pane.layers.findIndex(layer => layer.id === layerId);
+  if (index === -1 || pane.layers.length <= 1) return false;
+
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  recordHistory(paneName);
+
+  pane.strokes = pane.strokes.filter(stroke => stroke.layerId !== layerId);
+  if (index === 0) {
+    pane.background = null;
+    pane.backgroundImage = null;
+  }
+  pane.layers = pane.layers.filter(layer => layer.id !== layerId);
+  if (pane.activeLayerId === layerId) {
+    pane.activeLayerId = pane.layers[Math.max(0, index - 1)].id;
+  }
+
+  redrawPane(paneName);
+  notifyLayersChange(paneName);
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 清除一个图层的内容，其他图层不受影响（最底层同时清除旧版底图）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ */
+export function clearLayer(paneName, layerId) {
+  const pane = drawingState.panes[paneName];
+  const isBottom = pane.layers[0]?.id === layerId;
+  const hasContent = pane.strokes.some(stroke => stroke.layerId === layerId) || (isBottom && pane.background);
+  if (!hasContent) return;
+
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  recordHistory(paneName);
+
+  pane.strokes = pane.strokes.filter(stroke => stroke.layerId !== layerId);
+  if (isBottom) {
+    pane.background = null;
+    pane.backgroundImage = null;
+  }
+
+  redrawPane(paneName);
+  notifyLayersChange(paneName);
+  scheduleAutoSave();
+}
+
+/**
+ * 设置当前图层（新笔画写入该图层，选择和擦除只作用于该图层）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ */
+export function setActiveLayer(paneName, layerId) {
+  const pane = drawingState.panes[paneName];
+  if (!pane.layers.some(layer => layer.id === layerId)) return;
+
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  pane.activeLayerId = layerId;
+  // 查看状态：不单独触发保存（避免产生历史版本），随下一次内容保存写入
+  notifyLayersChange(paneName);
+}
+
+/**
+ * 显示/隐藏图层
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @param {boolean} visible
+ */
+export function setLayerVisible(paneName, layerId, visible) {
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  if (updateLayer(paneName, layerId, { visible: !!visible })) {
+    // 手动切换可见性后退出单独显示，当前可见性即为要保存的状态
+    drawingState.panes[paneName].soloVisibility = null;
+    redrawPane(paneName);
+    notifyLayersChange(paneName);
+  }
+}
+
+/**
+ * 锁定/解锁图层（锁定后不能在该图层绘制、擦除或选择）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @param {boolean} locked
+ */
+export function setLayerLocked(paneName, layerId, locked) {
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  if (updateLayer(paneName, layerId, { locked: !!locked })) {
+    notifyLayersChange(paneName);
+  }
+}
+
+/**
+ * 只显示一个图层（逐层讲解），传 null 显示全部图层
+ * 单独显示只影响本地查看：保存的记录仍使用单独显示前的可见性
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string|null} layerId - 图层ID
+ */
+export function showOnlyLayer(paneName, layerId) {
+  const pane = drawingState.panes[paneName];
+  if (drawingState.selection.paneName === paneName) {
+    clearSelection();
+  }
+  if (layerId && !pane.soloVisibility) {
+    pane.soloVisibility = new Map(pane.layers.map(layer => [layer.id, layer.visible]));
+  } else if (!layerId) {
+    pane.soloVisibility = null;
+  }
+  pane.layers = pane.layers.map(layer => ({ ...layer, visible: !layerId || layer.id === layerId }));
+  redrawPane(paneName);
+  notifyLayersChange(paneName);
+}
+
+/**
+ * 获取要保存的图层列表：单独显示期间使用单独显示前的可见性
+ * @param {Object} paneData - 面板数据
+ * @returns {Array} 图层列表
+ */
+function getSavedLayers(paneData) {
+  const { layers, soloVisibility } = paneData;
+  if (!soloVisibility) return layers;
+  return layers.map(layer => (soloVisibility.has(layer.id)
+    ? { ...layer, visible: soloVisibility.get(layer.id) }
+    : layer));
+}
+
+/**
+ * 通知回放控制条回放状态变化
+ */
+function notifyPlaybackChange() {
+  document.dispatchEvent(new CustomEvent('drawingplaybackchange', {
+    detail: { active: !!drawingState.playback }
+  }));
+}
+
+/**
+ * 回放到当前时间为止的笔画（正在书写的笔画只截取已写出的部分）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {Array} 笔画列表
+ */
+function getPlaybackStrokes(paneName) {
+  const { entries, time } = drawingState.playback;
+  const strokes = [];
+  drawingState.panes[paneName].strokes.forEach((stroke) => {
+    const entry = entries.get(stroke.id);
+    const clipped = entry && clipStrokeAt(stroke, time - entry.start);
+    if (clipped) strokes.push(clipped);
+  });
+  return strokes;
+}
+
+/**
+ * 把面板滚动到最近开始书写的笔画（笔画已在可视区域内时不滚动）
+ * @param {'left'|'right'} paneName - 面板名称
+ */
+function scrollToPlaybackStroke(paneName) {
+  const playback = drawingState.playback;
+
+  let current = null;
+  for (const entry of playback.timeline) {
+    if (entry.start > playback.time) break;
+    if (entry.paneName === paneName) current = entry;
+  }
+  if (!current || playback.focus[paneName] === current.id) return;
+  playback.focus[paneName] = current.id;
+
+  const stroke = drawingState.panes[paneName].strokes.find(s => s.id === current.id);
+  const bounds = stroke && getStrokeBounds(stroke);
+  const { canvas } = getPaneCanvas(paneName);
+  const paneEl = canvas && canvas.parentElement;
+  if (!bounds || !paneEl) return;
+
+  // 可视化视图的内容在 iframe 内部滚动（与 syncCanvasScroll 一致）
+  let scroller = paneEl;
+  let scrolled = paneEl.scrollTop;
+  let base = 0;
+  const iframe = paneEl.querySelector('iframe.html-content-iframe');
+  if (iframe && iframe.contentWindow) {
+    try {
+      scrolled += iframe.contentWindow.scrollY || 0;
+      scroller = iframe.contentWindow;
+      base = paneEl.scrollTop;
+    } catch (e) {
+      // 跨域iframe无法访问，只滚动面板
+    }
+  }
+
+  if (bounds.y >= scrolled && bounds.y + bounds.height <= scrolled + paneEl.clientHeight) return;
+  scroller.scrollTo({ top: Math.max(0, bounds.y - base - paneEl.clientHeight / 3), behavior: 'smooth' });
+}
+
+/**
+ * 进入回放模式：关闭画笔，按笔画书写时间重现两侧涂鸦
+ * @returns {{duration: number, strokeCount: number}} 回放总时长（毫秒）和笔画数
+ */
+export function startPlayback() {
+  if (drawingState.isActive) {
+    toggleDrawingMode();
+    updateDrawingToolbarUI(false);
+  }
+  clearSelection();
+
+  const { entries, duration } = buildReplayTimeline({
+    left: drawingState.panes.left.strokes,
+    right: drawingState.panes.right.strokes
+  });
+  drawingState.playback = {
+    timeline: entries,
+    entries: new Map(entries.map(entry => [entry.id, entry])),
+    time: 0,
+    focus: { left: null, right: null }
+  };
+
+  redrawPane('left');
+  redrawPane('right');
+  notifyPlaybackChange();
+  console.log(`[PLAYBACK] ▶️ ${entries.length} strokes, ${Math.round(duration / 1000)}s`);
+
+  return { duration, strokeCount: entries.length };
+}
+
+/**
+ * 跳转到回放时间线上的某一时刻并重绘
+ * @param {number} time - 时间线上的毫秒数
+ */
+export function seekPlayback(time) {
+  const playback = drawingState.playback;
+  if (!playback) return;
+
+  playback.time = time;
+  ['left', 'right'].forEach((paneName) => {
+    redrawPane(paneName);
+    scrollToPlaybackStroke(paneName);
+  });
+}
+
+/**
+ * 退出回放模式，恢复显示全部笔画
+ */
+export function stopPlayback() {
+  if (!drawingState.playback) return;
+
+  drawingState.playback = null;
+  redrawPane('left');
+  redrawPane('right');
+  notifyPlaybackChange();
+}
+
+/**
+ * 是否处于回放模式
+ * @returns {boolean}
+ */
+export function isPlaybackActive() {
+  return !!drawingState.playback;
+}
+
+/**
+ * 是否有选中的笔画
+ * @returns {boolean}
+ */
+function hasSelection() {
+  const selection = drawingState.selection;
+  return !!selection.paneName && selection.ids.size > 0;
+}
+
+/**
+ * 获取选中的笔画（按绘制顺序）
+ * @returns {Array}
+ */
+function getSelectedStrokes() {
+  const selection = drawingState.selection;
+  if (!selection.paneName) return [];
+  return drawingState.panes[selection.paneName].strokes.filter(stroke => selection.ids.has(stroke.id));
+}
+
+/**
+ * 选区包围盒
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+function getSelectionBounds() {
+  return hasSelection() ? getStrokesBounds(getSelectedStrokes()) : null;
+}
+
+/**
+ * 坐标是否落在选区右下角的缩放手柄上（触控笔适当放宽）
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {{x: number, y: number}} coords
+ * @returns {boolean}
+ */
+function isOnScaleHandle(bounds, coords) {
+  const reach = SELECTION_HANDLE_SIZE;
+  return Math.abs(coords.x - (bounds.x + bounds.width)) <= reach &&
+    Math.abs(coords.y - (bounds.y + bounds.height)) <= reach;
+}
+
+/**
+ * 取消选择
+ */
+function clearSelection() {
+  const paneName = drawingState.selection.paneName;
+  drawingState.selection = createSelectionState();
+  if (paneName) {
+    redrawPane(paneName);
+  }
+  updateSelectionUI();
+}
+
+/**
+ * 选中指定笔画
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {Array} strokes - 要选中的笔画
+ */
+function selectStrokes(paneName, strokes) {
+  const previousPane = drawingState.selection.paneName;
+  drawingState.selection = createSelectionState();
+  if (previousPane && previousPane !== paneName) {
+    redrawPane(previousPane);
+  }
+
+  if (strokes.length > 0) {
+    drawingState.selection.paneName = paneName;
+    drawingState.selection.ids = new Set(strokes.map(stroke => stroke.id));
+  }
+  redrawPane(paneName);
+  updateSelectionUI();
+}
+
+/**
+ * 是否正在画套索或拖动选区
+ * @returns {boolean}
+ */
+function isSelectionGestureActive() {
+  const selection = drawingState.selection;
+  return !!(selection.lasso || selection.drag);
+}
+
+/**
+ * 开始选择手势：在选区内按下为移动，在缩放手柄上按下为缩放，否则开始画套索
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {{x: number, y: number}} coords - 画布坐标
+ */
+function beginSelectionGesture(paneName, coords) {
+  const selection = drawingState.selection;
+
+  drawingState.isDrawing = true;
+  drawingState.currentPane = paneName;
+  drawingState.lastPane = paneName;
+
+  const bounds = selection.paneName === paneName ? getSelectionBounds() : null;
+  if (bounds) {
+    let mode = null;
+    if (isOnScaleHandle(bounds, coords)) {
+      mode = 'scale';
+    } else if (coords.x >= bounds.x && coords.x <= bounds.x + bounds.width &&
+               coords.y >= bounds.y && coords.y <= bounds.y + bounds.height) {
+      mode = 'move';
+    }
+
+    if (mode) {
+      selection.drag = {
+        mode,
+        start: { x: coords.x, y: coords.y },
+        bounds,
+        originals: new Map(getSelectedStrokes().map(stroke => [stroke.id, stroke])),
+        recorded: false
+      };
+      return;
+    }
+  }
+
+  clearSelection();
+  drawingState.selection.paneName = paneName;
+  drawingState.selection.lasso = [{ x: coords.x, y: coords.y }];
+}
+
+/**
+ * 更新选择手势：延长套索，或按拖动距离移动/缩放选中的笔画
+ * 每次都从拖动开始时的原笔画计算，避免误差累积
+ * @param {{x: number, y: number}} coords - 画布坐标
+ */
+function updateSelectionGesture(coords) {
+  const selection = drawingState.selection;
+  const paneName = selection.paneName;
+
+  if (selection.lasso) {
+    selection.lasso.push({ x: coords.x, y: coords.y });
+    redrawPane(paneName);
+    return;
+  }
+
+  const drag = selection.drag;
+  const dx = coords.x - drag.start.x;
+  const dy = coords.y - drag.start.y;
+
+  // 第一次实际移动时才记录历史，单击选区不产生撤销步骤
+  if (!drag.recorded) {
+    if (Math.hypot(dx, dy) < 2) return;
+    recordHistory(paneName);
+    drag.recorded = true;
+  }
+
+  let transform;
+  if (drag.mode === 'move') {
+    transform = stroke => translateStroke(stroke, dx, dy);
+  } else {
+    const { x, y, width, height } = drag.bounds;
+    const scale = Math.max(MIN_SELECTION_SCALE, ((width + dx) / width + (height + dy) / height) / 2);
+    transform = stroke => scaleStroke(stroke, { x, y }, scale);
+  }
+
+  const pane = drawingState.panes[paneName];
+  pane.strokes = pane.strokes.map(stroke =>
+    drag.originals.has(stroke.id) ? transform(drag.originals.get(stroke.id)) : stroke
+  );
+  redrawPane(paneName);
+}
+
+/**
+ * 结束选择手势：套索闭合后选中笔画；移动/缩放后按新位置重新绑定锚点
+ */
+function finishSelectionGesture() {
+  const selection = drawingState.selection;
+  const paneName = selection.paneName;
+
+  if (selection.lasso) {
+    const lasso = selection.lasso;
+    selection.lasso = null;
+    // 只选择当前图层；橡皮擦笔画不参与选择（擦除效果留在原位）
+    const pane = drawingState.panes[paneName];
+    const strokes = pane.strokes.filter(stroke =>
+      stroke.layerId === pane.activeLayerId && stroke.tool !== 'eraser' && isStrokeInLasso(stroke, lasso)
+    );
+    selectStrokes(paneName, strokes);
+    debugLog(`🪢 套索选中 ${strokes.length} 条笔画`, 'info');
+    return;
+  }
+
+  const drag = selection.drag;
+  selection.drag = null;
+  if (drag.recorded) {
+    const pane = drawingState.panes[paneName];
+    pane.strokes = pane.strokes.map(stroke =>
+      selection.ids.has(stroke.id) ? anchorStroke(paneName, stroke) : stroke
+    );
+    redrawPane(paneName);
+    scheduleAutoSave();
+  }
+}
+
+/**
+ * 按笔画当前位置重新绑定锚点（移动、粘贴后调用）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {Object} stroke
+ * @returns {Object} 新笔画
+ */
+function anchorStroke(paneName, stroke) {
+  const { anchor: previousAnchor, ...rest } = stroke;
+  const { canvas } = getPaneCanvas(paneName);
+  if (!canvas || !canvas.parentElement) return stroke;
+
+  const first = stroke.points[0];
+  const anchor = findAnchorForPoint(measureAnchors(canvas.parentElement, canvas), first.x, first.y);
+  return anchor ? { ...rest, anchor } : rest;
+}
+
+/**
+ * 绘制套索路径和选区框（含右下角缩放手柄）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {CanvasRenderingContext2D} ctx - 面板画布上下文
+ */
+function drawSelectionOverlay(paneName, ctx) {
+  const selection = drawingState.selection;
+  if (selection.paneName !== paneName) return;
+
+  ctx.save();
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.globalAlpha = 1;
+  ctx.shadowBlur = 0;
+  ctx.strokeStyle = SELECTION_COLOR;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+
+  if (selection.lasso && selection.lasso.length > 1) {
+    ctx.beginPath();
+    ctx.moveTo(selection.lasso[0].x, selection.lasso[0].y);
+    selection.lasso.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    ctx.stroke();
+  }
+
+  const bounds = getSelectionBounds();
+  if (bounds) {
+    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+    const half = SELECTION_HANDLE_SIZE / 2;
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(bounds.x + bounds.width - half, bounds.y + bounds.height - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+    ctx.strokeRect(bounds.x + bounds.width - half, bounds.y + bounds.height - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * 更新选区操作按钮和粘贴按钮的状态
+ */
+function updateSelectionUI() {
+  const selectionGroup = document.querySelector('.selection-action-group');
+  const pasteButton = document.querySelector('.paste-drawing-button');
+
+  if (selectionGroup) selectionGroup.style.display = hasSelection() ? 'flex' : 'none';
+  if (pasteButton) pasteButton.disabled = !hasClipboardStrokes();
+}
+
+/**
+ * 删除选中的笔画
+ * @returns {boolean} 是否执行
+ */
+export function deleteSelection() {
+  if (!hasSelection() || drawingState.isDrawing) return false;
+
+  const { paneName, ids } = drawingState.selection;
+  recordHistory(paneName);
+  const pane = drawingState.panes[paneName];
+  pane.strokes = pane.strokes.filter(stroke => !ids.has(stroke.id));
+  clearSelection();
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 原地复制一份选中的笔画（向右下偏移），并选中副本
+ * @returns {boolean} 是否执行
+ */
+export function duplicateSelection() {
+  if (!hasSelection() || drawingState.isDrawing) return false;
+
+  const paneName = drawingState.selection.paneName;
+  const copies = getSelectedStrokes().map(stroke =>
+    anchorStroke(paneName, translateStroke(duplicateStroke(stroke), DUPLICATE_OFFSET, DUPLICATE_OFFSET))
+  );
+
+  recordHistory(paneName);
+  drawingState.panes[paneName].strokes.push(...copies);
+  selectStrokes(paneName, copies);
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 修改选中笔画的颜色
+ * @param {string} [color] - 新颜色，默认当前画笔颜色
+ * @returns {boolean} 是否执行
+ */
+export function recolorSelection(color = drawingState.color) {
+  if (!hasSelection() || drawingState.isDrawing) return false;
+
+  const { paneName, ids } = drawingState.selection;
+  recordHistory(paneName);
+  const pane = drawingState.panes[paneName];
+  pane.strokes = pane.strokes.map(stroke => ids.has(stroke.id) ? recolorStroke(stroke, color) : stroke);
+  redrawPane(paneName);
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 读取笔画剪贴板
+ * @returns {{version: string, strokes: Array}|null}
+ */
+function readClipboard() {
+  const data = clipboardStore.get('strokes');
+  return data && Array.isArray(data.strokes) && data.strokes.length > 0 ? data : null;
+}
+
+/**
+ * 剪贴板中是否有可粘贴的笔画
+ * @returns {boolean}
+ */
+export function hasClipboardStrokes() {
+  return !!readClipboard();
+}
+
+/**
+ * 复制选中的笔画到剪贴板（可粘贴到另一侧面板、其他课程或其他标签页）
+ * @returns {boolean} 是否执行
+ */
+export function copySelection() {
+  if (!hasSelection()) return false;
+
+  // 锚点只对来源视图有效，粘贴时按新位置重新绑定
+  const strokes = getSelectedStrokes().map(({ anchor, ...stroke }) => stroke);
+  try {
+    clipboardStore.set('strokes', {
+      version: DRAWING_SCHEMA_VERSION,
+      strokes,
+      copiedAt: Date.now()
+    });
+  } catch (error) {
+    console.error('[DRAW] ❌ Failed to copy strokes:', error);
+    showToolToast('复制失败：存储空间不足');
+    return false;
+  }
+
+  console.log(`[DRAW] 📋 Copied ${strokes.length} strokes`);
+  showToolToast(`已复制 ${strokes.length} 条笔画`);
+  updateSelectionUI();
+  return true;
+}
+
+/**
+ * 粘贴剪贴板中的笔画到面板当前可见区域的中央，并选中粘贴的笔画
+ * @param {'left'|'right'} [paneName] - 目标面板，默认当前选区或最近绘制的面板
+ * @returns {boolean} 是否执行
+ */
+export function pasteDrawing(paneName) {
+  if (drawingState.isDrawing) return false;
+
+  const clipboard = readClipboard();
+  if (!clipboard) return false;
+
+  const targetPane = paneName || drawingState.selection.paneName || drawingState.lastPane || 'left';
+  const { canvas } = getPaneCanvas(targetPane);
+  if (!canvas || !canvas.parentElement) return false;
+  if (!isActiveLayerEditable(targetPane)) {
+    showToolToast('🔒 当前图层已隐藏或锁定');
+    return false;
+  }
+
+  const paneRect = canvas.parentElement.getBoundingClientRect();
+  const canvasRect = canvas.getBoundingClientRect();
+  const centerX = paneRect.left + paneRect.width / 2 - canvasRect.left;
+  const centerY = paneRect.top + paneRect.height / 2 - canvasRect.top;
+
+  const bounds = getStrokesBounds(clipboard.strokes);
+  if (!bounds) return false;
+  const dx = centerX - (bounds.x + bounds.width / 2);
+  const dy = centerY - (bounds.y + bounds.height / 2);
+
+  const layerId = drawingState.panes[targetPane].activeLayerId;
+  const pasted = clipboard.strokes.map(stroke =>
+    anchorStroke(targetPane, { ...translateStroke(duplicateStroke(stroke), dx, dy), layerId })
+  );
+
+  recordHistory(targetPane);
+  drawingState.panes[targetPane].strokes.push(...pasted);
+
+  // 切换到选择工具，方便直接拖动到目标位置
+  if (drawingState.settings.tools.includes('select')) {
+    setDrawingTool('select');
+    selectStrokes(targetPane, pasted);
+  } else {
+    redrawPane(targetPane);
+  }
+
+  console.log(`[DRAW] 📋 Pasted ${pasted.length} strokes into ${targetPane} pane`);
+  scheduleAutoSave();
+  return true;
+}
+
+/**
+ * 设置工具类型
+ * @param {string} tool - 'pen' | 'eraser'
+ */
+export function setDrawingTool(tool) {
+  drawingState.tool = tool;
+
+  // 离开选择工具时取消选择
+  if (tool !== 'select') {
+    clearSelection();
+  }
+
+  // 记住最近使用的橡皮擦模式
+  const eraserMode = Object.keys(ERASER_TOOLS).find(mode => ERASER_TOOLS[mode] === tool);
+  if (eraserMode) {
+    drawingState.eraserMode = eraserMode;
+  }
+
+  const container = drawingState.container;
+  const cursor = getToolCursor(tool);
+
+  if (container && drawingState.isActive) {
+    container.style.cursor = cursor;
+  }
 
   // 同步更新 iframe 遮罩层的光标
   if (drawingState.isActive) {
@@ -1495,6 +3300,116 @@ export function setDrawingTool(tool) {
   if (drawingState.rightCtx) {
     applyBrushSettings(drawingState.rightCtx);
   }
+
+  // 同步工具栏按钮状态
+  updateToolButtonsUI();
+}
+
+/**
+ * 是否为橡皮擦工具（像素或笔画）
+ * @param {string} [tool] - 默认当前工具
+ * @returns {boolean}
+ */
+export function isEraserTool(tool = drawingState.tool) {
+  return Object.values(ERASER_TOOLS).includes(tool);
+}
+
+/**
+ * 偏好的橡皮擦工具（配置中未启用时退回另一种）
+ * @returns {string}
+ */
+function getPreferredEraser() {
+  const preferred = ERASER_TOOLS[drawingState.eraserMode] || ERASER_TOOLS.pixel;
+  const tools = drawingState.settings.tools;
+  if (tools.includes(preferred)) return preferred;
+  return Object.values(ERASER_TOOLS).find(tool => tools.includes(tool)) || ERASER_TOOLS.pixel;
+}
+
+/**
+ * 工具名称
+ * @param {string} tool
+ * @returns {string}
+ */
+function getToolName(tool) {
+  return DRAWING_TOOLS.find(t => t.id === tool)?.name || tool;
+}
+
+/**
+ * 工具对应的光标
+ * @param {string} tool
+ * @returns {string}
+ */
+function getToolCursor(tool) {
+  return DRAWING_TOOLS.find(t => t.id === tool)?.cursor || 'crosshair';
+}
+
+/**
+ * 更新工具栏中工具按钮的选中状态（按钮通过 data-tool 标识）
+ */
+function updateToolButtonsUI() {
+  document.querySelectorAll('.tool-button[data-tool]').forEach((button) => {
+    button.classList.toggle('active', button.dataset.tool === drawingState.tool);
+  });
+}
+
+/**
+ * 获取配置中启用的工具
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getAvailableTools() {
+  return drawingState.settings.tools
+    .map(id => DRAWING_TOOLS.find(tool => tool.id === id))
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * 加载绘图配置（config/drawing.json），只加载一次
+ * 工具栏需要在加载完成后创建
+ * @returns {Promise<Object>} 绘图配置
+ */
+export function loadDrawingSettings() {
+  if (!drawingSettingsPromise) {
+    drawingSettingsPromise = (async () => {
+      try {
+        const loader = new window.ConfigLoader();
+        const config = await loader.loadDrawingConfig(DEFAULT_DRAWING_CONFIG);
+        drawingState.settings = {
+          ...config,
+          presetColors: config.presetColors.length > 0 ? config.presetColors : PRESET_COLORS,
+          lineWidths: config.lineWidths.length > 0 ? config.lineWidths : LINE_WIDTHS
+        };
+      } catch (error) {
+        console.warn('[DRAW] Failed to load drawing config, using defaults:', error.message);
+        drawingState.settings = DEFAULT_DRAWING_CONFIG;
+      }
+
+      const settings = drawingState.settings;
+      drawingState.color = settings.defaultColor;
+      drawingState.lineWidth = settings.defaultLineWidth;
+      drawingState.tool = settings.tools.includes(settings.defaultTool) ? settings.defaultTool : 'pen';
+      drawingState.shapeRecognition = !!settings.shapeRecognition.enabled;
+      drawingState.eraserMode = ERASER_TOOLS[settings.eraser.mode] ? settings.eraser.mode : 'pixel';
+      return settings;
+    })();
+  }
+  return drawingSettingsPromise;
+}
+
+/**
+ * 设置形状识别
+ * @param {boolean} enabled - 画笔笔迹是否自动吸附为直线/矩形/椭圆
+ */
+export function setShapeRecognition(enabled) {
+  drawingState.shapeRecognition = !!enabled;
+}
+
+/**
+ * 获取形状识别状态
+ * @returns {boolean}
+ */
+export function isShapeRecognitionEnabled() {
+  return drawingState.shapeRecognition;
 }
 
 /**
@@ -1513,7 +3428,7 @@ export function setDrawingColor(color) {
   drawingState.color = color;
 
   // ✨ 同步更新颜色索引（用于 Apple Pencil Pro 按钮切换）
-  const colorIndex = PRESET_COLORS.findIndex(c => c.value === color);
+  const colorIndex = drawingState.settings.presetColors.findIndex(c => c.value === color);
   if (colorIndex !== -1) {
     drawingState.barrelButton.currentColorIndex = colorIndex;
   }
@@ -1525,6 +3440,11 @@ export function setDrawingColor(color) {
   if (drawingState.rightCtx) {
     applyBrushSettings(drawingState.rightCtx);
   }
+
+  // 有选区时同时修改选中笔画的颜色
+  if (hasSelection()) {
+    recolorSelection(color);
+  }
 }
 
 /**
@@ -1558,12 +3478,28 @@ export function getLineWidth() {
   return drawingState.lineWidth;
 }
 
+/**
+ * 设置倾斜笔锋
+ * @param {boolean} enabled - 笔身倾斜时笔迹是否变宽变淡
+ */
+export function setTiltShading(enabled) {
+  drawingState.tiltShading = !!enabled;
+}
+
+/**
+ * 获取倾斜笔锋状态
+ * @returns {boolean}
+ */
+export function isTiltShadingEnabled() {
+  return drawingState.tiltShading;
+}
+
 /**
  * 获取预设颜色列表
  * @returns {Array}
  */
 export function getPresetColors() {
-  return PRESET_COLORS;
+  return drawingState.settings.presetColors;
 }
 
 /**
@@ -1571,94 +3507,147 @@ export function getPresetColors() {
  * @returns {Array}
  */
 export function getLineWidthOptions() {
-  return LINE_WIDTHS;
+  return drawingState.settings.lineWidths;
 }
 
 /**
  * 导出为PDF
+ * 每个面板截取完整内容（包括滚动区域外的部分），用矢量数据叠加涂鸦，再按 A4 比例分页
+ * @returns {Promise<boolean>} 是否导出成功
  */
 export async function exportToPDF() {
-  const canvas = drawingState.canvas;
-  const container = drawingState.container;
   const lessonId = drawingState.lessonId;
-  
-  if (!canvas || !container) {
+  const panes = ['left', 'right']
+    .map(paneName => ({ paneName, canvas: getPaneCanvas(paneName).canvas }))
+    .filter(({ canvas }) => canvas && canvas.parentElement);
+
+  if (panes.length === 0) {
     console.error('Canvas or container not available');
-    return;
+    return false;
   }
-  
+
+  // 显示加载提示
+  const loadingOverlay = document.createElement('div');
+  loadingOverlay.className = 'pdf-export-loading';
+  loadingOverlay.innerHTML = `
+    <div class="loading-content">
+      <div class="loading-spinner"></div>
+      <p>正在生成 PDF...</p>
+    </div>
+  `;
+  document.body.appendChild(loadingOverlay);
+
   try {
-    // 显示加载提示
-    const loadingOverlay = document.createElement('div');
-    loadingOverlay.className = 'pdf-export-loading';
-    loadingOverlay.innerHTML = `
-      <div class="loading-content">
-        <div class="loading-spinner"></div>
-        <p>正在生成 PDF...</p>
-      </div>
-    `;
-    document.body.appendChild(loadingOverlay);
-    
     // 动态加载库
     await loadExportLibraries();
-    
-    // 使用 html2canvas 截取内容区
-    const contentCanvas = await html2canvas(container, {
-      scale: 2,
+
+    const { jsPDF } = window.jspdf;
+    let pdf = null;
+    for (const { paneName, canvas } of panes) {
+      const paneImage = await renderPaneForExport(paneName, canvas);
+      pdf = addPdfPages(pdf, jsPDF, paneImage);
+    }
+
+    const fileName = `${lessonId || 'lesson'}_${formatDate(new Date())}.pdf`;
+    pdf.save(fileName);
+    console.log(`[EXPORT] ✅ PDF exported: ${fileName}`);
+    return true;
+  } catch (error) {
+    console.error('PDF export failed:', error);
+    alert('导出 PDF 失败: ' + error.message);
+    return false;
+  } finally {
+    loadingOverlay.remove();
+  }
+}
+
+/**
+ * 截取面板的完整内容并叠加该面板的涂鸦
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {HTMLCanvasElement} canvas - 面板画布
+ * @returns {Promise<HTMLCanvasElement>} 合成后的图像
+ */
+async function renderPaneForExport(paneName, canvas) {
+  const paneEl = canvas.parentElement;
+  const width = paneEl.clientWidth;
+  const height = Math.max(paneEl.clientHeight, paneEl.scrollHeight);
+
+  // 在 html2canvas 克隆的文档中展开面板，滚动区域外的内容也能截到
+  paneEl.dataset.pdfExportPane = paneName;
+  let contentCanvas;
+  try {
+    contentCanvas = await html2canvas(paneEl, {
+      scale: PDF_EXPORT_SCALE,
       useCORS: true,
       allowTaint: true,
       backgroundColor: '#ffffff',
+      width,
+      height,
+      windowHeight: height,
       ignoreElements: (element) => {
-        // 忽略画布本身，后面单独合并
+        // 忽略画布本身，后面用矢量数据重新绘制
         return element.classList.contains('global-drawing-canvas');
+      },
+      onclone: (clonedDoc) => {
+        const clonedPane = clonedDoc.querySelector(`[data-pdf-export-pane="${paneName}"]`);
+        if (clonedPane) {
+          clonedPane.style.height = `${height}px`;
+          clonedPane.style.overflow = 'visible';
+        }
       }
     });
-    
-    // 创建合并画布
-    const mergedCanvas = document.createElement('canvas');
-    mergedCanvas.width = contentCanvas.width;
-    mergedCanvas.height = contentCanvas.height;
-    const mergedCtx = mergedCanvas.getContext('2d');
-    
-    // 绘制内容
-    mergedCtx.drawImage(contentCanvas, 0, 0);
-    
-    // 绘制涂鸦层（按比例缩放）
-    const scaleX = contentCanvas.width / canvas.width;
-    const scaleY = contentCanvas.height / canvas.height;
-    mergedCtx.save();
-    mergedCtx.scale(scaleX, scaleY);
-    mergedCtx.drawImage(canvas, 0, 0);
-    mergedCtx.restore();
-    
-    // 创建 PDF
-    const { jsPDF } = window.jspdf;
-    const pdf = new jsPDF({
-      orientation: mergedCanvas.width > mergedCanvas.height ? 'landscape' : 'portrait',
-      unit: 'px',
-      format: [mergedCanvas.width, mergedCanvas.height]
-    });
-    
-    // 添加图像到 PDF
-    const imgData = mergedCanvas.toDataURL('image/jpeg', 0.95);
-    pdf.addImage(imgData, 'JPEG', 0, 0, mergedCanvas.width, mergedCanvas.height);
-    
-    // 保存 PDF
-    const fileName = `${lessonId || 'lesson'}_${formatDate(new Date())}.pdf`;
-    pdf.save(fileName);
-    
-    // 移除加载提示
-    document.body.removeChild(loadingOverlay);
-    
-  } catch (error) {
-    console.error('PDF export failed:', error);
-    alert('导出 PDF 失败: ' + error.message);
-    
-    const overlay = document.querySelector('.pdf-export-loading');
-    if (overlay) {
-      document.body.removeChild(overlay);
+  } finally {
+    delete paneEl.dataset.pdfExportPane;
+  }
+
+  // 涂鸦单独绘制后再合成，橡皮擦不会擦掉内容截图
+  const pane = drawingState.panes[paneName];
+  const inkCanvas = document.createElement('canvas');
+  inkCanvas.width = contentCanvas.width;
+  inkCanvas.height = contentCanvas.height;
+  const inkCtx = inkCanvas.getContext('2d');
+  inkCtx.scale(contentCanvas.width / width, contentCanvas.height / height);
+  const drawBase = pane.backgroundImage
+    ? layerCtx => drawBackground(layerCtx, pane.backgroundImage, pane.background)
+    : null;
+  const hasShared = drawSharedLayer(paneName, inkCtx);
+  drawLayers(inkCtx, pane.layers, pane.strokes, drawBase, hasShared);
+
+  contentCanvas.getContext('2d').drawImage(inkCanvas, 0, 0);
+  return contentCanvas;
+}
+
+/**
+ * 按 A4 比例把长图切成多页追加到 PDF
+ * @param {Object|null} pdf - 已创建的 jsPDF 实例，null 时新建
+ * @param {Function} JsPDF - jsPDF 构造函数
+ * @param {HTMLCanvasElement} image - 面板图像
+ * @returns {Object} jsPDF 实例
+ */
+function addPdfPages(pdf, JsPDF, image) {
+  const pageHeight = Math.round(image.width * PDF_PAGE_RATIO);
+
+  for (let top = 0; top < image.height; top += pageHeight) {
+    const sliceHeight = Math.min(pageHeight, image.height - top);
+    const slice = document.createElement('canvas');
+    slice.width = image.width;
+    slice.height = sliceHeight;
+    const sliceCtx = slice.getContext('2d');
+    sliceCtx.fillStyle = '#ffffff';
+    sliceCtx.fillRect(0, 0, slice.width, slice.height);
+    sliceCtx.drawImage(image, 0, top, image.width, sliceHeight, 0, 0, image.width, sliceHeight);
+
+    const format = [slice.width, slice.height];
+    const orientation = slice.width > slice.height ? 'landscape' : 'portrait';
+    if (pdf) {
+      pdf.addPage(format, orientation);
+    } else {
+      pdf = new JsPDF({ orientation, unit: 'px', format });
     }
+    pdf.addImage(slice.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, slice.width, slice.height);
   }
+
+  return pdf;
 }
 
 /**
@@ -1713,6 +3702,11 @@ function formatDate(date) {
 export function destroyCanvas() {
   // 移除事件监听
   removeDrawingEvents();
+  stopPlayback();
+
+  // 停止内容重排监听
+  disconnectPaneLayout('left');
+  disconnectPaneLayout('right');
 
   // 移除窗口事件监听
   if (drawingState.windowHandlers) {
@@ -1753,52 +3747,37 @@ export function destroyCanvas() {
   drawingState.container = null;
   drawingState.isActive = false;
   drawingState.isDrawing = false;
+  drawingState.selection = createSelectionState();
 }
 
 /**
- * 保存当前涂鸦到localStorage
+ * 保存当前涂鸦（服务器优先，同时写入本地存储）
+ * ⚠️ 两侧的记录在第一个 await 之前同步生成，
+ * 避免保存过程中视图切换导致笔画写入错误的 viewType
  * @returns {Promise<boolean>} 是否保存成功
  */
 export async function saveDrawingData() {
   const lessonId = drawingState.lessonId;
-  const leftView = drawingState.leftView;
-  const rightView = drawingState.rightView;
 
   if (!lessonId) {
     console.warn('LessonId not available for saving');
     return false;
   }
 
-  let allSuccess = true;
+  // 保存左侧画布（绑定到leftView内容类型），再保存右侧画布（绑定到rightView内容类型）
+  const records = [
+    buildPaneRecord('left', drawingState.leftCanvas, lessonId, drawingState.leftView),
+    buildPaneRecord('right', drawingState.rightCanvas, lessonId, drawingState.rightView)
+  ].filter(Boolean);
 
-  // 保存左侧画布（绑定到leftView内容类型）
-  if (drawingState.leftCanvas && drawingState.leftCtx && leftView) {
-    try {
-      const success = await saveCanvasData(
-        drawingState.leftCanvas,
-        drawingState.leftCtx,
-        lessonId,
-        leftView  // 移除pane参数，只传viewType
-      );
-      allSuccess = allSuccess && success;
-    } catch (error) {
-      console.error('Failed to save left canvas:', error);
-      allSuccess = false;
-    }
-  }
+  let allSuccess = true;
 
-  // 保存右侧画布（绑定到rightView内容类型）
-  if (drawingState.rightCanvas && drawingState.rightCtx && rightView) {
+  for (const record of records) {
     try {
-      const success = await saveCanvasData(
-        drawingState.rightCanvas,
-        drawingState.rightCtx,
-        lessonId,
-        rightView  // 移除pane参数，只传viewType
-      );
+      const success = await saveCanvasData(record);
       allSuccess = allSuccess && success;
     } catch (error) {
-      console.error('Failed to save right canvas:', error);
+      console.error(`Failed to save ${record.viewType} canvas:`, error);
       allSuccess = false;
     }
   }
@@ -1807,209 +3786,93 @@ export async function saveDrawingData() {
 }
 
 /**
- * ✨ 压缩画布数据
- * 优化策略：
- * 1. 创建临时画布，填充白色背景
- * 2. 绘制原始涂鸦内容
- * 3. 使用JPEG格式压缩（质量0.7）
- * 4. 限制最大分辨率（2400px）
- * @param {HTMLCanvasElement} canvas - 原始画布
- * @param {CanvasRenderingContext2D} ctx - 画布上下文
- * @returns {Object} 压缩结果对象
- */
-function compressCanvasData(canvas, ctx) {
-  const MAX_WIDTH = 2400; // 最大宽度限制
-  const JPEG_QUALITY = 0.7; // JPEG质量（0-1）
-
-  // 计算压缩后的尺寸
-  let targetWidth = canvas.width;
-  let targetHeight = canvas.height;
-
-  if (targetWidth > MAX_WIDTH) {
-    const scale = MAX_WIDTH / targetWidth;
-    targetWidth = MAX_WIDTH;
-    targetHeight = Math.round(targetHeight * scale);
-  }
-
-  // 创建临时画布用于压缩
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = targetWidth;
-  tempCanvas.height = targetHeight;
-  const tempCtx = tempCanvas.getContext('2d');
-
-  // 填充白色背景（JPEG不支持透明度）
-  tempCtx.fillStyle = '#FFFFFF';
-  tempCtx.fillRect(0, 0, targetWidth, targetHeight);
-
-  // 绘制原始内容（如果有缩放则自动缩放）
-  tempCtx.drawImage(canvas, 0, 0, targetWidth, targetHeight);
-
-  // 获取原始PNG大小（用于对比）
-  const originalDataURL = canvas.toDataURL('image/png');
-  const originalSize = originalDataURL.length;
-
-  // 转换为JPEG格式
-  const compressedDataURL = tempCanvas.toDataURL('image/jpeg', JPEG_QUALITY);
-  const compressedSize = compressedDataURL.length;
-
-  // 计算压缩率
-  const compressionRatio = Math.round((1 - compressedSize / originalSize) * 100);
-
-  return {
-    dataURL: compressedDataURL,
-    format: 'jpeg',
-    quality: JPEG_QUALITY,
-    originalSize: originalSize,
-    compressedSize: compressedSize,
-    compressionRatio: compressionRatio,
-    scaled: targetWidth !== canvas.width
-  };
-}
-
-/**
- * ✨ 获取LocalStorage使用情况
- * @returns {Object} 存储使用信息
+ * 根据面板当前的笔画生成涂鸦记录
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {HTMLCanvasElement} canvas - 画布元素
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ * @returns {Object|null} 涂鸦记录；画布或视图不存在时返回 null
  */
-function getStorageUsageInfo() {
-  try {
-    // 计算总使用量
-    let totalBytes = 0;
-    let drawingBytes = 0;
-
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      const value = localStorage.getItem(key);
-      const size = key.length + value.length;
-      totalBytes += size;
-
-      if (key.startsWith(STORAGE_KEY_PREFIX)) {
-        drawingBytes += size;
-      }
-    }
+function buildPaneRecord(paneName, canvas, lessonId, viewType) {
+  if (!canvas || !viewType) return null;
 
-    // 浏览器通常限制5-10MB，保守估计5MB
-    const quotaBytes = 5 * 1024 * 1024;
+  const paneData = drawingState.panes[paneName];
+  const dpr = window.devicePixelRatio || 1;
 
-    return {
-      usedMB: (totalBytes / 1024 / 1024).toFixed(2),
-      drawingMB: (drawingBytes / 1024 / 1024).toFixed(2),
-      quotaMB: (quotaBytes / 1024 / 1024).toFixed(0),
-      usagePercent: Math.round((totalBytes / quotaBytes) * 100)
-    };
-  } catch (error) {
-    console.error('[STORAGE] Failed to get usage info:', error);
-    return {
-      usedMB: 'N/A',
-      drawingMB: 'N/A',
-      quotaMB: '5',
-      usagePercent: 'N/A'
-    };
-  }
+  return createDrawingRecord({
+    lessonId,
+    viewType,
+    strokes: paneData.strokes,
+    layers: getSavedLayers(paneData),
+    activeLayerId: paneData.activeLayerId,
+    canvasWidth: canvas.width / dpr,
+    canvasHeight: canvas.height / dpr,
+    background: paneData.background,
+    revision: drawingAPI.getBaseRevision(lessonId, viewType)
+  });
 }
 
 /**
  * 保存单个画布的数据
  * ⚠️ 关键：涂鸦数据只绑定到viewType，不绑定到面板位置
  * 这样当视图在左右面板切换时，涂鸦会跟随内容
- * @param {HTMLCanvasElement} canvas - 画布元素
- * @param {CanvasRenderingContext2D} ctx - 画布上下文
- * @param {string} lessonId - 课程ID
- * @param {string} viewType - 视图类型 ('notebook' | 'html' | 'questions')
+ * @param {Object} drawingData - 由 buildPaneRecord 生成的涂鸦记录
  * @returns {Promise<boolean>} 是否保存成功
  */
-async function saveCanvasData(canvas, ctx, lessonId, viewType) {
-  try {
-    console.log(`[SAVE] Saving drawing for lesson ${lessonId}, view: ${viewType}`);
-
-    // 检查画布是否为空
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-
-    let hasContent = false;
-    for (let i = 3; i < pixels.length; i += 4) {
-      if (pixels[i] > 0) { // alpha通道不为0
-        hasContent = true;
-        break;
-      }
-    }
-
-    // ⚠️ 关键改动：存储键只包含 lessonId 和 viewType，移除 pane
-    // 这样涂鸦数据绑定到内容类型，不绑定到面板位置
-    const storageKey = `${STORAGE_KEY_PREFIX}${lessonId}_${viewType}`;
-
-    if (!hasContent) {
-      // 画布为空，清除存储
-
-      // 1. 尝试从服务器删除
-      try {
-        await drawingAPI.deleteDrawing(lessonId, viewType);
-        console.log(`[SAVE] 🗑️ Deleted empty drawing from server: ${lessonId}/${viewType}`);
-      } catch (error) {
-        console.warn('[SAVE] Failed to delete from server, fallback to localStorage only');
-      }
+async function saveCanvasData(drawingData) {
+  const { lessonId, viewType } = drawingData;
 
-      // 2. 从 localStorage 删除
-      localStorage.removeItem(storageKey);
-      console.log(`[SAVE] Empty canvas, removed saved data for ${lessonId}/${viewType}`);
+  try {
+    console.log(`[SAVE] Saving drawing for lesson ${lessonId}, view: ${viewType}`);
+
+    // ⚠️ 关键改动：存储键只包含 lessonId 和 viewType，移除 pane
+    // 这样涂鸦数据绑定到内容类型，不绑定到面板位置
+    if (isEmptyDrawingRecord(drawingData)) {
+      // 画布为空：先删除本地记录，再同步删除服务器记录（离线时进入发件箱稍后重试）
+      await drawingStorage.remove(lessonId, viewType);
+      const status = await drawingAPI.syncDelete(lessonId, viewType, drawingData.revision);
+      console.log(`[SAVE] 🗑️ Empty canvas, removed saved data for ${lessonId}/${viewType} (${status})`);
       return true;
     }
 
-    // ✨ 优化：压缩画布数据
-    const compressedData = compressCanvasData(canvas, ctx);
-
-    // 构造存储对象（移除pane字段）
-    const drawingData = {
-      version: '2.0',  // 版本升级到2.0（支持压缩）
-      lessonId: lessonId,
-      viewType: viewType,
-      timestamp: Date.now(),
-      canvasWidth: canvas.width,
-      canvasHeight: canvas.height,
-      imageData: compressedData.dataURL,
-      compressionInfo: {
-        format: compressedData.format,
-        quality: compressedData.quality,
-        originalSize: compressedData.originalSize,
-        compressedSize: compressedData.compressedSize,
-        compressionRatio: compressedData.compressionRatio
-      }
-    };
-
-    // ⚡ 新逻辑：优先保存到服务器
+    // 1. 先保存到本地（未同步），离线或服务器出错时涂鸦也不会丢失
+    let localError = null;
     try {
-      const result = await drawingAPI.saveDrawing(lessonId, viewType, drawingData);
-      if (result.success) {
-        console.log(`[SAVE] ✅ Saved to server: ${lessonId}/${viewType}`);
-        console.log(`[SAVE] 🗜️ Compression: ${compressedData.compressionRatio}% (${Math.round(compressedData.originalSize / 1024)}KB → ${Math.round(compressedData.compressedSize / 1024)}KB)`);
-
-        // 同时保存到 localStorage 作为本地缓存
-        localStorage.setItem(storageKey, JSON.stringify(drawingData));
-        console.log(`[SAVE] 💾 Cached to localStorage, size: ${Math.round(compressedData.compressedSize / 1024)}KB`);
-        return true;
-      }
+      const size = await drawingStorage.set(drawingData, { synced: false });
+      console.log(`[SAVE] 💾 Saved locally, size: ${Math.round(size / 1024)}KB`);
     } catch (error) {
-      console.warn(`[SAVE] Server unavailable, fallback to localStorage: ${error.message}`);
+      localError = error;
+      console.warn('[SAVE] Failed to save drawing locally:', error);
     }
 
-    // 降级：只保存到 localStorage
-    localStorage.setItem(storageKey, JSON.stringify(drawingData));
-    console.log(`[SAVE] ⚠️ Saved to localStorage only (server unavailable), size: ${Math.round(compressedData.compressedSize / 1024)}KB`);
-    console.log(`[SAVE] 🗜️ Compression: ${compressedData.compressionRatio}% (${Math.round(compressedData.originalSize / 1024)}KB → ${Math.round(compressedData.compressedSize / 1024)}KB)`);
+    // 2. 推送到服务器：失败时进入发件箱，服务器恢复后自动重试；版本冲突时由用户选择
+    const status = await drawingAPI.syncDrawing(drawingData);
+    if (status === 'synced') {
+      console.log(`[SAVE] ✅ Saved to server: ${lessonId}/${viewType}, ${drawingData.strokes.length} strokes`);
+      broadcastSaved(lessonId, viewType);
+    } else if (status === 'queued') {
+      // 本地也没保存成功时，发件箱中的操作没有可推送的数据
+      if (localError) throw localError;
+      console.log(`[SAVE] ⏳ Server unavailable, queued for sync: ${lessonId}/${viewType}`);
+    } else {
+      console.log(`[SAVE] ↩️ Kept server version of ${lessonId}/${viewType}`);
+    }
     return true;
 
   } catch (error) {
     console.error(`[SAVE] ❌ Failed to save canvas:`, error);
 
-    // 检查是否是配额超限错误
-    if (error.name === 'QuotaExceededError') {
-      const storageInfo = getStorageUsageInfo();
+    // 检查是否是配额超限错误（已同步到服务器的本地缓存已被自动淘汰）
+    if (isQuotaError(error)) {
+      const storageInfo = await drawingStorage.getUsage();
       const message = `存储空间不足，无法保存涂鸦\n\n` +
-        `当前LocalStorage使用: ${storageInfo.usedMB}MB / ${storageInfo.quotaMB}MB (${storageInfo.usagePercent}%)\n` +
+        `当前${storageInfo.backend}使用: ${storageInfo.usedMB}MB / ${storageInfo.quotaMB}MB (${storageInfo.usagePercent}%)\n` +
         `涂鸦数据占用: ${storageInfo.drawingMB}MB\n\n` +
+        `已同步到服务器的本地缓存已自动清理，剩余的都是尚未同步的涂鸦。\n` +
         `建议操作：\n` +
-        `1. 删除不需要的涂鸦（使用清除按钮）\n` +
-        `2. 清理浏览器缓存数据\n` +
-        `3. 涂鸦会自动保存到服务器，可删除本地缓存`;
+        `1. 删除不需要的涂鸦（使用清除按钮或涂鸦管理）\n` +
+        `2. 启动服务器，涂鸦同步后本地缓存即可释放\n` +
+        `3. 清理浏览器中其他网站的数据`;
       alert(message);
     }
 
@@ -2018,7 +3881,7 @@ async function saveCanvasData(canvas, ctx, lessonId, viewType) {
 }
 
 /**
- * 从localStorage加载涂鸦数据
+ * 加载涂鸦数据（服务器优先，降级到本地存储）
  * @returns {Promise<boolean>} 是否加载成功
  */
 export async function loadDrawingData() {
@@ -2033,10 +3896,10 @@ export async function loadDrawingData() {
     return false;
   }
 
-  // 调试：检查localStorage中的所有drawing keys
-  console.log('[LOAD] 🔍 localStorage中的所有drawing keys:');
-  Object.keys(localStorage).filter(k => k.startsWith(STORAGE_KEY_PREFIX)).forEach(k => {
-    console.log(`  - ${k}`);
+  // 调试：检查本地存储中的所有drawing keys
+  console.log('[LOAD] 🔍 本地存储中的所有drawing keys:');
+  (await drawingStorage.listMeta()).forEach(entry => {
+    console.log(`  - ${entry.key}${entry.synced ? '' : ' (未同步)'}`);
   });
 
   let allSuccess = true;
@@ -2044,12 +3907,7 @@ export async function loadDrawingData() {
   // 加载左侧画布（从leftView内容类型加载）
   if (drawingState.leftCanvas && drawingState.leftCtx && leftView) {
     console.log(`[LOAD] 🔄 Attempting to load LEFT canvas for viewType: ${leftView}`);
-    const success = await loadCanvasData(
-      drawingState.leftCanvas,
-      drawingState.leftCtx,
-      lessonId,
-      leftView  // 移除pane参数，只传viewType
-    );
+    const success = await loadCanvasData('left', lessonId, leftView);
     allSuccess = allSuccess && success;
   } else {
     console.log(`[LOAD] ⏭️ Skipping LEFT canvas: canvas=${!!drawingState.leftCanvas}, ctx=${!!drawingState.leftCtx}, view=${leftView}`);
@@ -2058,12 +3916,7 @@ export async function loadDrawingData() {
   // 加载右侧画布（从rightView内容类型加载）
   if (drawingState.rightCanvas && drawingState.rightCtx && rightView) {
     console.log(`[LOAD] 🔄 Attempting to load RIGHT canvas for viewType: ${rightView}`);
-    const success = await loadCanvasData(
-      drawingState.rightCanvas,
-      drawingState.rightCtx,
-      lessonId,
-      rightView  // 移除pane参数，只传viewType
-    );
+    const success = await loadCanvasData('right', lessonId, rightView);
     allSuccess = allSuccess && success;
   } else {
     console.log(`[LOAD] ⏭️ Skipping RIGHT canvas: canvas=${!!drawingState.rightCanvas}, ctx=${!!drawingState.rightCtx}, view=${rightView}`);
@@ -2074,75 +3927,88 @@ export async function loadDrawingData() {
 
 /**
  * 加载单个画布的数据
- * ⚠️ 关键：从viewType加载涂鸦数据到指定canvas
+ * ⚠️ 关键：从viewType加载涂鸦数据到指定面板
  * 无论内容显示在左侧还是右侧，都加载同样的涂鸦
- * @param {HTMLCanvasElement} canvas - 画布元素
- * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {'left'|'right'} paneName - 面板名称
  * @param {string} lessonId - 课程ID
  * @param {string} viewType - 视图类型 ('notebook' | 'html' | 'questions')
  * @returns {Promise<boolean>} 是否加载成功
  */
-async function loadCanvasData(canvas, ctx, lessonId, viewType) {
+async function loadCanvasData(paneName, lessonId, viewType) {
+  const { canvas } = getPaneCanvas(paneName);
+  if (!canvas) return false;
+
+  // 异步加载期间视图可能已切换，此时丢弃结果
+  const isStale = () => drawingState.lessonId !== lessonId ||
+    (paneName === 'left' ? drawingState.leftView : drawingState.rightView) !== viewType;
+
   try {
-    // ⚠️ 关键：先清空Canvas，避免旧内容残留
-    const currentOp = ctx.globalCompositeOperation;
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.globalCompositeOperation = currentOp;
+    // ⚠️ 关键：先清空面板数据，避免旧内容残留（回放时间线随之失效）
+    if (drawingState.selection.paneName === paneName) {
+      clearSelection();
+    }
+    stopPlayback();
+    drawingState.panes[paneName] = createPaneData();
+    redrawPane(paneName);
+    notifyLayersChange(paneName);
+
+    // 共享图层单独加载，本人没有涂鸦时也会显示
+    loadSharedLayer(paneName, lessonId, viewType);
 
     // 清空后先隐藏Canvas
     canvas.style.opacity = '0';
 
-    let drawingData = null;
+    let rawData = null;
 
-    // ⚡ 新逻辑：优先从服务器加载
-    try {
-      const serverData = await drawingAPI.getDrawing(lessonId, viewType);
-      if (serverData) {
-        console.log(`[LOAD] ✅ Loaded from server: ${lessonId}/${viewType}`);
-        drawingData = serverData;
-
-        // 更新本地缓存
-        const storageKey = `${STORAGE_KEY_PREFIX}${lessonId}_${viewType}`;
-        localStorage.setItem(storageKey, JSON.stringify(serverData));
-        console.log(`[LOAD] 💾 Cached to localStorage`);
+    // 有尚未推送的修改（离线保存或删除）时以本地为准，发件箱稍后推送到服务器
+    const pendingOperation = drawingAPI.getPendingOperation(lessonId, viewType);
+    if (pendingOperation) {
+      console.log(`[LOAD] ⏳ Pending ${pendingOperation.type} for ${lessonId}/${viewType}, using local storage`);
+    } else {
+      // ⚡ 新逻辑：优先从服务器加载
+      try {
+        const serverData = await drawingAPI.getDrawing(lessonId, viewType);
+        if (serverData) {
+          console.log(`[LOAD] ✅ Loaded from server: ${lessonId}/${viewType}`);
+          rawData = serverData;
+
+          // 更新本地缓存（缓存失败不影响显示）
+          drawingStorage.set(serverData, { synced: true })
+            .then(() => console.log(`[LOAD] 💾 Cached locally`))
+            .catch(cacheError => console.warn('[LOAD] Failed to cache drawing locally:', cacheError));
+        }
+      } catch (error) {
+        console.warn(`[LOAD] Server unavailable, fallback to local storage: ${error.message}`);
       }
-    } catch (error) {
-      console.warn(`[LOAD] Server unavailable, fallback to localStorage: ${error.message}`);
     }
 
-    // 降级：从 localStorage 加载
-    if (!drawingData) {
-      const storageKey = `${STORAGE_KEY_PREFIX}${lessonId}_${viewType}`;
-      console.log(`[LOAD] 🔑 Looking for key in localStorage: "${storageKey}"`);
+    // 降级：从本地存储加载
+    if (!rawData) {
+      console.log(`[LOAD] 🔑 Looking for ${lessonId}/${viewType} in local storage`);
 
-      const savedData = localStorage.getItem(storageKey);
-      console.log(`[LOAD] 📦 Data found: ${savedData !== null}, size: ${savedData ? Math.round(savedData.length / 1024) + 'KB' : 'N/A'}`);
+      const savedData = await drawingStorage.get(lessonId, viewType);
+      console.log(`[LOAD] 📦 Data found: ${savedData !== null}`);
 
       if (!savedData) {
         console.log(`[LOAD] No saved drawing for ${lessonId}/${viewType}`);
-        // ⚠️ 关键修复：没有数据时，清除内联opacity样式，让CSS类控制可见性
-        canvas.style.opacity = '';  // 清除内联样式
+        // ⚠️ 关键修复：没有数据时，清除内联opacity样式，让CSS类控制可见性（已加载共享图层时保持显示）
+        canvas.style.opacity = drawingState.shared[paneName] ? '1' : '';
+        if (!isStale()) requestPaneSync(paneName);
         return false;
       }
 
-      drawingData = JSON.parse(savedData);
-      console.log(`[LOAD] ⚠️ Loaded from localStorage only (server unavailable)`);
+      rawData = savedData;
+      drawingAPI.rememberRevision(lessonId, viewType, savedData.revision);
+      console.log(`[LOAD] ⚠️ Loaded from local storage only`);
     }
 
-    // 验证数据版本（支持1.0和2.0）
-    const supportedVersions = ['1.0', '2.0'];
-    if (!supportedVersions.includes(drawingData.version)) {
-      console.warn('[LOAD] Unsupported drawing data version:', drawingData.version);
+    // 统一转换为当前版本（旧版位图记录会作为底图保留）
+    const drawingData = normalizeDrawingRecord(rawData);
+    if (!drawingData) {
+      console.warn('[LOAD] Unsupported drawing data version:', rawData.version);
       return false;
     }
 
-    // 显示压缩信息（仅2.0版本）
-    if (drawingData.version === '2.0' && drawingData.compressionInfo) {
-      const info = drawingData.compressionInfo;
-      console.log(`[LOAD] 🗜️ Compressed format: ${info.format}, quality: ${info.quality}, ratio: ${info.compressionRatio}%`);
-    }
-
     // 验证lessonId匹配
     if (drawingData.lessonId !== lessonId) {
       console.warn('[LOAD] Lesson ID mismatch');
@@ -2155,82 +4021,32 @@ async function loadCanvasData(canvas, ctx, lessonId, viewType) {
       return false;
     }
 
-    // 加载图片（使用 Promise 包装）
-    await new Promise((resolve, reject) => {
-      const img = new Image();
-
-      img.onload = () => {
-        console.log(`[LOAD] 🔄 Image loaded, drawing to canvas for ${lessonId}/${viewType}`);
-        console.log(`[LOAD] 📐 Current Canvas size: ${canvas.width}x${canvas.height}, Image size: ${img.width}x${img.height}`);
-        console.log(`[LOAD] 📐 Saved Canvas size: ${drawingData.canvasWidth}x${drawingData.canvasHeight}`);
-
-        // ⚠️ 关键修复：保存当前transform状态
-        ctx.save();
-
-        // 重置transform到单位矩阵（移除DPR缩放）
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-
-        // 清空当前内容，确保干净的画布（使用物理像素坐标）
-        const currentOp = ctx.globalCompositeOperation;
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.globalCompositeOperation = currentOp;
-
-        // 🔧 跨设备适配：根据保存的Canvas尺寸进行缩放绘制
-        // 如果当前Canvas尺寸与保存时不同，缩放绘制以保持相对位置
-        if (drawingData.canvasWidth && drawingData.canvasHeight) {
-          const savedWidth = drawingData.canvasWidth;
-          const savedHeight = drawingData.canvasHeight;
-
-          // 计算缩放比例
-          const scaleX = canvas.width / savedWidth;
-          const scaleY = canvas.height / savedHeight;
-
-          console.log(`[LOAD] 🔄 Scale ratio: ${scaleX.toFixed(3)}x (X), ${scaleY.toFixed(3)}x (Y)`);
-
-          if (Math.abs(scaleX - 1) > 0.01 || Math.abs(scaleY - 1) > 0.01) {
-            // 尺寸不一致，需要缩放
-            console.log(`[LOAD] ⚠️ Canvas size changed, scaling image from ${savedWidth}x${savedHeight} to ${canvas.width}x${canvas.height}`);
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-          } else {
-            // 尺寸一致，直接绘制
-            ctx.drawImage(img, 0, 0);
-          }
-        } else {
-          // 旧版本数据没有保存尺寸信息，直接绘制
-          console.log(`[LOAD] ⚠️ No saved canvas size info, drawing directly`);
-          ctx.drawImage(img, 0, 0);
-        }
-
-        // 恢复transform状态（包括DPR缩放）
-        ctx.restore();
-
-        // 验证是否绘制成功
-        const testData = ctx.getImageData(0, 0, Math.min(10, canvas.width), Math.min(10, canvas.height));
-        let hasPixels = false;
-        for (let i = 3; i < testData.data.length; i += 4) {
-          if (testData.data[i] > 0) {
-            hasPixels = true;
-            break;
-          }
-        }
-        console.log(`[LOAD] 🔍 After drawImage, canvas has pixels: ${hasPixels}`);
+    const backgroundImage = await loadBackgroundImage(drawingData.background);
 
-        // ⚠️ 关键：加载成功后显示Canvas
-        canvas.style.opacity = '1';
+    if (isStale()) {
+      console.log(`[LOAD] ⏭️ View changed while loading ${lessonId}/${viewType}, discarding`);
+      return false;
+    }
 
-        console.log(`[LOAD] ✅ Drawing loaded and rendered for ${lessonId}/${viewType}`);
-        resolve();
-      };
+    drawingState.panes[paneName] = {
+      strokes: drawingData.strokes,
+      layers: drawingData.layers,
+      activeLayerId: drawingData.activeLayerId,
+      background: drawingData.background,
+      backgroundImage
+    };
+    redrawPane(paneName);
+    // 按本机的内容布局调整锚定笔画
+    relayoutPane(paneName);
+    notifyLayersChange(paneName);
 
-      img.onerror = () => {
-        console.error(`[LOAD] ❌ Failed to load canvas image`);
-        reject(new Error('Failed to load image'));
-      };
+    // ⚠️ 关键：加载成功后显示Canvas
+    canvas.style.opacity = '1';
 
-      img.src = drawingData.imageData;
-    });
+    // 以加载的内容为协作基准，并获取其他客户端尚未保存的笔画
+    requestPaneSync(paneName);
 
+    console.log(`[LOAD] ✅ Drawing loaded for ${lessonId}/${viewType}: ${drawingData.strokes.length} strokes${drawingData.background ? ' + legacy background' : ''}`);
     return true;
 
   } catch (error) {
@@ -2240,10 +4056,634 @@ async function loadCanvasData(canvas, ctx, lessonId, viewType) {
 }
 
 /**
- * 删除指定课程的涂鸦数据
+ * 加载面板的共享图层（只从服务器读取，离线时不显示）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ */
+async function loadSharedLayer(paneName, lessonId, viewType) {
+  const previous = drawingState.shared[paneName];
+  const visible = previous && previous.lessonId === lessonId && previous.viewType === viewType
+    ? previous.visible
+    : true;
+  drawingState.shared[paneName] = null;
+
+  let record = null;
+  try {
+    record = await drawingAPI.getSharedLayer(lessonId, viewType);
+  } catch (error) {
+    console.warn(`[SHARED] Failed to load shared layer for ${lessonId}/${viewType}: ${error.message}`);
+  }
+
+  // 加载期间视图可能已切换
+  const currentView = paneName === 'left' ? drawingState.leftView : drawingState.rightView;
+  if (!record || drawingState.lessonId !== lessonId || currentView !== viewType) return;
+
+  drawingState.shared[paneName] = {
+    lessonId,
+    viewType,
+    record,
+    own: record.publishedBy?.id === userSession.getCurrentUser().id,
+    visible
+  };
+  const { canvas } = getPaneCanvas(paneName);
+  if (canvas) canvas.style.opacity = '1';
+  redrawPane(paneName);
+  relayoutPane(paneName);
+  notifyLayersChange(paneName);
+  console.log(`[SHARED] 📌 Loaded shared layer for ${lessonId}/${viewType}: ${record.strokes.length} strokes by ${record.publishedBy?.name || 'unknown'}`);
+}
+
+/**
+ * 获取面板的共享图层信息
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {{name: string, publishedBy: Object|null, strokeCount: number, visible: boolean, own: boolean}|null}
+ */
+export function getSharedLayer(paneName) {
+  const shared = drawingState.shared[paneName];
+  if (!shared) return null;
+
+  return {
+    name: shared.record.layers[0]?.name || '共享图层',
+    publishedBy: shared.record.publishedBy,
+    strokeCount: shared.record.strokes.length,
+    visible: shared.visible,
+    own: shared.own
+  };
+}
+
+/**
+ * 显示/隐藏共享图层（只影响本页显示）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {boolean} visible
+ */
+export function setSharedLayerVisible(paneName, visible) {
+  const shared = drawingState.shared[paneName];
+  if (!shared) return;
+
+  shared.visible = visible;
+  redrawPane(paneName);
+  notifyLayersChange(paneName);
+}
+
+/**
+ * 把本人的一个图层发布为共享图层（仅教师；覆盖该视图之前发布的共享图层）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @param {string} layerId - 图层ID
+ * @returns {Promise<boolean>} 是否发布成功
+ */
+export async function publishLayer(paneName, layerId) {
+  const lessonId = drawingState.lessonId;
+  const viewType = paneName === 'left' ? drawingState.leftView : drawingState.rightView;
+  const pane = drawingState.panes[paneName];
+  const layer = pane.layers.find(l => l.id === layerId);
+  const { canvas } = getPaneCanvas(paneName);
+  if (!lessonId || !viewType || !layer || !canvas || !userSession.isTeacher()) return false;
+
+  const dpr = window.devicePixelRatio || 1;
+  const sharedLayer = { ...layer, visible: true, locked: true };
+  const record = {
+    ...createDrawingRecord({
+      lessonId,
+      viewType,
+      strokes: pane.strokes.filter(stroke => stroke.layerId === layerId),
+      layers: [sharedLayer],
+      activeLayerId: sharedLayer.id,
+      canvasWidth: canvas.width / dpr,
+      canvasHeight: canvas.height / dpr
+    }),
+    publishedBy: { id: userSession.getCurrentUser().id, name: userSession.getCurrentUser().name }
+  };
+
+  try {
+    await drawingAPI.publishSharedLayer(record);
+    drawingState.shared[paneName] = { lessonId, viewType, record, own: true, visible: true };
+    notifyLayersChange(paneName);
+    console.log(`[SHARED] ✅ Published layer ${layer.name} of ${lessonId}/${viewType}: ${record.strokes.length} strokes`);
+    return true;
+  } catch (error) {
+    console.error('[SHARED] ❌ Failed to publish layer:', error);
+    return false;
+  }
+}
+
+/**
+ * 撤回面板的共享图层（仅教师）
+ * @param {'left'|'right'} paneName - 面板名称
+ * @returns {Promise<boolean>} 是否撤回成功
+ */
+export async function withdrawSharedLayer(paneName) {
+  const shared = drawingState.shared[paneName];
+  if (!shared || !userSession.isTeacher()) return false;
+
+  try {
+    await drawingAPI.deleteSharedLayer(shared.lessonId, shared.viewType);
+    drawingState.shared[paneName] = null;
+    redrawPane(paneName);
+    notifyLayersChange(paneName);
+    console.log(`[SHARED] 🗑️ Withdrew shared layer of ${shared.lessonId}/${shared.viewType}`);
+    return true;
+  } catch (error) {
+    console.error('[SHARED] ❌ Failed to withdraw shared layer:', error);
+    return false;
+  }
+}
+
+/**
+ * 切换用户：丢弃上一用户的撤销历史和选区，重新加载两侧面板
+ * ⚠️ 上一用户的涂鸦已由切换方保存（见 UserProfilePicker.js）
+ */
+function handleUserChange() {
+  if (!drawingState.lessonId) return;
+
+  clearTimeout(drawingState.autoSaveTimer);
+  clearSelection();
+  drawingState.history.clear();
+  drawingState.lastPane = null;
+  updateHistoryButtonsUI();
+  loadDrawingData();
+}
+
+/**
+ * 同步冲突后采用了服务器版本：重新加载显示该视图的面板
+ * ⚠️ 先取消待执行的自动保存，避免本页旧笔画再次覆盖服务器版本
+ * @param {CustomEvent} e - detail: { lessonId, viewType }
+ */
+function handleRemoteDrawingUpdate(e) {
+  const { lessonId, viewType } = e.detail;
+  if (drawingState.lessonId !== lessonId) return;
+
+  clearTimeout(drawingState.autoSaveTimer);
+  if (drawingState.leftView === viewType) {
+    loadCanvasData('left', lessonId, viewType);
+  }
+  if (drawingState.rightView === viewType) {
+    loadCanvasData('right', lessonId, viewType);
+  }
+}
+
+// ========== 实时协作（消息格式见 js/api/CollabChannel.js） ==========
+
+/**
+ * 面板当前显示的视图类型
+ * @param {'left'|'right'} paneName
+ * @returns {string|null}
+ */
+function getPaneViewType(paneName) {
+  if (!paneName || !getPaneCanvas(paneName).canvas) return null;
+  return paneName === 'left' ? drawingState.leftView : drawingState.rightView;
+}
+
+/**
+ * 显示指定视图的面板
+ * @param {string} viewType
+ * @returns {Array<'left'|'right'>}
+ */
+function getPanesOfView(viewType) {
+  return ['left', 'right'].filter(paneName => viewType && getPaneViewType(paneName) === viewType);
+}
+
+/**
+ * 本页是否正在该面板上书写、拖动选区或擦除（此时远程修改等抬笔后再合并）
+ * @param {'left'|'right'} paneName
+ */
+function isPaneBusy(paneName) {
+  return (drawingState.isDrawing && drawingState.currentPane === paneName) ||
+    (drawingState.selection.paneName === paneName && isSelectionGestureActive()) ||
+    drawingState.strokeErase?.paneName === paneName;
+}
+
+/**
+ * 重绘面板（本页书写中的面板跳过，抬笔时会整体重绘）
+ * @param {'left'|'right'} paneName
+ */
+function redrawPaneIfIdle(paneName) {
+  if (!isPaneBusy(paneName)) redrawPane(paneName);
+}
+
+/**
+ * 记录面板的当前内容为已与房间同步的状态
+ * @param {'left'|'right'} paneName
+ * @param {Array} [unsentStrokes] - 尚未发出的笔画（不计入已同步内容）
+ */
+function markPaneSynced(paneName, unsentStrokes = []) {
+  const viewType = getPaneViewType(paneName);
+  if (!viewType) return;
+
+  const pane = drawingState.panes[paneName];
+  const unsent = new Set(unsentStrokes);
+  drawingState.collab.synced.set(viewType, {
+    strokes: new Map(pane.strokes.filter(stroke => !unsent.has(stroke)).map(stroke => [stroke.id, stroke])),
+    layers: JSON.stringify(pane.layers)
+  });
+}
+
+/**
+ * 面板加载完成：以加载的内容为同步基准，发出完整内容并请求其他客户端尚未保存的笔画
+ * @param {'left'|'right'} paneName
+ */
+function requestPaneSync(paneName) {
+  const viewType = getPaneViewType(paneName);
+  if (!viewType) return;
+
+  if (!collabChannel.isJoined() || collabChannel.lessonId !== drawingState.lessonId) {
+    markPaneSynced(paneName);
+    return;
+  }
+
+  if (drawingState.panes[paneName].strokes.length > 0) {
+    broadcastPaneDiff(paneName, true);
+  } else {
+    markPaneSynced(paneName);
+  }
+  collabChannel.send('sync-request', { viewType });
+}
+
+/**
+ * 面板变化后稍后发送增量（连续修改合并为一条消息）
+ */
+function scheduleCollabSync() {
+  if (!collabChannel.isJoined() || collabChannel.lessonId !== drawingState.lessonId) return;
+
+  clearTimeout(drawingState.collab.syncTimer);
+  drawingState.collab.syncTimer = setTimeout(() => {
+    broadcastPaneDiff('left');
+    broadcastPaneDiff('right');
+  }, COLLAB_SYNC_DELAY);
+}
+
+/**
+ * 发送面板相对上次同步的变化：完整的笔画顺序 + 新增或修改的笔画 + 图层
+ * 接收方按顺序删除上次同步后被移除的笔画；full 为 true 时发送全部笔画，接收方只合并不删除
+ * @param {'left'|'right'} paneName
+ * @param {boolean} [full=false]
+ */
+function broadcastPaneDiff(paneName, full = false) {
+  const viewType = getPaneViewType(paneName);
+  if (!viewType || isPaneBusy(paneName)) return;
+
+  const pane = drawingState.panes[paneName];
+  const synced = drawingState.collab.synced.get(viewType);
+  const layers = JSON.stringify(pane.layers);
+  const upserts = full || !synced
+    ? pane.strokes
+    : pane.strokes.filter(stroke => synced.strokes.get(stroke.id) !== stroke);
+  const changed = full || !synced || upserts.length > 0 ||
+    pane.strokes.length !== synced.strokes.size || layers !== synced.layers;
+  if (!changed) return;
+
+  collabChannel.send('pane-diff', {
+    viewType,
+    order: pane.strokes.map(stroke => stroke.id),
+    upserts,
+    layers: pane.layers,
+    full
+  });
+  markPaneSynced(paneName);
+}
+
+/**
+ * 发送本页书写中的笔画（按间隔节流，发送时取最新状态）
+ * @param {null} [stroke] - 传 null 表示本页丢弃了书写中的笔画（立即通知，不等待节流）
+ */
+function broadcastLiveStroke(stroke) {
+  if (!collabChannel.isJoined()) return;
+
+  if (stroke === null) {
+    clearTimeout(drawingState.collab.liveTimer);
+    drawingState.collab.liveTimer = null;
+    collabChannel.send('stroke-live', { viewType: getPaneViewType(drawingState.currentPane), stroke: null });
+    return;
+  }
+
+  if (drawingState.collab.liveTimer) return;
+  drawingState.collab.liveTimer = setTimeout(() => {
+    drawingState.collab.liveTimer = null;
+    const current = drawingState.currentStroke;
+    const viewType = getPaneViewType(drawingState.currentPane);
+    // 像素橡皮擦只在抬笔后随面板变化同步
+    if (!current || !viewType || current.tool === 'eraser') return;
+    collabChannel.send('stroke-live', { viewType, stroke: current });
+  }, COLLAB_LIVE_INTERVAL);
+}
+
+/**
+ * 保存到服务器后通知同一用户的其他设备更新基准版本
+ * @param {string} lessonId - 课程ID
+ * @param {string} viewType - 视图类型
+ */
+function broadcastSaved(lessonId, viewType) {
+  if (collabChannel.lessonId !== lessonId) return;
+
+  collabChannel.send('saved', {
+    viewType,
+    revision: drawingAPI.getBaseRevision(lessonId, viewType)
+  });
+}
+
+/**
+ * 绘制其他客户端书写中的笔画，笔尖旁显示书写者名称
+ * @param {'left'|'right'} paneName
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function drawLiveStrokes(paneName, ctx) {
+  const viewType = getPaneViewType(paneName);
+  if (!viewType) return;
+
+  drawingState.collab.live.forEach((live, clientId) => {
+    if (live.viewType !== viewType || !live.stroke.points?.length) return;
+
+    drawStroke(ctx, live.stroke);
+
+    const member = collabChannel.getMember(clientId);
+    if (!member) return;
+    const tip = live.stroke.points[live.stroke.points.length - 1];
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'middle';
+    const width = ctx.measureText(member.name).width + 10;
+    ctx.fillStyle = getUserColor(member.userId);
+    ctx.fillRect(tip.x + 8, tip.y + 8, width, 18);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(member.name, tip.x + 13, tip.y + 17);
+    ctx.restore();
+  });
+}
+
+/**
+ * 合并其他客户端的笔画到撤销历史的快照中，撤销本页操作时不会撤掉别人的笔画
+ * @param {Array} strokes - 快照中的笔画
+ * @param {Map} upserts - id -> 新增或修改的笔画
+ * @param {Set} removed - 被删除的笔画 id
+ * @returns {Array}
+ */
+function mergeRemoteStrokes(strokes, upserts, removed) {
+  const ids = new Set(strokes.map(stroke => stroke.id));
+  return [
+    ...strokes.filter(stroke => !removed.has(stroke.id)).map(stroke => upserts.get(stroke.id) || stroke),
+    ...Array.from(upserts.values()).filter(stroke => !ids.has(stroke.id))
+  ];
+}
+
+/**
+ * 处理其他客户端发来的面板变化
+ * 同一用户的其他设备：合并到本人的涂鸦（由修改的设备保存）
+ * 其他用户：只更新该用户的显示层，不改动本人的笔画，也不保存
+ * @param {string} from - 发送方 clientId
+ * @param {string} userId - 发送方用户（服务器确认）
+ * @param {Object} diff - { viewType, order, upserts, layers, full }
+ */
+function applyRemotePaneDiff(from, userId, diff) {
+  const { viewType, order, upserts, layers } = diff;
+  if (getPanesOfView(viewType).length === 0 || !Array.isArray(order) || !Array.isArray(upserts) || !Array.isArray(layers)) return;
+
+  if (userId === userSession.getCurrentUser().id) {
+    mergeOwnPaneDiff(from, diff);
+  } else {
+    applyRemoteOverlay(userId, diff);
+  }
+}
+
+/**
+ * 更新其他用户的显示层：内容为对方面板的全部笔画（按对方的顺序），缺少笔画时请求完整内容
+ * @param {string} userId - 发送方用户
+ * @param {Object} diff - { viewType, order, upserts, layers }
+ */
+function applyRemoteOverlay(userId, { viewType, order, upserts, layers }) {
+  const remote = drawingState.collab.remote;
+  if (!remote.has(viewType)) remote.set(viewType, new Map());
+  const overlays = remote.get(viewType);
+
+  const known = new Map((overlays.get(userId)?.strokes || []).map(stroke => [stroke.id, stroke]));
+  upserts.forEach((stroke) => {
+    if (stroke && typeof stroke.id === 'string' && Array.isArray(stroke.points)) {
+      known.set(stroke.id, stroke);
+    }
+  });
+  const strokes = order.filter(id => known.has(id)).map(id => known.get(id));
+  const overlayLayers = layers.filter(layer => layer && typeof layer.id === 'string')
+    .map(layer => ({ ...layer, visible: true }));
+
+  if (strokes.length > 0 && overlayLayers.length > 0) {
+    overlays.set(userId, { strokes, layers: overlayLayers });
+  } else {
+    overlays.delete(userId);
+  }
+
+  getPanesOfView(viewType).forEach((paneName) => {
+    relayoutPane(paneName);
+    redrawPaneIfIdle(paneName);
+  });
+
+  if (strokes.length < order.length) {
+    collabChannel.send('sync-request', { viewType });
+  }
+}
+
+/**
+ * 合并本人其他设备发来的面板变化
+ * 远程顺序中的笔画在前，本页尚未发出的笔画保留在最上方；缺少笔画时请求完整内容
+ * @param {string} from - 发送方 clientId
+ * @param {Object} diff - { viewType, order, upserts, layers, full }
+ */
+function mergeOwnPaneDiff(from, diff) {
+  const { viewType, order, upserts, layers, full } = diff;
+  const panes = getPanesOfView(viewType);
+  if (panes.length === 0) return;
+
+  if (panes.some(isPaneBusy)) {
+    drawingState.collab.pending.push({ from, diff });
+    return;
+  }
+
+  const remoteIds = new Set(order);
+  const upsertMap = new Map(upserts.map(stroke => [stroke.id, stroke]));
+  let missing = false;
+
+  panes.forEach((paneName) => {
+    const pane = drawingState.panes[paneName];
+    const synced = drawingState.collab.synced.get(viewType);
+
+    const known = new Map(pane.strokes.map(stroke => [stroke.id, stroke]));
+    upsertMap.forEach((stroke, id) => known.set(id, stroke));
+    missing = missing || order.some(id => !known.has(id));
+
+    // 对方删除的笔画：上次同步时存在、对方已没有（完整内容只合并，不删除）
+    const removed = new Set(full || !synced
+      ? []
+      : Array.from(synced.strokes.keys()).filter(id => !remoteIds.has(id)));
+    const unsent = pane.strokes.filter(stroke => !remoteIds.has(stroke.id) && !removed.has(stroke.id));
+    const strokes = [...order.filter(id => known.has(id)).map(id => known.get(id)), ...unsent];
+
+    // 图层以对方为准，保留本机的显示/锁定状态；本页独有且仍有笔画的图层（完整合并时全部）保留
+    const mergedLayers = layers.map((layer) => {
+      const current = pane.layers.find(l => l.id === layer.id);
+      return current ? { ...layer, visible: current.visible, locked: current.locked } : layer;
+    });
+    const layerIds = new Set(mergedLayers.map(layer => layer.id));
+    pane.layers.forEach((layer) => {
+      if (!layerIds.has(layer.id) && (full || strokes.some(stroke => stroke.layerId === layer.id))) {
+        mergedLayers.push(layer);
+      }
+    });
+    if (mergedLayers.length === 0) return;
+
+    const history = getPaneHistory(paneName);
+    if (history) {
+      [...history.undo, ...history.redo].forEach((snapshot) => {
+        snapshot.strokes = mergeRemoteStrokes(snapshot.strokes, upsertMap, removed);
+      });
+    }
+
+    drawingState.panes[paneName] = {
+      ...pane,
+      strokes,
+      layers: mergedLayers,
+      activeLayerId: mergedLayers.some(layer => layer.id === pane.activeLayerId)
+        ? pane.activeLayerId
+        : mergedLayers[mergedLayers.length - 1].id
+    };
+
+    const selection = drawingState.selection;
+    if (selection.paneName === paneName && Array.from(selection.ids).some(id => !known.has(id) || removed.has(id))) {
+      clearSelection();
+    }
+
+    redrawPane(paneName);
+    relayoutPane(paneName);
+    notifyLayersChange(paneName);
+    getPaneCanvas(paneName).canvas.style.opacity = '1';
+    markPaneSynced(paneName, unsent);
+  });
+
+  console.log(`[COLLAB] 🔄 Merged ${upserts.length} strokes into ${viewType}${full ? ' (full)' : ''}`);
+
+  if (missing) {
+    collabChannel.send('sync-request', { viewType });
+  }
+
+  // 本页独有的笔画发给对方；修改由对方的设备保存
+  scheduleCollabSync();
+}
+
+/**
+ * 合并书写期间暂存的远程修改
+ */
+function applyPendingCollabChanges() {
+  const pending = drawingState.collab.pending;
+  if (pending.length === 0) return;
+
+  drawingState.collab.pending = [];
+  pending.forEach(({ from, diff }) => mergeOwnPaneDiff(from, diff));
+}
+
+/**
+ * 更新其他客户端书写中的笔画
+ * @param {string} from - 发送方 clientId
+ * @param {{viewType: string, stroke: Object|null}} payload
+ */
+function updateLiveStroke(from, { viewType, stroke }) {
+  const live = drawingState.collab.live;
+  const previous = live.get(from);
+
+  if (stroke && Array.isArray(stroke.points)) {
+    live.set(from, { viewType, stroke });
+  } else {
+    live.delete(from);
+  }
+
+  new Set([...getPanesOfView(viewType), ...getPanesOfView(previous?.viewType)]).forEach(redrawPaneIfIdle);
+}
+
+/**
+ * 收到协作消息
+ * @param {CustomEvent} e - detail: { type, from, userId, payload }（userId 由服务器填写）
+ */
+function handleCollabMessage(e) {
+  const { type, from, userId, payload } = e.detail;
+  if (!payload || collabChannel.lessonId !== drawingState.lessonId) return;
+
+  switch (type) {
+    case 'stroke-live':
+      updateLiveStroke(from, payload);
+      break;
+    case 'pane-diff':
+      // 对方抬笔后的变化已包含书写中的笔画
+      if (drawingState.collab.live.delete(from)) {
+        getPanesOfView(payload.viewType).forEach(redrawPaneIfIdle);
+      }
+      applyRemotePaneDiff(from, userId, payload);
+      break;
+    case 'sync-request':
+      getPanesOfView(payload.viewType).forEach(paneName => broadcastPaneDiff(paneName, true));
+      break;
+    case 'saved':
+      if (userId === userSession.getCurrentUser().id && getPanesOfView(payload.viewType).length > 0) {
+        drawingAPI.advanceRevision(drawingState.lessonId, payload.viewType, payload.revision);
+      }
+      break;
+  }
+}
+
+/**
+ * 房间连接或成员变化：移除已离开客户端的笔画，(重新)连接后交换完整内容
+ * @param {CustomEvent} e - detail: { connected, members }
+ */
+function handleCollabChange(e) {
+  const { connected, members } = e.detail;
+  const collab = drawingState.collab;
+
+  const online = new Set(members.map(member => member.clientId));
+  const onlineUsers = new Set(members.map(member => member.userId));
+  const leftViews = [];
+  collab.live.forEach((live, clientId) => {
+    if (online.has(clientId)) return;
+    collab.live.delete(clientId);
+    leftViews.push(live.viewType);
+  });
+  // 离开房间的用户的笔画不再显示（已由对方保存到自己的记录）
+  collab.remote.forEach((overlays, viewType) => {
+    overlays.forEach((overlay, userId) => {
+      if (onlineUsers.has(userId)) return;
+      overlays.delete(userId);
+      leftViews.push(viewType);
+    });
+  });
+  leftViews.forEach(viewType => getPanesOfView(viewType).forEach(redrawPaneIfIdle));
+
+  const wasConnected = collab.connected;
+  collab.connected = connected;
+  if (connected && !wasConnected && collabChannel.lessonId === drawingState.lessonId) {
+    requestPaneSync('left');
+    requestPaneSync('right');
+  }
+}
+
+/**
+ * 清空协作状态（重新初始化或销毁画布时）
+ */
+function resetCollabState() {
+  clearTimeout(drawingState.collab.liveTimer);
+  clearTimeout(drawingState.collab.syncTimer);
+  drawingState.collab = {
+    connected: collabChannel.connected,
+    live: new Map(),
+    synced: new Map(),
+    remote: new Map(),
+    pending: [],
+    liveTimer: null,
+    syncTimer: null
+  };
+}
+
+/**
+ * 删除指定课程的本地涂鸦数据
  * @param {string} lessonId - 课程ID（可选，不传则删除当前课程）
+ * @returns {Promise<void>}
  */
-export function deleteDrawingData(lessonId = null) {
+export async function deleteDrawingData(lessonId = null) {
   const targetLessonId = lessonId || drawingState.lessonId;
 
   if (!targetLessonId) {
@@ -2252,13 +4692,8 @@ export function deleteDrawingData(lessonId = null) {
   }
 
   try {
-    // 删除左右两个画布的数据
-    const leftKey = `${STORAGE_KEY_PREFIX}${targetLessonId}_left`;
-    const rightKey = `${STORAGE_KEY_PREFIX}${targetLessonId}_right`;
-
-    localStorage.removeItem(leftKey);
-    localStorage.removeItem(rightKey);
-
+    // 删除该课程所有视图的数据
+    await drawingStorage.removeCourse(targetLessonId);
     console.log(`Drawing data deleted for lesson: ${targetLessonId}`);
   } catch (error) {
     console.error('Failed to delete drawing data:', error);
@@ -2267,22 +4702,16 @@ export function deleteDrawingData(lessonId = null) {
 
 /**
  * 获取所有保存的涂鸦数据的课程列表
- * @returns {Array<string>} 课程ID列表（去重）
+ * @returns {Promise<Array<string>>} 课程ID列表（去重）
  */
-export function getSavedDrawingLessons() {
+export async function getSavedDrawingLessons() {
   const lessons = new Set();
 
   try {
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
-        // 从 "drawing_data_L2-01_left" 中提取 "L2-01"
-        const suffix = key.substring(STORAGE_KEY_PREFIX.length);
-        // 移除 "_left" 或 "_right" 后缀
-        const lessonId = suffix.replace(/_(?:left|right)$/, '');
-        lessons.add(lessonId);
-      }
-    }
+    const entries = await drawingStorage.listMeta();
+    entries.forEach((entry) => {
+      if (entry.lessonId) lessons.add(entry.lessonId);
+    });
   } catch (error) {
     console.error('Failed to get saved drawing lessons:', error);
   }
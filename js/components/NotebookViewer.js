@@ -1,9 +1,15 @@
 /**
  * NotebookViewer组件
- * 负责加载和渲染Jupyter Notebook内容
+ * 负责加载课程对应的Jupyter Notebook章节，单元格由 notebookRenderer.js 渲染（与单栏查看器共用）
  */
 
-import { parseNotebook, findLessonSection, renderCells } from '../utils/notebookParser.js';
+import { parseNotebook, findLessonSection, getNotebookUrl } from '../utils/notebookParser.js';
+import {
+  renderCell,
+  renderOutput,
+  renderNotebookExtras,
+  escapeHtml
+} from '../utils/notebookRenderer.js';
 
 /**
  * 创建Notebook查看器
@@ -115,8 +121,8 @@ export async function createNotebookViewer(lessonId, container) {
       cellEl.className = `notebook-cell cell-${cell.cell_type}`;
       cellEl.dataset.cellIndex = index;
 
-      // 渲染cell内容
-      cellEl.innerHTML = renderCell(cell);
+      // 渲染cell内容（附件和相对路径的图片按notebook文件位置解析；课程notebook由本站提供，可信）
+      cellEl.innerHTML = renderCell(cell, { baseUrl: getNotebookUrl(notebookFile), trusted: true });
 
       contentEl.appendChild(cellEl);
     });
@@ -167,56 +173,8 @@ export async function createNotebookViewer(lessonId, container) {
       });
     });
 
-    // 渲染Mermaid图表
-    const mermaidDiagrams = container.querySelectorAll('.mermaid-diagram');
-    if (mermaidDiagrams.length > 0 && typeof window.mermaid !== 'undefined') {
-      // 等待 mermaid 加载完成后渲染
-      setTimeout(async () => {
-        try {
-          await window.mermaid.run({
-            nodes: mermaidDiagrams
-          });
-          console.log(`[Mermaid] Rendered ${mermaidDiagrams.length} diagrams`);
-        } catch (error) {
-          console.error('[Mermaid] Rendering error:', error);
-          // 渲染失败时显示错误信息
-          mermaidDiagrams.forEach(diagram => {
-            const errorMsg = document.createElement('div');
-            errorMsg.style.cssText = `
-              background: #fef2f2;
-              border: 2px dashed #fca5a5;
-              border-radius: 8px;
-              padding: 1rem;
-              color: #dc2626;
-              margin: 1rem 0;
-            `;
-            errorMsg.innerHTML = `
-              <div style="font-weight: 600; margin-bottom: 0.5rem;">📊 Mermaid 图表渲染失败</div>
-              <pre style="font-size: 0.75rem; overflow-x: auto;">${diagram.textContent}</pre>
-            `;
-            diagram.replaceWith(errorMsg);
-          });
-        }
-      }, 300);
-    }
-
-    // 渲染数学公式 (使用KaTeX)
-    if (typeof renderMathInElement !== 'undefined') {
-      try {
-        renderMathInElement(container, {
-          delimiters: [
-            { left: '$$', right: '$$', display: true },
-            { left: '$', right: '$', display: false },
-            { left: '\\[', right: '\\]', display: true },
-            { left: '\\(', right: '\\)', display: false }
-          ],
-          throwOnError: false,
-          strict: false
-        });
-      } catch (e) {
-        console.warn('KaTeX rendering error:', e);
-      }
-    }
+    // 渲染公式、Mermaid图表，执行HTML输出中的脚本
+    renderNotebookExtras(container);
 
   } catch (error) {
     // 错误处理
@@ -452,252 +410,6 @@ function openNotebookTocOverlay(toc, sourceButton) {
   if (sourceButton) sourceButton.setAttribute('aria-expanded', 'true');
 }
 
-/**
- * 渲染单个cell (内部使用)
- * @param {Object} cell - notebook cell对象
- * @returns {string} - HTML字符串
- */
-function renderCell(cell) {
-  if (!cell || !cell.source) {
-    return '<div class="empty-cell">空单元格</div>';
-  }
-
-  const content = Array.isArray(cell.source)
-    ? cell.source.join('')
-    : cell.source;
-
-  if (cell.cell_type === 'markdown') {
-    // Markdown渲染
-    if (typeof marked !== 'undefined') {
-      try {
-        // 保护LaTeX公式和Mermaid图表：先提取，marked解析后再恢复
-        const mathMap = new Map();  // 使用 Map 存储占位符和对应的 LaTeX
-        const mermaidMap = new Map();  // 存储 mermaid 代码块
-        let placeholderCounter = 0;
-        let mermaidCounter = 0;
-        let protectedContent = content;
-
-        // 保护```mermaid...```代码块
-        protectedContent = protectedContent.replace(/```mermaid\n([\s\S]+?)```/g, (match, code) => {
-          const placeholder = `MERMAIDPLACEHOLDER${mermaidCounter}END`;
-          mermaidMap.set(placeholder, code.trim());
-          mermaidCounter++;
-          return placeholder;
-        });
-
-        // 保护$$...$$块级公式
-        protectedContent = protectedContent.replace(/\$\$([\s\S]+?)\$\$/g, (match) => {
-          const placeholder = `MATHPLACEHOLDER${placeholderCounter}END`;
-          mathMap.set(placeholder, match);
-          placeholderCounter++;
-          return placeholder;
-        });
-
-        // 保护$...$行内公式
-        protectedContent = protectedContent.replace(/\$([^\$\n]+?)\$/g, (match) => {
-          const placeholder = `MATHPLACEHOLDER${placeholderCounter}END`;
-          mathMap.set(placeholder, match);
-          placeholderCounter++;
-          return placeholder;
-        });
-
-        // 保护\[...\]和\(...\)
-        protectedContent = protectedContent.replace(/\\\[([\s\S]+?)\\\]/g, (match) => {
-          const placeholder = `MATHPLACEHOLDER${placeholderCounter}END`;
-          mathMap.set(placeholder, match);
-          placeholderCounter++;
-          return placeholder;
-        });
-
-        protectedContent = protectedContent.replace(/\\\(([\s\S]+?)\\\)/g, (match) => {
-          const placeholder = `MATHPLACEHOLDER${placeholderCounter}END`;
-          mathMap.set(placeholder, match);
-          placeholderCounter++;
-          return placeholder;
-        });
-
-        // 配置marked选项，启用GFM（GitHub Flavored Markdown）
-        marked.setOptions({
-          gfm: true,           // 启用 GitHub Flavored Markdown
-          breaks: false,       // 不自动转换换行为<br>
-          tables: true,        // 启用表格支持
-          pedantic: false,     // 不使用严格模式
-          sanitize: false,     // 不过滤HTML（我们信任notebook内容）
-          smartLists: true,    // 智能列表
-          smartypants: false   // 不转换引号
-        });
-
-        // 用marked解析Markdown
-        let html = marked.parse(protectedContent);
-
-        // 恢复LaTeX公式
-        mathMap.forEach((latex, placeholder) => {
-          while (html.includes(placeholder)) {
-            html = html.replace(placeholder, latex);
-          }
-        });
-
-        // 恢复Mermaid图表（转换为可渲染的div）
-        mermaidMap.forEach((code, placeholder) => {
-          const mermaidId = `mermaid-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-          const mermaidHtml = `<div class="mermaid-diagram" id="${mermaidId}">${escapeHtml(code)}</div>`;
-          while (html.includes(placeholder)) {
-            html = html.replace(placeholder, mermaidHtml);
-          }
-        });
-
-        return `<div class="markdown-content">${html}</div>`;
-      } catch (e) {
-        console.error('Markdown parsing error:', e);
-        return `<div class="markdown-fallback"><pre>${content}</pre></div>`;
-      }
-    } else {
-      // marked库未加载,使用降级方案
-      return `<div class="markdown-fallback"><pre>${content}</pre></div>`;
-    }
-  } else if (cell.cell_type === 'code') {
-    // 代码块渲染（默认折叠，显示输出结果）
-    const codeId = `code-${Math.random().toString(36).substr(2, 9)}`;
-
-    // 处理outputs（Jupyter Notebook已执行的输出）
-    let outputsHtml = '';
-    if (cell.outputs && cell.outputs.length > 0) {
-      outputsHtml = '<div class="code-output output-display">';
-      cell.outputs.forEach(output => {
-        if (output.output_type === 'stream') {
-          // 标准输出
-          const text = Array.isArray(output.text) ? output.text.join('') : output.text;
-          outputsHtml += `<div class="output-text"><pre>${escapeHtml(text)}</pre></div>`;
-        } else if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
-          // 执行结果或显示数据
-          if (output.data) {
-            // 文本输出
-            if (output.data['text/plain']) {
-              const text = Array.isArray(output.data['text/plain'])
-                ? output.data['text/plain'].join('')
-                : output.data['text/plain'];
-              outputsHtml += `<div class="output-text"><pre>${escapeHtml(text)}</pre></div>`;
-            }
-            // 图片输出（PNG/JPG）
-            if (output.data['image/png']) {
-              outputsHtml += `<div class="output-plot"><img src="data:image/png;base64,${output.data['image/png']}" alt="输出图表" style="max-width: 100%; height: auto;"></div>`;
-            } else if (output.data['image/jpeg']) {
-              outputsHtml += `<div class="output-plot"><img src="data:image/jpeg;base64,${output.data['image/jpeg']}" alt="输出图表" style="max-width: 100%; height: auto;"></div>`;
-            }
-            // HTML输出
-            if (output.data['text/html']) {
-              const html = Array.isArray(output.data['text/html'])
-                ? output.data['text/html'].join('')
-                : output.data['text/html'];
-              outputsHtml += `<div class="output-html">${html}</div>`;
-            }
-          }
-        } else if (output.output_type === 'error') {
-          // 错误输出
-          const errorText = output.traceback ? output.traceback.join('\n') :
-                          (output.evalue || '未知错误');
-          outputsHtml += `<div class="output-error"><div class="error-title">执行错误:</div><pre>${escapeHtml(errorText)}</pre></div>`;
-        }
-      });
-      outputsHtml += '</div>';
-    }
-
-    return `
-      <div class="code-wrapper collapsed" data-code-id="${codeId}">
-        <div class="code-header">
-          <button class="toggle-code-btn" onclick="window.toggleCodeVisibility('${codeId}')">
-            <svg class="icon-collapsed" width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M9 5l7 7-7 7"/>
-            </svg>
-            <svg class="icon-expanded" width="14" height="14" viewBox="0 0 24 24" fill="currentColor" style="display: none;">
-              <path d="M5 9l7 7 7-7"/>
-            </svg>
-            <span class="toggle-text">显示代码</span>
-          </button>
-          <div class="code-label">Python</div>
-          <button class="run-code-btn" onclick="window.runPythonCode('${codeId}')" title="在浏览器中执行Python代码">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M8 5v14l11-7z"/>
-            </svg>
-            运行
-          </button>
-        </div>
-        <pre class="code-block" style="display: none;"><code data-code="${codeId}">${escapeHtml(content)}</code></pre>
-        ${outputsHtml}
-        <div class="code-output-dynamic" id="output-${codeId}" style="display: none;"></div>
-      </div>
-    `;
-  } else {
-    // 其他类型
-    return `<div class="raw-cell"><pre>${escapeHtml(content)}</pre></div>`;
-  }
-}
-
-/**
- * HTML转义
- * @param {string} text
- * @returns {string}
- */
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
-
-/**
- * 让通过 innerHTML 插入的 <script> 执行（浏览器默认不会执行）
- * @param {HTMLElement} container
- */
-function executeInlineScripts(container) {
-  if (!container) return;
-  const scripts = Array.from(container.querySelectorAll('script'));
-  scripts.forEach(oldScript => {
-    const newScript = document.createElement('script');
-    // 复制属性（如 type/module, src 等）
-    Array.from(oldScript.attributes || []).forEach(attr => {
-      newScript.setAttribute(attr.name, attr.value);
-    });
-    newScript.text = oldScript.textContent || '';
-    oldScript.parentNode?.replaceChild(newScript, oldScript);
-  });
-}
-
-/**
- * 切换代码可见性
- * @param {string} codeId - 代码块ID
- */
-window.toggleCodeVisibility = function(codeId) {
-  const wrapper = document.querySelector(`[data-code-id="${codeId}"]`);
-  const codeBlock = wrapper.querySelector('.code-block');
-  const toggleBtn = wrapper.querySelector('.toggle-code-btn');
-  const iconCollapsed = toggleBtn.querySelector('.icon-collapsed');
-  const iconExpanded = toggleBtn.querySelector('.icon-expanded');
-  const toggleText = toggleBtn.querySelector('.toggle-text');
-
-  if (wrapper.classList.contains('collapsed')) {
-    // 展开代码
-    wrapper.classList.remove('collapsed');
-    wrapper.classList.add('expanded');
-    codeBlock.style.display = 'block';
-    iconCollapsed.style.display = 'none';
-    iconExpanded.style.display = 'inline';
-    toggleText.textContent = '隐藏代码';
-  } else {
-    // 折叠代码
-    wrapper.classList.add('collapsed');
-    wrapper.classList.remove('expanded');
-    codeBlock.style.display = 'none';
-    iconCollapsed.style.display = 'inline';
-    iconExpanded.style.display = 'none';
-    toggleText.textContent = '显示代码';
-  }
-};
-
 /**
  * 执行Python代码
  * @param {string} codeId - 代码块ID
@@ -733,46 +445,40 @@ window.runPythonCode = async function(codeId) {
     // 执行代码
     const result = await window.pythonExecutor.execute(code);
 
-    // 显示结果
+    // 显示结果（转换为 notebook 输出格式，与保存的输出使用同一渲染器）
     if (result.success) {
-      let html = '';
+      const outputs = [];
 
-      // 显示文本输出
+      // 文本输出
       if (result.output) {
-        html += `<div class="output-text"><pre>${escapeHtml(result.output)}</pre></div>`;
+        outputs.push({ output_type: 'stream', name: 'stdout', text: result.output });
       }
 
-      // 显示 HTML 输出（例如 display(HTML(...))）
-      if (result.htmlOutputs && result.htmlOutputs.length > 0) {
-        result.htmlOutputs.forEach((snippet) => {
-          html += `<div class="output-html">${snippet}</div>`;
-        });
+      // 标准错误（警告、进度条）
+      if (result.stderr) {
+        outputs.push({ output_type: 'stream', name: 'stderr', text: result.stderr });
       }
 
-      // 显示图表
-      if (result.plots && result.plots.length > 0) {
-        result.plots.forEach((plot, index) => {
-          html += `<div class="output-plot">
-            <img src="${plot}" alt="图表 ${index + 1}" style="max-width: 100%; height: auto;">
-          </div>`;
-        });
-      }
+      // HTML 输出（例如 display(HTML(...))）
+      (result.htmlOutputs || []).forEach((snippet) => {
+        outputs.push({ output_type: 'display_data', data: { 'text/html': snippet } });
+      });
 
+      // 图表（data URL）
+      (result.plots || []).forEach((plot) => {
+        outputs.push({ output_type: 'display_data', data: { 'image/png': plot.replace(/^data:image\/png;base64,/, '') } });
+      });
+
+      // 本页运行代码产生的输出可信
+      const html = outputs.map(output => renderOutput(output, { trusted: true })).join('');
       outputElement.innerHTML = html || '<div class="output-text"><pre>(执行成功，无输出)</pre></div>';
       outputElement.className = 'code-output-dynamic output-success';
 
       // 让 HTML 输出中的脚本可运行
-      if (result.htmlOutputs && result.htmlOutputs.length > 0) {
-        executeInlineScripts(outputElement);
-      }
+      renderNotebookExtras(outputElement);
     } else {
       // 显示错误
-      outputElement.innerHTML = `
-        <div class="output-error">
-          <div class="error-title">执行错误:</div>
-          <pre>${escapeHtml(result.error)}</pre>
-        </div>
-      `;
+      outputElement.innerHTML = renderOutput({ output_type: 'error', evalue: result.error });
       outputElement.className = 'code-output-dynamic output-error';
     }
   } catch (error) {
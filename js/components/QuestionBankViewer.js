@@ -1,9 +1,33 @@
 /**
  * QuestionBankViewer组件
  * 负责加载和渲染练习题库内容
- * 支持题目高亮标记功能
+ * 支持题目高亮标记功能（保存在 questionBank 命名空间，其他标签页的标记同步显示）
  */
 
+import { persistence } from '../api/Persistence.js';
+
+const questionBankStore = persistence.namespace('questionBank', {
+  label: '练习题标记',
+  version: 1,
+  migrations: {
+    // v1: 旧版键 highlightedQuestions
+    1: ({ ns, legacy }) => {
+      const highlighted = legacy.take('highlightedQuestions');
+      if (Array.isArray(highlighted)) ns.set('highlighted', highlighted);
+    }
+  }
+});
+
+// 其他标签页修改标记时，更新当前显示的题目
+questionBankStore.subscribe(({ key, external }) => {
+  if (!external || (key !== null && key !== 'highlighted')) return;
+  const highlightedQuestions = loadHighlightedQuestions();
+  document.querySelectorAll('.question-item').forEach((questionDiv) => {
+    setQuestionHighlighted(questionDiv, highlightedQuestions.has(questionDiv.dataset.questionId));
+  });
+  updateHighlightCount();
+});
+
 /**
  * 创建练习题查看器
  * @param {string} lessonId - 课程ID (如 'L3-01')
@@ -311,17 +335,11 @@ function createQuestionElement(question, number, highlightedQuestions) {
     if (currentHighlights.has(question.id)) {
       // 取消高亮
       currentHighlights.delete(question.id);
-      questionDiv.classList.remove('highlighted');
-      highlightBtn.classList.remove('active');
-      highlightBtn.title = '标记此题';
-      highlightBtn.querySelector('svg').setAttribute('fill', 'none');
+      setQuestionHighlighted(questionDiv, false);
     } else {
       // 添加高亮
       currentHighlights.add(question.id);
-      questionDiv.classList.add('highlighted');
-      highlightBtn.classList.add('active');
-      highlightBtn.title = '取消标记';
-      highlightBtn.querySelector('svg').setAttribute('fill', 'currentColor');
+      setQuestionHighlighted(questionDiv, true);
     }
 
     saveHighlightedQuestions(currentHighlights);
@@ -351,6 +369,19 @@ function createQuestionElement(question, number, highlightedQuestions) {
   return questionDiv;
 }
 
+/**
+ * 更新题目的高亮显示
+ * @param {HTMLElement} questionDiv - 题目元素
+ * @param {boolean} highlighted - 是否高亮
+ */
+function setQuestionHighlighted(questionDiv, highlighted) {
+  questionDiv.classList.toggle('highlighted', highlighted);
+  const highlightBtn = questionDiv.querySelector('.highlight-button');
+  highlightBtn.classList.toggle('active', highlighted);
+  highlightBtn.title = highlighted ? '取消标记' : '标记此题';
+  highlightBtn.querySelector('svg').setAttribute('fill', highlighted ? 'currentColor' : 'none');
+}
+
 /**
  * 更新header中的高亮计数（动态更新）
  */
@@ -385,16 +416,8 @@ function updateHighlightCount() {
  * @returns {Set} 高亮题目ID集合
  */
 function loadHighlightedQuestions() {
-  const stored = localStorage.getItem('highlightedQuestions');
-  if (!stored) return new Set();
-
-  try {
-    const array = JSON.parse(stored);
-    return new Set(array);
-  } catch (e) {
-    console.error('Failed to parse highlighted questions:', e);
-    return new Set();
-  }
+  const array = questionBankStore.get('highlighted', []);
+  return new Set(Array.isArray(array) ? array : []);
 }
 
 /**
@@ -402,8 +425,7 @@ function loadHighlightedQuestions() {
  * @param {Set} highlightedQuestions - 高亮题目ID集合
  */
 function saveHighlightedQuestions(highlightedQuestions) {
-  const array = Array.from(highlightedQuestions);
-  localStorage.setItem('highlightedQuestions', JSON.stringify(array));
+  questionBankStore.set('highlighted', Array.from(highlightedQuestions));
 }
 
 /**
@@ -9,24 +9,119 @@ import { createNotebookViewer } from './NotebookViewer.js';
 import { createHtmlViewer } from './HtmlViewer.js';
 import { createQuestionBankViewer } from './QuestionBankViewer.js';
 import { createSplitter } from './ResizableSplitter.js';
+import { createLayerPanel } from './DrawingLayerPanel.js';
+import { createPlaybackControl } from './DrawingPlaybackBar.js';
+import { createUserProfilePicker } from './UserProfilePicker.js';
+import { createCollabControl } from './DrawingCollabControl.js';
 import {
   initGlobalCanvas,
   toggleDrawingMode,
   clearDrawing,
+  undoDrawing,
+  redoDrawing,
+  deleteSelection,
+  duplicateSelection,
+  copySelection,
+  pasteDrawing,
+  hasClipboardStrokes,
   isDrawingActive,
   setDrawingTool,
   getCurrentTool,
+  isEraserTool,
   setDrawingColor,
   getCurrentColor,
   setLineWidth,
   getLineWidth,
   getPresetColors,
   getLineWidthOptions,
+  setTiltShading,
+  isTiltShadingEnabled,
+  setShapeRecognition,
+  isShapeRecognitionEnabled,
+  getAvailableTools,
+  loadDrawingSettings,
   destroyCanvas,
   saveDrawingData,
   updateViewTypes,
   reinitializeCanvases
 } from './GlobalDrawingCanvas.js';
+import { persistence } from '../api/Persistence.js';
+
+// 分屏比例和视图偏好
+const splitViewStore = persistence.namespace('splitView', {
+  label: '分屏布局',
+  version: 1,
+  migrations: {
+    // v1: 旧版键 splitViewRatio（数字字符串）和 splitViewState
+    1: ({ ns, legacy }) => {
+      const ratio = parseFloat(legacy.take('splitViewRatio'));
+      if (!isNaN(ratio)) ns.set('ratio', ratio);
+      const viewStates = legacy.take('splitViewState');
+      if (viewStates && typeof viewStates === 'object') ns.set('viewStates', viewStates);
+    }
+  }
+});
+
+// 绘图工具按钮图标
+const TOOL_ICONS = {
+  pen: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>
+    </svg>
+  `,
+  highlighter: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M9 11l-6 6v3h9l3-3"/>
+      <path d="M22 12l-4.6 4.6a2 2 0 0 1-2.8 0l-5.2-5.2a2 2 0 0 1 0-2.8L14 4"/>
+    </svg>
+  `,
+  eraser: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M20 20H7L3 16l9-9 8 8-4 4"/>
+      <path d="M6 11l5 5"/>
+    </svg>
+  `,
+  'stroke-eraser': `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M4 14c3-5 6-5 8-2s5 3 8-2"/>
+      <line x1="6" y1="20" x2="18" y2="8"/>
+    </svg>
+  `,
+  line: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="4" y1="20" x2="20" y2="4"/>
+    </svg>
+  `,
+  arrow: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="5" y1="19" x2="19" y2="5"/>
+      <polyline points="9 5 19 5 19 15"/>
+    </svg>
+  `,
+  rect: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <rect x="3" y="5" width="18" height="14" rx="1"/>
+    </svg>
+  `,
+  ellipse: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <ellipse cx="12" cy="12" rx="9" ry="7"/>
+    </svg>
+  `,
+  text: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <polyline points="4 7 4 4 20 4 20 7"/>
+      <line x1="9" y1="20" x2="15" y2="20"/>
+      <line x1="12" y1="4" x2="12" y2="20"/>
+    </svg>
+  `,
+  select: `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <ellipse cx="12" cy="9" rx="9" ry="6" stroke-dasharray="3 2"/>
+      <path d="M7 14c-1 2 0 4 2 4s2 2 1 4"/>
+    </svg>
+  `
+};
 
 /**
  * 创建分屏课程视图
@@ -47,10 +142,10 @@ export async function createSplitView(lessonId, container, onBack) {
   // 初始分屏比例 50/50
   let splitRatio = 50;
 
-  // 从localStorage读取用户上次的比例设置
-  const savedRatio = localStorage.getItem('splitViewRatio');
-  if (savedRatio) {
-    splitRatio = parseFloat(savedRatio);
+  // 读取用户上次的比例设置
+  const savedRatio = splitViewStore.get('ratio');
+  if (typeof savedRatio === 'number') {
+    splitRatio = savedRatio;
   }
 
   // 检测题库可用性
@@ -93,7 +188,7 @@ export async function createSplitView(lessonId, container, onBack) {
     // 使用debounce延迟保存用户偏好，避免拖动时频繁写入localStorage导致卡顿
     clearTimeout(saveTimer);
     saveTimer = setTimeout(() => {
-      localStorage.setItem('splitViewRatio', splitRatio.toString());
+      splitViewStore.set('ratio', splitRatio);
     }, 300);
   });
 
@@ -127,6 +222,9 @@ export async function createSplitView(lessonId, container, onBack) {
   );
   toolbar.appendChild(viewToggleGroup);
 
+  // 加载绘图配置（config/drawing.json），决定工具、颜色和线宽选项
+  await loadDrawingSettings();
+
   // 创建画笔工具组
   const drawingToolsGroup = document.createElement('div');
   drawingToolsGroup.className = 'drawing-tools-group';
@@ -155,8 +253,6 @@ export async function createSplitView(lessonId, container, onBack) {
       drawingButton.classList.add('active');
       extendedTools.style.display = 'flex';
       setDrawingTool('pen');
-      penButton.classList.add('active');
-      eraserButton.classList.remove('active');
     } else {
       drawingButton.classList.remove('active');
       extendedTools.style.display = 'none';
@@ -164,42 +260,24 @@ export async function createSplitView(lessonId, container, onBack) {
   };
   drawingToolsGroup.appendChild(drawingButton);
 
-  // === 扩展工具：画笔/橡皮擦切换 ===
-  const penButton = document.createElement('button');
-  penButton.className = 'tool-button active';
-  penButton.innerHTML = `
-    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-      <path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>
-    </svg>
-  `;
-  penButton.title = '画笔';
-  
-  const eraserButton = document.createElement('button');
-  eraserButton.className = 'tool-button';
-  eraserButton.innerHTML = `
-    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-      <path d="M20 20H7L3 16l9-9 8 8-4 4"/>
-      <path d="M6 11l5 5"/>
-    </svg>
-  `;
-  eraserButton.title = '橡皮擦';
-
-  penButton.onclick = () => {
-    setDrawingTool('pen');
-    penButton.classList.add('active');
-    eraserButton.classList.remove('active');
-  };
-
-  eraserButton.onclick = () => {
-    setDrawingTool('eraser');
-    eraserButton.classList.add('active');
-    penButton.classList.remove('active');
-  };
-
+  // === 扩展工具：画笔/荧光笔/橡皮擦/形状/文字 ===
+  // 显示哪些工具由 config/drawing.json 的 tools 决定，选中状态由 setDrawingTool 同步
   const toolToggle = document.createElement('div');
   toolToggle.className = 'tool-toggle-group';
-  toolToggle.appendChild(penButton);
-  toolToggle.appendChild(eraserButton);
+  getAvailableTools().forEach(tool => {
+    const toolButton = document.createElement('button');
+    toolButton.className = 'tool-button';
+    toolButton.dataset.tool = tool.id;
+    toolButton.innerHTML = TOOL_ICONS[tool.id] || '';
+    toolButton.title = tool.name;
+    if (tool.id === getCurrentTool()) {
+      toolButton.classList.add('active');
+    }
+    toolButton.onclick = () => {
+      setDrawingTool(tool.id);
+    };
+    toolToggle.appendChild(toolButton);
+  });
   extendedTools.appendChild(toolToggle);
 
   // === 颜色选择器 ===
@@ -223,10 +301,10 @@ export async function createSplitView(lessonId, container, onBack) {
       setDrawingColor(color.value);
       colorPicker.querySelectorAll('.color-button').forEach(b => b.classList.remove('active'));
       colorBtn.classList.add('active');
-      // 切换到画笔工具
-      setDrawingTool('pen');
-      penButton.classList.add('active');
-      eraserButton.classList.remove('active');
+      // 橡皮擦状态下选颜色时切换回画笔
+      if (isEraserTool()) {
+        setDrawingTool('pen');
+      }
     };
     colorPicker.appendChild(colorBtn);
   });
@@ -240,10 +318,10 @@ export async function createSplitView(lessonId, container, onBack) {
   customColorInput.onchange = (e) => {
     setDrawingColor(e.target.value);
     colorPicker.querySelectorAll('.color-button').forEach(b => b.classList.remove('active'));
-    // 切换到画笔工具
-    setDrawingTool('pen');
-    penButton.classList.add('active');
-    eraserButton.classList.remove('active');
+    // 橡皮擦状态下选颜色时切换回画笔
+    if (isEraserTool()) {
+      setDrawingTool('pen');
+    }
   };
   colorPicker.appendChild(customColorInput);
   
@@ -278,6 +356,146 @@ export async function createSplitView(lessonId, container, onBack) {
   
   extendedTools.appendChild(lineWidthGroup);
 
+  // === 倾斜笔锋开关（Apple Pencil / 数位笔倾斜时笔迹变宽变淡） ===
+  const tiltButton = document.createElement('button');
+  tiltButton.className = 'tool-button tilt-shading-button';
+  tiltButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M3 21l3-1 12-12-2-2L4 18z"/>
+      <path d="M9 21c4 0 8-1 12-3" stroke-dasharray="2 2"/>
+    </svg>
+  `;
+  tiltButton.title = '倾斜笔锋：笔身倾斜时笔迹变宽变淡';
+  if (isTiltShadingEnabled()) {
+    tiltButton.classList.add('active');
+  }
+  tiltButton.onclick = () => {
+    setTiltShading(!isTiltShadingEnabled());
+    tiltButton.classList.toggle('active', isTiltShadingEnabled());
+  };
+
+  // === 形状识别开关（手绘图形吸附为直线/矩形/椭圆） ===
+  const shapeButton = document.createElement('button');
+  shapeButton.className = 'tool-button shape-recognition-button';
+  shapeButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M3 17c3-6 5-9 8-9s4 5 7 5 3-3 3-3" stroke-dasharray="2 2"/>
+      <rect x="3" y="3" width="7" height="5" rx="1"/>
+      <circle cx="17" cy="18" r="3"/>
+    </svg>
+  `;
+  shapeButton.title = '形状识别：手绘的直线、矩形、椭圆自动变规整';
+  if (isShapeRecognitionEnabled()) {
+    shapeButton.classList.add('active');
+  }
+  shapeButton.onclick = () => {
+    setShapeRecognition(!isShapeRecognitionEnabled());
+    shapeButton.classList.toggle('active', isShapeRecognitionEnabled());
+  };
+
+  const optionToggle = document.createElement('div');
+  optionToggle.className = 'tool-toggle-group';
+  optionToggle.appendChild(tiltButton);
+  optionToggle.appendChild(shapeButton);
+  extendedTools.appendChild(optionToggle);
+
+  // === 选区操作（套索选中笔画后显示；选中时点颜色可直接改色） ===
+  const selectionGroup = document.createElement('div');
+  selectionGroup.className = 'selection-action-group';
+  selectionGroup.style.display = 'none';
+  [
+    {
+      className: 'duplicate-selection-button',
+      title: '复制一份 (Ctrl/⌘+D)',
+      icon: `
+        <rect x="8" y="8" width="13" height="13" rx="2"/>
+        <path d="M4 16V5a2 2 0 0 1 2-2h11"/>
+      `,
+      action: duplicateSelection
+    },
+    {
+      className: 'copy-selection-button',
+      title: '复制到剪贴板，可粘贴到另一侧或其他课程 (Ctrl/⌘+C)',
+      icon: `
+        <rect x="8" y="2" width="8" height="4" rx="1"/>
+        <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/>
+      `,
+      action: copySelection
+    },
+    {
+      className: 'delete-selection-button',
+      title: '删除选中的笔画 (Delete)',
+      icon: `
+        <line x1="18" y1="6" x2="6" y2="18"/>
+        <line x1="6" y1="6" x2="18" y2="18"/>
+      `,
+      action: deleteSelection
+    }
+  ].forEach(({ className, title, icon, action }) => {
+    const button = document.createElement('button');
+    button.className = `selection-action-button ${className}`;
+    button.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icon}</svg>`;
+    button.title = title;
+    button.onclick = () => {
+      action();
+    };
+    selectionGroup.appendChild(button);
+  });
+  extendedTools.appendChild(selectionGroup);
+
+  // === 撤销/重做按钮 ===
+  const undoButton = document.createElement('button');
+  undoButton.className = 'history-button undo-drawing-button';
+  undoButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M3 7v6h6"/>
+      <path d="M21 17a9 9 0 0 0-9-9 9 9 0 0 0-6 2.3L3 13"/>
+    </svg>
+  `;
+  undoButton.title = '撤销 (Ctrl/⌘+Z，双指轻点)';
+  undoButton.disabled = true;
+  undoButton.onclick = () => {
+    undoDrawing();
+  };
+  extendedTools.appendChild(undoButton);
+
+  const redoButton = document.createElement('button');
+  redoButton.className = 'history-button redo-drawing-button';
+  redoButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M21 7v6h-6"/>
+      <path d="M3 17a9 9 0 0 1 9-9 9 9 0 0 1 6 2.3L21 13"/>
+    </svg>
+  `;
+  redoButton.title = '重做 (Ctrl/⌘+Shift+Z)';
+  redoButton.disabled = true;
+  redoButton.onclick = () => {
+    redoDrawing();
+  };
+  extendedTools.appendChild(redoButton);
+
+  // === 粘贴按钮（剪贴板为空时禁用，状态由 GlobalDrawingCanvas 同步） ===
+  const pasteButton = document.createElement('button');
+  pasteButton.className = 'history-button paste-drawing-button';
+  pasteButton.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <rect x="8" y="2" width="8" height="4" rx="1"/>
+      <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/>
+      <path d="M9 14l3 3 3-3"/>
+      <line x1="12" y1="10" x2="12" y2="17"/>
+    </svg>
+  `;
+  pasteButton.title = '粘贴笔画到最近绘制的面板 (Ctrl/⌘+V)';
+  pasteButton.disabled = !hasClipboardStrokes();
+  pasteButton.onclick = () => {
+    pasteDrawing();
+  };
+  extendedTools.appendChild(pasteButton);
+
+  // === 图层面板（每个视图可有多个命名图层） ===
+  const layerPanel = createLayerPanel(showToast);
+  extendedTools.appendChild(layerPanel);
+
   // === 清除按钮 ===
   const clearButton = document.createElement('button');
   clearButton.className = 'clear-drawing-button';
@@ -304,8 +522,8 @@ export async function createSplitView(lessonId, container, onBack) {
     </svg>
   `;
   saveButton.title = '保存涂鸦';
-  saveButton.onclick = () => {
-    const success = saveDrawingData();
+  saveButton.onclick = async () => {
+    const success = await saveDrawingData();
     if (success) {
       showToast('涂鸦已保存', 'success');
     } else {
@@ -315,8 +533,26 @@ export async function createSplitView(lessonId, container, onBack) {
   extendedTools.appendChild(saveButton);
 
   drawingToolsGroup.appendChild(extendedTools);
+
+  // === 课堂回放（不需要开启画笔，学生也可以查看书写过程） ===
+  const playbackControl = createPlaybackControl(showToast);
+  drawingToolsGroup.appendChild(playbackControl);
+
   toolbar.appendChild(drawingToolsGroup);
 
+  // 实时协作（演示者/跟随者同步视图选择和滚动位置）
+  const collabControl = createCollabControl(lessonId, {
+    leftPane,
+    rightPane,
+    getViews: () => ({ left: viewState.left, right: viewState.right }),
+    setViews: viewToggleGroup.setViews
+  }, showToast);
+  toolbar.appendChild(collabControl);
+
+  // 用户切换（每个用户有独立的涂鸦）
+  const userPicker = createUserProfilePicker(showToast);
+  toolbar.appendChild(userPicker);
+
   // 创建全屏切换按钮
   const fullscreenButton = document.createElement('button');
   fullscreenButton.className = 'toolbar-button fullscreen-button';
@@ -363,6 +599,10 @@ export async function createSplitView(lessonId, container, onBack) {
     destroy: () => {
       // 清理函数
       destroyCanvas();
+      layerPanel.destroy();
+      playbackControl.destroy();
+      collabControl.destroy();
+      userPicker.destroy();
       splitter.destroy && splitter.destroy();
       container.innerHTML = '';
     },
@@ -556,6 +796,27 @@ function createViewToggleButtons(hasQuestions, viewState, lessonId, leftPane, ri
   group.appendChild(leftSelectWrapper);
   group.appendChild(rightSelectWrapper);
 
+  /**
+   * 切换到指定视图（跟随演示者时使用，不保存为偏好）
+   * @param {string} left - 左侧视图
+   * @param {string} right - 右侧视图
+   */
+  group.setViews = async (left, right) => {
+    const available = options.map(opt => opt.id);
+    if (!available.includes(left) || !available.includes(right) || left === right) {
+      console.warn(`[VIEW] Cannot follow unavailable views: left=${left}, right=${right}`);
+      return;
+    }
+
+    viewState.left = left;
+    viewState.right = right;
+    viewState.selected = [left, right];
+    leftSelect.value = left;
+    rightSelect.value = right;
+
+    await updatePaneContents(lessonId, viewState, leftPane, rightPane);
+  };
+
   return group;
 }
 
@@ -685,15 +946,13 @@ function loadViewPreference(lessonId) {
     selected: ['notebook', 'html']
   };
 
-  // 总是返回默认状态(忽略localStorage中的旧偏好)
+  // 总是返回默认状态(忽略已保存的旧偏好)
   // 如果未来需要记住用户偏好,可以恢复下面注释的代码
   return defaultState;
 
   /*
   // 原代码:会记住用户上次的选择
-  const allStates = JSON.parse(
-    localStorage.getItem('splitViewState') || '{}'
-  );
+  const allStates = splitViewStore.get('viewStates', {});
   return allStates[lessonId] || defaultState;
   */
 }
@@ -704,16 +963,14 @@ function loadViewPreference(lessonId) {
  * @param {Object} viewState - 视图状态
  */
 function saveViewPreference(lessonId, viewState) {
-  const allStates = JSON.parse(
-    localStorage.getItem('splitViewState') || '{}'
-  );
+  const allStates = splitViewStore.get('viewStates', {});
 
   allStates[lessonId] = {
     ...viewState,
     timestamp: Date.now()
   };
 
-  localStorage.setItem('splitViewState', JSON.stringify(allStates));
+  splitViewStore.set('viewStates', allStates);
 }
 
 /**
@@ -0,0 +1,183 @@
+/**
+ * UserProfilePicker组件
+ * 用户切换：每个用户有独立的涂鸦，教师可以发布共享图层（见 js/api/UserSession.js）
+ * 切换前先保存当前用户的涂鸦并等待同步完成，避免写入新用户的存储
+ * 服务器拒绝当前用户的令牌时（drawingauthrequired）打开菜单提示更新令牌，待推送的修改保留在发件箱中
+ */
+
+import { userSession, USER_ROLES, DEFAULT_USER_ID } from '../api/UserSession.js';
+import { drawingAPI } from '../api/DrawingAPI.js';
+import { saveDrawingData } from './GlobalDrawingCanvas.js';
+import { escapeHtml } from '../utils.js';
+
+/**
+ * 询问角色
+ * @param {string} name - 用户名称
+ * @param {string} [current] - 当前角色
+ * @returns {'teacher'|'student'}
+ */
+function askRole(name, current = 'student') {
+  return confirm(`「${name}」是否为教师？\n\n确定：教师（可以发布共享图层）\n取消：学生${current === 'teacher' ? '\n\n当前为教师' : ''}`)
+    ? 'teacher'
+    : 'student';
+}
+
+/**
+ * 保存当前用户的涂鸦，并等待推送完成
+ */
+async function saveCurrentUserDrawing() {
+  await saveDrawingData();
+  await drawingAPI.whenIdle();
+}
+
+/**
+ * 创建用户按钮及下拉菜单
+ * @param {Function} showToast - 提示函数 (message, type)
+ * @returns {HTMLElement} - 用户控件DOM元素（带 destroy 方法）
+ */
+export function createUserProfilePicker(showToast) {
+  let isOpen = false;
+  // 服务器拒绝了当前用户的令牌：{ pending } 或 null
+  let authRequired = null;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'user-profile-control';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'toolbar-button user-profile-button';
+  toggleButton.title = '切换用户（每个用户有独立的涂鸦）';
+  wrapper.appendChild(toggleButton);
+
+  const menu = document.createElement('div');
+  menu.className = 'user-profile-menu';
+  menu.style.display = 'none';
+  wrapper.appendChild(menu);
+
+  function renderButton() {
+    const user = userSession.getCurrentUser();
+    toggleButton.classList.toggle('auth-required', !!authRequired);
+    toggleButton.innerHTML = `
+      <span>${authRequired ? '🔑' : '👤'} ${escapeHtml(user.name)}</span>
+      <span class="user-role-badge ${user.role}">${USER_ROLES[user.role]}</span>
+    `;
+  }
+
+  function renderMenu() {
+    const currentId = userSession.getCurrentUser().id;
+    menu.innerHTML = `
+      ${authRequired ? `
+        <div class="user-profile-notice">
+          服务器拒绝了当前用户的令牌（未登录或已过期），${authRequired.pending} 个修改保存在本机等待同步。
+          请点击 ✏️ 更新令牌，更新后自动同步。
+        </div>
+      ` : ''}
+      <div class="user-profile-list">
+        ${userSession.getProfiles().map(profile => `
+          <div class="user-profile-row${profile.id === currentId ? ' active' : ''}" data-user-id="${escapeHtml(profile.id)}">
+            <button class="user-profile-name" data-action="switch" title="切换到此用户">
+              ${escapeHtml(profile.name)}
+              <span class="user-role-badge ${profile.role}">${USER_ROLES[profile.role]}</span>
+              ${profile.token ? '<span title="已设置服务器令牌">🔑</span>' : ''}
+            </button>
+            <button data-action="edit" title="修改名称、角色和令牌">✏️</button>
+            <button data-action="remove" title="删除用户" ${profile.id === DEFAULT_USER_ID ? 'disabled' : ''}>✕</button>
+          </div>
+        `).join('')}
+      </div>
+      <div class="user-profile-actions">
+        <button data-action="add">＋ 新建用户</button>
+      </div>
+    `;
+  }
+
+  function setOpen(open) {
+    isOpen = open;
+    menu.style.display = isOpen ? 'block' : 'none';
+    toggleButton.classList.toggle('active', isOpen);
+    if (isOpen) renderMenu();
+  }
+
+  toggleButton.onclick = () => setOpen(!isOpen);
+
+  menu.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const userId = button.closest('.user-profile-row')?.dataset.userId;
+    const profile = userId && userSession.getProfiles().find(p => p.id === userId);
+    const isCurrent = userId === userSession.getCurrentUser().id;
+
+    switch (button.dataset.action) {
+      case 'switch':
+        if (isCurrent) return;
+        await saveCurrentUserDrawing();
+        userSession.switchUser(userId);
+        showToast(`已切换到 ${profile.name}`, 'success');
+        setOpen(false);
+        break;
+      case 'edit': {
+        const name = prompt('用户名称', profile.name);
+        if (name === null) return;
+        const role = askRole(name.trim() || profile.name, profile.role);
+        const token = prompt('服务器令牌（服务器启用令牌模式时需要，留空表示不使用）', profile.token || '');
+        if (token === null) return;
+
+        // 修改当前用户会重新加载涂鸦，先保存
+        if (isCurrent) await saveCurrentUserDrawing();
+        userSession.updateProfile(userId, { name: name.trim(), role, token: token.trim() });
+        renderMenu();
+        break;
+      }
+      case 'remove':
+        if (!confirm(`确定要删除用户「${profile.name}」吗？该用户保存在本机的涂鸦不会被删除。`)) return;
+        if (isCurrent) await saveCurrentUserDrawing();
+        userSession.removeProfile(userId);
+        renderMenu();
+        break;
+      case 'add': {
+        const name = prompt('新用户名称', '');
+        if (!name || !name.trim()) return;
+        const role = askRole(name.trim());
+        const created = userSession.addProfile({ name: name.trim(), role });
+        await saveCurrentUserDrawing();
+        userSession.switchUser(created.id);
+        showToast(`已切换到 ${created.name}`, 'success');
+        setOpen(false);
+        break;
+      }
+    }
+  });
+
+  // 点击外部关闭菜单
+  const handleDocumentClick = (e) => {
+    if (isOpen && !wrapper.contains(e.target)) setOpen(false);
+  };
+  document.addEventListener('click', handleDocumentClick);
+
+  // 令牌修改或切换用户后重新推送，结果未知前不再提示
+  const handleUserChange = () => {
+    authRequired = null;
+    renderButton();
+    if (isOpen) renderMenu();
+  };
+  document.addEventListener('drawinguserchange', handleUserChange);
+
+  const handleAuthRequired = (e) => {
+    if (!authRequired) {
+      showToast('服务器拒绝了当前用户的令牌，修改已保存在本机，请更新令牌', 'error');
+    }
+    authRequired = { pending: e.detail.pending };
+    renderButton();
+    setOpen(true);
+  };
+  document.addEventListener('drawingauthrequired', handleAuthRequired);
+  renderButton();
+
+  wrapper.destroy = () => {
+    document.removeEventListener('click', handleDocumentClick);
+    document.removeEventListener('drawinguserchange', handleUserChange);
+    document.removeEventListener('drawingauthrequired', handleAuthRequired);
+  };
+
+  return wrapper;
+}
@@ -1,190 +1,193 @@
 /**
- * drawing.js - 绘图引擎
+ * drawing.js - 单栏查看器的涂鸦适配层
+ *
+ * 绘制、保存和导出都交给 GlobalDrawingCanvas（与课程分栏模式共用同一引擎）：
+ * - 内容区 #content-wrapper 作为引擎的左侧面板（.left-pane），没有右侧面板
+ * - 上传的 .ipynb 以文件名生成课程ID，视图类型为 notebook，
+ *   涂鸦按单元格锚定、同步到服务器，并出现在涂鸦管理中
+ * - 旧版 drawing_${fileName} 笔画数组在首次打开时迁移为新格式
+ * - 文件名含其他字符时课程ID追加文件名的哈希（不同文件不再共用涂鸦），
+ *   之前保存在替换字符后的课程ID下的涂鸦在首次打开时复制过来
  */
 
 import { state } from './config.js';
 import { showToast } from './utils.js';
-
-// 开始绘制
-export function startDrawing(e) {
-    if (!state.drawingActive) return;
-    state.isDrawing = true;
-    const contentWrapper = document.getElementById('content-wrapper');
-    const scrollTop = contentWrapper?.scrollTop || 0;
-    const r = state.canvas.getBoundingClientRect();
-    const screenX = e.clientX - r.left;
-    const screenY = e.clientY - r.top;
-    state.lastX = screenX;
-    state.lastY = screenY + scrollTop;
-    state.currentStroke = {
-        tool: state.currentTool,
-        color: state.currentColor,
-        width: state.currentLineWidth,
-        points: [{ x: state.lastX, y: state.lastY }]
-    };
-}
-
-// 绘制
-export function draw(e) {
-    if (!state.isDrawing || !state.drawingActive) return;
-    const contentWrapper = document.getElementById('content-wrapper');
-    const scrollTop = contentWrapper?.scrollTop || 0;
-    const r = state.canvas.getBoundingClientRect();
-    const screenX = e.clientX - r.left;
-    const screenY = e.clientY - r.top;
-    const contentX = screenX;
-    const contentY = screenY + scrollTop;
-    state.currentStroke.points.push({ x: contentX, y: contentY });
-
-    const ctx = state.ctx;
-    ctx.strokeStyle = state.currentTool === 'eraser' ? '#fff' : state.currentColor;
-    ctx.lineWidth = state.currentTool === 'eraser' ? state.currentLineWidth * 3 : state.currentLineWidth;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.globalCompositeOperation = state.currentTool === 'eraser' ? 'destination-out' : 'source-over';
-    ctx.beginPath();
-    const lastScreenY = state.lastY - scrollTop;
-    ctx.moveTo(state.lastX, lastScreenY);
-    ctx.lineTo(screenX, screenY);
-    ctx.stroke();
-    state.lastX = contentX;
-    state.lastY = contentY;
+import {
+    initGlobalCanvas,
+    destroyCanvas,
+    toggleDrawingMode,
+    setDrawingTool,
+    setDrawingColor,
+    setLineWidth as setEngineLineWidth,
+    isEraserTool,
+    clearDrawing as clearEngineDrawing,
+    saveDrawingData,
+    exportToPDF
+} from './components/GlobalDrawingCanvas.js';
+import { drawingAPI } from './api/DrawingAPI.js';
+import { drawingStorage } from './api/DrawingStorage.js';
+import { persistence } from './api/Persistence.js';
+import { createRecordFromLegacyStrokes, normalizeDrawingRecord } from './utils/drawingSchema.js';
+
+// 单栏查看器只显示笔记
+const NOTEBOOK_VIEW_TYPE = 'notebook';
+
+// 旧版单栏查看器的存储键前缀：drawing_${fileName}
+const LEGACY_STORAGE_KEY_PREFIX = 'drawing_';
+
+// 由文件名生成的课程ID中保留的字符，其他字符替换为 -
+const LESSON_ID_UNSAFE_PATTERN = /[^\w\u4e00-\u9fa5-]+/g;
+
+// 旧版课程ID：其他字符替换为 -（a b.ipynb、a.b.ipynb 等会得到同一个ID）
+function getLegacyNotebookLessonId(fileName) {
+    const baseName = fileName.replace(/\.ipynb$/i, '');
+    return `ipynb-${baseName.replace(LESSON_ID_UNSAFE_PATTERN, '-')}`;
 }
 
-// 停止绘制
-export function stopDrawing() {
-    if (!state.isDrawing) return;
-    state.isDrawing = false;
-    if (state.currentStroke && state.currentStroke.points.length > 1) {
-        state.drawingData.push(state.currentStroke);
-        saveDrawingToStorage();
+// 文件名的短哈希（FNV-1a，8位十六进制）
+function hashFileName(name) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
-    state.currentStroke = null;
-    state.ctx.globalCompositeOperation = 'source-over';
+    return (hash >>> 0).toString(16).padStart(8, '0');
 }
 
-// 重绘 Canvas
-export function redrawCanvas() {
-    const ctx = state.ctx;
-    const canvas = state.canvas;
-    if (!ctx || !canvas) return;
-
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    const contentWrapper = document.getElementById('content-wrapper');
-    const scrollTop = contentWrapper?.scrollTop || 0;
-
-    state.drawingData.forEach(s => {
-        ctx.strokeStyle = s.color;
-        ctx.lineWidth = s.width;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.globalCompositeOperation = s.tool === 'eraser' ? 'destination-out' : 'source-over';
-        if (s.tool === 'eraser') ctx.lineWidth = s.width * 3;
-        ctx.beginPath();
-        s.points.forEach((p, i) => {
-            const screenY = p.y - scrollTop;
-            if (i === 0) ctx.moveTo(p.x, screenY);
-            else ctx.lineTo(p.x, screenY);
-        });
-        ctx.stroke();
-    });
-    ctx.globalCompositeOperation = 'source-over';
+// 由文件名生成课程ID：只含保留字符的文件名不变，否则追加 ~哈希
+// （替换后的名称不含 ~，不会与不需要替换的文件名冲突）
+function getNotebookLessonId(fileName) {
+    const baseName = fileName.replace(/\.ipynb$/i, '');
+    const legacyId = getLegacyNotebookLessonId(fileName);
+    return legacyId === `ipynb-${baseName}` ? legacyId : `${legacyId}~${hashFileName(baseName)}`;
 }
 
-// 调整 Canvas 大小
-export function resizeCanvas() {
-    const canvas = state.canvas;
-    if (!canvas) {
-        console.log('[resizeCanvas] ⚠️ canvas is null');
-        return;
+// 把旧版课程ID下的涂鸦复制到新的课程ID（旧ID可能被多个文件共用，所以复制而不是移动）
+async function migrateLegacyLessonId(fileName, lessonId) {
+    const legacyId = getLegacyNotebookLessonId(fileName);
+    if (legacyId === lessonId) return;
+
+    try {
+        if (await drawingStorage.get(lessonId, NOTEBOOK_VIEW_TYPE)) return;
+        if (await drawingAPI.getDrawing(lessonId, NOTEBOOK_VIEW_TYPE).catch(() => null)) return;
+
+        const previous = normalizeDrawingRecord(await drawingStorage.get(legacyId, NOTEBOOK_VIEW_TYPE)) ||
+            await drawingAPI.getDrawing(legacyId, NOTEBOOK_VIEW_TYPE).catch(() => null);
+        if (!previous) return;
+
+        const record = { ...previous, lessonId, timestamp: Date.now(), revision: 0 };
+        await drawingStorage.set(record, { synced: false });
+        await drawingAPI.syncDrawing(record);
+        console.log(`[MIGRATE] ✅ ${legacyId} → ${lessonId}/${NOTEBOOK_VIEW_TYPE}: ${record.strokes.length} strokes`);
+    } catch (error) {
+        console.warn(`[MIGRATE] ❌ Failed to migrate ${legacyId}:`, error);
     }
+}
 
-    const contentWrapper = document.getElementById('content-wrapper');
-    if (!contentWrapper) {
-        console.log('[resizeCanvas] ⚠️ contentWrapper is null');
-        return;
+// 迁移旧版笔画数组（已有新格式记录时直接丢弃旧数据）
+async function migrateLegacyDrawing(fileName, lessonId) {
+    const legacyKey = `${LEGACY_STORAGE_KEY_PREFIX}${fileName}`;
+    const legacyStrokes = persistence.legacy.get(legacyKey);
+    if (legacyStrokes === null) return;
+
+    try {
+        const existing = await drawingStorage.get(lessonId, NOTEBOOK_VIEW_TYPE);
+        if (!existing && Array.isArray(legacyStrokes) && legacyStrokes.length > 0) {
+            const record = createRecordFromLegacyStrokes(legacyStrokes, {
+                lessonId,
+                viewType: NOTEBOOK_VIEW_TYPE
+            });
+
+            // 先写入本地，再同步到服务器（失败时进入发件箱稍后重试）
+            await drawingStorage.set(record, { synced: false });
+            await drawingAPI.syncDrawing(record);
+            console.log(`[MIGRATE] ✅ ${legacyKey} → ${lessonId}/${NOTEBOOK_VIEW_TYPE}: ${record.strokes.length} strokes`);
+        }
+        persistence.legacy.remove(legacyKey);
+    } catch (error) {
+        console.warn(`[MIGRATE] ❌ Failed to migrate ${legacyKey}:`, error);
     }
+}
 
-    const outlinePanel = document.getElementById('outline-panel');
-    const isOutlineCollapsed = outlinePanel?.classList.contains('collapsed');
-    const outlineWidth = isOutlineCollapsed ? 0 : (outlinePanel?.offsetWidth || 0);
-
-    const width = contentWrapper.clientWidth;
-    const height = contentWrapper.clientHeight;
+// 打开当前文件的涂鸦（在 Notebook 渲染完成后调用）
+export async function openNotebookDrawing() {
+    if (!state.currentFileName) return;
 
-    canvas.width = width;
-    canvas.height = height;
-    canvas.style.width = width + 'px';
-    canvas.style.height = height + 'px';
-    canvas.style.position = 'fixed';
-    canvas.style.top = '56px';
-    canvas.style.left = outlineWidth + 'px';
+    const fileName = state.currentFileName;
+    const lessonId = getNotebookLessonId(fileName);
+    await migrateLegacyLessonId(fileName, lessonId);
+    await migrateLegacyDrawing(fileName, lessonId);
 
-    console.log(`[resizeCanvas] ✅ Canvas: ${width}x${height}, left=${outlineWidth}px, rect=`, canvas.getBoundingClientRect());
+    // 迁移期间可能已切换到其他文件
+    if (state.currentFileName !== fileName) return;
 
-    redrawCanvas();
+    const container = document.querySelector('.main-container');
+    if (container) {
+        initGlobalCanvas(container, lessonId, NOTEBOOK_VIEW_TYPE, null);
+    }
 }
 
-// 保存绘图数据到 Storage
-export function saveDrawingToStorage() {
+// 关闭当前文件的涂鸦（切换文件前保存并释放画布）
+export async function closeNotebookDrawing() {
     if (!state.currentFileName) return;
-    localStorage.setItem(`drawing_${state.currentFileName}`, JSON.stringify(state.drawingData));
+    await saveDrawingData();
+    destroyCanvas();
+    updateDrawingToggleUI(false);
 }
 
-// 加载绘图数据
-export function loadDrawingData() {
-    if (!state.currentFileName) return;
-    const saved = localStorage.getItem(`drawing_${state.currentFileName}`);
-    if (saved) {
-        state.drawingData = JSON.parse(saved);
-        redrawCanvas();
-    } else {
-        state.drawingData = [];
-        state.ctx?.clearRect(0, 0, state.canvas.width, state.canvas.height);
-    }
+// 同步画笔按钮和工具栏
+function updateDrawingToggleUI(isActive) {
+    document.getElementById('drawing-toggle')?.classList.toggle('active', isActive);
+    const tools = document.getElementById('drawing-tools');
+    if (tools) tools.style.display = isActive ? 'flex' : 'none';
 }
 
 // 切换涂鸦模式
 export function toggleDrawing() {
-    state.drawingActive = !state.drawingActive;
-    document.getElementById('drawing-toggle')?.classList.toggle('active', state.drawingActive);
-    document.getElementById('drawing-tools')?.classList.toggle('active', state.drawingActive);
-    state.canvas?.classList.toggle('active', state.drawingActive);
+    const isActive = toggleDrawingMode();
+    updateDrawingToggleUI(isActive);
+    if (isActive) setTool('pen');
 }
 
-// 设置工具
+// 设置工具（按钮选中状态由引擎同步）
 export function setTool(tool) {
-    state.currentTool = tool;
-    document.getElementById('pen-tool')?.classList.toggle('active', tool === 'pen');
-    document.getElementById('eraser-tool')?.classList.toggle('active', tool === 'eraser');
+    setDrawingTool(tool);
 }
 
 // 设置颜色
 export function setColor(color) {
-    state.currentColor = color;
-    state.currentTool = 'pen';
-    setTool('pen');
+    setDrawingColor(color);
+    if (isEraserTool()) setTool('pen');
     document.querySelectorAll('.color-button').forEach(b => b.classList.remove('active'));
     document.querySelector(`.color-button[onclick="setColor('${color}')"]`)?.classList.add('active');
 }
 
 // 设置线宽
 export function setLineWidth(width) {
-    state.currentLineWidth = width;
+    setEngineLineWidth(width);
     document.querySelectorAll('.line-width-button').forEach(b => b.classList.remove('active'));
     document.getElementById(`width-${width}`)?.classList.add('active');
 }
 
-// 清除涂鸦
+// 清除涂鸦（可撤销）
 export function clearDrawing() {
-    state.ctx?.clearRect(0, 0, state.canvas.width, state.canvas.height);
-    state.drawingData = [];
-    saveDrawingToStorage();
+    if (!state.currentFileName) return;
+    clearEngineDrawing();
+    saveDrawingData();
     showToast('涂鸦已清除', 'success');
 }
 
 // 保存涂鸦
-export function saveDrawing() {
-    saveDrawingToStorage();
-    showToast('涂鸦已保存', 'success');
+export async function saveDrawing() {
+    const success = await saveDrawingData();
+    showToast(success ? '涂鸦已保存' : '保存失败', success ? 'success' : 'error');
+}
+
+// 导出 PDF（笔记内容 + 涂鸦）
+export async function exportDrawingPDF() {
+    if (!state.currentFileName) {
+        showToast('请先加载 Notebook', 'info');
+        return;
+    }
+    await exportToPDF();
 }
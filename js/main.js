@@ -2,59 +2,53 @@
  * main.js - 主入口
  */
 
-import { state, initCanvas, VERSION } from './config.js';
-import { initDebugPanel } from './debug-panel.js';
-import { initTouchHandlers } from './touch-handler.js';
+import { state, VERSION } from './config.js';
 import {
-    resizeCanvas, toggleDrawing, setTool, setColor, setLineWidth,
-    clearDrawing, saveDrawing, redrawCanvas
+    toggleDrawing, setTool, setColor, setLineWidth,
+    clearDrawing, saveDrawing, exportDrawingPDF
 } from './drawing.js';
+import { saveDrawingData } from './components/GlobalDrawingCanvas.js';
+import { createDrawingManager } from './components/DrawingManager.js';
+import { createUserProfilePicker } from './components/UserProfilePicker.js';
+import { showToast } from './utils.js';
 import { toggleOutline, setOutlineLevel } from './outline.js';
-import { handleFileSelect, toggleCode } from './notebook-renderer.js';
+import { handleFileSelect, trustNotebook, toggleCode } from './notebook-renderer.js';
 import { runCode } from './python-executor.js';
 
 // 初始化应用
 function initApp() {
-    // 初始化 canvas
-    initCanvas();
+    // 页面关闭前保存涂鸦（画布、触控、Apple Pencil 由 GlobalDrawingCanvas 处理）
+    window.addEventListener('beforeunload', () => {
+        if (state.currentFileName) saveDrawingData();
+    });
 
-    // 初始化调试面板
-    initDebugPanel();
-
-    // 初始化触控处理
-    initTouchHandlers();
-
-    // 绑定窗口事件
-    window.addEventListener('resize', resizeCanvas);
+    // 用户切换（每个用户有独立的涂鸦）
+    document.getElementById('user-profile-section')?.appendChild(createUserProfilePicker(showToast));
 
     // 延迟初始化
     setTimeout(() => {
-        resizeCanvas();
-        const contentWrapper = document.getElementById('content-wrapper');
-        if (contentWrapper) {
-            contentWrapper.addEventListener('scroll', redrawCanvas);
-        }
         // 显示版本号
         const fileNameEl = document.getElementById('file-name');
         if (fileNameEl && !state.currentFileName) {
             fileNameEl.textContent = `v${VERSION}`;
         }
-        const debugVersionEl = document.getElementById('debug-version');
-        if (debugVersionEl) {
-            debugVersionEl.textContent = `v${VERSION}`;
-        }
         console.log(`[Notebook Viewer] v${VERSION}`);
     }, 100);
 }
 
 // 暴露全局函数（供 HTML onclick 调用）
 window.handleFileSelect = handleFileSelect;
+window.trustNotebook = trustNotebook;
 window.toggleDrawing = toggleDrawing;
 window.setTool = setTool;
 window.setColor = setColor;
 window.setLineWidth = setLineWidth;
 window.clearDrawing = clearDrawing;
 window.saveDrawing = saveDrawing;
+window.exportDrawingPDF = exportDrawingPDF;
+window.openDrawingManager = async () => {
+    document.body.appendChild(await createDrawingManager());
+};
 window.toggleOutline = toggleOutline;
 window.setOutlineLevel = setOutlineLevel;
 window.toggleCode = toggleCode;
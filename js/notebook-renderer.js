@@ -1,11 +1,36 @@
 /**
- * notebook-renderer.js - Notebook 渲染器
+ * notebook-renderer.js - 单栏查看器的 Notebook 加载
+ * 单元格渲染见 utils/notebookRenderer.js（与课程分屏的 NotebookViewer 共用）
+ *
+ * 用户打开的文件默认不可信（HTML 过滤，脚本输出放入沙箱 iframe），
+ * 点击“信任此 Notebook”后按可信方式重新渲染，并记住该文件内容的哈希
  */
 
 import { state } from './config.js';
 import { escapeHtml, showToast, showLoading, hideLoading } from './utils.js';
-import { resizeCanvas, loadDrawingData, startDrawing, draw, stopDrawing } from './drawing.js';
+import { openNotebookDrawing, closeNotebookDrawing } from './drawing.js';
 import { buildOutline } from './outline.js';
+import { renderCell, renderNotebookExtras, toggleCodeVisibility } from './utils/notebookRenderer.js';
+import { persistence } from './api/Persistence.js';
+
+// 已信任的 notebook（文件内容的 SHA-256）；信任只对本设备有效，不进入备份
+const trustStore = persistence.namespace('notebookTrust', {
+    label: '已信任的 Notebook',
+    version: 1,
+    backup: false
+});
+
+// 计算文件内容的 SHA-256（非安全上下文中没有 crypto.subtle，此时信任只在本次打开有效）
+async function hashNotebook(text) {
+    if (!window.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 文件是否已被信任
+function isTrustedHash(hash) {
+    return !!hash && trustStore.get('hashes', []).includes(hash);
+}
 
 // 渲染 Notebook
 export async function renderNotebook(notebook) {
@@ -13,155 +38,41 @@ export async function renderNotebook(notebook) {
     const contentWrapper = document.getElementById('content-wrapper');
 
     contentWrapper.innerHTML = `
-        <canvas id="drawing-canvas" class="drawing-canvas"></canvas>
         <div class="notebook-container">
             <div class="notebook-header">
                 <div class="notebook-title">${escapeHtml(state.currentFileName)}</div>
                 <div class="notebook-meta">共 ${cells.length} 个单元格</div>
+                ${state.notebookTrusted ? '' : `
+                <div class="notebook-trust-banner">
+                    <span>🛡️ 此 Notebook 未被信任：HTML 已过滤，HTML/JavaScript 输出在隔离的沙箱中显示</span>
+                    <button class="toolbar-button" onclick="trustNotebook()">信任此 Notebook</button>
+                </div>`}
             </div>
             <div class="notebook-content" id="notebook-content"></div>
         </div>`;
 
-    // 更新 canvas 引用
-    const newCanvas = document.getElementById('drawing-canvas');
-    if (newCanvas) {
-        state.canvas = newCanvas;
-        state.ctx = newCanvas.getContext('2d');
-
-        // 重新绑定鼠标事件
-        newCanvas.addEventListener('mousedown', startDrawing);
-        newCanvas.addEventListener('mousemove', draw);
-        newCanvas.addEventListener('mouseup', stopDrawing);
-        newCanvas.addEventListener('mouseout', stopDrawing);
-    }
-
     const contentEl = document.getElementById('notebook-content');
     cells.forEach((cell, index) => {
         const cellEl = document.createElement('div');
         cellEl.className = `notebook-cell cell-${cell.cell_type}`;
-        cellEl.innerHTML = renderCell(cell, index);
+        // 涂鸦锚点：笔画绑定到所在单元格，内容重排后随单元格移动
+        cellEl.dataset.cellIndex = index;
+        cellEl.innerHTML = renderCell(cell, { runHandler: 'runCode', trusted: state.notebookTrusted });
         contentEl.appendChild(cellEl);
     });
 
-    // 渲染数学公式
-    if (typeof renderMathInElement !== 'undefined') {
-        setTimeout(() => {
-            renderMathInElement(contentEl, {
-                delimiters: [
-                    { left: '$$', right: '$$', display: true },
-                    { left: '$', right: '$', display: false },
-                    { left: '\\[', right: '\\]', display: true },
-                    { left: '\\(', right: '\\)', display: false }
-                ],
-                throwOnError: false
-            });
-        }, 100);
-    }
-
-    // 渲染 Mermaid
-    const mermaidDiagrams = contentEl.querySelectorAll('.mermaid-diagram');
-    if (mermaidDiagrams.length > 0 && window.mermaid) {
-        setTimeout(async () => {
-            try { await window.mermaid.run({ nodes: mermaidDiagrams }); } catch (e) { console.error('Mermaid error:', e); }
-        }, 300);
-    }
-
     buildOutline(contentEl);
-    resizeCanvas();
 
-    // 执行 HTML 输出中的脚本
-    setTimeout(() => executeHtmlScripts(contentEl), 500);
-}
-
-// 执行 HTML 脚本
-function executeHtmlScripts(container) {
-    const scriptContainers = container.querySelectorAll('.output-html-with-script[data-script-pending="true"]');
-    scriptContainers.forEach(div => {
-        div.removeAttribute('data-script-pending');
-        const scripts = div.querySelectorAll('script');
-        scripts.forEach(oldScript => {
-            const newScript = document.createElement('script');
-            Array.from(oldScript.attributes).forEach(attr => {
-                newScript.setAttribute(attr.name, attr.value);
-            });
-            newScript.textContent = oldScript.textContent;
-            oldScript.parentNode.replaceChild(newScript, oldScript);
-        });
-    });
-}
-
-// 渲染单元格
-export function renderCell(cell, index) {
-    if (!cell || !cell.source) return '<div class="empty-cell">空单元格</div>';
-    const content = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
-    if (cell.cell_type === 'markdown') return renderMarkdownCell(content);
-    if (cell.cell_type === 'code') return renderCodeCell(content, index, cell.outputs);
-    return `<div class="raw-cell"><pre>${escapeHtml(content)}</pre></div>`;
-}
-
-// 渲染 Markdown 单元格
-function renderMarkdownCell(content) {
-    if (typeof marked === 'undefined') return `<div class="markdown-content"><pre>${escapeHtml(content)}</pre></div>`;
-    try {
-        const mathMap = new Map(), mermaidMap = new Map();
-        let counter = 0, protectedContent = content;
-        protectedContent = protectedContent.replace(/```mermaid\n([\s\S]+?)```/g, (m, code) => { const p = `MERMAID${counter++}END`; mermaidMap.set(p, code.trim()); return p; });
-        protectedContent = protectedContent.replace(/\$\$([\s\S]+?)\$\$/g, m => { const p = `MATH${counter++}END`; mathMap.set(p, m); return p; });
-        protectedContent = protectedContent.replace(/\$([^\$\n]+?)\$/g, m => { const p = `MATH${counter++}END`; mathMap.set(p, m); return p; });
-        marked.setOptions({ gfm: true, breaks: false, tables: true });
-        let html = marked.parse(protectedContent);
-        mathMap.forEach((v, k) => { html = html.replace(new RegExp(k, 'g'), v); });
-        mermaidMap.forEach((v, k) => { html = html.replace(new RegExp(k, 'g'), `<div class="mermaid-diagram">${escapeHtml(v)}</div>`); });
-        return `<div class="markdown-content">${html}</div>`;
-    } catch (e) { return `<div class="markdown-content"><pre>${escapeHtml(content)}</pre></div>`; }
-}
-
-// 渲染代码单元格
-function renderCodeCell(content, index, outputs) {
-    const codeId = `code-${index}`;
-    let outputsHtml = '';
-    if (outputs && outputs.length > 0) {
-        outputsHtml = '<div class="code-output">';
-        outputs.forEach(o => {
-            if (o.output_type === 'stream') {
-                const t = Array.isArray(o.text) ? o.text.join('') : o.text;
-                outputsHtml += `<div class="output-text"><pre>${escapeHtml(t)}</pre></div>`;
-            } else if ((o.output_type === 'execute_result' || o.output_type === 'display_data') && o.data) {
-                if (o.data['text/html']) {
-                    const h = Array.isArray(o.data['text/html']) ? o.data['text/html'].join('') : o.data['text/html'];
-                    outputsHtml += `<div class="output-html output-html-with-script" data-script-pending="true">${h}</div>`;
-                } else if (o.data['text/plain']) {
-                    const t = Array.isArray(o.data['text/plain']) ? o.data['text/plain'].join('') : o.data['text/plain'];
-                    outputsHtml += `<div class="output-text"><pre>${escapeHtml(t)}</pre></div>`;
-                }
-                if (o.data['image/png']) {
-                    outputsHtml += `<div class="output-plot"><img src="data:image/png;base64,${o.data['image/png']}" style="max-width:100%;"></div>`;
-                }
-            } else if (o.output_type === 'error') {
-                const t = o.traceback ? o.traceback.join('\n') : o.evalue || 'Error';
-                outputsHtml += `<div class="output-error"><div class="error-title">错误:</div><pre>${escapeHtml(t)}</pre></div>`;
-            }
-        });
-        outputsHtml += '</div>';
-    }
-    return `<div class="code-wrapper collapsed" data-code-id="${codeId}">
-        <div class="code-header">
-            <div class="code-header-left">
-                <button class="toggle-code-btn" onclick="toggleCode('${codeId}')"><svg class="icon-collapsed" width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M9 5l7 7-7 7"/></svg><svg class="icon-expanded" width="12" height="12" viewBox="0 0 24 24" fill="currentColor" style="display:none;"><path d="M5 9l7 7 7-7"/></svg><span class="toggle-text">显示代码</span></button>
-                <span class="code-label">Python</span>
-            </div>
-            <button class="run-code-btn" onclick="runCode('${codeId}')"><svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>运行</button>
-        </div>
-        <pre class="code-block" style="display:none;"><code data-code="${codeId}">${escapeHtml(content)}</code></pre>
-        ${outputsHtml}
-        <div class="code-output-dynamic" id="output-${codeId}" style="display:none;"></div>
-    </div>`;
+    // 渲染公式、Mermaid 图表，执行 HTML 输出中的脚本
+    renderNotebookExtras(contentEl);
 }
 
 // 处理文件选择
 export async function handleFileSelect(event) {
     const file = event.target.files[0];
     if (!file) return;
+    // 先保存上一个文件的涂鸦
+    await closeNotebookDrawing();
     state.currentFileName = file.name;
     document.getElementById('file-name').textContent = file.name;
     showLoading();
@@ -169,8 +80,10 @@ export async function handleFileSelect(event) {
         const text = await file.text();
         const notebook = JSON.parse(text);
         state.currentNotebook = notebook;
+        state.currentNotebookHash = await hashNotebook(text);
+        state.notebookTrusted = isTrustedHash(state.currentNotebookHash);
         await renderNotebook(notebook);
-        loadDrawingData();
+        openNotebookDrawing();
         showToast('Notebook 加载成功', 'success');
     } catch (error) {
         console.error('加载失败:', error);
@@ -180,26 +93,26 @@ export async function handleFileSelect(event) {
     }
 }
 
-// 切换代码显示
-export function toggleCode(codeId) {
-    const w = document.querySelector(`[data-code-id="${codeId}"]`);
-    const cb = w.querySelector('.code-block');
-    const tb = w.querySelector('.toggle-code-btn');
-    const ic = tb.querySelector('.icon-collapsed');
-    const ie = tb.querySelector('.icon-expanded');
-    const tt = tb.querySelector('.toggle-text');
-
-    if (w.classList.contains('collapsed')) {
-        w.classList.remove('collapsed');
-        cb.style.display = 'block';
-        ic.style.display = 'none';
-        ie.style.display = 'inline';
-        tt.textContent = '隐藏代码';
-    } else {
-        w.classList.add('collapsed');
-        cb.style.display = 'none';
-        ic.style.display = 'inline';
-        ie.style.display = 'none';
-        tt.textContent = '显示代码';
+// 信任当前 Notebook：按可信方式重新渲染（HTML 原样显示、脚本在本页执行）
+export async function trustNotebook() {
+    if (!state.currentNotebook || state.notebookTrusted) return;
+    if (!confirm('信任后，此 Notebook 中的 HTML 和脚本将在本页运行，可以访问你的涂鸦和账号数据。\n只应信任来源可靠的文件。确定信任吗？')) return;
+
+    state.notebookTrusted = true;
+    if (state.currentNotebookHash) {
+        const hashes = trustStore.get('hashes', []);
+        if (!hashes.includes(state.currentNotebookHash)) {
+            trustStore.set('hashes', [...hashes, state.currentNotebookHash]);
+        }
     }
+    console.log('[Notebook] ✅ Trusted', state.currentFileName);
+
+    // 重新渲染会替换单元格，涂鸦画布随之重新绑定
+    await closeNotebookDrawing();
+    await renderNotebook(state.currentNotebook);
+    openNotebookDrawing();
+    showToast('已信任此 Notebook', 'success');
 }
+
+// 切换代码显示
+export const toggleCode = toggleCodeVisibility;
@@ -3,12 +3,11 @@
  */
 
 import { state } from './config.js';
-import { resizeCanvas } from './drawing.js';
 
 // 切换大纲显示
 export function toggleOutline() {
+    // 内容区宽度变化后，画布由 GlobalDrawingCanvas 的尺寸监听自动调整
     document.getElementById('outline-panel').classList.toggle('collapsed');
-    resizeCanvas();
 }
 
 // 设置大纲层级
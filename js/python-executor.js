@@ -3,7 +3,7 @@
  */
 
 import { state } from './config.js';
-import { escapeHtml } from './utils.js';
+import { renderOutput, renderNotebookExtras } from './utils/notebookRenderer.js';
 
 // 运行 Python 代码
 export async function runCode(codeId) {
@@ -56,6 +56,7 @@ def get_display_outputs():
 import sys
 from io import StringIO
 sys.stdout = StringIO()
+sys.stderr = StringIO()
 _display_outputs = []
         `);
 
@@ -63,18 +64,20 @@ _display_outputs = []
         try { result = await state.pyodideInstance.runPythonAsync(code); } catch (e) { throw e; }
 
         const output = state.pyodideInstance.runPython(`sys.stdout.getvalue()`);
+        const errors = state.pyodideInstance.runPython(`sys.stderr.getvalue()`);
         const displayOutputs = state.pyodideInstance.runPython(`get_display_outputs()`);
 
-        let html = '';
-        if (output && output.trim()) html += `<div class="output-text"><pre>${escapeHtml(output)}</pre></div>`;
+        // 转换为 notebook 输出格式，与保存的输出使用同一渲染器
+        const outputs = [];
+        if (output && output.trim()) outputs.push({ output_type: 'stream', name: 'stdout', text: output });
+        if (errors && errors.trim()) outputs.push({ output_type: 'stream', name: 'stderr', text: errors });
 
         if (displayOutputs && displayOutputs.length > 0) {
             for (let i = 0; i < displayOutputs.length; i++) {
                 const item = displayOutputs.get(i);
                 const type = item.get(0);
                 const content = item.get(1);
-                if (type === 'html') html += `<div class="output-html">${content}</div>`;
-                else html += `<div class="output-text"><pre>${escapeHtml(content)}</pre></div>`;
+                outputs.push({ output_type: 'display_data', data: { [type === 'html' ? 'text/html' : 'text/plain']: content } });
             }
         }
 
@@ -82,16 +85,19 @@ _display_outputs = []
             const rs = String(result);
             if (rs.includes('__HTML_CONTENT__:')) {
                 const htmlContent = rs.replace('__HTML_CONTENT__:', '').replace(':__HTML_END__', '');
-                html += `<div class="output-html">${htmlContent}</div>`;
+                outputs.push({ output_type: 'execute_result', data: { 'text/html': htmlContent } });
             } else if (!rs.includes('IPython') && !rs.includes('MockIPython') && !rs.includes('_HTML') && !rs.includes('[object') && rs !== 'undefined' && rs !== 'None') {
-                html += `<div class="output-text"><pre>${escapeHtml(rs)}</pre></div>`;
+                outputs.push({ output_type: 'execute_result', data: { 'text/plain': rs } });
             }
         }
 
+        // 本页运行代码产生的输出可信（与 Jupyter 相同，不受 notebook 是否可信影响）
+        const html = outputs.map(output => renderOutput(output, { trusted: true })).join('');
         outputEl.innerHTML = html || '<div class="output-text"><pre>(执行成功，无输出)</pre></div>';
         outputEl.className = 'code-output-dynamic';
+        renderNotebookExtras(outputEl);
     } catch (error) {
-        outputEl.innerHTML = `<div class="output-error"><div class="error-title">执行错误:</div><pre>${escapeHtml(error.message)}</pre></div>`;
+        outputEl.innerHTML = renderOutput({ output_type: 'error', evalue: error.message });
     } finally {
         btn.disabled = false;
         btn.innerHTML = '<svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>运行';
@@ -174,7 +174,30 @@ class ConfigLoader {
       lineWidths: config.lineWidths || [],
       defaultColor: config.defaultColor || '#ef4444',
       defaultLineWidth: config.defaultLineWidth || 4,
-      defaultTool: config.defaultTool || 'pen'
+      defaultTool: config.defaultTool || 'pen',
+      // 工具栏显示的工具（顺序即按钮顺序）
+      tools: config.tools || ['pen', 'highlighter', 'eraser', 'stroke-eraser', 'line', 'arrow', 'rect', 'ellipse', 'text', 'select'],
+      highlighter: {
+        opacity: 0.35,
+        widthScale: 4,
+        ...config.highlighter
+      },
+      shapeRecognition: {
+        enabled: false,
+        tolerance: 0.06,
+        ...config.shapeRecognition
+      },
+      text: {
+        fontScale: 5,
+        minFontSize: 14,
+        fontFamily: null,
+        ...config.text
+      },
+      // 长按切换时使用的橡皮擦：pixel 像素擦除 / stroke 整条笔画擦除
+      eraser: {
+        mode: 'pixel',
+        ...config.eraser
+      }
     };
   }
 
@@ -265,12 +265,14 @@ def save_plot_as_base64():
       console.log(processedCode);
       console.log('[PythonExecutor] ========== 代码结束 ==========');
 
-      // 捕获标准输出
+      // 捕获标准输出和标准错误（tqdm 等进度条写入标准错误）
       await this.pyodide.runPythonAsync(`
 import sys
 from io import StringIO
 _stdout_backup = sys.stdout
+_stderr_backup = sys.stderr
 sys.stdout = StringIO()
+sys.stderr = StringIO()
       `);
 
       // 兼容 IPython.display 的最小实现：支持 display(HTML(...)) 输出 HTML
@@ -298,12 +300,17 @@ def display(obj):
       let result = await this.pyodide.runPythonAsync(processedCode);
       console.log('[PythonExecutor] ✅ runPythonAsync 执行成功');
 
-      // 获取标准输出
+      // 获取标准输出和标准错误
       const stdout = await this.pyodide.runPythonAsync(`
 _output = sys.stdout.getvalue()
 sys.stdout = _stdout_backup
 _output
       `);
+      const stderr = await this.pyodide.runPythonAsync(`
+_errors = sys.stderr.getvalue()
+sys.stderr = _stderr_backup
+_errors
+      `);
 
       // 获取 display(HTML(...)) 的 HTML 输出
       const htmlOutputsJson = await this.pyodide.runPythonAsync(`
@@ -356,15 +363,17 @@ save_plot_as_base64()
 
       return {
         success: true,
-        output: output || '(执行成功，无输出)',
+        output: output || (stderr ? '' : '(执行成功，无输出)'),
+        stderr: stderr || '',
         plots: plots,
         htmlOutputs: htmlOutputs
       };
 
     } catch (error) {
-      // 恢复stdout
+      // 恢复stdout和stderr
       await this.pyodide.runPythonAsync(`
 sys.stdout = _stdout_backup
+sys.stderr = _stderr_backup
       `).catch(() => {});
 
       return {
@@ -0,0 +1,239 @@
+/**
+ * ANSI 转义序列转 HTML（notebook 的 stream / error 输出使用）
+ *
+ * 按终端的方式“重放”文本：
+ * - \r 回到行首，之后的字符覆盖原内容（tqdm 等进度条只保留最终状态）
+ * - \b 退格；ESC[K 清除到行尾；ESC[A / ESC[B 上下移动行（多个进度条）；ESC[G / C / D 左右移动
+ * - ESC[…m 设置样式：粗体、暗淡、斜体、下划线、反色，16 色用 ansi-*-fg / ansi-*-bg 类（颜色见样式表），
+ *   256 色和 24 位色用内联样式
+ * 其他控制序列（如 OSC 超链接）直接去掉；光标右移最多到第 MAX_COLUMNS 列，下移不超过已有的行
+ */
+
+// 16 色的类名（8-15 为高亮色）
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// 256 色中 16-231 的色阶
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// 控制序列：CSI、OSC（以 BEL 或 ST 结尾）、换行、回车、退格、其他单独的 ESC
+const TOKEN_PATTERN = /\x1b\[([0-9;?]*)([A-Za-z])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\r\n|[\n\r\b]|\x1b/g;
+
+// 不含控制字符时可以直接转义
+const CONTROL_PATTERN = /[\x1b\r\b]/;
+
+// 光标右移的上限（不可信输出中的 ESC[5000000C 等不能撑出超长的行）
+const MAX_COLUMNS = 2000;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;'
+};
+
+function escapeText(text) {
+  return text.replace(/[&<>"']/g, m => HTML_ESCAPES[m]);
+}
+
+/**
+ * 256 色编号转颜色：0-15 返回编号（用类名），其余返回 CSS 颜色
+ */
+function xtermColor(index) {
+  if (index < 16) return index;
+  if (index < 232) {
+    const n = index - 16;
+    return `rgb(${CUBE_LEVELS[Math.floor(n / 36)]}, ${CUBE_LEVELS[Math.floor(n / 6) % 6]}, ${CUBE_LEVELS[n % 6]})`;
+  }
+  const gray = 8 + (index - 232) * 10;
+  return `rgb(${gray}, ${gray}, ${gray})`;
+}
+
+/**
+ * 应用 SGR 参数（ESC[…m），返回新的样式对象
+ * @param {Object} style - 当前样式 { fg, bg, bold, dim, italic, underline, inverse }
+ * @param {string} params - 分号分隔的参数
+ */
+function applySgr(style, params) {
+  const codes = params === '' ? [0] : params.split(';').map(code => parseInt(code, 10) || 0);
+  const next = { ...style };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.keys(next).forEach((key) => { delete next[key]; });
+    } else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 22) { delete next.bold; delete next.dim; }
+    else if (code === 23) delete next.italic;
+    else if (code === 24) delete next.underline;
+    else if (code === 27) delete next.inverse;
+    else if (code >= 30 && code <= 37) next.fg = code - 30;
+    else if (code >= 40 && code <= 47) next.bg = code - 40;
+    else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+    else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+    else if (code === 39) delete next.fg;
+    else if (code === 49) delete next.bg;
+    else if (code === 38 || code === 48) {
+      // 38;5;n / 38;2;r;g;b（48 为背景色）
+      const key = code === 38 ? 'fg' : 'bg';
+      if (codes[i + 1] === 5 && i + 2 < codes.length) {
+        next[key] = xtermColor(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2 && i + 4 < codes.length) {
+        next[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+        i += 4;
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * 样式对象转 span 的属性，无样式时返回空字符串
+ */
+function styleAttributes(style) {
+  if (!style) return '';
+  const classes = [];
+  const inline = [];
+  let { fg, bg } = style;
+
+  if (style.inverse) {
+    [fg, bg] = [bg, fg];
+    if (fg === undefined) classes.push('ansi-default-inverse-fg');
+    if (bg === undefined) classes.push('ansi-default-inverse-bg');
+  }
+
+  [[fg, 'fg', 'color'], [bg, 'bg', 'background-color']].forEach(([color, suffix, property]) => {
+    if (typeof color === 'number') {
+      classes.push(`ansi-${COLOR_NAMES[color % 8]}${color >= 8 ? '-intense' : ''}-${suffix}`);
+    } else if (color) {
+      inline.push(`${property}: ${color}`);
+    }
+  });
+  if (style.bold) classes.push('ansi-bold');
+  if (style.dim) classes.push('ansi-dim');
+  if (style.italic) classes.push('ansi-italic');
+  if (style.underline) classes.push('ansi-underline');
+
+  return (classes.length ? ` class="${classes.join(' ')}"` : '') +
+    (inline.length ? ` style="${inline.join('; ')}"` : '');
+}
+
+/**
+ * 把一行（字符和样式的数组）转成 HTML，相同样式的连续字符合并为一个 span
+ */
+function renderLine(cells) {
+  let html = '';
+  let runText = '';
+  let runAttributes = '';
+
+  const flush = () => {
+    if (!runText) return;
+    html += runAttributes ? `<span${runAttributes}>${escapeText(runText)}</span>` : escapeText(runText);
+    runText = '';
+  };
+
+  cells.forEach(({ char, style }) => {
+    const attributes = styleAttributes(style);
+    if (attributes !== runAttributes) {
+      flush();
+      runAttributes = attributes;
+    }
+    runText += char;
+  });
+  flush();
+  return html;
+}
+
+/**
+ * ANSI 文本转 HTML（已转义，可直接放入 <pre>）
+ * @param {string} text - 可能含有 ANSI 转义序列的文本
+ * @returns {string}
+ */
+export function ansiToHtml(text) {
+  text = String(text ?? '');
+  if (!CONTROL_PATTERN.test(text)) return escapeText(text);
+
+  // 屏幕：每行为 { char, style } 数组；style 为 null 表示默认样式
+  const lines = [[]];
+  let row = 0;
+  let col = 0;
+  let style = {};
+
+  const currentLine = () => {
+    while (lines.length <= row) lines.push([]);
+    return lines[row];
+  };
+  const cellStyle = () => (Object.keys(style).length ? style : null);
+
+  const write = (chunk) => {
+    const line = currentLine();
+    const current = cellStyle();
+    for (const char of chunk) {
+      while (line.length < col) line.push({ char: ' ', style: null });
+      line[col++] = { char, style: current };
+    }
+  };
+
+  let lastIndex = 0;
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    write(text.slice(lastIndex, match.index));
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    const token = match[0];
+    if (token === '\n' || token === '\r\n') {
+      row++;
+      col = 0;
+      currentLine();
+    } else if (token === '\r') {
+      col = 0;
+    } else if (token === '\b') {
+      col = Math.max(0, col - 1);
+    } else if (match[2]) {
+      const params = match[1];
+      const n = Math.min(parseInt(params, 10) || 1, MAX_COLUMNS);
+      switch (match[2]) {
+        case 'm':
+          style = applySgr(style, params);
+          break;
+        case 'K': {
+          // 0：清除到行尾；1：清除到光标；2：清除整行
+          const line = currentLine();
+          const mode = parseInt(params, 10) || 0;
+          if (mode === 0) line.length = Math.min(line.length, col);
+          else if (mode === 1) line.fill({ char: ' ', style: null }, 0, Math.min(line.length, col + 1));
+          else line.length = 0;
+          break;
+        }
+        case 'A':
+          row = Math.max(0, row - n);
+          break;
+        case 'B':
+          // 和终端一样不会新增行：最多移到已有的最后一行
+          row = Math.max(row, Math.min(row + n, lines.length - 1));
+          break;
+        case 'C':
+          col = Math.min(col + n, MAX_COLUMNS - 1);
+          break;
+        case 'D':
+          col = Math.max(0, col - n);
+          break;
+        case 'G':
+          col = Math.min(n, MAX_COLUMNS) - 1;
+          break;
+        default:
+          // 其他控制序列（清屏、光标显示等）忽略
+          break;
+      }
+    }
+  }
+  write(text.slice(lastIndex));
+
+  return lines.map(renderLine).join('\n');
+}
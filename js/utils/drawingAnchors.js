@@ -0,0 +1,158 @@
+/**
+ * 涂鸦锚点（笔画跟随内容重新布局）
+ *
+ * 在笔记/练习视图中绘制的笔画会绑定到最近的内容块：
+ * - 笔记单元格：.notebook-cell[data-cell-index]
+ * - 练习题目：[data-question-id]
+ *
+ * stroke.anchor = { type: 'cell' | 'question', id, left, top, width }
+ * left/top/width 为笔画坐标所对应的锚点位置（画布 CSS 像素）。
+ * 内容重排后按锚点的新位置平移笔画，宽度变化时按比例缩放 X，Y 保持相对锚点顶部的像素偏移。
+ */
+
+// 可作为锚点的元素
+const ANCHOR_SELECTOR = '.notebook-cell[data-cell-index], [data-question-id]';
+
+// 位置变化小于该值（px）时不重新布局，避免浮点误差反复生成新对象
+const LAYOUT_EPSILON = 0.5;
+
+/**
+ * 获取元素的锚点标识
+ * @param {HTMLElement} el
+ * @returns {{type: string, id: string}|null}
+ */
+function getAnchorIdentity(el) {
+  if (el.dataset.questionId !== undefined) {
+    return { type: 'question', id: el.dataset.questionId };
+  }
+  if (el.dataset.cellIndex !== undefined) {
+    return { type: 'cell', id: el.dataset.cellIndex };
+  }
+  return null;
+}
+
+/**
+ * 锚点的查找键
+ * @param {{type: string, id: string}} anchor
+ * @returns {string}
+ */
+function getAnchorKey(anchor) {
+  return `${anchor.type}:${anchor.id}`;
+}
+
+/**
+ * 测量面板内所有锚点相对画布的位置
+ * @param {HTMLElement} container - 面板元素
+ * @param {HTMLCanvasElement} canvas - 面板画布
+ * @returns {Map<string, {type: string, id: string, left: number, top: number, width: number, height: number}>}
+ */
+export function measureAnchors(container, canvas) {
+  const anchors = new Map();
+  if (!container || !canvas) return anchors;
+
+  const canvasRect = canvas.getBoundingClientRect();
+
+  container.querySelectorAll(ANCHOR_SELECTOR).forEach((el) => {
+    const identity = getAnchorIdentity(el);
+    if (!identity) return;
+
+    const rect = el.getBoundingClientRect();
+    // 隐藏的元素（如折叠内容）无法作为锚点
+    if (rect.width === 0 && rect.height === 0) return;
+
+    anchors.set(getAnchorKey(identity), {
+      ...identity,
+      left: rect.left - canvasRect.left,
+      top: rect.top - canvasRect.top,
+      width: rect.width,
+      height: rect.height
+    });
+  });
+
+  return anchors;
+}
+
+/**
+ * 查找包含该点的锚点，没有则取垂直距离最近的锚点
+ * @param {Map} anchors - measureAnchors 的结果
+ * @param {number} x - 画布CSS像素X
+ * @param {number} y - 画布CSS像素Y
+ * @returns {Object|null} stroke.anchor 对象
+ */
+export function findAnchorForPoint(anchors, x, y) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  anchors.forEach((anchor) => {
+    const bottom = anchor.top + anchor.height;
+    const distance = y < anchor.top ? anchor.top - y : (y > bottom ? y - bottom : 0);
+    if (distance < bestDistance) {
+      best = anchor;
+      bestDistance = distance;
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    type: best.type,
+    id: best.id,
+    left: Math.round(best.left * 10) / 10,
+    top: Math.round(best.top * 10) / 10,
+    width: Math.round(best.width * 10) / 10
+  };
+}
+
+/**
+ * 按锚点当前位置重新布局一条笔画
+ * @param {Object} stroke - 笔画
+ * @param {Map} anchors - measureAnchors 的结果
+ * @returns {Object} 位置未变化（或锚点不存在）时返回原对象，否则返回新笔画
+ */
+export function relayoutStroke(stroke, anchors) {
+  if (!stroke.anchor) return stroke;
+
+  const current = anchors.get(getAnchorKey(stroke.anchor));
+  // 锚点当前不可见（例如切换到其他内容），保持原位置
+  if (!current) return stroke;
+
+  const { left, top, width } = stroke.anchor;
+  if (Math.abs(current.left - left) < LAYOUT_EPSILON &&
+      Math.abs(current.top - top) < LAYOUT_EPSILON &&
+      Math.abs(current.width - width) < LAYOUT_EPSILON) {
+    return stroke;
+  }
+
+  const scaleX = width > 0 ? current.width / width : 1;
+
+  return {
+    ...stroke,
+    anchor: {
+      ...stroke.anchor,
+      left: Math.round(current.left * 10) / 10,
+      top: Math.round(current.top * 10) / 10,
+      width: Math.round(current.width * 10) / 10
+    },
+    points: stroke.points.map(p => ({
+      ...p,
+      x: Math.round((current.left + (p.x - left) * scaleX) * 10) / 10,
+      y: Math.round((current.top + (p.y - top)) * 10) / 10
+    }))
+  };
+}
+
+/**
+ * 重新布局笔画列表
+ * @param {Array} strokes
+ * @param {Map} anchors
+ * @returns {{strokes: Array, changed: boolean}}
+ */
+export function relayoutStrokes(strokes, anchors) {
+  let changed = false;
+  const result = strokes.map((stroke) => {
+    const next = relayoutStroke(stroke, anchors);
+    if (next !== stroke) changed = true;
+    return next;
+  });
+  return { strokes: result, changed };
+}
@@ -0,0 +1,153 @@
+/**
+ * 涂鸦包（导入/导出）
+ *
+ * 把多条涂鸦记录打包成一个 JSON 文件，用于在设备之间迁移或按学期归档：
+ * {
+ *   format: 'drawing-bundle',
+ *   version: 1,
+ *   manifest: {
+ *     createdAt, scope,                      // 导出时间；'all'、'selection' 或课程ID
+ *     user: { id, name },                    // 导出者
+ *     entries: [{ lessonId, viewType, strokeCount, layerCount, timestamp }]
+ *   },
+ *   drawings: [{ record, preview }]          // 完整的矢量记录 + PNG 缩略图（dataURL，可为 null）
+ * }
+ *
+ * 导入时按 lessonId + viewType 与现有涂鸦比较：
+ * - merge：按笔画 id 合并（已有的笔画保留，包中新的笔画和图层追加）
+ * - replace：包中的记录整体替换现有记录
+ * 包中没有的现有涂鸦两种方式都不改动
+ */
+
+import { normalizeDrawingRecord, isEmptyDrawingRecord } from './drawingSchema.js';
+
+export const BUNDLE_FORMAT = 'drawing-bundle';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * 生成涂鸦包
+ * @param {Array<{record: Object, preview: string|null}>} drawings - 涂鸦记录及缩略图
+ * @param {Object} options
+ * @param {string} options.scope - 'all'、'selection'（批量选中）或课程ID
+ * @param {{id: string, name: string}} options.user - 导出者
+ * @returns {Object}
+ */
+export function createDrawingBundle(drawings, { scope, user }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    manifest: {
+      createdAt: Date.now(),
+      scope,
+      user: { id: user.id, name: user.name },
+      entries: drawings.map(({ record }) => ({
+        lessonId: record.lessonId,
+        viewType: record.viewType,
+        strokeCount: record.strokes.length,
+        layerCount: record.layers.length,
+        timestamp: record.timestamp
+      }))
+    },
+    drawings: drawings.map(({ record, preview }) => ({ record, preview: preview || null }))
+  };
+}
+
+/**
+ * 解析并校验涂鸦包，记录统一转换为当前版本
+ * @param {string} text - 文件内容
+ * @returns {{manifest: Object, records: Array<Object>, skipped: number}}
+ * @throws {Error} 不是涂鸦包或版本不支持
+ */
+export function parseDrawingBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('文件不是有效的 JSON');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.drawings)) {
+    throw new Error('文件不是涂鸦包');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`涂鸦包版本 ${bundle.version} 过新，请先升级本应用`);
+  }
+
+  // 无法识别或缺少课程/视图的记录跳过；同一视图出现多次时保留最新的一条
+  const records = new Map();
+  let skipped = 0;
+  bundle.drawings.forEach((item) => {
+    const record = normalizeDrawingRecord(item && item.record);
+    if (!record || !record.lessonId || !record.viewType) {
+      skipped++;
+      return;
+    }
+    const key = `${record.lessonId}_${record.viewType}`;
+    const previous = records.get(key);
+    if (!previous || (record.timestamp || 0) >= (previous.timestamp || 0)) {
+      records.set(key, record);
+    }
+  });
+
+  return {
+    manifest: bundle.manifest || {},
+    records: Array.from(records.values()),
+    skipped
+  };
+}
+
+/**
+ * 按笔画 id 合并两条记录（现有笔画保留在下方，图层顺序以现有记录为准）
+ * @param {Object} existing - 现有记录
+ * @param {Object} incoming - 包中的记录
+ * @returns {Object} 合并后的记录
+ */
+export function mergeDrawingRecords(existing, incoming) {
+  const strokeIds = new Set(existing.strokes.map(stroke => stroke.id));
+  const layerIds = new Set(existing.layers.map(layer => layer.id));
+
+  return {
+    ...existing,
+    timestamp: Math.max(existing.timestamp || 0, incoming.timestamp || 0),
+    canvasWidth: Math.max(existing.canvasWidth || 0, incoming.canvasWidth || 0),
+    canvasHeight: Math.max(existing.canvasHeight || 0, incoming.canvasHeight || 0),
+    layers: [...existing.layers, ...incoming.layers.filter(layer => !layerIds.has(layer.id))],
+    strokes: [...existing.strokes, ...incoming.strokes.filter(stroke => !strokeIds.has(stroke.id))],
+    background: existing.background || incoming.background
+  };
+}
+
+/**
+ * 计算导入会带来的变化（用于预览和执行）
+ * @param {Array<Object>} records - 包中的记录
+ * @param {Array<Object>} existingRecords - 现有记录
+ * @param {'merge'|'replace'} mode - 导入方式
+ * @returns {Array<{action: 'add'|'merge'|'replace'|'unchanged', lessonId: string, viewType: string,
+ *   before: Object|null, after: Object, added: number, removed: number}>}
+ *   added/removed 为导入后新增/移除的笔画数
+ */
+export function planBundleImport(records, existingRecords, mode) {
+  const existingByKey = new Map(existingRecords.map(record => [`${record.lessonId}_${record.viewType}`, record]));
+
+  return records.map((record) => {
+    const { lessonId, viewType } = record;
+    const before = existingByKey.get(`${lessonId}_${viewType}`) || null;
+
+    if (!before || isEmptyDrawingRecord(before)) {
+      return { action: 'add', lessonId, viewType, before, after: record, added: record.strokes.length, removed: 0 };
+    }
+
+    const after = mode === 'replace' ? record : mergeDrawingRecords(before, record);
+    const beforeIds = new Set(before.strokes.map(stroke => stroke.id));
+    const afterIds = new Set(after.strokes.map(stroke => stroke.id));
+    const added = after.strokes.filter(stroke => !beforeIds.has(stroke.id)).length;
+    const removed = before.strokes.filter(stroke => !afterIds.has(stroke.id)).length;
+    // 替换时笔画 id 相同但内容可能已修改（移动、改色），需要比较内容
+    const unchanged = added === 0 && removed === 0 &&
+      JSON.stringify(after.layers) === JSON.stringify(before.layers) &&
+      (mode === 'merge' || JSON.stringify(after.strokes) === JSON.stringify(before.strokes));
+
+    const action = unchanged ? 'unchanged' : mode;
+    return { action, lessonId, viewType, before, after, added, removed };
+  });
+}
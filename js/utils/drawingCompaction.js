@@ -0,0 +1,145 @@
+/**
+ * 涂鸦记录压缩（涂鸦管理的存储诊断中对过大的记录使用）
+ *
+ * - 自由笔迹（钢笔、荧光笔、橡皮擦）用 Douglas-Peucker 算法去掉几乎共线的点，
+ *   笔压变化明显的点保留；形状和文字不变
+ * - 旧版底图重新编码：不透明的底图用 JPEG，有透明区域的用 WebP（浏览器不支持时保持原样），
+ *   只在变小时替换
+ *
+ * 笔画的 id、图层和时间信息保持不变，压缩后的记录可以正常同步、回放和合并
+ */
+
+import { normalizeDrawingRecord, loadBackgroundImage, SHAPE_TOOLS } from './drawingSchema.js';
+
+// 去点的容差（CSS像素），小于线宽的一半，肉眼看不出差别
+export const COMPACT_TOLERANCE = 0.5;
+
+// 笔压差换算成像素误差的系数（笔压相差 0.05 相当于偏离 0.5 像素）
+const PRESSURE_WEIGHT = 10;
+
+// 底图重新编码的质量
+const BACKGROUND_QUALITY = 0.8;
+
+/**
+ * 点到线段的偏离程度（位置偏离和笔压偏离取较大者）
+ */
+function pointError(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSq = dx * dx + dy * dy;
+  const ratio = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq))
+    : 0;
+  const distance = Math.hypot(point.x - (start.x + ratio * dx), point.y - (start.y + ratio * dy));
+
+  if (typeof point.p !== 'number' || typeof start.p !== 'number' || typeof end.p !== 'number') {
+    return distance;
+  }
+  const pressure = start.p + ratio * (end.p - start.p);
+  return Math.max(distance, Math.abs(point.p - pressure) * PRESSURE_WEIGHT);
+}
+
+/**
+ * Douglas-Peucker 简化（保留首尾点）
+ * @param {Array<{x: number, y: number, p?: number}>} points
+ * @param {number} tolerance - 容差（CSS像素）
+ * @returns {Array} 保留的点（原对象）
+ */
+export function simplifyPoints(points, tolerance = COMPACT_TOLERANCE) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // 用栈代替递归，长笔画也不会栈溢出
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let maxError = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const error = pointError(points[i], points[first], points[last]);
+      if (error > maxError) {
+        maxError = error;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxError > tolerance) {
+      keep[index] = true;
+      ranges.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * 重新编码底图，变小时返回新的底图，否则返回原底图
+ * @param {Object} background - 旧版底图 { imageData, width, height }
+ * @returns {Promise<Object>}
+ */
+async function compactBackground(background) {
+  let img;
+  try {
+    img = await loadBackgroundImage(background);
+  } catch (error) {
+    console.warn('[Compaction] Background image failed to load:', error.message);
+    return background;
+  }
+  if (!img) return background;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+
+  // 有透明像素时不能用 JPEG（透明区域会变黑）
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  let opaque = true;
+  for (let i = 3; i < pixels.length; i += 4) {
+    if (pixels[i] < 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  const type = opaque ? 'image/jpeg' : 'image/webp';
+  const imageData = canvas.toDataURL(type, BACKGROUND_QUALITY);
+  // 不支持 WebP 编码的浏览器返回 PNG
+  if (!imageData.startsWith(`data:${type}`) || imageData.length >= background.imageData.length) {
+    return background;
+  }
+  return { ...background, imageData };
+}
+
+/**
+ * 压缩涂鸦记录
+ * @param {Object} data - 任意版本的涂鸦记录
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - 去点容差（CSS像素）
+ * @returns {Promise<{record: Object, before: number, after: number, removedPoints: number}>}
+ *   before/after 为压缩前后的 JSON 字节数
+ */
+export async function compactDrawingRecord(data, { tolerance = COMPACT_TOLERANCE } = {}) {
+  const record = normalizeDrawingRecord(data);
+  const before = JSON.stringify(record).length;
+  let removedPoints = 0;
+
+  const strokes = record.strokes.map((stroke) => {
+    if (stroke.tool === 'text' || SHAPE_TOOLS.includes(stroke.tool) || stroke.points.length <= 2) {
+      return stroke;
+    }
+    const points = simplifyPoints(stroke.points, tolerance);
+    removedPoints += stroke.points.length - points.length;
+    return points.length === stroke.points.length ? stroke : { ...stroke, points };
+  });
+
+  const background = record.background && record.background.imageData
+    ? await compactBackground(record.background)
+    : record.background;
+
+  const compacted = { ...record, strokes, background };
+  return { record: compacted, before, after: JSON.stringify(compacted).length, removedPoints };
+}
@@ -0,0 +1,77 @@
+/**
+ * 涂鸦存储诊断（涂鸦管理的“诊断”对话框使用）
+ *
+ * 比较服务器和本地存储中的涂鸦，按问题分类：
+ * - localOnly   只在本地（从未上传，或服务器上已被删除）
+ * - serverOnly  只在服务器（本地缓存已淘汰或在其他设备上绘制）
+ * - differing   两处都有但内容不同（newer 指出哪一处较新）
+ * - orphaned    课程已不在 data/courses.json 中
+ * - oversized   占用超过 OVERSIZED_BYTES
+ * 同一涂鸦可以同时属于多个分类
+ */
+
+import { normalizeDrawingRecord } from './drawingSchema.js';
+
+// 超过该大小的记录视为过大（一般的矢量涂鸦只有几十KB）
+export const OVERSIZED_BYTES = 512 * 1024;
+
+/**
+ * 记录的内容是否相同（忽略时间戳和版本号）
+ */
+function isSameContent(a, b) {
+  return JSON.stringify(a.strokes) === JSON.stringify(b.strokes) &&
+    JSON.stringify(a.layers) === JSON.stringify(b.layers) &&
+    JSON.stringify(a.background || null) === JSON.stringify(b.background || null);
+}
+
+/**
+ * 诊断涂鸦存储
+ * @param {Object} sources
+ * @param {Array<{data: Object, size: number}>|null} sources.server - 服务器上的涂鸦（服务器不可用时为 null）
+ * @param {Array<{data: Object, size: number, synced: boolean}>} sources.local - 本地存储的涂鸦
+ * @param {Object|null} sources.courses - 课程配置 lessonId -> 课程（读取失败时为 null）
+ * @returns {{localOnly: Array, serverOnly: Array, differing: Array, orphaned: Array, oversized: Array}}
+ *   每项为 { lessonId, viewType, local, server, localSize, serverSize, newer? }，local/server 为 4.0 记录或 null
+ */
+export function diagnoseDrawings({ server, local, courses }) {
+  const entries = new Map();
+  const entryOf = (record) => {
+    const key = `${record.lessonId}_${record.viewType}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        lessonId: record.lessonId,
+        viewType: record.viewType,
+        local: null,
+        server: null,
+        localSize: 0,
+        serverSize: 0,
+        synced: false
+      });
+    }
+    return entries.get(key);
+  };
+
+  (server || []).forEach((item) => {
+    const record = normalizeDrawingRecord(item.data);
+    if (!record) return;
+    Object.assign(entryOf(record), { server: record, serverSize: item.size });
+  });
+  local.forEach((item) => {
+    const record = normalizeDrawingRecord(item.data);
+    if (!record) return;
+    Object.assign(entryOf(record), { local: record, localSize: item.size, synced: !!item.synced });
+  });
+
+  const all = Array.from(entries.values()).sort((a, b) =>
+    a.lessonId.localeCompare(b.lessonId) || a.viewType.localeCompare(b.viewType));
+
+  return {
+    localOnly: server ? all.filter(e => e.local && !e.server) : [],
+    serverOnly: all.filter(e => e.server && !e.local),
+    differing: all
+      .filter(e => e.local && e.server && !isSameContent(e.local, e.server))
+      .map(e => ({ ...e, newer: (e.local.timestamp || 0) > (e.server.timestamp || 0) ? 'local' : 'server' })),
+    orphaned: courses ? all.filter(e => !courses[e.lessonId]) : [],
+    oversized: all.filter(e => Math.max(e.localSize, e.serverSize) > OVERSIZED_BYTES)
+  };
+}
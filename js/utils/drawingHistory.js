@@ -0,0 +1,120 @@
+/**
+ * 涂鸦版本历史
+ *
+ * 服务器（server/drawingStore.js）和本地存储（js/api/DrawingStorage.js）在覆盖或删除记录前，
+ * 把原记录存为历史版本，每个 lessonId/viewType 保留最近 N 个：
+ *   { id, archivedAt, reason: 'save'|'delete', record }
+ *
+ * 自动保存很频繁，为了让有限的版本覆盖更长的时间，连续追加笔画时合并版本：
+ * - 删除记录、移除笔画（清除、撤销、橡皮擦图层清除）时总是保存历史版本
+ * - 只追加笔画时，距上一个历史版本不足 HISTORY_COALESCE_MS 则不保存
+ * 服务器使用相同的规则（两端各自判断）
+ *
+ * 恢复版本即把该版本作为新记录保存，恢复前的记录也会进入历史，可以再次恢复
+ */
+
+import { normalizeDrawingRecord } from './drawingSchema.js';
+
+// 只追加笔画时，两个历史版本的最小间隔(ms)
+export const HISTORY_COALESCE_MS = 60 * 1000;
+
+// 对比图中的颜色：恢复后出现的笔画 / 恢复后消失的笔画 / 不变的笔画透明度
+const DIFF_ADDED_COLOR = '#16a34a';
+const DIFF_REMOVED_COLOR = '#dc2626';
+const DIFF_UNCHANGED_OPACITY = 0.25;
+
+/**
+ * 记录的内容是否相同（忽略时间戳和版本号）
+ */
+function isSameContent(a, b) {
+  return JSON.stringify(a.strokes) === JSON.stringify(b.strokes) &&
+    JSON.stringify(a.layers) === JSON.stringify(b.layers) &&
+    JSON.stringify(a.background || null) === JSON.stringify(b.background || null);
+}
+
+/**
+ * 覆盖或删除记录前，是否需要把原记录存为历史版本
+ * @param {Object} previous - 即将被覆盖的记录
+ * @param {Object|null} next - 新记录（删除时为 null）
+ * @param {number} lastArchivedAt - 最近一个历史版本的时间（没有时为 0）
+ * @returns {boolean}
+ */
+export function shouldArchiveVersion(previous, next, lastArchivedAt) {
+  if (!next) return true;
+  if (isSameContent(previous, next)) return false;
+
+  const nextIds = new Set((next.strokes || []).map(stroke => stroke.id));
+  const removesStrokes = (previous.strokes || []).some(stroke => !nextIds.has(stroke.id));
+  return removesStrokes || Date.now() - lastArchivedAt >= HISTORY_COALESCE_MS;
+}
+
+/**
+ * 统计恢复某个版本带来的笔画变化
+ * @param {Object|null} current - 当前记录（已删除时为 null）
+ * @param {Object} version - 历史版本的记录
+ * @returns {{added: number, removed: number, changed: number}} 恢复后出现/消失/内容改变的笔画数
+ */
+export function diffDrawingVersions(current, version) {
+  const currentStrokes = new Map((current ? current.strokes : []).map(stroke => [stroke.id, stroke]));
+  const versionIds = new Set(version.strokes.map(stroke => stroke.id));
+  let added = 0;
+  let changed = 0;
+
+  version.strokes.forEach((stroke) => {
+    const before = currentStrokes.get(stroke.id);
+    if (!before) {
+      added++;
+    } else if (JSON.stringify(before) !== JSON.stringify(stroke)) {
+      changed++;
+    }
+  });
+
+  const removed = Array.from(currentStrokes.keys()).filter(id => !versionIds.has(id)).length;
+  return { added, removed, changed };
+}
+
+/**
+ * 生成对比图用的记录：恢复后出现的笔画为绿色，消失的为红色，不变的淡化显示
+ * 只在一侧出现的橡皮擦笔画无法着色，不参与对比
+ * @param {Object|null} current - 当前记录（已删除时为 null）
+ * @param {Object} version - 历史版本的记录
+ * @returns {Object} 可交给 renderDrawingRecordToDataURL 的 4.0 记录
+ */
+export function createVersionDiffRecord(current, version) {
+  const base = normalizeDrawingRecord(version);
+  const before = current ? normalizeDrawingRecord(current) : null;
+  const currentStrokes = new Map((before ? before.strokes : []).map(stroke => [stroke.id, stroke]));
+  const versionIds = new Set(base.strokes.map(stroke => stroke.id));
+
+  const highlight = (stroke, color) => (stroke.tool === 'eraser' ? null : { ...stroke, color, opacity: null });
+  const strokes = [];
+
+  base.strokes.forEach((stroke) => {
+    const previous = currentStrokes.get(stroke.id);
+    if (previous && JSON.stringify(previous) === JSON.stringify(stroke)) {
+      strokes.push(stroke.tool === 'eraser' ? stroke : { ...stroke, opacity: DIFF_UNCHANGED_OPACITY });
+      return;
+    }
+    // 内容改变的笔画：旧的画成红色，新的画成绿色
+    if (previous) strokes.push(highlight(previous, DIFF_REMOVED_COLOR));
+    strokes.push(highlight(stroke, DIFF_ADDED_COLOR));
+  });
+
+  currentStrokes.forEach((stroke, id) => {
+    if (!versionIds.has(id)) strokes.push(highlight(stroke, DIFF_REMOVED_COLOR));
+  });
+
+  // 两侧的图层都显示，底图只保留历史版本的
+  const layers = [...base.layers];
+  (before ? before.layers : []).forEach((layer) => {
+    if (!layers.some(l => l.id === layer.id)) layers.push(layer);
+  });
+
+  return {
+    ...base,
+    canvasWidth: Math.max(base.canvasWidth || 0, before ? before.canvasWidth || 0 : 0),
+    canvasHeight: Math.max(base.canvasHeight || 0, before ? before.canvasHeight || 0 : 0),
+    layers: layers.map(layer => ({ ...layer, visible: true })),
+    strokes: strokes.filter(Boolean)
+  };
+}
@@ -0,0 +1,817 @@
+/**
+ * 涂鸦数据模型（矢量笔画）
+ *
+ * 记录格式（version 4.0）：
+ * {
+ *   version: '4.0',
+ *   lessonId, viewType, timestamp,
+ *   revision,                        // 服务器分配的版本号（每次保存递增），本页修改所基于的版本；从未同步为 0
+ *   canvasWidth, canvasHeight,       // 保存时画布的 CSS 像素尺寸
+ *   layers: [Layer],                 // 图层，自下而上排列，至少一个
+ *   activeLayerId,                   // 新笔画写入的图层
+ *   strokes: [Stroke],               // 按绘制顺序排列的笔画（通过 layerId 归属图层）
+ *   background: null | {             // 旧版 JPEG/PNG 快照，作为最底层图层的底图保留
+ *     imageData, width, height       // width/height 为旧记录的物理像素尺寸
+ *   }
+ * }
+ *
+ * Layer：{ id, name, visible, locked }
+ * 每个图层单独合成，橡皮擦只擦除本图层的内容
+ *
+ * Stroke：{ id, layerId, tool, color, width, createdAt, points: [{ x, y, t, p?, tilt? }], anchor?, tiltShading?, opacity?, text?, fontSize?, fontFamily? }
+ * - tool：'pen' | 'highlighter' | 'eraser'（自由笔迹）
+ *         'line' | 'arrow' | 'rect' | 'ellipse'（形状，points 为起点和终点两个点）
+ *         'text'（文字，points 只有左上角一个点，内容在 text 中）
+ * 坐标均为画布 CSS 像素，t 为相对 createdAt 的毫秒数
+ * p（可选）：笔压 0~1；tilt（可选）：笔身倾斜程度 0（垂直）~1（平放）
+ * tiltShading（可选）：倾斜时笔迹变宽变淡（类似荧光笔侧锋）
+ * opacity（可选）：整条笔画的透明度（荧光笔），重叠部分不会加深
+ * anchor（可选）：笔画绑定的单元格/题目及其位置，见 drawingAnchors.js
+ *
+ * 旧版记录在读取时转换为 4.0：
+ * - 1.0/2.0（整张画布的 imageData）：原图片保存在 background 中，新笔画叠加在其上
+ * - 3.0（无图层）：所有笔画放入默认图层
+ * - 单栏笔记查看器的笔画数组（无版本号）：见 createRecordFromLegacyStrokes
+ */
+
+// 当前数据版本
+export const DRAWING_SCHEMA_VERSION = '4.0';
+
+// 只包含位图快照的旧版本
+const LEGACY_IMAGE_VERSIONS = ['1.0', '2.0'];
+
+// 无图层的矢量版本
+const LEGACY_VECTOR_VERSION = '3.0';
+
+// 默认图层（旧记录的笔画都归入该图层）
+export const DEFAULT_LAYER_ID = 'default';
+const DEFAULT_LAYER_NAME = '默认图层';
+
+// 笔压对线宽的影响：p=0 时为 0.4 倍，p=0.5 时为原宽度，p=1 时为 1.6 倍
+const PRESSURE_MIN_SCALE = 0.4;
+const PRESSURE_MAX_SCALE = 1.6;
+
+// 倾斜笔锋：完全平放时线宽放大 3 倍，透明度降到 0.4
+const TILT_MAX_WIDTH_SCALE = 3;
+const TILT_MIN_ALPHA = 0.4;
+
+// 形状工具（两点确定）
+export const SHAPE_TOOLS = ['line', 'arrow', 'rect', 'ellipse'];
+
+// 文字标注默认字体
+export const DEFAULT_FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "PingFang SC", "Microsoft YaHei", sans-serif';
+
+// 文字行高（相对字号）
+const TEXT_LINE_HEIGHT = 1.25;
+
+/**
+ * 生成笔画ID
+ * @returns {string}
+ */
+export function createStrokeId() {
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 创建图层
+ * @param {string} name - 图层名称
+ * @param {string} [id] - 图层ID，默认自动生成
+ * @returns {{id: string, name: string, visible: boolean, locked: boolean}}
+ */
+export function createLayer(name, id = null) {
+  return {
+    id: id || `l-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    visible: true,
+    locked: false
+  };
+}
+
+/**
+ * 创建默认图层
+ * @returns {Object} 图层
+ */
+export function createDefaultLayer() {
+  return createLayer(DEFAULT_LAYER_NAME, DEFAULT_LAYER_ID);
+}
+
+/**
+ * 创建新笔画
+ * @param {{tool: string, color: string, width: number, tiltShading?: boolean}} brush - 当前画笔设置
+ * @returns {Object} 笔画对象
+ */
+export function createStroke({ tool, color, width, tiltShading = false, opacity = null }) {
+  const stroke = {
+    id: createStrokeId(),
+    tool,
+    color,
+    width,
+    createdAt: Date.now(),
+    points: []
+  };
+  if (tiltShading) {
+    stroke.tiltShading = true;
+  }
+  if (typeof opacity === 'number' && opacity < 1) {
+    stroke.opacity = opacity;
+  }
+  return stroke;
+}
+
+/**
+ * 创建文字标注
+ * @param {{color: string, x: number, y: number, text: string, fontSize: number, fontFamily?: string}} params
+ * @returns {Object} 笔画对象
+ */
+export function createTextStroke({ color, x, y, text, fontSize, fontFamily = DEFAULT_FONT_FAMILY }) {
+  const stroke = createStroke({ tool: 'text', color, width: fontSize });
+  stroke.text = text;
+  stroke.fontSize = fontSize;
+  stroke.fontFamily = fontFamily;
+  addStrokePoint(stroke, x, y);
+  return stroke;
+}
+
+/**
+ * 更新形状笔画的终点（拖动过程中调用）
+ * @param {Object} stroke - 形状笔画
+ * @param {number} x - CSS像素X
+ * @param {number} y - CSS像素Y
+ */
+export function setShapeEndPoint(stroke, x, y) {
+  stroke.points.length = 1;
+  addStrokePoint(stroke, x, y);
+}
+
+/**
+ * 向笔画追加一个点（坐标保留一位小数，减小存储体积）
+ * @param {Object} stroke - 笔画对象
+ * @param {number} x - CSS像素X
+ * @param {number} y - CSS像素Y
+ * @param {{pressure: number|null, tilt: number|null}} [dynamics] - 笔压/倾斜（鼠标输入时为空）
+ */
+export function addStrokePoint(stroke, x, y, dynamics = null) {
+  const point = {
+    x: Math.round(x * 10) / 10,
+    y: Math.round(y * 10) / 10,
+    t: Date.now() - stroke.createdAt
+  };
+  if (dynamics && typeof dynamics.pressure === 'number') {
+    point.p = Math.round(clamp01(dynamics.pressure) * 100) / 100;
+  }
+  if (dynamics && typeof dynamics.tilt === 'number') {
+    point.tilt = Math.round(clamp01(dynamics.tilt) * 100) / 100;
+  }
+  stroke.points.push(point);
+}
+
+/**
+ * 限制到 0~1
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * 构造可持久化的涂鸦记录
+ * @param {Object} params
+ * @param {string} params.lessonId - 课程ID
+ * @param {string} params.viewType - 视图类型
+ * @param {Array} params.strokes - 笔画列表
+ * @param {Array} params.layers - 图层列表（自下而上）
+ * @param {string} params.activeLayerId - 当前图层
+ * @param {number} params.canvasWidth - 画布CSS宽度
+ * @param {number} params.canvasHeight - 画布CSS高度
+ * @param {Object|null} params.background - 旧版底图
+ * @param {number} params.revision - 基于的服务器版本
+ * @returns {Object} 涂鸦记录
+ */
+export function createDrawingRecord({ lessonId, viewType, strokes, layers, activeLayerId, canvasWidth, canvasHeight, background = null, revision = 0 }) {
+  return {
+    version: DRAWING_SCHEMA_VERSION,
+    lessonId,
+    viewType,
+    timestamp: Date.now(),
+    revision,
+    canvasWidth: Math.round(canvasWidth),
+    canvasHeight: Math.round(canvasHeight),
+    layers: layers.map(layer => ({ ...layer })),
+    activeLayerId,
+    strokes: strokes.map(cloneStroke),
+    background: background || null
+  };
+}
+
+/**
+ * 整理图层数据：保证至少一个图层，笔画都归属到存在的图层
+ * @param {Object} record - 含 layers/strokes 的记录
+ * @returns {Object} 新记录
+ */
+function normalizeLayers(record) {
+  const layers = Array.isArray(record.layers) && record.layers.length > 0
+    ? record.layers.map(layer => ({
+      id: String(layer.id),
+      name: layer.name || DEFAULT_LAYER_NAME,
+      visible: layer.visible !== false,
+      locked: !!layer.locked
+    }))
+    : [createDefaultLayer()];
+
+  const layerIds = new Set(layers.map(layer => layer.id));
+  const fallbackId = layers[0].id;
+  const strokes = (Array.isArray(record.strokes) ? record.strokes : []).map(stroke =>
+    layerIds.has(stroke.layerId) ? stroke : { ...stroke, layerId: fallbackId }
+  );
+
+  return {
+    ...record,
+    layers,
+    activeLayerId: layerIds.has(record.activeLayerId) ? record.activeLayerId : fallbackId,
+    strokes
+  };
+}
+
+/**
+ * 将任意版本的记录转换为当前版本
+ * @param {Object} data - 服务器或本地读取的原始记录
+ * @returns {Object|null} 4.0 记录；无法识别时返回 null
+ */
+export function normalizeDrawingRecord(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (data.version === DRAWING_SCHEMA_VERSION || data.version === LEGACY_VECTOR_VERSION) {
+    // 3.0 没有 layers 字段，笔画全部归入默认图层
+    return normalizeLayers({
+      ...data,
+      version: DRAWING_SCHEMA_VERSION,
+      background: data.background || null
+    });
+  }
+
+  if (LEGACY_IMAGE_VERSIONS.includes(data.version)) {
+    // 旧版位图记录：整张图片作为底图
+    return normalizeLayers({
+      version: DRAWING_SCHEMA_VERSION,
+      lessonId: data.lessonId,
+      viewType: data.viewType,
+      timestamp: data.timestamp,
+      canvasWidth: data.canvasWidth,
+      canvasHeight: data.canvasHeight,
+      strokes: [],
+      background: data.imageData ? {
+        imageData: data.imageData,
+        width: data.canvasWidth || null,
+        height: data.canvasHeight || null
+      } : null
+    });
+  }
+
+  return null;
+}
+
+/**
+ * 将单栏笔记查看器的旧版笔画数组（localStorage 键 drawing_${fileName}）转换为当前版本
+ * 旧笔画：{ tool: 'pen' | 'eraser', color, width, points: [{ x, y }] }，坐标同为内容区 CSS 像素
+ * 旧数据没有时间信息，createdAt 按原顺序递增，回放时逐笔出现
+ * @param {Array} legacyStrokes - 旧版笔画数组
+ * @param {{lessonId: string, viewType: string, savedAt?: number}} meta
+ * @returns {Object} 4.0 记录
+ */
+export function createRecordFromLegacyStrokes(legacyStrokes, { lessonId, viewType, savedAt = Date.now() }) {
+  const layer = createDefaultLayer();
+  const strokes = legacyStrokes
+    .filter(stroke => stroke && Array.isArray(stroke.points) && stroke.points.length > 0)
+    .map((stroke, i) => ({
+      id: createStrokeId(),
+      layerId: layer.id,
+      tool: stroke.tool === 'eraser' ? 'eraser' : 'pen',
+      color: stroke.color || '#ef4444',
+      width: stroke.width || 4,
+      createdAt: savedAt + i,
+      points: stroke.points.map(p => ({
+        x: Math.round(p.x * 10) / 10,
+        y: Math.round(p.y * 10) / 10,
+        t: 0
+      }))
+    }));
+
+  return createDrawingRecord({
+    lessonId,
+    viewType,
+    strokes,
+    layers: [layer],
+    activeLayerId: layer.id,
+    // 旧数据没有画布尺寸，取笔画覆盖范围
+    canvasWidth: strokes.reduce((max, stroke) => stroke.points.reduce((m, p) => Math.max(m, p.x), max), 0),
+    canvasHeight: strokes.reduce((max, stroke) => stroke.points.reduce((m, p) => Math.max(m, p.y), max), 0)
+  });
+}
+
+/**
+ * 记录是否没有任何内容（只有一个空的默认图层）
+ * @param {Object} record
+ * @returns {boolean}
+ */
+export function isEmptyDrawingRecord(record) {
+  return !record || ((!record.strokes || record.strokes.length === 0) && !record.background &&
+    (!record.layers || record.layers.length <= 1));
+}
+
+/**
+ * 复制笔画（避免保存后继续修改同一对象）
+ * @param {Object} stroke
+ * @returns {Object}
+ */
+export function cloneStroke(stroke) {
+  return {
+    ...stroke,
+    anchor: stroke.anchor ? { ...stroke.anchor } : undefined,
+    points: stroke.points.map(p => ({ ...p }))
+  };
+}
+
+/**
+ * 笔画的基础线宽（橡皮擦为画笔的 3 倍）
+ * @param {Object} stroke
+ * @returns {number}
+ */
+function getBaseWidth(stroke) {
+  return stroke.tool === 'eraser' ? stroke.width * 3 : stroke.width;
+}
+
+/**
+ * 应用笔画样式到 context
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+export function applyStrokeStyle(ctx, stroke) {
+  if (stroke.tool === 'eraser') {
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = 'rgba(0,0,0,1)';
+    ctx.shadowBlur = 0;
+  } else if (stroke.tool === 'highlighter') {
+    // 荧光笔不加阴影，避免半透明笔迹发灰
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = stroke.color;
+    ctx.shadowBlur = 0;
+  } else {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.shadowColor = stroke.color + '4D';
+    ctx.shadowBlur = 2;
+  }
+  ctx.lineWidth = getBaseWidth(stroke);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+}
+
+/**
+ * 笔画是否包含笔压/倾斜数据（需要逐段绘制）
+ * @param {Object} stroke
+ * @returns {boolean}
+ */
+export function hasDynamicWidth(stroke) {
+  return stroke.points.some(p => typeof p.p === 'number' || (stroke.tiltShading && typeof p.tilt === 'number'));
+}
+
+/**
+ * 计算某个点处的线宽和透明度
+ * 荧光笔不受笔压影响，倾斜只改变线宽（透明度由 opacity 统一控制）
+ * @param {Object} stroke
+ * @param {Object} point
+ * @returns {{width: number, alpha: number}}
+ */
+export function getPointStyle(stroke, point) {
+  const isHighlighter = stroke.tool === 'highlighter';
+  let width = getBaseWidth(stroke);
+  let alpha = 1;
+
+  if (typeof point.p === 'number' && !isHighlighter) {
+    width *= PRESSURE_MIN_SCALE + (PRESSURE_MAX_SCALE - PRESSURE_MIN_SCALE) * point.p;
+  }
+
+  if (stroke.tiltShading && typeof point.tilt === 'number') {
+    width *= 1 + (TILT_MAX_WIDTH_SCALE - 1) * point.tilt;
+    if (!isHighlighter) {
+      alpha = 1 - (1 - TILT_MIN_ALPHA) * point.tilt;
+    }
+  }
+
+  return { width, alpha };
+}
+
+/**
+ * 两点中点
+ */
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * 绘制平滑笔画的一段（中点二次曲线）
+ * 第 i 段以 points[i] 为控制点，从上一段中点画到 points[i] 与 points[i+1] 的中点；
+ * i 为最后一个点时画到终点。实时绘制与回放共用，保证两者一致。
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ * @param {number} i - 段索引（1 ~ points.length - 1）
+ */
+export function drawStrokeSegment(ctx, stroke, i) {
+  const points = stroke.points;
+  if (i < 1 || i >= points.length) return;
+
+  const start = i === 1 ? points[0] : midpoint(points[i - 1], points[i]);
+  const { width, alpha } = getPointStyle(stroke, points[i]);
+
+  ctx.save();
+  applyStrokeStyle(ctx, stroke);
+  ctx.lineWidth = width;
+  ctx.globalAlpha = alpha;
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  if (i === points.length - 1) {
+    ctx.lineTo(points[i].x, points[i].y);
+  } else {
+    const end = midpoint(points[i], points[i + 1]);
+    ctx.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * 绘制自由笔迹
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+function drawFreehandStroke(ctx, stroke) {
+  const points = stroke.points;
+
+  // 有笔压/倾斜时逐段绘制（每段线宽不同）
+  if (hasDynamicWidth(stroke)) {
+    for (let i = 1; i < points.length; i++) {
+      drawStrokeSegment(ctx, stroke, i);
+    }
+    return;
+  }
+
+  // 固定线宽：整条平滑路径一次绘制
+  ctx.save();
+  applyStrokeStyle(ctx, stroke);
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length - 1; i++) {
+    const end = midpoint(points[i], points[i + 1]);
+    ctx.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+  }
+  const last = points[points.length - 1];
+  ctx.lineTo(last.x, last.y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * 箭头头部的长度
+ * @param {Object} stroke
+ * @returns {number}
+ */
+function getArrowHeadLength(stroke) {
+  return Math.max(10, stroke.width * 4);
+}
+
+/**
+ * 绘制形状（直线/箭头/矩形/椭圆）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+function drawShapeStroke(ctx, stroke) {
+  const [a, b] = stroke.points;
+
+  ctx.save();
+  applyStrokeStyle(ctx, stroke);
+  ctx.beginPath();
+
+  switch (stroke.tool) {
+    case 'line':
+    case 'arrow': {
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      if (stroke.tool === 'arrow') {
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const head = getArrowHeadLength(stroke);
+        const spread = Math.PI / 7;
+        ctx.moveTo(b.x - head * Math.cos(angle - spread), b.y - head * Math.sin(angle - spread));
+        ctx.lineTo(b.x, b.y);
+        ctx.lineTo(b.x - head * Math.cos(angle + spread), b.y - head * Math.sin(angle + spread));
+      }
+      break;
+    }
+    case 'rect':
+      ctx.rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+      break;
+    case 'ellipse':
+      ctx.ellipse(
+        (a.x + b.x) / 2, (a.y + b.y) / 2,
+        Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2,
+        0, 0, Math.PI * 2
+      );
+      break;
+  }
+
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * 文字标注的字体
+ * @param {Object} stroke
+ * @returns {string}
+ */
+function getTextFont(stroke) {
+  return `${stroke.fontSize}px ${stroke.fontFamily || DEFAULT_FONT_FAMILY}`;
+}
+
+/**
+ * 绘制文字标注（支持多行）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+function drawTextStroke(ctx, stroke) {
+  const origin = stroke.points[0];
+  if (!origin || !stroke.text) return;
+
+  ctx.save();
+  applyStrokeStyle(ctx, stroke);
+  ctx.shadowBlur = 0;
+  ctx.font = getTextFont(stroke);
+  ctx.textBaseline = 'top';
+  stroke.text.split('\n').forEach((line, index) => {
+    ctx.fillText(line, origin.x, origin.y + index * stroke.fontSize * TEXT_LINE_HEIGHT);
+  });
+  ctx.restore();
+}
+
+// 测量文字宽度用的离屏 context
+let measureCtx = null;
+
+/**
+ * 计算笔画的包围盒（含线宽）
+ * @param {Object} stroke
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export function getStrokeBounds(stroke) {
+  const points = stroke.points;
+  if (!points || points.length === 0) return null;
+
+  if (stroke.tool === 'text') {
+    if (!measureCtx) {
+      measureCtx = document.createElement('canvas').getContext('2d');
+    }
+    measureCtx.font = getTextFont(stroke);
+    const lines = (stroke.text || '').split('\n');
+    const width = Math.max(...lines.map(line => measureCtx.measureText(line).width));
+    return {
+      x: points[0].x,
+      y: points[0].y,
+      width,
+      height: lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let maxWidth = 0;
+  points.forEach((p) => {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+    maxWidth = Math.max(maxWidth, getPointStyle(stroke, p).width);
+  });
+
+  // 线宽一半 + 阴影；箭头头部可能超出端点
+  let pad = maxWidth / 2 + 3;
+  if (stroke.tool === 'arrow') {
+    pad = Math.max(pad, getArrowHeadLength(stroke) + stroke.width);
+  }
+
+  return {
+    x: minX - pad,
+    y: minY - pad,
+    width: maxX - minX + pad * 2,
+    height: maxY - minY + pad * 2
+  };
+}
+
+/**
+ * 绘制整体半透明的笔画（荧光笔）
+ * 先在离屏画布上不透明绘制，再整体按 opacity 合成，重叠的线段不会加深
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+function drawTranslucentStroke(ctx, stroke) {
+  const bounds = getStrokeBounds(stroke);
+  if (!bounds) return;
+
+  const transform = ctx.getTransform();
+  const scale = transform.a || 1;
+  const width = Math.ceil(bounds.width * scale);
+  const height = Math.ceil(bounds.height * scale);
+  if (width <= 0 || height <= 0) return;
+
+  const offscreen = document.createElement('canvas');
+  offscreen.width = width;
+  offscreen.height = height;
+  const offCtx = offscreen.getContext('2d');
+  offCtx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+  drawStroke(offCtx, { ...stroke, opacity: undefined });
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.globalAlpha = stroke.opacity;
+  ctx.drawImage(offscreen, transform.e + bounds.x * scale, transform.f + bounds.y * scale);
+  ctx.restore();
+}
+
+/**
+ * 绘制单条笔画
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ */
+export function drawStroke(ctx, stroke) {
+  const points = stroke.points;
+
+  if (stroke.tool === 'text') {
+    drawTextStroke(ctx, stroke);
+    return;
+  }
+
+  if (!points || points.length < 2) return;
+
+  if (typeof stroke.opacity === 'number' && stroke.opacity < 1) {
+    drawTranslucentStroke(ctx, stroke);
+  } else if (SHAPE_TOOLS.includes(stroke.tool)) {
+    drawShapeStroke(ctx, stroke);
+  } else {
+    drawFreehandStroke(ctx, stroke);
+  }
+}
+
+/**
+ * 按顺序绘制所有笔画
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} strokes
+ */
+export function drawStrokes(ctx, strokes) {
+  strokes.forEach(stroke => drawStroke(ctx, stroke));
+}
+
+// 图层合成用的离屏画布（尺寸不变时复用，避免每次重绘都分配整张画布）
+let layerCanvas = null;
+
+/**
+ * 按图层绘制笔画：每个可见图层单独绘制后再合成，橡皮擦只擦除本图层
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} layers - 图层（自下而上）
+ * @param {Array} strokes - 所有笔画
+ * @param {Function|null} drawBase - 绘制最底层图层的底图，参数为图层 ctx
+ * @param {boolean} [isolate=false] - 画布上已有其他内容（如共享图层）时，单个图层也先离屏绘制，橡皮擦不会擦到已有内容
+ */
+export function drawLayers(ctx, layers, strokes, drawBase = null, isolate = false) {
+  const bottomLayer = layers[0];
+  const visibleLayers = layers.filter(layer => layer.visible);
+
+  // 单个图层无需合成
+  if (layers.length <= 1 && !isolate) {
+    if (visibleLayers.length === 0) return;
+    if (drawBase) drawBase(ctx);
+    drawStrokes(ctx, strokes);
+    return;
+  }
+
+  const canvas = ctx.canvas;
+  if (!layerCanvas) {
+    layerCanvas = document.createElement('canvas');
+  }
+  if (layerCanvas.width !== canvas.width || layerCanvas.height !== canvas.height) {
+    layerCanvas.width = canvas.width;
+    layerCanvas.height = canvas.height;
+  }
+  const layerCtx = layerCanvas.getContext('2d');
+  const transform = ctx.getTransform();
+
+  visibleLayers.forEach((layer) => {
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.globalCompositeOperation = 'source-over';
+    layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+    layerCtx.setTransform(transform);
+
+    if (layer === bottomLayer && drawBase) drawBase(layerCtx);
+    drawStrokes(layerCtx, strokes.filter(stroke => stroke.layerId === layer.id));
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 0;
+    ctx.drawImage(layerCanvas, 0, 0);
+    ctx.restore();
+  });
+}
+
+/**
+ * 加载底图
+ * @param {Object|null} background
+ * @returns {Promise<HTMLImageElement|null>}
+ */
+export function loadBackgroundImage(background) {
+  if (!background || !background.imageData) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load background image'));
+    img.src = background.imageData;
+  });
+}
+
+/**
+ * 在物理像素空间绘制底图
+ * 与旧版加载逻辑一致：保存尺寸与当前画布不一致时拉伸到整张画布
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement} img
+ * @param {Object} background
+ */
+export function drawBackground(ctx, img, background) {
+  if (!img) return;
+  const canvas = ctx.canvas;
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = 'source-over';
+
+  const savedWidth = background?.width;
+  const savedHeight = background?.height;
+  if (savedWidth && savedHeight &&
+      (Math.abs(canvas.width / savedWidth - 1) > 0.01 || Math.abs(canvas.height / savedHeight - 1) > 0.01)) {
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  } else {
+    ctx.drawImage(img, 0, 0);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * 将记录渲染为图片（用于涂鸦管理的预览和导出）
+ * @param {Object} data - 任意版本的涂鸦记录
+ * @param {Object} options
+ * @param {number} options.maxWidth - 最大输出宽度
+ * @param {string} options.type - 图片 MIME 类型
+ * @param {string|null} options.layerId - 只渲染该图层（默认渲染所有可见图层）
+ * @returns {Promise<string>} DataURL
+ */
+export async function renderDrawingRecordToDataURL(data, { maxWidth = 1200, type = 'image/png', layerId = null } = {}) {
+  const record = normalizeDrawingRecord(data);
+  if (!record) return '';
+
+  const layers = layerId
+    ? record.layers.map(layer => ({ ...layer, visible: layer.id === layerId }))
+    : record.layers;
+  const showBackground = !!record.background && layers[0].visible;
+
+  // 仅有底图时直接返回原图，避免重复编码
+  if (showBackground && record.strokes.length === 0) {
+    return record.background.imageData;
+  }
+
+  const width = Math.max(1, record.canvasWidth || 800);
+  const height = Math.max(1, record.canvasHeight || 600);
+  const scale = Math.min(1, maxWidth / width);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+
+  let backgroundImage = null;
+  if (showBackground) {
+    try {
+      backgroundImage = await loadBackgroundImage(record.background);
+    } catch (error) {
+      console.warn('[DrawingSchema] Background image failed to load:', error.message);
+    }
+  }
+
+  ctx.scale(scale, scale);
+  drawLayers(ctx, layers, record.strokes, backgroundImage ? (layerCtx) => {
+    layerCtx.save();
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.drawImage(backgroundImage, 0, 0, canvas.width, canvas.height);
+    layerCtx.restore();
+  } : null);
+
+  return canvas.toDataURL(type);
+}
@@ -3,6 +3,19 @@
  * 用于加载和解析Jupyter Notebook文件,定位特定课程章节
  */
 
+import { renderCell } from './notebookRenderer.js';
+
+export { renderCell };
+
+/**
+ * notebook文件的地址（相对页面），单元格中相对路径的图片按它解析
+ * @param {string} notebookFile - notebook文件名 (如 'L2', 'L3', 'P', 'S', 'G')
+ * @returns {string}
+ */
+export function getNotebookUrl(notebookFile) {
+  return `${notebookFile}.ipynb`;
+}
+
 /**
  * 解析notebook文件
  * @param {string} notebookFile - notebook文件名 (如 'L2', 'L3', 'P', 'S', 'G')
@@ -12,7 +25,7 @@ export async function parseNotebook(notebookFile) {
   try {
     // 添加时间戳参数防止浏览器缓存
     const timestamp = new Date().getTime();
-    const response = await fetch(`${notebookFile}.ipynb?t=${timestamp}`, {
+    const response = await fetch(`${getNotebookUrl(notebookFile)}?t=${timestamp}`, {
       cache: 'no-store'  // 明确禁用缓存
     });
     if (!response.ok) {
@@ -95,60 +108,13 @@ export function findLessonSection(cells, lessonId) {
 }
 
 /**
- * 渲染单个cell
- * @param {Object} cell - notebook cell对象
- * @returns {string} - 返回HTML字符串
- */
-export function renderCell(cell) {
-  if (!cell || !cell.source) {
-    return '';
-  }
-
-  const content = Array.isArray(cell.source)
-    ? cell.source.join('')
-    : cell.source;
-
-  if (cell.cell_type === 'markdown') {
-    // 使用marked库渲染Markdown
-    // 注意: marked需要在HTML中通过CDN引入
-    if (typeof marked !== 'undefined') {
-      return marked.parse(content);
-    } else {
-      // 降级方案: 直接显示原始内容
-      return `<div class="markdown-fallback">${content.replace(/\n/g, '<br>')}</div>`;
-    }
-  } else if (cell.cell_type === 'code') {
-    // 代码块渲染
-    return `<pre class="code-cell"><code>${escapeHtml(content)}</code></pre>`;
-  } else {
-    // 其他类型cell
-    return `<div class="cell-${cell.cell_type}">${escapeHtml(content)}</div>`;
-  }
-}
-
-/**
- * HTML转义函数,防止XSS攻击
- * @param {string} text - 待转义的文本
- * @returns {string} - 转义后的文本
- */
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
-
-/**
- * 批量渲染cells
+ * 批量渲染cells（单元格渲染见 notebookRenderer.js）
  * @param {Array} cells - cells数组
+ * @param {Object} [options] - 见 renderCell
  * @returns {string} - 返回HTML字符串
  */
-export function renderCells(cells) {
-  return cells.map(renderCell).join('\n');
+export function renderCells(cells, options) {
+  return cells.map(cell => renderCell(cell, options)).join('\n');
 }
 
 /**
@@ -0,0 +1,684 @@
+/**
+ * Notebook 渲染器（课程分屏的 NotebookViewer.js 和单栏查看器 notebook-renderer.js 共用）
+ *
+ * - Markdown 单元格：marked 解析；LaTeX（$$…$$、$…$、\[…\]、\(…\)）和 ```mermaid 代码块
+ *   先替换为占位符，解析后原样恢复，交给 KaTeX / Mermaid 渲染
+ * - 代码单元格：默认折叠，显示 notebook 中保存的输出，“运行”按钮调用各查看器自己的执行函数
+ * - 输出按 MIME 类型渲染：display_data / execute_result 只渲染已注册类型中 rank 最小（最优先）的一种，
+ *   rank 与 JupyterLab 相同（见 OUTPUT_RANKS）；新类型通过 registerOutputRenderer 注册
+ * - stream / error 输出中的 ANSI 颜色和回车覆盖（进度条）由 ansiToHtml 处理
+ * - 图片地址：attachment:名称 换成单元格附件（cell.attachments）的 data URL，
+ *   相对路径按 notebook 文件所在位置（renderCell 的 baseUrl）解析
+ * - 插入页面后调用 renderNotebookExtras：渲染公式、Mermaid 图表和 Plotly/Vega 图表，
+ *   并执行 HTML/JavaScript 输出中的脚本（图表库首次用到时从 CDN 加载）
+ *
+ * 信任模型（与 Jupyter 的“可信 notebook”相同）：
+ * - 可信（trusted: true）：课程 notebook、本页运行代码产生的输出，HTML 原样插入，脚本在本页执行
+ * - 不可信（默认，如用户在单栏查看器中打开的文件）：Markdown 和 text/markdown 输出经 DOMPurify 过滤
+ *   （未加载时显示源码），HTML/JavaScript 输出和 Plotly/Vega 图表放入沙箱 iframe（无 allow-same-origin，
+ *   读不到本站的存储和 Cookie，也调用不了涂鸦和管理接口）；每个输出渲染后整体再经 DOMPurify 过滤一次，
+ *   不依赖各渲染器自身的转义
+ */
+
+import { ansiToHtml } from './ansiToHtml.js';
+
+// 单元格插入页面后再渲染的公式分隔符（KaTeX auto-render）
+const MATH_DELIMITERS = [
+  { left: '$$', right: '$$', display: true },
+  { left: '$', right: '$', display: false },
+  { left: '\\[', right: '\\]', display: true },
+  { left: '\\(', right: '\\)', display: false }
+];
+
+// Markdown 中需要保护的公式（顺序与分隔符优先级一致：先块级再行内）
+const MATH_PATTERNS = [
+  /\$\$([\s\S]+?)\$\$/g,
+  /\$([^$\n]+?)\$/g,
+  /\\\[([\s\S]+?)\\\]/g,
+  /\\\(([\s\S]+?)\\\)/g
+];
+
+// 输出类型的优先级（与 JupyterLab 的渲染器 rank 相同，越小越优先）
+const OUTPUT_RANKS = {
+  json: 0,         // application/json（@jupyterlab/json-extension）
+  plotly: 0,       // application/vnd.plotly.v1+json（jupyterlab-plotly）
+  html: 50,
+  vega: 57,        // application/vnd.vega(lite).*+json（@jupyterlab/vega5-extension）
+  markdown: 60,
+  latex: 70,
+  svg: 80,
+  image: 90,
+  javascript: 110,
+  text: 120
+};
+
+// 图表库（首次用到时加载）
+const PLOTLY_SCRIPT = 'https://cdn.jsdelivr.net/npm/plotly.js-dist-min@2/plotly.min.js';
+const VEGA_SCRIPTS = [
+  'https://cdn.jsdelivr.net/npm/vega@5',
+  'https://cdn.jsdelivr.net/npm/vega-lite@5',
+  'https://cdn.jsdelivr.net/npm/vega-embed@6'
+];
+
+// <img> 的 src 属性（marked 输出双引号，notebook 中的 HTML 可能是单引号）
+const IMG_SRC_PATTERN = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])(.*?)\2/gi;
+
+// 不需要按 notebook 位置解析的地址：带协议（http:、data: 等）、站点根路径、页内锚点
+const ABSOLUTE_URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i;
+
+// 图片输出和附件的 base64 数据
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\s]*$/;
+
+// 不可信内容的过滤规则（DOMPurify）：去掉样式表、表单和本渲染器使用的标记属性
+const SANITIZE_OPTIONS = {
+  FORBID_TAGS: ['style', 'form'],
+  FORBID_ATTR: ['data-script-pending', 'data-chart-id']
+};
+
+// 沙箱 iframe 中报告内容高度的脚本（iframe 与本页不同源，只能通过 postMessage 通信）
+const SANDBOX_RESIZE_SCRIPT = `(function () {
+  function report() {
+    parent.postMessage({ type: 'notebook-sandbox-resize', height: document.documentElement.scrollHeight }, '*');
+  }
+  window.addEventListener('load', report);
+  new ResizeObserver(report).observe(document.body);
+})();`;
+
+// 是否已监听沙箱 iframe 的高度消息
+let sandboxListenerAdded = false;
+
+// 渲染一个不可信输出期间生成的沙箱 iframe：占位符 -> iframe HTML（过滤后再放回，见 renderOutput）
+const pendingSandboxes = new Map();
+let sandboxCounter = 0;
+
+// MIME 类型 -> { rank, render }
+const outputRenderers = new Map();
+
+// 等待插入页面后绘制的图表：输出ID -> { library: 'plotly'|'vega', spec }
+const pendingCharts = new Map();
+let chartCounter = 0;
+
+// 已加载（或正在加载）的脚本：URL -> Promise
+const loadedScripts = new Map();
+
+/**
+ * HTML转义
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * notebook 中的多行文本可以是字符串或字符串数组
+ */
+function joinText(value) {
+  return Array.isArray(value) ? value.join('') : String(value ?? '');
+}
+
+/**
+ * 是否为 JSON 类型（application/json、*+json）：内容是任意 JSON 值，数组不是多行文本
+ */
+function isJsonMimeType(mimeType) {
+  return mimeType === 'application/json' || mimeType.endsWith('+json');
+}
+
+/**
+ * 注册输出渲染器
+ * @param {string} mimeType - MIME 类型（如 'image/svg+xml'）
+ * @param {Function} render - (data, output, { trusted }) => HTML 字符串；data 为该类型的内容
+ *   （JSON 类型原样传入，其他类型的多行文本已合并），
+ *   不可信时渲染器不能输出会在本页执行的脚本
+ * @param {Object} [options]
+ * @param {number} [options.rank=100] - 优先级，越小越优先（同一输出有多种类型时只渲染最优先的一种）
+ */
+export function registerOutputRenderer(mimeType, render, { rank = 100 } = {}) {
+  outputRenderers.set(mimeType, { rank, render });
+}
+
+/**
+ * 选择输出中最优先的已注册类型
+ * @param {Object} data - output.data
+ * @returns {string|null} MIME 类型
+ */
+export function selectOutputMimeType(data) {
+  let selected = null;
+  Object.keys(data || {}).forEach((mimeType) => {
+    const renderer = outputRenderers.get(mimeType);
+    if (renderer && (!selected || renderer.rank < outputRenderers.get(selected).rank)) {
+      selected = mimeType;
+    }
+  });
+  return selected;
+}
+
+/**
+ * 过滤不可信的 HTML；DOMPurify 未加载时显示源码
+ * @param {string} html - 要过滤的 HTML
+ * @param {string} source - DOMPurify 未加载时显示的源码
+ * @returns {string}
+ */
+function sanitizeHtml(html, source) {
+  if (typeof window.DOMPurify === 'undefined') {
+    console.warn('[Notebook] DOMPurify not loaded, showing untrusted content as text');
+    return `<pre>${escapeHtml(source)}</pre>`;
+  }
+  return window.DOMPurify.sanitize(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * 沙箱 iframe（不可信的 HTML/JavaScript 输出和图表），高度由 iframe 中的脚本报告
+ * DOMPurify 会去掉 iframe，所以先返回占位符，输出过滤后由 restoreSandboxes 换回
+ * @param {string} body - iframe 中 body 的内容
+ * @param {string} className - 输出类名
+ * @returns {string} 占位符
+ */
+function renderSandbox(body, className) {
+  const srcdoc = `<!DOCTYPE html><html><head><meta charset="utf-8"><base target="_blank">
+<style>body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 14px; }</style>
+</head><body>${body}<script>${SANDBOX_RESIZE_SCRIPT}</script></body></html>`;
+  const placeholder = `NBSANDBOX${++sandboxCounter}END`;
+  pendingSandboxes.set(placeholder,
+    `<iframe class="output-sandbox ${className}" sandbox="allow-scripts allow-popups" srcdoc="${escapeHtml(srcdoc)}"></iframe>`);
+  return placeholder;
+}
+
+/**
+ * 把过滤后的输出中的沙箱占位符换回 iframe
+ */
+function restoreSandboxes(html) {
+  pendingSandboxes.forEach((iframe, placeholder) => {
+    html = html.split(placeholder).join(iframe);
+  });
+  pendingSandboxes.clear();
+  return html;
+}
+
+/**
+ * 不可信的图表：图表库和绘制都在沙箱 iframe 中进行
+ * @param {string} library - 'plotly' | 'vega'
+ * @param {Object} spec - 图表数据
+ */
+function renderChartSandbox(library, spec) {
+  const scripts = (library === 'plotly' ? [PLOTLY_SCRIPT] : VEGA_SCRIPTS)
+    .map(url => `<script src="${url}"></script>`).join('');
+  const draw = library === 'plotly'
+    ? 'Plotly.newPlot(chart, spec.data || [], spec.layout || {}, Object.assign({ responsive: true }, spec.config))'
+    : 'vegaEmbed(chart, spec, { actions: false })';
+  // < 转义后 JSON 中的 </script> 不会提前结束脚本
+  const specJson = JSON.stringify(spec).replace(/</g, '\\u003c');
+  return renderSandbox(`<div id="chart"></div>${scripts}<script>
+var chart = document.getElementById('chart');
+var spec = ${specJson};
+Promise.resolve().then(function () { return ${draw}; }).catch(function (error) {
+  chart.textContent = '图表渲染失败: ' + error.message;
+});
+</script>`, `output-${library}`);
+}
+
+/**
+ * JavaScript 输出的脚本：与 Jupyter 相同，脚本中可以通过 element 访问输出所在的元素
+ */
+function wrapOutputScript(code, elementExpression) {
+  return `<script>(function (element) {
+${code.replace(/<\/script/gi, '<\\/script')}
+})(${elementExpression});</script>`;
+}
+
+/**
+ * 沙箱 iframe 报告内容高度后调整 iframe 高度
+ */
+function listenSandboxResize() {
+  if (sandboxListenerAdded) return;
+  sandboxListenerAdded = true;
+  window.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'notebook-sandbox-resize') return;
+    const frame = Array.from(document.querySelectorAll('iframe.output-sandbox'))
+      .find(iframe => iframe.contentWindow === event.source);
+    if (frame && Number.isFinite(event.data.height)) {
+      frame.style.height = `${Math.ceil(event.data.height)}px`;
+    }
+  });
+}
+
+/**
+ * 图表占位元素，插入页面后由 renderPendingCharts 绘制
+ */
+function renderChartPlaceholder(library, spec) {
+  const id = `nb-chart-${++chartCounter}`;
+  pendingCharts.set(id, { library, spec });
+  return `<div class="output-chart output-${library}" data-chart-id="${id}"></div>`;
+}
+
+/**
+ * 渲染 LaTeX 输出（KaTeX 未加载时显示源码，插入页面后由 auto-render 再尝试）
+ */
+function renderLatex(latex) {
+  if (typeof katex === 'undefined') {
+    return `<div class="output-latex">${escapeHtml(latex)}</div>`;
+  }
+  // 去掉外层的 $$…$$ / $…$ / \[…\]，按块级公式渲染
+  const source = latex.trim()
+    .replace(/^\$\$([\s\S]*)\$\$$/, '$1')
+    .replace(/^\$([\s\S]*)\$$/, '$1')
+    .replace(/^\\\[([\s\S]*)\\\]$/, '$1');
+  return `<div class="output-latex">${katex.renderToString(source, { displayMode: true, throwOnError: false, strict: false })}</div>`;
+}
+
+registerOutputRenderer('application/json', data =>
+  `<div class="output-json"><pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre></div>`, { rank: OUTPUT_RANKS.json });
+
+registerOutputRenderer('application/vnd.plotly.v1+json', (spec, output, { trusted }) => (trusted
+  ? renderChartPlaceholder('plotly', spec)
+  : renderChartSandbox('plotly', spec)), { rank: OUTPUT_RANKS.plotly });
+
+registerOutputRenderer('text/html', (html, output, { trusted }) => (trusted
+  ? `<div class="output-html" data-script-pending="true">${html}</div>`
+  : renderSandbox(html, 'output-html')), { rank: OUTPUT_RANKS.html });
+
+['application/vnd.vega.v5+json', 'application/vnd.vegalite.v5+json', 'application/vnd.vegalite.v4+json'].forEach((mimeType) => {
+  registerOutputRenderer(mimeType, (spec, output, { trusted }) => (trusted
+    ? renderChartPlaceholder('vega', spec)
+    : renderChartSandbox('vega', spec)), { rank: OUTPUT_RANKS.vega });
+});
+
+registerOutputRenderer('text/markdown', (markdown, output, { trusted }) => {
+  const html = renderMarkdown(markdown);
+  return `<div class="output-markdown markdown-content">${trusted ? html : sanitizeHtml(html, markdown)}</div>`;
+}, { rank: OUTPUT_RANKS.markdown });
+
+registerOutputRenderer('text/latex', renderLatex, { rank: OUTPUT_RANKS.latex });
+
+// SVG 作为图片显示，其中的脚本不会执行
+registerOutputRenderer('image/svg+xml', svg =>
+  `<div class="output-plot"><img src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}" alt="输出图表" style="max-width: 100%; height: auto;"></div>`, { rank: OUTPUT_RANKS.svg });
+
+['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'].forEach((mimeType) => {
+  registerOutputRenderer(mimeType, (data) => {
+    if (!BASE64_PATTERN.test(data)) {
+      console.warn(`[Notebook] Invalid ${mimeType} output data`);
+      return '<div class="output-text"><pre>图片数据无效</pre></div>';
+    }
+    return `<div class="output-plot"><img src="data:${mimeType};base64,${escapeHtml(data.replace(/\s/g, ''))}" alt="输出图表" style="max-width: 100%; height: auto;"></div>`;
+  }, { rank: OUTPUT_RANKS.image });
+});
+
+['application/javascript', 'text/javascript'].forEach((mimeType) => {
+  registerOutputRenderer(mimeType, (code, output, { trusted }) => (trusted
+    ? `<div class="output-javascript" data-script-pending="true">${wrapOutputScript(code, 'document.currentScript.parentElement')}</div>`
+    : renderSandbox(`<div id="output"></div>${wrapOutputScript(code, "document.getElementById('output')")}`, 'output-javascript')),
+  { rank: OUTPUT_RANKS.javascript });
+});
+
+registerOutputRenderer('text/plain', text =>
+  `<div class="output-text"><pre>${escapeHtml(text)}</pre></div>`, { rank: OUTPUT_RANKS.text });
+
+/**
+ * 渲染一个输出（stream / execute_result / display_data / error）
+ * @param {Object} output - nbformat 输出
+ * @param {Object} [options]
+ * @param {boolean} [options.trusted=false] - 是否可信（本页运行代码产生的输出传 true）
+ * @returns {string} HTML 字符串（无法渲染时为空字符串）
+ */
+export function renderOutput(output, { trusted = false } = {}) {
+  if (output.output_type === 'stream') {
+    const className = output.name === 'stderr' ? 'output-text output-stderr' : 'output-text';
+    return `<div class="${className}"><pre>${ansiToHtml(joinText(output.text))}</pre></div>`;
+  }
+
+  if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
+    const mimeType = selectOutputMimeType(output.data);
+    if (!mimeType) return '';
+    const data = output.data[mimeType];
+    const html = outputRenderers.get(mimeType).render(isJsonMimeType(mimeType) ? data : joinText(data), output, { trusted });
+    if (trusted) return html;
+    // 不可信：整体过滤一次（DOMPurify 未加载时只显示纯文本），再放回沙箱 iframe
+    return restoreSandboxes(sanitizeHtml(html, joinText(output.data['text/plain'])));
+  }
+
+  if (output.output_type === 'error') {
+    const errorText = output.traceback ? output.traceback.join('\n') : (output.evalue || '未知错误');
+    return `<div class="output-error"><div class="error-title">执行错误:</div><pre>${ansiToHtml(errorText)}</pre></div>`;
+  }
+
+  return '';
+}
+
+/**
+ * 渲染Markdown（单元格和 text/markdown 输出）
+ * @param {string} content - Markdown 源码
+ * @returns {string} HTML（不含外层容器）
+ */
+function renderMarkdown(content) {
+  if (typeof marked === 'undefined') {
+    // marked库未加载,使用降级方案
+    return `<pre>${escapeHtml(content)}</pre>`;
+  }
+
+  try {
+    // 保护LaTeX公式和Mermaid图表：先提取，marked解析后再恢复
+    const placeholders = new Map();
+    let counter = 0;
+    const protect = (html) => {
+      const placeholder = `NBPLACEHOLDER${counter++}END`;
+      placeholders.set(placeholder, html);
+      return placeholder;
+    };
+
+    let protectedContent = content.replace(/```mermaid\n([\s\S]+?)```/g, (match, code) =>
+      protect(`<div class="mermaid-diagram">${escapeHtml(code.trim())}</div>`));
+    MATH_PATTERNS.forEach((pattern) => {
+      protectedContent = protectedContent.replace(pattern, match => protect(match));
+    });
+
+    // 配置marked选项，启用GFM（GitHub Flavored Markdown）
+    marked.setOptions({
+      gfm: true,           // 启用 GitHub Flavored Markdown
+      breaks: false,       // 不自动转换换行为<br>
+      tables: true,        // 启用表格支持
+      pedantic: false,     // 不使用严格模式
+      sanitize: false,     // 不过滤HTML（我们信任notebook内容）
+      smartLists: true,    // 智能列表
+      smartypants: false   // 不转换引号
+    });
+
+    // 恢复时用 split/join，避免公式中的 $$ 被 String.replace 当作替换模式
+    let html = marked.parse(protectedContent);
+    placeholders.forEach((original, placeholder) => {
+      html = html.split(placeholder).join(original);
+    });
+
+    return html;
+  } catch (e) {
+    console.error('Markdown parsing error:', e);
+    return `<pre>${escapeHtml(content)}</pre>`;
+  }
+}
+
+/**
+ * 单元格附件转 data URL
+ * @param {Object} attachments - cell.attachments（名称 -> { MIME 类型: base64 }）
+ * @param {string} name - 附件名称
+ * @returns {string|null}
+ */
+function attachmentUrl(attachments, name) {
+  const bundle = attachments && attachments[name];
+  const mimeType = bundle && Object.keys(bundle).find(type => type.startsWith('image/'));
+  if (!mimeType) return null;
+
+  const data = joinText(bundle[mimeType]);
+  // SVG 附件有时保存为原文而不是 base64
+  if (mimeType === 'image/svg+xml' && data.trimStart().startsWith('<')) {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(data)}`;
+  }
+  if (!BASE64_PATTERN.test(data)) return null;
+  return `data:${mimeType};base64,${data.replace(/\s/g, '')}`;
+}
+
+/**
+ * 解析图片地址，无法解析时原样返回（加载失败后由查看器显示占位符）
+ * @param {string} src - src 属性值（HTML 转义过）
+ * @param {Object} context - { attachments, baseUrl }
+ * @returns {string} src 属性值（HTML 转义过）
+ */
+function resolveImageSource(src, { attachments, baseUrl }) {
+  const url = src.replace(/&amp;/g, '&');
+
+  if (url.startsWith('attachment:')) {
+    let name = url.slice('attachment:'.length);
+    try {
+      name = decodeURIComponent(name);
+    } catch {
+      // 名称中有单独的 %，按原样查找
+    }
+    const dataUrl = attachmentUrl(attachments, name);
+    if (!dataUrl) console.warn(`[Notebook] Attachment not found: ${name}`);
+    return dataUrl ? escapeHtml(dataUrl) : src;
+  }
+
+  if (!baseUrl || ABSOLUTE_URL_PATTERN.test(url)) return src;
+  try {
+    return escapeHtml(new URL(url, new URL(baseUrl, document.baseURI)).href);
+  } catch {
+    return src;
+  }
+}
+
+/**
+ * 改写 HTML 中所有图片的地址
+ */
+function resolveImageSources(html, context) {
+  return html.replace(IMG_SRC_PATTERN, (match, prefix, quote, src) =>
+    `${prefix}${quote}${resolveImageSource(src, context)}${quote}`);
+}
+
+/**
+ * 渲染代码单元格（默认折叠，显示输出结果）
+ * @param {string} content - 代码
+ * @param {Array} outputs - 保存的输出
+ * @param {string} runHandler - “运行”按钮调用的全局函数名，参数为代码块ID
+ * @param {string} [baseUrl] - notebook 文件地址，输出中相对路径的图片按它解析
+ * @param {boolean} trusted - 保存的输出是否可信
+ * @returns {string}
+ */
+function renderCodeCell(content, outputs, runHandler, baseUrl, trusted) {
+  const codeId = `code-${Math.random().toString(36).slice(2, 11)}`;
+
+  let outputsHtml = '';
+  if (outputs && outputs.length > 0) {
+    const html = outputs.map(output => renderOutput(output, { trusted })).join('');
+    outputsHtml = `<div class="code-output output-display">${resolveImageSources(html, { baseUrl })}</div>`;
+  }
+
+  return `
+    <div class="code-wrapper collapsed" data-code-id="${codeId}">
+      <div class="code-header">
+        <div class="code-header-left">
+          <button class="toggle-code-btn" onclick="window.toggleCodeVisibility('${codeId}')">
+            <svg class="icon-collapsed" width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M9 5l7 7-7 7"/>
+            </svg>
+            <svg class="icon-expanded" width="14" height="14" viewBox="0 0 24 24" fill="currentColor" style="display: none;">
+              <path d="M5 9l7 7 7-7"/>
+            </svg>
+            <span class="toggle-text">显示代码</span>
+          </button>
+          <span class="code-label">Python</span>
+        </div>
+        <button class="run-code-btn" onclick="window.${runHandler}('${codeId}')" title="在浏览器中执行Python代码">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+          运行
+        </button>
+      </div>
+      <pre class="code-block" style="display: none;"><code data-code="${codeId}">${escapeHtml(content)}</code></pre>
+      ${outputsHtml}
+      <div class="code-output-dynamic" id="output-${codeId}" style="display: none;"></div>
+    </div>
+  `;
+}
+
+/**
+ * 渲染单个cell
+ * @param {Object} cell - notebook cell对象
+ * @param {Object} [options]
+ * @param {string} [options.runHandler='runPythonCode'] - 代码单元格“运行”按钮调用的全局函数名
+ * @param {string} [options.baseUrl] - notebook 文件的地址（可以是相对页面的路径），
+ *   相对路径的图片按它解析；不传时（如从本地打开的文件）保持原样
+ * @param {boolean} [options.trusted=false] - notebook 是否可信（见文件开头的信任模型）
+ * @returns {string} HTML字符串
+ */
+export function renderCell(cell, { runHandler = 'runPythonCode', baseUrl, trusted = false } = {}) {
+  if (!cell || !cell.source) {
+    return '<div class="empty-cell">空单元格</div>';
+  }
+
+  const content = joinText(cell.source);
+  if (cell.cell_type === 'markdown') {
+    // 先解析附件（DOMPurify 会去掉 attachment: 地址），再过滤
+    const html = resolveImageSources(renderMarkdown(content), { attachments: cell.attachments, baseUrl });
+    return `<div class="markdown-content">${trusted ? html : sanitizeHtml(html, content)}</div>`;
+  }
+  if (cell.cell_type === 'code') return renderCodeCell(content, cell.outputs, runHandler, baseUrl, trusted);
+  return `<div class="raw-cell"><pre>${escapeHtml(content)}</pre></div>`;
+}
+
+/**
+ * 让通过 innerHTML 插入的 <script> 执行（浏览器默认不会执行）
+ * @param {HTMLElement} container
+ */
+export function executeInlineScripts(container) {
+  if (!container) return;
+  container.querySelectorAll('script').forEach((oldScript) => {
+    const newScript = document.createElement('script');
+    // 复制属性（如 type/module, src 等）
+    Array.from(oldScript.attributes || []).forEach((attr) => {
+      newScript.setAttribute(attr.name, attr.value);
+    });
+    newScript.text = oldScript.textContent || '';
+    oldScript.parentNode?.replaceChild(newScript, oldScript);
+  });
+}
+
+/**
+ * 渲染Mermaid图表，失败时显示源码
+ */
+function renderMermaidDiagrams(container) {
+  const mermaidDiagrams = container.querySelectorAll('.mermaid-diagram');
+  if (mermaidDiagrams.length === 0 || typeof window.mermaid === 'undefined') return;
+
+  // 等待 mermaid 加载完成后渲染
+  setTimeout(async () => {
+    try {
+      await window.mermaid.run({ nodes: mermaidDiagrams });
+      console.log(`[Mermaid] Rendered ${mermaidDiagrams.length} diagrams`);
+    } catch (error) {
+      console.error('[Mermaid] Rendering error:', error);
+      mermaidDiagrams.forEach((diagram) => {
+        const errorMsg = document.createElement('div');
+        errorMsg.style.cssText = `
+          background: #fef2f2;
+          border: 2px dashed #fca5a5;
+          border-radius: 8px;
+          padding: 1rem;
+          color: #dc2626;
+          margin: 1rem 0;
+        `;
+        errorMsg.innerHTML = `
+          <div style="font-weight: 600; margin-bottom: 0.5rem;">📊 Mermaid 图表渲染失败</div>
+          <pre style="font-size: 0.75rem; overflow-x: auto;">${escapeHtml(diagram.textContent)}</pre>
+        `;
+        diagram.replaceWith(errorMsg);
+      });
+    }
+  }, 300);
+}
+
+/**
+ * 加载脚本（同一URL只加载一次）
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+function loadScript(url) {
+  if (!loadedScripts.has(url)) {
+    loadedScripts.set(url, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        loadedScripts.delete(url);
+        reject(new Error(`Failed to load ${url}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return loadedScripts.get(url);
+}
+
+/**
+ * 绘制 Plotly / Vega 图表，图表库加载或绘制失败时显示错误
+ */
+function renderPendingCharts(container) {
+  container.querySelectorAll('.output-chart[data-chart-id]').forEach(async (el) => {
+    const id = el.dataset.chartId;
+    const chart = pendingCharts.get(id);
+    pendingCharts.delete(id);
+    el.removeAttribute('data-chart-id');
+    if (!chart) return;
+
+    try {
+      if (chart.library === 'plotly') {
+        await loadScript(PLOTLY_SCRIPT);
+        const { data = [], layout = {}, config = {} } = chart.spec;
+        await window.Plotly.newPlot(el, data, layout, { responsive: true, ...config });
+      } else {
+        for (const url of VEGA_SCRIPTS) {
+          await loadScript(url);
+        }
+        await window.vegaEmbed(el, chart.spec, { actions: false });
+      }
+    } catch (error) {
+      console.error(`[Notebook] ${chart.library} chart failed:`, error);
+      el.innerHTML = `<div class="output-error"><div class="error-title">图表渲染失败:</div><pre>${escapeHtml(error.message)}</pre></div>`;
+    }
+  });
+}
+
+/**
+ * 单元格插入页面后的渲染：公式（KaTeX）、Mermaid 图表、Plotly/Vega 图表、HTML/JavaScript 输出中的脚本
+ * @param {HTMLElement} container - 包含已渲染单元格的元素
+ */
+export function renderNotebookExtras(container) {
+  if (typeof renderMathInElement !== 'undefined') {
+    try {
+      renderMathInElement(container, {
+        delimiters: MATH_DELIMITERS,
+        throwOnError: false,
+        strict: false
+      });
+    } catch (e) {
+      console.warn('KaTeX rendering error:', e);
+    }
+  }
+
+  renderMermaidDiagrams(container);
+  renderPendingCharts(container);
+  if (container.querySelector('iframe.output-sandbox')) listenSandboxResize();
+
+  container.querySelectorAll('[data-script-pending="true"]').forEach((output) => {
+    output.removeAttribute('data-script-pending');
+    executeInlineScripts(output);
+  });
+}
+
+/**
+ * 切换代码可见性
+ * @param {string} codeId - 代码块ID
+ */
+export function toggleCodeVisibility(codeId) {
+  const wrapper = document.querySelector(`[data-code-id="${codeId}"]`);
+  if (!wrapper) return;
+  const codeBlock = wrapper.querySelector('.code-block');
+  const toggleBtn = wrapper.querySelector('.toggle-code-btn');
+  const collapsed = wrapper.classList.contains('collapsed');
+
+  // 展开或折叠代码
+  wrapper.classList.toggle('collapsed', !collapsed);
+  wrapper.classList.toggle('expanded', collapsed);
+  codeBlock.style.display = collapsed ? 'block' : 'none';
+  toggleBtn.querySelector('.icon-collapsed').style.display = collapsed ? 'none' : 'inline';
+  toggleBtn.querySelector('.icon-expanded').style.display = collapsed ? 'inline' : 'none';
+  toggleBtn.querySelector('.toggle-text').textContent = collapsed ? '隐藏代码' : '显示代码';
+}
+
+// 代码单元格的折叠按钮通过 onclick 调用
+window.toggleCodeVisibility = toggleCodeVisibility;
@@ -0,0 +1,140 @@
+/**
+ * 形状识别：将手绘的粗略图形吸附为规整的直线、矩形或椭圆
+ *
+ * 判断依据：
+ * - 直线：起点到终点的距离接近笔迹总长度
+ * - 闭合图形（首尾距离较近）：分别计算点到包围盒边缘（矩形）和到内切椭圆（椭圆）的平均偏差，
+ *   取偏差较小且低于容差的一种
+ */
+
+// 包围盒对角线小于该值（px）的笔迹不识别（多为点或短划）
+const MIN_SHAPE_SIZE = 24;
+
+// 识别需要的最少采样点
+const MIN_POINTS = 8;
+
+// 起点到终点的距离 / 笔迹长度 超过该值视为直线
+const LINE_STRAIGHTNESS = 0.95;
+
+// 首尾距离 / 对角线 小于该值视为闭合图形
+const CLOSED_GAP_RATIO = 0.25;
+
+/**
+ * 计算笔迹的包围盒
+ * @param {Array<{x: number, y: number}>} points
+ */
+function getBounds(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const maxX = Math.max(...xs);
+  const maxY = Math.max(...ys);
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * 笔迹总长度
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number}
+ */
+function getPathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * 点到包围盒边缘的平均距离（相对对角线）
+ */
+function getRectError(points, bounds, diagonal) {
+  const total = points.reduce((sum, p) => sum + Math.min(
+    Math.abs(p.x - bounds.minX),
+    Math.abs(p.x - bounds.maxX),
+    Math.abs(p.y - bounds.minY),
+    Math.abs(p.y - bounds.maxY)
+  ), 0);
+  return total / points.length / diagonal;
+}
+
+/**
+ * 点到内切椭圆的平均距离（相对对角线）
+ */
+function getEllipseError(points, bounds, diagonal) {
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  const rx = Math.max(bounds.width / 2, 1);
+  const ry = Math.max(bounds.height / 2, 1);
+
+  const total = points.reduce((sum, p) => {
+    const dx = p.x - cx;
+    const dy = p.y - cy;
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0) return sum + Math.min(rx, ry);
+    // 沿该方向与椭圆的交点到中心的距离
+    const angle = Math.atan2(dy, dx);
+    const radius = (rx * ry) / Math.hypot(ry * Math.cos(angle), rx * Math.sin(angle));
+    return sum + Math.abs(distance - radius);
+  }, 0);
+  return total / points.length / diagonal;
+}
+
+/**
+ * 识别手绘笔迹
+ * @param {Object} stroke - 自由笔迹（pen）
+ * @param {Object} options
+ * @param {number} options.tolerance - 允许的平均偏差（相对包围盒对角线）
+ * @returns {Object|null} 识别出的形状笔画；无法识别时返回 null
+ */
+export function recognizeShape(stroke, { tolerance = 0.06 } = {}) {
+  const points = stroke.points;
+  if (!points || points.length < MIN_POINTS) return null;
+
+  const bounds = getBounds(points);
+  const diagonal = Math.hypot(bounds.width, bounds.height);
+  if (diagonal < MIN_SHAPE_SIZE) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const gap = Math.hypot(last.x - first.x, last.y - first.y);
+  const length = getPathLength(points);
+
+  // 直线
+  if (length > 0 && gap / length >= LINE_STRAIGHTNESS) {
+    return toShapeStroke(stroke, 'line', first, last);
+  }
+
+  // 闭合图形
+  if (gap / diagonal > CLOSED_GAP_RATIO) return null;
+
+  const rectError = getRectError(points, bounds, diagonal);
+  const ellipseError = getEllipseError(points, bounds, diagonal);
+  const tool = rectError <= ellipseError ? 'rect' : 'ellipse';
+  const error = Math.min(rectError, ellipseError);
+
+  if (error > tolerance) return null;
+
+  return toShapeStroke(
+    stroke,
+    tool,
+    { x: bounds.minX, y: bounds.minY, t: first.t },
+    { x: bounds.maxX, y: bounds.maxY, t: last.t }
+  );
+}
+
+/**
+ * 由原笔迹生成形状笔画（保留 id、颜色、线宽、锚点等属性）
+ */
+function toShapeStroke(stroke, tool, start, end) {
+  const { points, tiltShading, ...rest } = stroke;
+  return {
+    ...rest,
+    tool,
+    points: [
+      { x: start.x, y: start.y, t: start.t },
+      { x: end.x, y: end.y, t: end.t }
+    ]
+  };
+}
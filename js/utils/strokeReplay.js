@@ -0,0 +1,90 @@
+/**
+ * 笔画回放（课堂回放模式）
+ *
+ * 根据笔画的 createdAt 和采样点的 t（相对 createdAt 的毫秒数）
+ * 把左右两个面板的笔画合并成一条时间线，按原始顺序和速度重现书写过程。
+ * 两笔之间过长的停顿（换题、讲解、跨天补充）会被压缩，避免回放时长时间空白。
+ */
+
+import { SHAPE_TOOLS } from './drawingSchema.js';
+
+// 两笔之间的最长停顿（毫秒），超过部分压缩掉
+const MAX_IDLE_GAP = 1500;
+
+/**
+ * 笔画的书写时长（最后一个采样点的 t）
+ * @param {Object} stroke
+ * @returns {number}
+ */
+function getStrokeDuration(stroke) {
+  const last = stroke.points[stroke.points.length - 1];
+  return last && typeof last.t === 'number' ? Math.max(0, last.t) : 0;
+}
+
+/**
+ * 构建回放时间线
+ * @param {Object<string, Array>} strokesByPane - 面板名称 -> 笔画列表，如 { left: [...], right: [...] }
+ * @returns {{entries: Array<{paneName: string, id: string, start: number, end: number}>, duration: number}}
+ *   entries 按开始时间排序，start/end 为回放时间线上的毫秒数
+ */
+export function buildReplayTimeline(strokesByPane) {
+  const strokes = [];
+  Object.entries(strokesByPane).forEach(([paneName, paneStrokes]) => {
+    paneStrokes.forEach((stroke) => {
+      if (stroke.points && stroke.points.length > 0) {
+        strokes.push({ paneName, stroke });
+      }
+    });
+  });
+  strokes.sort((a, b) => (a.stroke.createdAt || 0) - (b.stroke.createdAt || 0));
+
+  const entries = [];
+  let skipped = 0;          // 已压缩掉的停顿总时长
+  let lastRealEnd = null;   // 此前所有笔画在真实时间中最晚的结束时刻
+  const origin = strokes.length > 0 ? (strokes[0].stroke.createdAt || 0) : 0;
+
+  strokes.forEach(({ paneName, stroke }) => {
+    const createdAt = stroke.createdAt || 0;
+    const duration = getStrokeDuration(stroke);
+
+    // 停顿按原速保留，过长时截断；与前面笔画重叠时保持重叠
+    if (lastRealEnd !== null && createdAt - lastRealEnd > MAX_IDLE_GAP) {
+      skipped += createdAt - lastRealEnd - MAX_IDLE_GAP;
+    }
+
+    const start = createdAt - origin - skipped;
+    entries.push({ paneName, id: stroke.id, start, end: start + duration });
+    lastRealEnd = Math.max(lastRealEnd ?? -Infinity, createdAt + duration);
+  });
+
+  const duration = entries.reduce((max, e) => Math.max(max, e.end), 0);
+  return { entries, duration };
+}
+
+/**
+ * 截取笔画在书写开始 elapsed 毫秒时的样子
+ * @param {Object} stroke
+ * @param {number} elapsed - 距该笔开始书写的毫秒数
+ * @returns {Object|null} 已写完时返回原笔画，尚未开始时返回 null
+ */
+export function clipStrokeAt(stroke, elapsed) {
+  if (elapsed < 0) return null;
+
+  const duration = getStrokeDuration(stroke);
+  if (elapsed >= duration || stroke.tool === 'text') return stroke;
+
+  // 形状只有起点和终点：终点从起点逐渐移动到最终位置
+  if (SHAPE_TOOLS.includes(stroke.tool) && stroke.points.length === 2) {
+    const [a, b] = stroke.points;
+    const ratio = duration > 0 ? elapsed / duration : 1;
+    return {
+      ...stroke,
+      points: [a, { ...b, x: a.x + (b.x - a.x) * ratio, y: a.y + (b.y - a.y) * ratio }]
+    };
+  }
+
+  return {
+    ...stroke,
+    points: stroke.points.filter(p => (p.t || 0) <= elapsed)
+  };
+}
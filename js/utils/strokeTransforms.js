@@ -0,0 +1,207 @@
+/**
+ * 笔画变换工具（选择、擦除命中、移动、缩放、改色、复制）
+ *
+ * 所有函数都返回新的笔画对象，不修改原对象：
+ * 撤销历史中的快照与当前笔画共享对象，原地修改会破坏历史记录。
+ */
+
+import { createStrokeId, getStrokeBounds } from './drawingSchema.js';
+
+/**
+ * 点是否在多边形内（射线法）
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean}
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 笔画是否被套索选中：超过一半的采样点（文字取中心点）在套索内
+ * @param {Object} stroke
+ * @param {Array<{x: number, y: number}>} lasso - 套索多边形
+ * @returns {boolean}
+ */
+export function isStrokeInLasso(stroke, lasso) {
+  if (lasso.length < 3) return false;
+
+  if (stroke.tool === 'text') {
+    const bounds = getStrokeBounds(stroke);
+    return !!bounds && isPointInPolygon({
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y + bounds.height / 2
+    }, lasso);
+  }
+
+  const inside = stroke.points.filter(p => isPointInPolygon(p, lasso)).length;
+  return inside > 0 && inside >= stroke.points.length / 2;
+}
+
+/**
+ * 点到线段的距离
+ * @param {{x: number, y: number}} p
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * 笔画的轮廓折线（形状按绘制出的轮廓展开，自由笔迹直接使用采样点）
+ * @param {Object} stroke
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getStrokeOutline(stroke) {
+  if (stroke.tool !== 'rect' && stroke.tool !== 'ellipse') {
+    return stroke.points;
+  }
+
+  const [a, b] = stroke.points;
+  if (stroke.tool === 'rect') {
+    return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }, a];
+  }
+
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  const rx = Math.abs(b.x - a.x) / 2;
+  const ry = Math.abs(b.y - a.y) / 2;
+  const outline = [];
+  for (let i = 0; i <= 32; i++) {
+    const angle = (i / 32) * Math.PI * 2;
+    outline.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+  }
+  return outline;
+}
+
+/**
+ * 笔画是否被某点擦到（用于笔画橡皮擦）
+ * @param {Object} stroke
+ * @param {{x: number, y: number}} point - 橡皮擦位置
+ * @param {number} radius - 橡皮擦半径
+ * @returns {boolean}
+ */
+export function isStrokeHitByPoint(stroke, point, radius) {
+  if (stroke.tool === 'text') {
+    const bounds = getStrokeBounds(stroke);
+    return !!bounds &&
+      point.x >= bounds.x - radius && point.x <= bounds.x + bounds.width + radius &&
+      point.y >= bounds.y - radius && point.y <= bounds.y + bounds.height + radius;
+  }
+
+  const reach = radius + stroke.width / 2;
+  const outline = getStrokeOutline(stroke);
+  if (outline.length === 1) {
+    return Math.hypot(point.x - outline[0].x, point.y - outline[0].y) <= reach;
+  }
+  for (let i = 1; i < outline.length; i++) {
+    if (distanceToSegment(point, outline[i - 1], outline[i]) <= reach) return true;
+  }
+  return false;
+}
+
+/**
+ * 多条笔画的整体包围盒
+ * @param {Array} strokes
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export function getStrokesBounds(strokes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+  strokes.forEach((stroke) => {
+    const bounds = getStrokeBounds(stroke);
+    if (!bounds) return;
+    minX = Math.min(minX, bounds.x);
+    minY = Math.min(minY, bounds.y);
+    maxX = Math.max(maxX, bounds.x + bounds.width);
+    maxY = Math.max(maxY, bounds.y + bounds.height);
+  });
+
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * 坐标保留一位小数（与 addStrokePoint 一致）
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * 平移笔画
+ * @param {Object} stroke
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Object} 新笔画
+ */
+export function translateStroke(stroke, dx, dy) {
+  return {
+    ...stroke,
+    points: stroke.points.map(p => ({ ...p, x: round1(p.x + dx), y: round1(p.y + dy) }))
+  };
+}
+
+/**
+ * 以 origin 为中心等比缩放笔画（线宽和字号同时缩放）
+ * @param {Object} stroke
+ * @param {{x: number, y: number}} origin - 缩放中心
+ * @param {number} scale - 缩放比例
+ * @returns {Object} 新笔画
+ */
+export function scaleStroke(stroke, origin, scale) {
+  const scaled = {
+    ...stroke,
+    width: Math.max(0.5, round1(stroke.width * scale)),
+    points: stroke.points.map(p => ({
+      ...p,
+      x: round1(origin.x + (p.x - origin.x) * scale),
+      y: round1(origin.y + (p.y - origin.y) * scale)
+    }))
+  };
+  if (stroke.tool === 'text') {
+    scaled.fontSize = Math.max(6, round1(stroke.fontSize * scale));
+  }
+  return scaled;
+}
+
+/**
+ * 修改笔画颜色（橡皮擦没有颜色）
+ * @param {Object} stroke
+ * @param {string} color
+ * @returns {Object} 新笔画
+ */
+export function recolorStroke(stroke, color) {
+  if (stroke.tool === 'eraser') return stroke;
+  return { ...stroke, color };
+}
+
+/**
+ * 复制笔画（新ID，去掉锚点，由调用方按新位置重新绑定）
+ * @param {Object} stroke
+ * @returns {Object} 新笔画
+ */
+export function duplicateStroke(stroke) {
+  const { anchor, ...rest } = stroke;
+  return {
+    ...rest,
+    id: createStrokeId(),
+    createdAt: Date.now(),
+    points: stroke.points.map(p => ({ ...p }))
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * adminConfig - 课程配置（管理后台 js/admin/AdminApp.js）的读取、验证和保存
+ *
+ * 配置格式：
+ * {
+ *   version,
+ *   modules: [Module]
+ * }
+ * Module：{ id, title?, name?, courses?: [Course], children?: [Module], stages?: [{ name, courses }] }
+ * Course：{ id, title?, grade?, ... }
+ *
+ * 保存时的验证规则与前端一致：
+ * - 模块和课程必须有 id
+ * - 同一课程只能出现在一个模块/子模块中（排他性）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 没有保存过配置时返回的空配置
+const EMPTY_CONFIG = { version: '1.0.0', modules: [] };
+
+/**
+ * 验证配置
+ * @param {Object} config
+ * @returns {string[]} 错误列表（为空表示通过）
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['配置必须是对象'];
+  }
+  if (!Array.isArray(config.modules)) {
+    return ['配置缺少 modules 数组'];
+  }
+
+  const courseLocations = new Map(); // courseId -> [模块路径]
+  const moduleIds = new Set();
+
+  function checkCourses(courses, location) {
+    if (courses === undefined) return;
+    if (!Array.isArray(courses)) {
+      errors.push(`${location} 的 courses 必须是数组`);
+      return;
+    }
+    courses.forEach((course, index) => {
+      if (!course || typeof course !== 'object' || !course.id) {
+        errors.push(`${location} 的第 ${index + 1} 门课程缺少 id`);
+        return;
+      }
+      if (!courseLocations.has(course.id)) {
+        courseLocations.set(course.id, []);
+      }
+      courseLocations.get(course.id).push(location);
+    });
+  }
+
+  function checkModule(module, parentPath) {
+    if (!module || typeof module !== 'object' || !module.id) {
+      errors.push(`${parentPath || '顶层'} 中有模块缺少 id`);
+      return;
+    }
+
+    const modulePath = parentPath ? `${parentPath}.${module.id}` : module.id;
+    if (moduleIds.has(modulePath)) {
+      errors.push(`模块 ${modulePath} 重复`);
+    }
+    moduleIds.add(modulePath);
+
+    checkCourses(module.courses, modulePath);
+
+    // 兼容旧格式：stages
+    if (Array.isArray(module.stages)) {
+      module.stages.forEach((stage) => {
+        checkCourses(stage && stage.courses, `${modulePath} → ${stage && stage.name}`);
+      });
+    }
+
+    if (module.children !== undefined) {
+      if (!Array.isArray(module.children)) {
+        errors.push(`模块 ${modulePath} 的 children 必须是数组`);
+      } else {
+        module.children.forEach(child => checkModule(child, modulePath));
+      }
+    }
+  }
+
+  config.modules.forEach(module => checkModule(module, ''));
+
+  courseLocations.forEach((locations, courseId) => {
+    if (locations.length > 1) {
+      errors.push(`课程 ${courseId} 在 ${locations.length} 个位置: ${locations.join('、')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 读取配置
+ * @param {string} file - 配置文件路径
+ * @returns {Object}
+ */
+function loadConfig(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return EMPTY_CONFIG;
+    throw error;
+  }
+}
+
+/**
+ * 保存配置（保留上一版本为 .bak）
+ * @param {string} file - 配置文件路径
+ * @param {Object} config
+ */
+function saveConfig(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    fs.copyFileSync(file, `${file}.bak`);
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(config, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  validateConfig,
+  loadConfig,
+  saveConfig
+};
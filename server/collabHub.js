@@ -0,0 +1,126 @@
+/**
+ * collabHub - 实时协作的消息转发（Server-Sent Events + POST）
+ *
+ * 同一课程（lessonId）的客户端在一个房间中：
+ * - 客户端通过 GET /api/collab/:lessonId/events 建立 SSE 连接，服务器推送消息
+ * - 客户端通过 POST /api/collab/:lessonId 发送消息，服务器转发给房间内的其他客户端
+ *
+ * 推送的消息（SSE data 为 JSON）：
+ *   { type: 'presence', members: [{ clientId, userId, name, role, presenting }] }  成员变化时推送给所有人
+ *   { type, from, userId, payload }                                                其他客户端发送的消息（userId 为服务器确认的发送者）
+ *
+ * type 为 'presence-update' 的消息更新发送者的成员状态（payload: { presenting }），不转发
+ * clientId 只能由建立连接的用户使用，演示状态只有教师可以设置（见 server.js handleCollab）
+ * 服务器不保存消息内容，涂鸦仍由各客户端通过 /api/drawings 保存（见 js/components/GlobalDrawingCanvas.js）
+ */
+
+// 心跳间隔（保持代理和浏览器不断开空闲连接）
+const HEARTBEAT_INTERVAL = 25000;
+
+class CollabHub {
+  constructor() {
+    this.rooms = new Map(); // lessonId -> Map(clientId -> member)
+    this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * 建立 SSE 连接并加入房间（同一 clientId 重连时替换旧连接）
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} lessonId - 课程ID
+   * @param {string} clientId - 客户端ID（每个标签页一个）
+   * @param {{id: string, name: string, role: string}} user - 请求用户
+   */
+  connect(req, res, lessonId, clientId, user) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    if (!this.rooms.has(lessonId)) {
+      this.rooms.set(lessonId, new Map());
+    }
+    const room = this.rooms.get(lessonId);
+    const previous = room.get(clientId);
+    if (previous) previous.res.end();
+
+    const member = {
+      res,
+      clientId,
+      userId: user.id,
+      name: user.name,
+      role: user.role,
+      presenting: previous ? previous.presenting : false
+    };
+    room.set(clientId, member);
+    console.log(`[COLLAB] 👋 ${user.name} joined ${lessonId} (${room.size} online)`);
+    this.broadcastPresence(lessonId);
+
+    req.on('close', () => {
+      if (room.get(clientId) !== member) return;
+      room.delete(clientId);
+      if (room.size === 0) this.rooms.delete(lessonId);
+      console.log(`[COLLAB] 👋 ${user.name} left ${lessonId} (${room.size} online)`);
+      this.broadcastPresence(lessonId);
+    });
+  }
+
+  /**
+   * 房间中的成员
+   * @returns {{clientId: string, userId: string, name: string, role: string, presenting: boolean}|null}
+   */
+  getMember(lessonId, clientId) {
+    const room = this.rooms.get(lessonId);
+    return (room && room.get(clientId)) || null;
+  }
+
+  /**
+   * 处理客户端发送的消息（调用前需确认发送者身份）
+   * @returns {boolean} 发送者是否在房间中
+   */
+  publish(lessonId, clientId, type, payload) {
+    const room = this.rooms.get(lessonId);
+    const sender = room && room.get(clientId);
+    if (!sender) return false;
+
+    if (type === 'presence-update') {
+      sender.presenting = !!(payload && payload.presenting);
+      this.broadcastPresence(lessonId);
+      return true;
+    }
+
+    const data = JSON.stringify({ type, from: clientId, userId: sender.userId, payload });
+    room.forEach((member) => {
+      if (member !== sender) this.write(member, data);
+    });
+    return true;
+  }
+
+  broadcastPresence(lessonId) {
+    const room = this.rooms.get(lessonId);
+    if (!room) return;
+
+    const members = Array.from(room.values()).map(({ clientId, userId, name, role, presenting }) => ({
+      clientId, userId, name, role, presenting
+    }));
+    const data = JSON.stringify({ type: 'presence', members });
+    room.forEach(member => this.write(member, data));
+  }
+
+  write(member, data) {
+    member.res.write(`data: ${data}\n\n`);
+  }
+
+  sendHeartbeat() {
+    this.rooms.forEach((room) => {
+      room.forEach(member => member.res.write(': ping\n\n'));
+    });
+  }
+}
+
+module.exports = {
+  CollabHub
+};
@@ -0,0 +1,363 @@
+/**
+ * drawingStore - 涂鸦记录的文件存储
+ *
+ * 目录结构：
+ *   <root>/<lessonId>/<viewType>.json
+ * lessonId/viewType 经 encodeURIComponent 编码后作为目录名和文件名
+ * 每个用户和共享图层各使用一个根目录（见 server.js）
+ *
+ * 每条记录带服务器分配的 revision（每次写入递增），
+ * 写入/删除时比较客户端的 baseRevision，不一致时返回冲突（见 js/api/DrawingAPI.js）
+ *
+ * 版本历史：覆盖或删除记录前，原记录保存到
+ *   <root>/<lessonId>/history/<viewType>/<archivedAt>-<revision>.json
+ * 每个视图保留最近 historyLimit 个；合并规则与 js/utils/drawingHistory.js 一致
+ * （删除或移除笔画时总是保存，只追加笔画时间隔不足 HISTORY_COALESCE_MS 不保存）
+ * 删除课程或所有涂鸦时历史一并删除
+ *
+ * 使用同步文件操作：同一条记录的“读取-比较-写入”不会被其他请求打断
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 与前端 DrawingStorage 的存储键一致
+const STORAGE_KEY_PREFIX = 'drawing_data_';
+
+// 默认图层（与 js/utils/drawingSchema.js 一致）
+const DEFAULT_LAYER_ID = 'default';
+
+// 历史版本目录名（课程目录下）
+const HISTORY_DIR = 'history';
+
+// 每个视图默认保留的历史版本数
+const DEFAULT_HISTORY_LIMIT = 20;
+
+// 只追加笔画时，两个历史版本的最小间隔（与 js/utils/drawingHistory.js 一致）
+const HISTORY_COALESCE_MS = 60 * 1000;
+
+/**
+ * 存储键中的ID是否合法（不能包含路径分隔符，不能是 . 或 ..）
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  return typeof id === 'string' && id.length > 0 && id.length <= 200 &&
+    id !== '.' && id !== '..' && !/[\\/\0]/.test(id);
+}
+
+/**
+ * 写入JSON文件（先写临时文件再重命名，避免进程中断留下半个文件）
+ */
+function writeJSONAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * 记录中的笔画ID（容忍校验加入前保存的格式错误的记录）
+ * @param {Object} record
+ * @returns {string[]}
+ */
+function strokeIds(record) {
+  const strokes = record && Array.isArray(record.strokes) ? record.strokes : [];
+  return strokes.filter(stroke => stroke && typeof stroke === 'object').map(stroke => stroke.id);
+}
+
+/**
+ * 覆盖或删除记录前，是否需要把原记录存为历史版本（规则同 js/utils/drawingHistory.js）
+ * @param {Object} previous - 即将被覆盖的记录
+ * @param {Object|null} next - 新记录（删除时为 null）
+ * @param {number} lastArchivedAt - 最近一个历史版本的时间（没有时为 0）
+ * @returns {boolean}
+ */
+function shouldArchiveVersion(previous, next, lastArchivedAt) {
+  if (!next) return true;
+  if (!previous || typeof previous !== 'object') return false;
+  const sameContent = JSON.stringify(previous.strokes) === JSON.stringify(next.strokes) &&
+    JSON.stringify(previous.layers) === JSON.stringify(next.layers) &&
+    JSON.stringify(previous.background || null) === JSON.stringify(next.background || null);
+  if (sameContent) return false;
+
+  const nextIds = new Set(strokeIds(next));
+  const removesStrokes = strokeIds(previous).some(id => !nextIds.has(id));
+  return removesStrokes || Date.now() - lastArchivedAt >= HISTORY_COALESCE_MS;
+}
+
+/**
+ * 版本冲突：服务器上的记录与客户端基于的版本不一致
+ */
+class ConflictError extends Error {
+  /**
+   * @param {Object|null} current - 服务器上的当前记录
+   */
+  constructor(current) {
+    super('Drawing revision conflict');
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
+
+class DrawingStore {
+  /**
+   * @param {string} root - 存储根目录
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit] - 每个视图保留的历史版本数（0 表示不保留）
+   */
+  constructor(root, { historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.root = root;
+    this.historyLimit = historyLimit;
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  lessonDir(lessonId) {
+    return path.join(this.root, encodeURIComponent(lessonId));
+  }
+
+  recordFile(lessonId, viewType) {
+    return path.join(this.lessonDir(lessonId), `${encodeURIComponent(viewType)}.json`);
+  }
+
+  historyDir(lessonId, viewType) {
+    return path.join(this.lessonDir(lessonId), HISTORY_DIR, encodeURIComponent(viewType));
+  }
+
+  /**
+   * 历史版本文件名，按保存时间从新到旧
+   * @returns {string[]}
+   */
+  historyFiles(lessonId, viewType) {
+    try {
+      return fs.readdirSync(this.historyDir(lessonId, viewType))
+        .filter(name => name.endsWith('.json'))
+        .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * 把即将被覆盖或删除的记录存为历史版本，超出上限的旧版本删除
+   * @param {Object} previous - 当前记录
+   * @param {Object|null} next - 新记录（删除时为 null）
+   */
+  archive(previous, next) {
+    if (this.historyLimit <= 0) return;
+    const { lessonId, viewType } = previous;
+    const files = this.historyFiles(lessonId, viewType);
+    const lastArchivedAt = files.length > 0 ? parseInt(files[0], 10) : 0;
+    if (!shouldArchiveVersion(previous, next, lastArchivedAt)) return;
+
+    const archivedAt = Math.max(Date.now(), lastArchivedAt + 1);
+    const id = `${archivedAt}-${previous.revision || 0}`;
+    writeJSONAtomic(path.join(this.historyDir(lessonId, viewType), `${id}.json`), {
+      id,
+      archivedAt,
+      reason: next ? 'save' : 'delete',
+      record: previous
+    });
+
+    files.slice(this.historyLimit - 1).forEach((name) => {
+      fs.rmSync(path.join(this.historyDir(lessonId, viewType), name), { force: true });
+    });
+  }
+
+  /**
+   * 历史版本，从新到旧
+   * @returns {Array<{id: string, archivedAt: number, reason: 'save'|'delete', record: Object}>}
+   */
+  getHistory(lessonId, viewType) {
+    const dir = this.historyDir(lessonId, viewType);
+    return this.historyFiles(lessonId, viewType).map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch (error) {
+        console.warn(`[STORE] Skipping unreadable history version ${name}:`, error.message);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * 已删除但还有历史版本的涂鸦（可从历史恢复）
+   * @returns {Array<{lessonId: string, viewType: string, deletedAt: number}>}
+   */
+  listDeleted() {
+    const deleted = [];
+
+    fs.readdirSync(this.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach((lessonEntry) => {
+        const historyRoot = path.join(this.root, lessonEntry.name, HISTORY_DIR);
+        if (!fs.existsSync(historyRoot)) return;
+
+        const lessonId = decodeURIComponent(lessonEntry.name);
+        fs.readdirSync(historyRoot).forEach((viewEntry) => {
+          const viewType = decodeURIComponent(viewEntry);
+          if (this.get(lessonId, viewType)) return;
+          const [latest] = this.historyFiles(lessonId, viewType);
+          if (latest) deleted.push({ lessonId, viewType, deletedAt: parseInt(latest, 10) });
+        });
+      });
+
+    return deleted;
+  }
+
+  /**
+   * 读取一条记录
+   * @returns {Object|null}
+   */
+  get(lessonId, viewType) {
+    try {
+      return JSON.parse(fs.readFileSync(this.recordFile(lessonId, viewType), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 所有记录（GET /api/drawings 的格式：{ key, data, size }）
+   * @returns {Array<{key: string, data: Object, size: number}>}
+   */
+  list() {
+    const drawings = [];
+
+    fs.readdirSync(this.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach((lessonEntry) => {
+        const dir = path.join(this.root, lessonEntry.name);
+        fs.readdirSync(dir)
+          .filter(name => name.endsWith('.json'))
+          .forEach((name) => {
+            try {
+              const text = fs.readFileSync(path.join(dir, name), 'utf8');
+              const data = JSON.parse(text);
+              drawings.push({
+                key: `${STORAGE_KEY_PREFIX}${data.lessonId}_${data.viewType}`,
+                data,
+                size: text.length
+              });
+            } catch (error) {
+              console.warn(`[STORE] Skipping unreadable drawing ${lessonEntry.name}/${name}:`, error.message);
+            }
+          });
+      });
+
+    return drawings;
+  }
+
+  /**
+   * 检查客户端基于的版本（不存在的记录视为版本 0）
+   * @param {Object|null} current - 当前记录
+   * @param {number|null|undefined} baseRevision - 客户端基于的版本（不传则不检查）
+   * @throws {ConflictError}
+   */
+  checkRevision(current, baseRevision) {
+    if (baseRevision === null || baseRevision === undefined) return;
+    const currentRevision = current ? (current.revision || 0) : 0;
+    if (Number(baseRevision) !== currentRevision) {
+      throw new ConflictError(current);
+    }
+  }
+
+  /**
+   * 保存记录，版本号加一
+   * @param {Object} record - 涂鸦记录
+   * @param {number|null} baseRevision - 客户端基于的版本
+   * @returns {Object} 保存后的记录
+   * @throws {ConflictError}
+   */
+  save(record, baseRevision = null) {
+    const { lessonId, viewType } = record;
+    const current = this.get(lessonId, viewType);
+    this.checkRevision(current, baseRevision);
+
+    const saved = { ...record, revision: (current ? (current.revision || 0) : 0) + 1 };
+    if (current) this.archive(current, saved);
+    writeJSONAtomic(this.recordFile(lessonId, viewType), saved);
+    return saved;
+  }
+
+  /**
+   * 删除记录
+   * @returns {boolean} 记录是否存在
+   * @throws {ConflictError}
+   */
+  delete(lessonId, viewType, baseRevision = null) {
+    const current = this.get(lessonId, viewType);
+    if (!current) return false;
+    this.checkRevision(current, baseRevision);
+
+    this.archive(current, null);
+    fs.rmSync(this.recordFile(lessonId, viewType), { force: true });
+    this.removeEmptyLessonDir(lessonId);
+    return true;
+  }
+
+  /**
+   * 清除一个图层的笔画（图层保留；最底层同时清除旧版底图）
+   * @returns {Object|null} 更新后的记录；记录或图层不存在时返回 null
+   */
+  clearLayer(lessonId, viewType, layerId) {
+    const current = this.get(lessonId, viewType);
+    if (!current) return null;
+
+    // 3.0 及更早的记录没有 layers，笔画都属于默认图层
+    const layers = Array.isArray(current.layers) && current.layers.length > 0
+      ? current.layers
+      : [{ id: DEFAULT_LAYER_ID }];
+    if (!layers.some(layer => layer.id === layerId)) return null;
+
+    const isBottomLayer = layers[0].id === layerId;
+    return this.save({
+      ...current,
+      timestamp: Date.now(),
+      strokes: (current.strokes || []).filter(stroke => (stroke.layerId || DEFAULT_LAYER_ID) !== layerId),
+      background: isBottomLayer ? null : (current.background || null),
+      imageData: isBottomLayer ? undefined : current.imageData
+    });
+  }
+
+  /**
+   * 删除课程的所有记录（包括历史版本）
+   * @returns {number} 删除的记录数
+   */
+  deleteCourse(lessonId) {
+    const dir = this.lessonDir(lessonId);
+    if (!fs.existsSync(dir)) return 0;
+
+    const count = fs.readdirSync(dir).filter(name => name.endsWith('.json')).length;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return count;
+  }
+
+  /**
+   * 删除所有记录（包括历史版本）
+   * @returns {number} 删除的记录数
+   */
+  deleteAll() {
+    const count = this.list().length;
+    fs.rmSync(this.root, { recursive: true, force: true });
+    fs.mkdirSync(this.root, { recursive: true });
+    return count;
+  }
+
+  removeEmptyLessonDir(lessonId) {
+    const dir = this.lessonDir(lessonId);
+    try {
+      if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    } catch (error) {
+      // 目录不存在或非空，忽略
+    }
+  }
+}
+
+module.exports = {
+  DrawingStore,
+  ConflictError,
+  isValidId
+};
@@ -0,0 +1,553 @@
+/**
+ * 参考服务器：托管静态页面，实现前端使用的涂鸦和配置接口
+ *
+ * 启动：
+ *   node server/server.js
+ * 环境变量：
+ *   PORT      监听端口（默认 3000）
+ *   DATA_DIR  数据目录（默认 server/data），涂鸦和课程配置都保存在这里；
+ *             放置 users.json 后启用令牌模式（见 users.js）；
+ *             没有 users.json 时为开放模式，信任客户端声明的用户和角色，没有任何授权
+ *   DRAWING_HISTORY_LIMIT  每个涂鸦保留的历史版本数（默认 20，0 表示不保留）
+ *
+ * 接口（前端调用方：js/api/DrawingAPI.js、js/admin/AdminApp.js）：
+ *   GET    /api/drawings                                  所有涂鸦 { drawings: [{ key, data, size }] }
+ *   POST   /api/drawings                                  保存 { lessonId, viewType, ...record, baseRevision } → { success, revision }
+ *   DELETE /api/drawings                                  删除所有涂鸦
+ *   GET    /api/drawings/deleted                          已删除但有历史版本的涂鸦 { deleted: [{ lessonId, viewType, deletedAt }] }
+ *   GET    /api/drawings/:lessonId/:viewType              单个涂鸦记录（不存在时 404）
+ *   DELETE /api/drawings/:lessonId/:viewType?baseRevision 删除单个涂鸦
+ *   GET    /api/drawings/:lessonId/:viewType/history      历史版本（从新到旧）{ versions: [{ id, archivedAt, reason, record }] }
+ *   DELETE /api/drawings/:lessonId/:viewType/layers/:id   清除一个图层 → 更新后的记录
+ *   DELETE /api/courses/:lessonId/drawings                删除课程所有涂鸦
+ *   POST   /api/migrate                                   批量导入 { drawings: [record | { data }] }
+ *   GET    /api/shared/:lessonId/:viewType                教师发布的共享图层（未发布时 404）
+ *   POST   /api/shared                                    发布共享图层（仅教师）{ lessonId, viewType, ...record }
+ *   DELETE /api/shared/:lessonId/:viewType                撤回共享图层（仅教师）
+ *   GET    /api/collab/:lessonId/events?clientId          实时协作 SSE 连接（见 collabHub.js）
+ *   POST   /api/collab/:lessonId                          发送协作消息 { clientId, type, payload }（clientId 须属于请求用户）
+ *   GET    /api/admin/config                              课程配置
+ *   POST   /api/admin/config                              验证并保存（仅教师）{ config } → { success, error?, details? }
+ *
+ * “仅教师”的接口只在令牌模式下真正受保护（开放模式见 users.js）
+ * 保存/删除时 baseRevision 与服务器版本不一致返回 409 { error, current }
+ * 恢复历史版本由前端作为普通保存提交（见 js/utils/drawingHistory.js）
+ *
+ * 涂鸦按请求用户分别保存：默认用户在 <DATA_DIR>/drawings（升级前的数据），
+ * 其他用户在 <DATA_DIR>/users/<userId>/drawings；共享图层在 <DATA_DIR>/shared
+ *
+ * 只使用 Node 内置模块，无需安装依赖
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { DrawingStore, ConflictError, isValidId } = require('./drawingStore');
+const { validateConfig, loadConfig, saveConfig } = require('./adminConfig');
+const { DEFAULT_USER_ID, loadUsers, resolveUser } = require('./users');
+const { CollabHub } = require('./collabHub');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const STATIC_ROOT = path.resolve(__dirname, '..');
+const ADMIN_CONFIG_FILE = path.join(DATA_DIR, 'admin-config.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const HISTORY_LIMIT = process.env.DRAWING_HISTORY_LIMIT !== undefined
+  ? Math.max(0, Number(process.env.DRAWING_HISTORY_LIMIT) || 0)
+  : undefined;
+
+// 请求体上限（旧版位图记录可能包含较大的 data URL）
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// 不对外提供的目录
+const PRIVATE_PATHS = ['server', '.git'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.ipynb': 'application/json; charset=utf-8',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// 令牌表（null 表示开放模式）
+const users = loadUsers(USERS_FILE);
+
+// 每个用户的涂鸦存储（按需创建）
+const userStores = new Map();
+// 共享图层只保留最新发布的版本
+const sharedStore = new DrawingStore(path.join(DATA_DIR, 'shared'), { historyLimit: 0 });
+
+const collabHub = new CollabHub();
+
+/**
+ * 获取用户的涂鸦存储
+ * @param {string} userId
+ * @returns {DrawingStore}
+ */
+function getUserStore(userId) {
+  if (!userStores.has(userId)) {
+    const root = userId === DEFAULT_USER_ID
+      ? path.join(DATA_DIR, 'drawings')
+      : path.join(DATA_DIR, 'users', encodeURIComponent(userId), 'drawings');
+    userStores.set(userId, new DrawingStore(root, { historyLimit: HISTORY_LIMIT }));
+  }
+  return userStores.get(userId);
+}
+
+/**
+ * 带状态码的请求错误
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 读取并解析JSON请求体（所有接口的请求体都是对象，null、数组和其他值返回 400）
+ * 超过上限时停止读取并返回 413，响应发出后再关闭连接（见 server 的错误处理）
+ * @returns {Promise<Object>}
+ */
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        req.pause();
+        reject(new HttpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+      } catch (error) {
+        reject(new HttpError(400, 'Invalid JSON body'));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'JSON body must be an object'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 解码URL路径（百分号编码格式错误时返回 400）
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+/**
+ * 校验路径中的ID
+ */
+function requireId(value, name) {
+  if (!isValidId(value)) {
+    throw new HttpError(400, `Invalid ${name}`);
+  }
+  return value;
+}
+
+/**
+ * 解析 baseRevision（未提供时返回 null，表示不检查版本）
+ */
+function parseRevision(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 0) {
+    throw new HttpError(400, 'Invalid baseRevision');
+  }
+  return revision;
+}
+
+/**
+ * 是否为带字符串 id 的对象（笔画、图层）
+ */
+function hasStringId(item) {
+  return !!item && typeof item === 'object' && typeof item.id === 'string';
+}
+
+/**
+ * 检查涂鸦记录的基本字段（格式错误的记录一旦保存，之后的保存和历史版本都会出错）
+ */
+function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new HttpError(400, 'Drawing record must be an object');
+  }
+  requireId(record.lessonId, 'lessonId');
+  requireId(record.viewType, 'viewType');
+  if (!record.version) {
+    throw new HttpError(400, 'Drawing record is missing version');
+  }
+  if (typeof record.timestamp !== 'number' || !Number.isFinite(record.timestamp)) {
+    throw new HttpError(400, 'timestamp must be a number');
+  }
+  if (record.strokes !== undefined && !Array.isArray(record.strokes)) {
+    throw new HttpError(400, 'strokes must be an array');
+  }
+  if (record.strokes && !record.strokes.every(hasStringId)) {
+    throw new HttpError(400, 'Each stroke must be an object with a string id');
+  }
+  if (record.layers !== undefined && (!Array.isArray(record.layers) || !record.layers.every(hasStringId))) {
+    throw new HttpError(400, 'layers must be an array of objects with a string id');
+  }
+}
+
+// ========== 涂鸦接口 ==========
+
+async function handleDrawings(req, res, segments, url, store) {
+  const method = req.method;
+
+  // /api/drawings
+  if (segments.length === 0) {
+    if (method === 'GET') {
+      return sendJSON(res, 200, { drawings: store.list() });
+    }
+    if (method === 'POST') {
+      const body = await readJSONBody(req);
+      const { baseRevision, ...record } = body;
+      validateRecord(record);
+
+      const saved = store.save(record, parseRevision(baseRevision));
+      console.log(`[SAVE] ✅ ${saved.lessonId}/${saved.viewType} → revision ${saved.revision}, ${(saved.strokes || []).length} strokes`);
+      return sendJSON(res, 200, { success: true, revision: saved.revision });
+    }
+    if (method === 'DELETE') {
+      const deleted = store.deleteAll();
+      console.log(`[DELETE] 🗑️ All drawings (${deleted})`);
+      return sendJSON(res, 200, { success: true, deleted });
+    }
+  }
+
+  // /api/drawings/deleted
+  if (segments.length === 1 && segments[0] === 'deleted' && method === 'GET') {
+    return sendJSON(res, 200, { deleted: store.listDeleted() });
+  }
+
+  // /api/drawings/:lessonId/:viewType
+  if (segments.length === 2) {
+    const lessonId = requireId(segments[0], 'lessonId');
+    const viewType = requireId(segments[1], 'viewType');
+
+    if (method === 'GET') {
+      const record = store.get(lessonId, viewType);
+      if (!record) throw new HttpError(404, 'Drawing not found');
+      return sendJSON(res, 200, record);
+    }
+    if (method === 'DELETE') {
+      const existed = store.delete(lessonId, viewType, parseRevision(url.searchParams.get('baseRevision')));
+      if (!existed) throw new HttpError(404, 'Drawing not found');
+      console.log(`[DELETE] 🗑️ ${lessonId}/${viewType}`);
+      return sendJSON(res, 200, { success: true });
+    }
+  }
+
+  // /api/drawings/:lessonId/:viewType/history
+  if (segments.length === 3 && segments[2] === 'history' && method === 'GET') {
+    const lessonId = requireId(segments[0], 'lessonId');
+    const viewType = requireId(segments[1], 'viewType');
+    return sendJSON(res, 200, { versions: store.getHistory(lessonId, viewType) });
+  }
+
+  // /api/drawings/:lessonId/:viewType/layers/:layerId
+  if (segments.length === 4 && segments[2] === 'layers' && method === 'DELETE') {
+    const lessonId = requireId(segments[0], 'lessonId');
+    const viewType = requireId(segments[1], 'viewType');
+    const record = store.clearLayer(lessonId, viewType, segments[3]);
+    if (!record) throw new HttpError(404, 'Drawing or layer not found');
+    console.log(`[DELETE] 🧹 Layer ${segments[3]} of ${lessonId}/${viewType} → revision ${record.revision}`);
+    return sendJSON(res, 200, record);
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+/**
+ * 课程接口（单独的路径前缀，避免与 /api/drawings/:lessonId/:viewType 冲突）
+ */
+async function handleCourses(req, res, segments, store) {
+  // /api/courses/:lessonId/drawings
+  if (segments.length === 2 && segments[1] === 'drawings' && req.method === 'DELETE') {
+    const lessonId = requireId(segments[0], 'lessonId');
+    const deleted = store.deleteCourse(lessonId);
+    console.log(`[DELETE] 🗑️ Course ${lessonId} (${deleted})`);
+    return sendJSON(res, 200, { success: true, deleted });
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+/**
+ * 批量导入（已有更新版本的记录保留服务器上的版本）
+ */
+async function handleMigrate(req, res, store) {
+  if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+
+  const { drawings } = await readJSONBody(req);
+  if (!Array.isArray(drawings)) throw new HttpError(400, 'drawings must be an array');
+
+  let migrated = 0;
+  let skipped = 0;
+  const errors = [];
+
+  drawings.forEach((item, index) => {
+    const record = item && item.data ? item.data : item;
+    try {
+      validateRecord(record);
+      const current = store.get(record.lessonId, record.viewType);
+      if (current && (current.timestamp || 0) >= (record.timestamp || 0)) {
+        skipped++;
+        return;
+      }
+      store.save(record);
+      migrated++;
+    } catch (error) {
+      errors.push(`#${index + 1}: ${error.message}`);
+    }
+  });
+
+  console.log(`[MIGRATE] ✅ ${migrated} migrated, ${skipped} skipped, ${errors.length} failed`);
+  sendJSON(res, 200, { success: errors.length === 0, migrated, skipped, errors });
+}
+
+// ========== 共享图层接口 ==========
+
+async function handleShared(req, res, segments, user) {
+  const method = req.method;
+  if (method !== 'GET' && user.role !== 'teacher') {
+    throw new HttpError(403, 'Only teachers can publish shared layers');
+  }
+
+  // /api/shared
+  if (segments.length === 0 && method === 'POST') {
+    const { baseRevision, ...record } = await readJSONBody(req);
+    validateRecord(record);
+
+    const saved = sharedStore.save({ ...record, publishedBy: { id: user.id, name: user.name } });
+    console.log(`[SHARED] 📌 ${user.name} published ${saved.lessonId}/${saved.viewType}: ${(saved.strokes || []).length} strokes`);
+    return sendJSON(res, 200, { success: true, revision: saved.revision });
+  }
+
+  // /api/shared/:lessonId/:viewType
+  if (segments.length === 2) {
+    const lessonId = requireId(segments[0], 'lessonId');
+    const viewType = requireId(segments[1], 'viewType');
+
+    if (method === 'GET') {
+      const record = sharedStore.get(lessonId, viewType);
+      if (!record) throw new HttpError(404, 'Shared layer not found');
+      return sendJSON(res, 200, record);
+    }
+    if (method === 'DELETE') {
+      if (!sharedStore.delete(lessonId, viewType)) throw new HttpError(404, 'Shared layer not found');
+      console.log(`[SHARED] 🗑️ ${user.name} withdrew ${lessonId}/${viewType}`);
+      return sendJSON(res, 200, { success: true });
+    }
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+// ========== 实时协作接口 ==========
+
+async function handleCollab(req, res, segments, url, user) {
+  const lessonId = requireId(segments[0], 'lessonId');
+
+  // /api/collab/:lessonId/events
+  if (segments.length === 2 && segments[1] === 'events' && req.method === 'GET') {
+    const clientId = requireId(url.searchParams.get('clientId'), 'clientId');
+    // 成员列表中可以看到所有 clientId，不能用别人的 clientId 顶替其连接
+    const existing = collabHub.getMember(lessonId, clientId);
+    if (existing && existing.userId !== user.id) {
+      throw new HttpError(403, 'Client belongs to another user');
+    }
+    collabHub.connect(req, res, lessonId, clientId, user);
+    return;
+  }
+
+  // /api/collab/:lessonId
+  if (segments.length === 1 && req.method === 'POST') {
+    const { clientId, type, payload } = await readJSONBody(req);
+    if (!isValidId(clientId) || typeof type !== 'string' || !type) {
+      throw new HttpError(400, 'clientId and type are required');
+    }
+    const sender = collabHub.getMember(lessonId, clientId);
+    if (!sender) {
+      throw new HttpError(409, 'Not connected to this lesson');
+    }
+    if (sender.userId !== user.id) {
+      throw new HttpError(403, 'Client belongs to another user');
+    }
+    if (type === 'presence-update' && user.role !== 'teacher') {
+      throw new HttpError(403, 'Only teachers can present');
+    }
+    collabHub.publish(lessonId, clientId, type, payload);
+    return sendJSON(res, 200, { success: true });
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+// ========== 课程配置接口 ==========
+
+async function handleAdminConfig(req, res, user) {
+  if (req.method === 'GET') {
+    return sendJSON(res, 200, loadConfig(ADMIN_CONFIG_FILE));
+  }
+
+  if (req.method === 'POST') {
+    if (user.role !== 'teacher') {
+      throw new HttpError(403, 'Only teachers can change the course config');
+    }
+    const { config } = await readJSONBody(req);
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      console.warn(`[CONFIG] ❌ Validation failed: ${errors.length} errors`);
+      return sendJSON(res, 400, { success: false, error: '配置验证失败', details: errors.join('\n') });
+    }
+
+    saveConfig(ADMIN_CONFIG_FILE, config);
+    console.log(`[CONFIG] ✅ ${user.name} saved admin config`);
+    return sendJSON(res, 200, { success: true });
+  }
+
+  throw new HttpError(405, 'Method not allowed');
+}
+
+// ========== 静态文件 ==========
+
+function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  let relativePath = decodePath(url.pathname);
+  if (relativePath.endsWith('/')) relativePath += 'index.html';
+
+  const filePath = path.resolve(STATIC_ROOT, `.${relativePath}`);
+  const topLevel = path.relative(STATIC_ROOT, filePath).split(path.sep)[0];
+  if (!filePath.startsWith(STATIC_ROOT + path.sep) || PRIVATE_PATHS.includes(topLevel)) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    throw new HttpError(404, 'Not found');
+  }
+  if (stat.isDirectory()) {
+    res.writeHead(301, { Location: `${url.pathname}/` });
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stat.size
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// ========== 路由 ==========
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const segments = url.pathname.split('/').filter(Boolean).map(decodePath);
+
+  if (segments[0] !== 'api') {
+    return serveStatic(req, res, url);
+  }
+
+  const user = resolveUser(req, users, url.searchParams);
+  if (!user) throw new HttpError(401, 'Invalid or missing token');
+
+  switch (segments[1]) {
+    case 'drawings':
+      return handleDrawings(req, res, segments.slice(2), url, getUserStore(user.id));
+    case 'courses':
+      return handleCourses(req, res, segments.slice(2), getUserStore(user.id));
+    case 'migrate':
+      return handleMigrate(req, res, getUserStore(user.id));
+    case 'shared':
+      return handleShared(req, res, segments.slice(2), user);
+    case 'collab':
+      if (segments.length >= 3) {
+        return handleCollab(req, res, segments.slice(2), url, user);
+      }
+      break;
+    case 'admin':
+      if (segments[2] === 'config' && segments.length === 3) {
+        return handleAdminConfig(req, res, user);
+      }
+      break;
+  }
+  throw new HttpError(404, 'Not found');
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    if (error instanceof ConflictError) {
+      return sendJSON(res, 409, { error: 'Revision conflict', current: error.current });
+    }
+
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error(`[SERVER] ❌ ${req.method} ${req.url}:`, error);
+    }
+    if (status === 413 && !res.headersSent) {
+      // 请求体没有读完：先发出 413，再关闭连接（不能在响应前销毁，否则客户端只看到连接重置）
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+    }
+    if (!res.headersSent) {
+      sendJSON(res, status, { success: false, error: error.message });
+    } else {
+      res.end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[SERVER] ✅ http://localhost:${PORT} (data: ${DATA_DIR}, ${users ? `${users.size} token users` : 'open mode'})`);
+  if (!users) {
+    console.warn(`[SERVER] ⚠️ Open mode has no authorization: any client can claim to be a teacher (publish shared layers, save the course config) or any other user. Create ${USERS_FILE} to enable token mode`);
+  }
+});
@@ -0,0 +1,93 @@
+/**
+ * users - 请求用户的识别
+ *
+ * 两种模式：
+ * - 开放模式（默认）：没有用户文件时信任请求头 X-User-Id / X-User-Name / X-User-Role（见 js/api/UserSession.js），
+ *   适合教室内网等可信环境；没有请求头的请求视为默认用户（教师），与升级前的单用户行为一致
+ *   ⚠️ 开放模式没有任何授权：角色由客户端自己声明，任何人都能以教师身份发布共享图层、保存课程配置、
+ *   读写其他用户的涂鸦。“仅教师”的检查只在令牌模式下有效
+ * - 令牌模式：<DATA_DIR>/users.json 存在时，每个 API 请求必须带 Authorization: Bearer <token>，
+ *   用户身份和角色以文件为准
+ *
+ * EventSource 不能设置请求头，SSE 连接通过查询参数 userId / name / role / token 传递同样的信息
+ *
+ * users.json 格式：
+ * [
+ *   { "token": "...", "id": "teacher-1", "name": "王老师", "role": "teacher" },
+ *   { "token": "...", "id": "s-01", "name": "小明", "role": "student" }
+ * ]
+ */
+
+const fs = require('fs');
+const { isValidId } = require('./drawingStore');
+
+// 默认用户（与前端 DEFAULT_USER_ID 一致）
+const DEFAULT_USER_ID = 'default';
+
+const ROLES = ['teacher', 'student'];
+
+/**
+ * 读取令牌表（文件不存在时返回 null，表示开放模式）
+ * @param {string} file - users.json 路径
+ * @returns {Map<string, {id: string, name: string, role: string}>|null}
+ */
+function loadUsers(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const users = new Map();
+  (Array.isArray(list) ? list : []).forEach((user) => {
+    if (!user || !user.token || !isValidId(user.id)) {
+      console.warn('[USERS] Skipping invalid user entry:', user && user.id);
+      return;
+    }
+    users.set(user.token, {
+      id: user.id,
+      name: user.name || user.id,
+      role: ROLES.includes(user.role) ? user.role : 'student'
+    });
+  });
+  return users;
+}
+
+/**
+ * 识别请求的用户
+ * @param {http.IncomingMessage} req
+ * @param {Map|null} users - loadUsers 的结果
+ * @param {URLSearchParams} [params] - 没有请求头时使用的查询参数
+ * @returns {{id: string, name: string, role: string}|null} 令牌模式下令牌无效时返回 null
+ */
+function resolveUser(req, users, params = new URLSearchParams()) {
+  if (users) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = match ? match[1].trim() : params.get('token');
+    return (token && users.get(token)) || null;
+  }
+
+  const id = req.headers['x-user-id'] || params.get('userId');
+  if (!id || !isValidId(id)) {
+    return { id: DEFAULT_USER_ID, name: '本机用户', role: 'teacher' };
+  }
+
+  let name = id;
+  try {
+    // 请求头中的名称经过 URI 编码，查询参数已由 URLSearchParams 解码
+    name = req.headers['x-user-name'] ? decodeURIComponent(req.headers['x-user-name']) : (params.get('name') || id);
+  } catch (error) {
+    // 名称编码错误时使用ID
+  }
+  const requestedRole = req.headers['x-user-role'] || params.get('role');
+  const role = ROLES.includes(requestedRole) ? requestedRole : 'student';
+  return { id, name, role };
+}
+
+module.exports = {
+  DEFAULT_USER_ID,
+  loadUsers,
+  resolveUser
+};